@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Bluesky Cross-Poster
+ *
+ * Cross-posts Nostr notes to Bluesky (AT Protocol).
+ * Reuses decoder and fetcher from the LinkedIn poster.
+ *
+ * Usage:
+ *   node tools/bluesky-poster/bin/post.mjs nevent1...
+ *   node tools/bluesky-poster/bin/post.mjs nevent1... --dry-run
+ *   node tools/bluesky-poster/bin/post.mjs nevent1... --json
+ *   node tools/bluesky-poster/bin/post.mjs --setup
+ */
+
+// Reuse Nostr decoder and fetcher from LinkedIn poster
+import { decode } from '../../linkedin-poster/lib/decoder.mjs';
+import { fetchEvent } from '../../linkedin-poster/lib/fetcher.mjs';
+import { resolveMentions } from '../../linkedin-poster/lib/mentions.mjs';
+import { fetchQuotes, quoteMentionText } from '../../linkedin-poster/lib/quotes.mjs';
+import { fetchThread, threadContent } from '../../linkedin-poster/lib/threads.mjs';
+import { resolveMedia } from '../../linkedin-poster/lib/media.mjs';
+import { format } from '../lib/formatter.mjs';
+import { NUMBERING_STYLES, DEFAULT_MAX_POSTS } from '../lib/thread.mjs';
+import { postLength } from '../lib/richtext.mjs';
+import { imagesEmbed, linkCard, postThread, uploadImage } from '../lib/bluesky.mjs';
+import { DEFAULT_PDS, getSession, writeCredentials } from '../lib/session.mjs';
+import { createInterface } from 'node:readline';
+
+const USAGE = `Usage: bluesky-post <nostr-identifier> [options]
+
+  nostr-identifier    nevent1, naddr1, note1, npub1 or nprofile1 string,
+                      a nostr: URI, or a 64-char hex event id
+                      (npub/nprofile post the author's most recent note)
+
+Options:
+  --dry-run     Show what would be posted without publishing
+  --quotes      Inline quoted notes (nostr:note1/nevent1) as “excerpt” — author,
+                in the post if it fits, else as a follow-up reply
+  --thread      Include the author's own replies continuing the note (a self-thread)
+                as a Bluesky thread, one note after another
+  --thread-window <seconds>
+                How long after the note self-replies still count (default 21600)
+  --numbering <style>
+                Thread numbering: none, 1/ (prefix), (1/n) (suffix, default)
+                or 🧵 (first post only)
+  --max-posts <n>
+                Longest thread to post (default ${DEFAULT_MAX_POSTS}); anything longer
+                becomes one summary post plus --link — without --link the
+                whole thread is posted
+  --link <url>  Link for that summary post, and the link card of a long-form
+                article (e.g. the post on a web reader)
+  --no-card     Don't turn a link into a link card
+  --verbose     Show intermediate steps
+  --json        Print the result (post URIs, thread URL) as JSON on stdout;
+                progress messages go to stderr. A thread that fails partway
+                still prints the URIs that went out, with incomplete and error
+  --setup       Interactive credential setup (handle, app password, PDS)
+  --help        Show this help message
+
+Environment:
+  BLUESKY_DIR         Credentials and session directory (default ~/.bluesky)
+  NOSTR_HANDLES_FILE  JSON table of npub → { "bluesky": "handle.bsky.social", "x": "@handle", … }
+                      used to turn nostr: mentions into @handles`;
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const flags = { dryRun: false, quotes: false, thread: false, threadWindow: undefined, numbering: undefined, maxPosts: undefined, link: undefined, cards: true, verbose: false, json: false, setup: false, help: false };
+  let identifier = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') flags.dryRun = true;
+    else if (arg === '--thread') flags.thread = true;
+    else if (arg === '--thread-window' && /^\d+$/.test(args[i + 1] || '')) flags.threadWindow = Number(args[++i]);
+    else if (arg === '--numbering' && NUMBERING_STYLES.includes(args[i + 1])) flags.numbering = args[++i];
+    else if (arg === '--max-posts' && /^[1-9]\d*$/.test(args[i + 1] || '')) flags.maxPosts = Number(args[++i]);
+    else if (arg === '--link' && /^https?:\/\//.test(args[i + 1] || '')) flags.link = args[++i];
+    else if (arg === '--no-card') flags.cards = false;
+    else if (arg === '--quotes') flags.quotes = true;
+    else if (arg === '--verbose') flags.verbose = true;
+    else if (arg === '--json') flags.json = true;
+    else if (arg === '--setup') flags.setup = true;
+    else if (arg === '--help' || arg === '-h') flags.help = true;
+    else if (!arg.startsWith('--')) identifier = arg;
+    else {
+      console.error(`Unknown option: ${arg}\n`);
+      console.error(USAGE);
+      process.exit(1);
+    }
+  }
+
+  return { identifier, ...flags };
+}
+
+async function setupCredentials() {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (q) => new Promise(resolve => rl.question(q, resolve));
+
+  console.log('\n🦋 Bluesky Credential Setup\n');
+  console.log('Create an app password at https://bsky.app/settings/app-passwords\n');
+
+  const identifier = await ask('Handle or DID (e.g. you.bsky.social): ');
+  const appPassword = await ask('App password: ');
+  const pds = await ask(`PDS URL [${DEFAULT_PDS}]: `);
+
+  rl.close();
+
+  await writeCredentials({
+    identifier: identifier.trim().replace(/^@/, ''),
+    appPassword: appPassword.trim(),
+    pds: pds.trim() || DEFAULT_PDS,
+  });
+
+  const session = await getSession();
+  console.log(`\n✅ Logged in as @${session.handle} — credentials saved to ${process.env.BLUESKY_DIR || '~/.bluesky'}/credentials.json`);
+}
+
+async function main() {
+  const { identifier, dryRun, quotes: inlineQuotes, thread: selfThread, threadWindow, numbering, maxPosts, link, cards, verbose, json, setup, help } = parseArgs(process.argv);
+  // With --json, stdout carries only the result object
+  const log = json ? console.error : console.log;
+
+  if (help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  if (setup) {
+    await setupCredentials();
+    return;
+  }
+
+  if (!identifier) {
+    console.error('Error: Missing nostr identifier\n');
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (verbose) log(`Decoding ${identifier}...`);
+  const decoded = await decode(identifier);
+
+  if (verbose) log('Fetching event from relays...');
+  const nostrEvent = await fetchEvent(decoded);
+
+  if (nostrEvent.kind !== 1 && nostrEvent.kind !== 30023) {
+    console.error(`Error: Unsupported event kind ${nostrEvent.kind}. Only kind 1 (note) and kind 30023 (long-form) are supported.`);
+    process.exit(1);
+  }
+
+  let thread = [nostrEvent];
+  if (selfThread && nostrEvent.kind === 1) {
+    if (verbose) log('Fetching self-replies...');
+    thread = await fetchThread(nostrEvent, { windowSeconds: threadWindow, relays: decoded.relays });
+    if (verbose) log(`  Self-thread of ${thread.length} note(s)`);
+  }
+  const content = threadContent(thread);
+  const threadIds = thread.length > 1 ? { threadEventIds: thread.map(e => e.id) } : {};
+
+  let quotes = [];
+  if (inlineQuotes && nostrEvent.kind === 1) {
+    if (verbose) log('Fetching quoted notes...');
+    quotes = await fetchQuotes(content);
+    for (const q of quotes.filter(q => q.error)) console.error(`  Warning: quoted note ${q.ref.slice(0, 24)}... unavailable: ${q.error}`);
+  }
+
+  if (verbose) log('Resolving mentioned profiles...');
+  const mentions = await resolveMentions(`${content}\n${quoteMentionText(quotes)}`);
+
+  let resolved;
+  if (nostrEvent.kind === 1) {
+    if (verbose) log('Checking media (kind 1063 files, untyped URLs)...');
+    resolved = await resolveMedia(content, thread, { quotes });
+  }
+
+  if (verbose) log(`Event kind ${nostrEvent.kind} — formatting for Bluesky...`);
+  const { posts, media: found, card } = format(nostrEvent, identifier, {
+    mentions, quotes, thread, numbering, maxPosts, link, cards, media: resolved,
+  });
+
+  // A post carries up to 4 images
+  const media = found.slice(0, 4);
+  const skipped = found.slice(4).map(m => m.url);
+
+  if (dryRun && json) {
+    console.log(JSON.stringify({ platform: 'bluesky', dryRun: true, eventId: nostrEvent.id, ...threadIds, posts, media, ...(card ? { card } : {}) }));
+    return;
+  }
+
+  if (dryRun) {
+    console.log('\n--- DRY RUN (would post to Bluesky) ---\n');
+    posts.forEach((p, i) => {
+      if (posts.length > 1) console.log(`--- Post ${i + 1}/${posts.length} ---`);
+      console.log(p);
+      console.log(`(${postLength(p)} graphemes)\n`);
+    });
+    if (media.length > 0) {
+      console.log(`Images: ${media.map(m => `${m.url}${m.alt ? ` (alt: ${m.alt})` : ''}`).join(', ')}`);
+    }
+    if (skipped.length > 0) console.log(`Not attached: ${skipped.join(', ')}`);
+    if (card) console.log(`Link card: ${card.uri}`);
+    return;
+  }
+
+  // Log in (or reuse the stored session) before uploading anything
+  await getSession();
+
+  // Upload images if any, else build the link card
+  let embed;
+  if (skipped.length > 0 && verbose) log(`  Not attached (Bluesky allows 4 images): ${skipped.join(', ')}`);
+  if (media.length > 0) {
+    if (verbose) log(`Uploading ${media.length} image(s)...`);
+    const images = [];
+    for (const item of media) {
+      try {
+        images.push(await uploadImage(item));
+        if (verbose) log(`  Uploaded: ${item.url}`);
+      } catch (err) {
+        console.error(`  Warning: Failed to upload ${item.url}: ${err.message}`);
+      }
+    }
+    if (images.length > 0) embed = imagesEmbed(images);
+  } else if (card) {
+    if (verbose) log(`Building link card for ${card.uri}...`);
+    embed = await linkCard(card) || undefined;
+    if (!embed && verbose) log('  No preview found — posting the link without a card');
+  }
+
+  // Post
+  if (verbose) log(`Posting ${posts.length} post(s)...`);
+  let result;
+  try {
+    result = await postThread(posts, embed);
+  } catch (err) {
+    // Part of the thread is live: report its URIs along with the error
+    if (!err.posts) throw err;
+    result = { posts: err.posts, url: err.url, error: err.message };
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    console.log(JSON.stringify({
+      platform: 'bluesky',
+      eventId: nostrEvent.id,
+      ...threadIds,
+      uris: result.posts.map(p => p.uri),
+      url: result.url,
+      imageCount: embed?.images?.length || 0,
+      ...(result.error ? { incomplete: true, error: result.error } : {}),
+      postedAt: Math.floor(Date.now() / 1000),
+    }));
+    return;
+  }
+
+  console.log(`Published: ${result.url}`);
+  if (verbose || result.error) {
+    result.posts.forEach((p, i) => {
+      console.log(`  Post ${i + 1}: ${p.uri}`);
+    });
+  }
+  if (result.error) console.error(`Error: ${result.error}`);
+}
+
+main().catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,276 @@
+/**
+ * Bluesky (AT Protocol) API Client
+ *
+ * Posts through the account's PDS over XRPC, with the app-password session from session.mjs.
+ * Supports posts with rich text facets, reply-chained threads, image blobs with alt text,
+ * external link cards, and deletions.
+ */
+
+import { getSession } from './session.mjs';
+import { mentionHandles, richText } from './richtext.mjs';
+
+const POST_COLLECTION = 'app.bsky.feed.post';
+const MAX_IMAGES = 4;
+const MAX_IMAGE_BYTES = 1_000_000;
+const MAX_ALT_TEXT = 2000;
+const MAX_CARD_DESCRIPTION = 300;
+const CARD_FETCH_TIMEOUT_MS = 10_000;
+
+/**
+ * Post a single post.
+ * @param {string} text - Post text; links, @handle mentions and #hashtags become facets
+ * @param {object} options - { reply?: { root, parent }, embed?: object }
+ *   reply refs and embed as in app.bsky.feed.post records
+ * @returns {{ uri: string, cid: string }}
+ */
+export async function createPost(text, options = {}) {
+  const session = await getSession();
+  const dids = await resolveHandles(mentionHandles(text), session);
+  const rich = richText(text, dids);
+
+  const record = { $type: POST_COLLECTION, text: rich.text, createdAt: new Date().toISOString() };
+  if (rich.facets.length > 0) record.facets = rich.facets;
+  if (options.reply) record.reply = options.reply;
+  if (options.embed) record.embed = options.embed;
+
+  const data = await xrpc(session, 'com.atproto.repo.createRecord', {
+    body: { repo: session.did, collection: POST_COLLECTION, record },
+  });
+  return { uri: data.uri, cid: data.cid };
+}
+
+/**
+ * Post a thread: each post replies to the one before it, all under the first.
+ * @param {string[]} posts - Post texts
+ * @param {object} [embed] - for the first post: images (imagesEmbed) or a link card (linkCard)
+ * @returns {{ posts: Array<{ uri: string, cid: string }>, url: string }}
+ * @throws when a post fails; if earlier ones went out, the error carries them as `posts` and `url`
+ */
+export async function postThread(posts, embed) {
+  const results = [];
+
+  for (let i = 0; i < posts.length; i++) {
+    const options = {};
+    if (i === 0 && embed) options.embed = embed;
+    if (i > 0) options.reply = { root: results[0], parent: results[results.length - 1] };
+
+    try {
+      results.push(await createPost(posts[i], options));
+    } catch (err) {
+      // Hand back what already went out, so the caller can record (or delete) it
+      if (results.length > 0) {
+        err.message = `Thread stopped after ${results.length} of ${posts.length} posts: ${err.message}`;
+        err.posts = results;
+        err.url = postUrl(results[0].uri, (await getSession()).handle);
+      }
+      throw err;
+    }
+
+    // Small delay between thread posts to avoid rate limits
+    if (i < posts.length - 1) {
+      await new Promise(r => setTimeout(r, 1000));
+    }
+  }
+
+  const session = await getSession();
+  const url = results[0] ? postUrl(results[0].uri, session.handle) : '';
+  return { posts: results, url };
+}
+
+/**
+ * Delete a single post.
+ * @param {string} uri - at://<did>/app.bsky.feed.post/<rkey>
+ * @returns {{ uri: string, deleted: boolean }} deleting a post that's already gone succeeds too
+ */
+export async function deletePost(uri) {
+  const [, repo, collection, rkey] = uri.match(/^at:\/\/([^/]+)\/([^/]+)\/([^/]+)$/) || [];
+  if (!rkey) throw new Error(`Not a post URI: ${uri}`);
+
+  const session = await getSession();
+  await xrpc(session, 'com.atproto.repo.deleteRecord', { body: { repo, collection, rkey } });
+  return { uri, deleted: true };
+}
+
+/**
+ * Delete every post of a thread, last post first.
+ * Keeps going when one post fails so a retry only has the leftovers to do.
+ * @param {string[]} uris - Post URIs in thread order
+ * @returns {{ deleted: string[], failed: Array<{ uri: string, error: string }> }}
+ */
+export async function deleteThread(uris) {
+  const deleted = [];
+  const failed = [];
+
+  for (const uri of [...uris].reverse()) {
+    try {
+      const result = await deletePost(uri);
+      if (result.deleted) deleted.push(uri);
+    } catch (err) {
+      failed.push({ uri, error: err.message });
+    }
+  }
+
+  return { deleted, failed };
+}
+
+/**
+ * Upload an image as a blob, ready for an images embed.
+ * @param {{ url: string, mime?: string, alt?: string, dim?: string }} image - a Media item (media.mjs)
+ * @returns {{ image: object, alt: string, aspectRatio?: { width: number, height: number } }}
+ */
+export async function uploadImage(image) {
+  const session = await getSession();
+
+  const fileRes = await fetch(image.url);
+  if (!fileRes.ok) {
+    throw new Error(`Failed to download image from ${image.url}: ${fileRes.status}`);
+  }
+  const buffer = Buffer.from(await fileRes.arrayBuffer());
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`${image.url} is ${(buffer.length / 1e6).toFixed(1)}MB — over Bluesky's ${MAX_IMAGE_BYTES / 1e6}MB image limit`);
+  }
+  const header = fileRes.headers.get('content-type')?.split(';')[0].trim();
+  const mime = image.mime || (header?.startsWith('image/') ? header : 'image/jpeg');
+
+  const { blob } = await xrpc(session, 'com.atproto.repo.uploadBlob', { body: buffer, contentType: mime });
+
+  const entry = { image: blob, alt: [...(image.alt || '')].slice(0, MAX_ALT_TEXT).join('') };
+  const [width, height] = (image.dim || '').split('x').map(Number);
+  if (width > 0 && height > 0) entry.aspectRatio = { width, height };
+  return entry;
+}
+
+/**
+ * An images embed for uploaded images (the first four).
+ * @param {object[]} images - from uploadImage
+ * @returns {object}
+ */
+export function imagesEmbed(images) {
+  return { $type: 'app.bsky.embed.images', images: images.slice(0, MAX_IMAGES) };
+}
+
+/**
+ * An external link card embed. Title, description and thumbnail not given are taken
+ * from the page's Open Graph tags; the thumbnail is uploaded as a blob.
+ * @param {{ uri: string, title?: string, description?: string, image?: string }} card
+ * @param {object} options - { timeout?: number } for fetching the page
+ * @returns {Promise<object|null>} null when the page has nothing to show
+ */
+export async function linkCard(card, options = {}) {
+  let { title, description, image } = card;
+  if (!title) {
+    const page = await fetchPreview(card.uri, options.timeout ?? CARD_FETCH_TIMEOUT_MS);
+    title = page.title;
+    description ||= page.description;
+    image ||= page.image;
+  }
+  if (!title && !description) return null;
+
+  const external = {
+    uri: card.uri,
+    title: title || '',
+    description: [...(description || '')].slice(0, MAX_CARD_DESCRIPTION).join(''),
+  };
+  if (image) {
+    try {
+      external.thumb = (await uploadImage({ url: image })).image;
+    } catch {
+      // A card without a thumbnail still links
+    }
+  }
+  return { $type: 'app.bsky.embed.external', external };
+}
+
+/**
+ * The bsky.app address of a post.
+ * @param {string} uri - at://<did>/app.bsky.feed.post/<rkey>
+ * @param {string} [handle] - shown instead of the DID
+ * @returns {string}
+ */
+export function postUrl(uri, handle) {
+  const [, did, rkey] = uri.match(/^at:\/\/([^/]+)\/[^/]+\/([^/]+)$/) || [];
+  return `https://bsky.app/profile/${handle || did}/post/${rkey}`;
+}
+
+// handle → DID for the handles that resolve; the rest stay plain text
+async function resolveHandles(handles, session) {
+  const dids = new Map();
+  for (const handle of handles) {
+    try {
+      const { did } = await xrpc(session, 'com.atproto.identity.resolveHandle', { params: { handle } });
+      if (did) dids.set(handle, did);
+    } catch {
+      // Not a Bluesky handle
+    }
+  }
+  return dids;
+}
+
+// A GET (params only) or POST (JSON or raw body) XRPC call to the PDS
+async function xrpc(session, nsid, options = {}) {
+  const query = options.params ? `?${new URLSearchParams(options.params)}` : '';
+  const post = options.body !== undefined;
+  const res = await fetch(`${session.pds}/xrpc/${nsid}${query}`, {
+    method: post ? 'POST' : 'GET',
+    headers: {
+      Authorization: `Bearer ${session.accessJwt}`,
+      ...(post ? { 'Content-Type': options.contentType || 'application/json' } : {}),
+    },
+    ...(post ? { body: options.contentType ? options.body : JSON.stringify(options.body) } : {}),
+  });
+
+  if (res.status === 401) {
+    throw new Error('Bluesky API 401 — check your app password in $BLUESKY_DIR/credentials.json (default ~/.bluesky)');
+  }
+
+  if (res.status === 429) {
+    const reset = res.headers.get('ratelimit-reset');
+    throw new Error(`Rate limited.${reset ? ` Retry after ${new Date(Number(reset) * 1000).toISOString()}.` : ''}`);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Bluesky API error (${res.status}) on ${nsid}: ${text}`);
+  }
+
+  const text = await res.text();
+  return text ? JSON.parse(text) : {};
+}
+
+// Open Graph title, description and image of a page; {} when it can't be fetched
+async function fetchPreview(url, timeout) {
+  try {
+    const res = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+    if (!res.ok || !/html/i.test(res.headers.get('content-type') || '')) return {};
+    const html = (await res.text()).slice(0, 500_000);
+    const image = meta(html, 'og:image') || meta(html, 'twitter:image');
+    return {
+      title: meta(html, 'og:title') || decodeEntities(html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] || '').trim(),
+      description: meta(html, 'og:description') || meta(html, 'description'),
+      image: image ? new URL(image, res.url || url).href : undefined,
+    };
+  } catch {
+    return {};
+  }
+}
+
+function meta(html, name) {
+  for (const tag of html.match(/<meta\s[^>]*>/gi) || []) {
+    const key = tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (key?.toLowerCase() !== name) continue;
+    const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (content) return decodeEntities(content[1] ?? content[2]).trim();
+  }
+  return '';
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Format Nostr events for Bluesky
+ *
+ * Native Bluesky formatting — no Nostr fingerprints.
+ * Handles:
+ * - 300 grapheme limit (auto-threading for longer content, see thread.mjs)
+ * - Media extraction (images go up as blobs with their alt text, see media.mjs;
+ *   GIFs and videos stay in the text as links)
+ * - nostr: mention/reference stripping (resolved mentions become @handles or names)
+ * - Link cards: an article's --link, else the first link of a note without images
+ *
+ * Links, mentions and hashtags stay plain text here; bluesky.mjs turns them into
+ * facets when posting.
+ */
+
+import { stripNostrArtifacts } from '../../linkedin-poster/lib/mentions.mjs';
+import { findQuotes, renderQuote } from '../../linkedin-poster/lib/quotes.mjs';
+import { extractMedia, removeMedia } from '../../linkedin-poster/lib/media.mjs';
+import { plainText } from '../../linkedin-poster/lib/markdown.mjs';
+import { MAX_POST_GRAPHEMES, findLinks, postLength } from './richtext.mjs';
+import { buildThread } from './thread.mjs';
+
+const MAX_SUMMARY_CHARS = 200;
+
+/**
+ * @typedef {object} Card - an external link card; bluesky.mjs fills in what's missing from the page
+ * @property {string} uri
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {string} [image] - thumbnail URL
+ */
+
+/**
+ * Format a Nostr event for Bluesky
+ * @param {object} event - Raw Nostr event
+ * @param {string} originalIdentifier - nevent1.../naddr1... string (unused)
+ * @param {object} options - { mentions?: Map, quotes?: Array, thread?: object[], numbering?: string,
+ *   maxPosts?: number, link?: string, media?: Map, cards?: boolean }
+ *   mentions from resolveMentions; quotes from fetchQuotes, rendered inline (kind 1 only);
+ *   thread from fetchThread — a self-thread is posted note by note;
+ *   numbering, maxPosts and link go to buildThread (link is the fallback for an over-long thread);
+ *   link is also the card of a kind 30023; media (from resolveMedia) types media URLs the
+ *   text and tags alone don't; cards: false leaves links as links
+ * @returns {{ posts: string[], media: Media[], card?: Card }} media: images, in order (see media.mjs)
+ */
+export function format(event, originalIdentifier, options = {}) {
+  if (!event || typeof event !== 'object') {
+    throw new Error('Invalid event');
+  }
+
+  const kind = event.kind;
+  if (kind === 1) return formatNotes(options.thread?.length > 1 ? options.thread : [event], options);
+  if (kind === 30023) return formatKind30023(event, options);
+  throw new Error(`Only kind 1 and 30023 supported. Got kind ${kind}`);
+}
+
+/**
+ * Format raw text for Bluesky — strips all Nostr artifacts.
+ * Can be called directly by the cross-post checker with pre-fetched content.
+ */
+export function formatTextForBluesky(text, options = {}) {
+  const media = extractMedia(text).filter(m => m.type === 'image');
+  text = removeMedia(text, media);
+  text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'bluesky' });
+  return { posts: buildThread(text, threadOptions(options)), media };
+}
+
+/**
+ * A note, or a self-thread note by note: each note starts a new post, numbered across
+ * the whole thread. Quotes share their note's post if they fit, else follow as their own;
+ * media from every note ends up on the first post (postThread attaches media there).
+ */
+function formatNotes(notes, options) {
+  const parts = [];
+  const media = [];
+  for (const note of notes) {
+    let text = note.content || '';
+    const found = extractMedia(text, [note], options.media).filter(m => m.type === 'image');
+    text = removeMedia(text, found);
+    text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'bluesky' });
+    media.push(...found);
+
+    const refs = findQuotes(note.content);
+    const quotes = (options.quotes || [])
+      .filter(q => q.event && (notes.length === 1 || refs.includes(q.ref)))
+      .map(q => fitQuote(q, options.mentions));
+    const inline = [text, ...quotes].filter(Boolean).join('\n\n');
+    if (quotes.length > 0 && postLength(inline) <= MAX_POST_GRAPHEMES) parts.push(inline);
+    else parts.push(text, ...quotes);
+  }
+
+  const posts = buildThread(parts, threadOptions(options));
+  const link = options.cards !== false && media.length === 0 && findLinks(posts[0])[0];
+  return { posts, media, ...(link ? { card: { uri: link.url } } : {}) };
+}
+
+// A quote short enough for a post of its own
+function fitQuote(quote, mentions) {
+  for (let maxChars = 200; ; maxChars -= 20) {
+    const text = renderQuote(quote, 'bluesky', { mentions, maxChars });
+    if (maxChars <= 40 || postLength(text) <= MAX_POST_GRAPHEMES) return text;
+  }
+}
+
+/**
+ * A long-form article: title and summary, with options.link as a link card carrying
+ * the article's title, summary and header image. Without a link the header image is
+ * attached instead.
+ */
+function formatKind30023(event, options) {
+  const tags = event.tags || [];
+  const getTag = (name) => tags.find(t => t[0] === name)?.[1] || '';
+
+  const title = getTag('title');
+  const summary = stripNostrArtifacts(
+    getTag('summary') || plainText(event.content || '').slice(0, MAX_SUMMARY_CHARS),
+    { mentions: options.mentions, platform: 'bluesky' },
+  );
+  const image = getTag('image');
+
+  const posts = buildThread(title ? `${title}\n\n${summary}` : summary, { ...threadOptions(options), summary });
+
+  if (options.link && options.cards !== false) {
+    const card = { uri: options.link, title: title || options.link, description: summary };
+    return { posts, media: [], card: image ? { ...card, image } : card };
+  }
+  return { posts, media: image ? [extractMedia(image, [event])[0] || { url: image, type: 'image' }] : [] };
+}
+
+function threadOptions(options) {
+  return { numbering: options.numbering, maxPosts: options.maxPosts, link: options.link };
+}
@@ -0,0 +1,152 @@
+/**
+ * Bluesky rich text — post length and facets.
+ *
+ * Bluesky counts a post in graphemes (300 at most) and has no markup: links, mentions
+ * and hashtags are facets, annotations over UTF-8 byte ranges of the text.
+ *   - links are shown shortened (host and the start of the path) while the facet keeps
+ *     the full URL; the length limit applies to the shortened text
+ *   - @handle.domain mentions become mention facets when the handle's DID is known
+ *   - #hashtags become tag facets
+ */
+
+export const MAX_POST_GRAPHEMES = 300;
+
+const MAX_TAG_LENGTH = 64;
+const MAX_PATH_DISPLAY = 15;
+
+const LINK_RE = /https?:\/\/[^\s<>"]+/gi;
+const MENTION_RE = /(?<=^|[\s(])@((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z][a-z0-9-]*)/giu;
+const TAG_RE = /(?<=^|\s)[#＃]((?!\ufe0f)[\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+const TRAILING_PUNCTUATION_RE = /[.,:;!?'"’”…]+$/;
+
+const segmenter = new Intl.Segmenter();
+const encoder = new TextEncoder();
+
+/**
+ * Number of graphemes (user-perceived characters) in a text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function graphemeLength(text) {
+  let count = 0;
+  for (const _ of segmenter.segment(text || '')) count++;
+  return count;
+}
+
+/**
+ * The http(s) links in a text.
+ * @param {string} text
+ * @returns {Array<{ url: string, start: number, end: number }>}
+ */
+export function findLinks(text) {
+  return [...(text || '').matchAll(LINK_RE)].map(match => {
+    const url = trimUrl(match[0]);
+    return { url, start: match.index, end: match.index + url.length };
+  });
+}
+
+/**
+ * How Bluesky shows a link: without the protocol or "www.", the path cut short.
+ * @param {string} url
+ * @returns {string}
+ */
+export function displayUrl(url) {
+  const rest = url.replace(/^https?:\/\/(?:www\.)?/i, '');
+  const split = rest.search(/[/?#]/);
+  if (split === -1) return rest;
+  const host = rest.slice(0, split);
+  const path = rest.slice(split) === '/' ? '' : rest.slice(split);
+  return path.length > MAX_PATH_DISPLAY ? `${host}${path.slice(0, MAX_PATH_DISPLAY - 2)}...` : `${host}${path}`;
+}
+
+/**
+ * The length Bluesky counts for a post: graphemes, with links as displayed.
+ * @param {string} text
+ * @returns {number}
+ */
+export function postLength(text) {
+  let total = 0;
+  let last = 0;
+  for (const link of findLinks(text)) {
+    total += graphemeLength(text.slice(last, link.start)) + graphemeLength(displayUrl(link.url));
+    last = link.end;
+  }
+  return total + graphemeLength(text.slice(last));
+}
+
+/**
+ * How much of the text fits in `max` graphemes, without cutting through a link or grapheme.
+ * @param {string} text
+ * @param {number} max
+ * @returns {number} Offset to cut at (text.length if it all fits)
+ */
+export function fitPrefix(text, max) {
+  const links = new Map(findLinks(text).map(l => [l.start, l]));
+  let total = 0;
+  let end = 0;
+  for (const { index, segment } of segmenter.segment(text)) {
+    if (index < end) continue; // inside a link already counted
+    const link = links.get(index);
+    total += link ? graphemeLength(displayUrl(link.url)) : 1;
+    if (total > max) break;
+    end = link ? link.end : index + segment.length;
+  }
+  return end;
+}
+
+/**
+ * The @handles a text mentions, lowercased — to resolve to DIDs for richText.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function mentionHandles(text) {
+  return [...new Set([...(text || '').matchAll(MENTION_RE)].map(m => m[1].toLowerCase()))];
+}
+
+/**
+ * A post's text as Bluesky stores it: links shortened, with link, mention and tag facets.
+ * @param {string} text
+ * @param {Map<string, string>} [dids] - handle (lowercase) → DID; unresolved mentions stay plain text
+ * @returns {{ text: string, facets: object[] }}
+ */
+export function richText(text, dids = new Map()) {
+  text ||= '';
+  const links = findLinks(text);
+  const inLink = (at) => links.some(l => at >= l.start && at < l.end);
+  const span = (match, feature) => ({ start: match.index, end: match.index + match[0].length, feature });
+
+  const spans = [
+    ...links.map(l => ({ ...l, display: displayUrl(l.url), feature: { $type: 'app.bsky.richtext.facet#link', uri: l.url } })),
+    ...[...text.matchAll(MENTION_RE)]
+      .filter(m => !inLink(m.index) && dids.has(m[1].toLowerCase()))
+      .map(m => span(m, { $type: 'app.bsky.richtext.facet#mention', did: dids.get(m[1].toLowerCase()) })),
+    ...[...text.matchAll(TAG_RE)]
+      .filter(m => !inLink(m.index) && m[1].length <= MAX_TAG_LENGTH)
+      .map(m => span(m, { $type: 'app.bsky.richtext.facet#tag', tag: m[1] })),
+  ].sort((a, b) => a.start - b.start);
+
+  let out = '';
+  let last = 0;
+  const facets = [];
+  for (const { start, end, display, feature } of spans) {
+    out += text.slice(last, start);
+    const byteStart = byteLength(out);
+    out += display ?? text.slice(start, end);
+    facets.push({ index: { byteStart, byteEnd: byteLength(out) }, features: [feature] });
+    last = end;
+  }
+  out += text.slice(last);
+
+  return { text: out, facets };
+}
+
+function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+// Sentence punctuation and an unbalanced closing parenthesis aren't part of the URL
+function trimUrl(url) {
+  url = url.replace(TRAILING_PUNCTUATION_RE, '');
+  if (url.endsWith(')') && url.split(')').length > url.split('(').length) url = trimUrl(url.slice(0, -1));
+  return url;
+}
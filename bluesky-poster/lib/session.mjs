@@ -0,0 +1,143 @@
+/**
+ * Bluesky session manager — app-password auth against the account's PDS.
+ *
+ * Storage: ~/.bluesky/credentials.json and session.json ($BLUESKY_DIR overrides the
+ * directory, so one machine can hold a credential set per account)
+ * The session's access token is reused until it expires, then refreshed with the
+ * refresh token; a new session is only created when both have run out.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+export const DEFAULT_PDS = 'https://bsky.social';
+
+// A token this close to expiry counts as expired
+const EXPIRY_MARGIN_SECONDS = 60;
+
+// Resolved per call: the cross-post checker switches $BLUESKY_DIR between profiles
+function blueskyDir() {
+  return process.env.BLUESKY_DIR || join(homedir(), '.bluesky');
+}
+
+function credentialsPath() {
+  return join(blueskyDir(), 'credentials.json');
+}
+
+function sessionPath() {
+  return join(blueskyDir(), 'session.json');
+}
+
+async function ensureDir() {
+  await mkdir(blueskyDir(), { recursive: true, mode: 0o700 });
+}
+
+/**
+ * Read stored credentials.
+ * Expected format:
+ * {
+ *   "identifier": "handle.bsky.social",
+ *   "appPassword": "xxxx-xxxx-xxxx-xxxx",
+ *   "pds": "https://bsky.social"      (optional)
+ * }
+ */
+export async function readCredentials() {
+  let creds;
+  try {
+    creds = JSON.parse(await readFile(credentialsPath(), 'utf8'));
+  } catch {
+    creds = {};
+  }
+  if (!creds.identifier || !creds.appPassword) {
+    throw new Error(
+      `Missing credentials. Create ${credentialsPath()} with:\n` +
+      `{\n  "identifier": "handle.bsky.social",\n  "appPassword": "xxxx-xxxx-xxxx-xxxx",\n  "pds": "${DEFAULT_PDS}"\n}`
+    );
+  }
+  return { ...creds, pds: (creds.pds || DEFAULT_PDS).replace(/\/+$/, '') };
+}
+
+/**
+ * Store credentials. A stored session belongs to the old ones, so it's dropped.
+ */
+export async function writeCredentials(creds) {
+  await ensureDir();
+  await writeFile(credentialsPath(), JSON.stringify(creds, null, 2), { mode: 0o600 });
+  await writeFile(sessionPath(), '{}', { mode: 0o600 });
+}
+
+/**
+ * A usable session: the stored one, refreshed, or a new one.
+ * @returns {Promise<{ pds: string, did: string, handle: string, accessJwt: string, refreshJwt: string }>}
+ */
+export async function getSession() {
+  const creds = await readCredentials();
+  const stored = await readSession();
+  const current = stored?.pds === creds.pds && stored.identifier === creds.identifier ? stored : null;
+
+  if (current && !isExpired(current.accessJwt)) return current;
+
+  if (current && !isExpired(current.refreshJwt)) {
+    const res = await fetch(`${creds.pds}/xrpc/com.atproto.server.refreshSession`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${current.refreshJwt}` },
+    });
+    if (res.ok) return saveSession(creds, await res.json());
+    // A revoked refresh token falls through to a new session
+  }
+
+  const res = await fetch(`${creds.pds}/xrpc/com.atproto.server.createSession`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ identifier: creds.identifier, password: creds.appPassword }),
+  });
+
+  if (res.status === 401) {
+    throw new Error(`Bluesky login failed — check the app password in ${credentialsPath()}`);
+  }
+
+  if (res.status === 429) {
+    const reset = res.headers.get('ratelimit-reset');
+    throw new Error(`Rate limited.${reset ? ` Retry after ${new Date(Number(reset) * 1000).toISOString()}.` : ''}`);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Bluesky login failed (${res.status}): ${text}`);
+  }
+
+  return saveSession(creds, await res.json());
+}
+
+async function readSession() {
+  try {
+    return JSON.parse(await readFile(sessionPath(), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function saveSession(creds, data) {
+  const session = {
+    pds: creds.pds,
+    identifier: creds.identifier,
+    did: data.did,
+    handle: data.handle,
+    accessJwt: data.accessJwt,
+    refreshJwt: data.refreshJwt,
+  };
+  await ensureDir();
+  await writeFile(sessionPath(), JSON.stringify(session, null, 2), { mode: 0o600 });
+  return session;
+}
+
+// Whether a JWT is (nearly) expired; one that can't be read counts as expired
+function isExpired(jwt) {
+  try {
+    const { exp } = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'));
+    return !(exp > Date.now() / 1000 + EXPIRY_MARGIN_SECONDS);
+  } catch {
+    return true;
+  }
+}
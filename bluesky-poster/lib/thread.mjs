@@ -0,0 +1,52 @@
+/**
+ * Thread building — split text into Bluesky posts of at most 300 graphemes.
+ *
+ * The shared builder (linkedin-poster/lib/thread-builder.mjs) with Bluesky's counting:
+ * - Links count as Bluesky displays them (see richtext.mjs)
+ * - Never breaks inside a link, #hashtag or @mention
+ * - A thread longer than `maxPosts` becomes one summary post plus a link instead, given a link
+ */
+
+import { createThreadBuilder, NUMBERING_STYLES, DEFAULT_NUMBERING } from '../../linkedin-poster/lib/thread-builder.mjs';
+import { MAX_POST_GRAPHEMES, displayUrl, findLinks, fitPrefix, graphemeLength, postLength } from './richtext.mjs';
+
+export { NUMBERING_STYLES, DEFAULT_NUMBERING };
+export const DEFAULT_MAX_POSTS = 10;
+
+const builder = createThreadBuilder({
+  maxLength: MAX_POST_GRAPHEMES,
+  length: postLength,
+  fitPrefix,
+  findLinks,
+  linkLength: (link) => graphemeLength(displayUrl(link)),
+  tokenRe: /[#@][\p{L}\p{N}_.-]*[\p{L}\p{N}_]/gu,
+});
+
+/**
+ * Build a thread. Each part starts a new post (a note of a self-thread, a quote
+ * that follows the post); parts too long for one post are split.
+ * @param {string|string[]} parts
+ * @param {object} options - { numbering?: string, maxPosts?: number, link?: string, summary?: string }
+ *   link and summary make the fallback post for a thread over maxPosts; summary defaults
+ *   to the first paragraph. Without a link the whole thread is kept, whatever its length
+ * @returns {string[]} posts; [''] when there's no text at all
+ */
+export function buildThread(parts, options = {}) {
+  return builder.buildThread(parts, { ...options, maxPosts: options.maxPosts ?? DEFAULT_MAX_POSTS });
+}
+
+/**
+ * Room left in each post of a `total`-post thread once the numbering is added.
+ * @param {string} [numbering]
+ * @param {number} total
+ * @returns {number}
+ */
+export const threadRoom = builder.threadRoom;
+
+/**
+ * Split text into chunks of at most `max` graphemes (links as displayed).
+ * @param {string} text
+ * @param {number} max
+ * @returns {string[]}
+ */
+export const splitText = builder.splitText;
@@ -0,0 +1,142 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { postThread, uploadImage, linkCard, deleteThread } = await import(join(ROOT, 'lib/bluesky.mjs'));
+
+const PDS = 'https://pds.example';
+const jwt = (exp) => `x.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.y`;
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('Bluesky client', () => {
+  const realFetch = globalThis.fetch;
+  let dir;
+  let calls;
+
+  // A PDS that logs in, resolves alice.bsky.social and stores records
+  const pds = (extra = () => null) => async (url, init = {}) => {
+    calls.push({ url, method: init.method || 'GET', headers: init.headers || {}, body: init.body });
+    const answer = extra(url, init);
+    if (answer) return answer;
+    const nsid = url.replace(`${PDS}/xrpc/`, '').split('?')[0];
+    if (nsid === 'com.atproto.server.createSession') {
+      return Response.json({ did: 'did:plc:me', handle: 'me.example', accessJwt: jwt(now() + 3600), refreshJwt: jwt(now() + 86400) });
+    }
+    if (nsid === 'com.atproto.identity.resolveHandle') {
+      return url.endsWith('handle=alice.bsky.social') ? Response.json({ did: 'did:plc:alice' }) : new Response('{}', { status: 400 });
+    }
+    if (nsid === 'com.atproto.repo.createRecord') {
+      const n = calls.filter(c => c.url.endsWith('createRecord')).length;
+      return Response.json({ uri: `at://did:plc:me/app.bsky.feed.post/r${n}`, cid: `c${n}` });
+    }
+    if (nsid === 'com.atproto.repo.uploadBlob') {
+      return Response.json({ blob: { $type: 'blob', ref: { $link: 'bafy' }, mimeType: init.headers['Content-Type'], size: init.body.length } });
+    }
+    return Response.json({});
+  };
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'bluesky-poster-'));
+    process.env.BLUESKY_DIR = dir;
+  });
+
+  beforeEach(() => {
+    calls = [];
+    writeFileSync(join(dir, 'credentials.json'), JSON.stringify({ identifier: 'me.example', appPassword: 'app-pass', pds: `${PDS}/` }));
+    rmSync(join(dir, 'session.json'), { force: true });
+  });
+
+  after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.BLUESKY_DIR;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('logs in once and chains replies to the root and the previous post', async () => {
+    globalThis.fetch = pds();
+    const result = await postThread(['Hi @alice.bsky.social #nostr', 'Second', 'Third']);
+
+    assert.equal(calls.filter(c => c.url.endsWith('createSession')).length, 1);
+    assert.deepEqual(JSON.parse(calls[0].body), { identifier: 'me.example', password: 'app-pass' });
+    assert.equal(result.url, 'https://bsky.app/profile/me.example/post/r1');
+
+    const records = calls.filter(c => c.url.endsWith('createRecord')).map(c => JSON.parse(c.body));
+    assert.equal(records[0].repo, 'did:plc:me');
+    assert.deepEqual(records[0].record.facets.map(f => f.features[0]), [
+      { $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:alice' },
+      { $type: 'app.bsky.richtext.facet#tag', tag: 'nostr' },
+    ]);
+    assert.equal(records[0].record.reply, undefined);
+    assert.deepEqual(records[2].record.reply, { root: { uri: 'at://did:plc:me/app.bsky.feed.post/r1', cid: 'c1' }, parent: { uri: 'at://did:plc:me/app.bsky.feed.post/r2', cid: 'c2' } });
+    assert.ok(calls.filter(c => c.url.includes('/xrpc/com.atproto.repo')).every(c => c.headers.Authorization.startsWith('Bearer x.')));
+  });
+
+  it('hands back the posts already made when a thread breaks off', async () => {
+    globalThis.fetch = pds((url) => (url.endsWith('createRecord') && calls.filter(c => c.url.endsWith('createRecord')).length === 3
+      ? new Response(JSON.stringify({ error: 'InternalServerError', message: 'try later' }), { status: 500 })
+      : null));
+
+    const err = await postThread(['One', 'Two', 'Three']).catch(e => e);
+    assert.match(err.message, /^Thread stopped after 2 of 3 posts: /);
+    assert.deepEqual(err.posts.map(p => p.uri), ['at://did:plc:me/app.bsky.feed.post/r1', 'at://did:plc:me/app.bsky.feed.post/r2']);
+    assert.equal(err.url, 'https://bsky.app/profile/me.example/post/r1');
+  });
+
+  it('refreshes an expired session instead of logging in again', async () => {
+    writeFileSync(join(dir, 'session.json'), JSON.stringify({
+      pds: PDS, identifier: 'me.example', did: 'did:plc:me', handle: 'me.example', accessJwt: jwt(now() - 10), refreshJwt: jwt(now() + 3600),
+    }));
+    globalThis.fetch = pds((url) => (url.endsWith('refreshSession')
+      ? Response.json({ did: 'did:plc:me', handle: 'me.example', accessJwt: jwt(now() + 7200), refreshJwt: jwt(now() + 86400) })
+      : null));
+
+    await postThread(['Hello']);
+    assert.deepEqual(calls.map(c => c.url.split('/xrpc/')[1]), ['com.atproto.server.refreshSession', 'com.atproto.repo.createRecord']);
+    assert.ok(JSON.parse(readFileSync(join(dir, 'session.json'), 'utf8')).accessJwt.length > 0);
+  });
+
+  it('uploads images as blobs with alt text and aspect ratio, within the size limit', async () => {
+    globalThis.fetch = pds((url) => {
+      if (url === 'https://cdn.example/cat.jpg') return new Response(Buffer.alloc(10), { headers: { 'content-type': 'image/jpeg' } });
+      if (url === 'https://cdn.example/huge.png') return new Response(Buffer.alloc(1_500_000));
+      return null;
+    });
+
+    const entry = await uploadImage({ url: 'https://cdn.example/cat.jpg', alt: 'A cat', dim: '800x600' });
+    assert.equal(entry.alt, 'A cat');
+    assert.deepEqual(entry.aspectRatio, { width: 800, height: 600 });
+    assert.equal(entry.image.mimeType, 'image/jpeg');
+    await assert.rejects(uploadImage({ url: 'https://cdn.example/huge.png' }), /over Bluesky's 1MB image limit/);
+  });
+
+  it('builds a link card from Open Graph tags', async () => {
+    globalThis.fetch = pds((url) => {
+      if (url === 'https://example.com/post') {
+        return new Response('<html><head><meta property="og:title" content="Relays &amp; keys"><meta name="description" content="All about it"><meta property="og:image" content="/thumb.png"></head></html>', { headers: { 'content-type': 'text/html' } });
+      }
+      if (url === 'https://example.com/thumb.png') return new Response(Buffer.alloc(10), { headers: { 'content-type': 'image/png' } });
+      return null;
+    });
+
+    const embed = await linkCard({ uri: 'https://example.com/post' });
+    assert.equal(embed.$type, 'app.bsky.embed.external');
+    assert.equal(embed.external.title, 'Relays & keys');
+    assert.equal(embed.external.description, 'All about it');
+    assert.equal(embed.external.thumb.mimeType, 'image/png');
+  });
+
+  it('deletes a thread last post first', async () => {
+    globalThis.fetch = pds();
+    const uris = ['at://did:plc:me/app.bsky.feed.post/a', 'at://did:plc:me/app.bsky.feed.post/b'];
+    const result = await deleteThread(uris);
+    assert.deepEqual(result, { deleted: [uris[1], uris[0]], failed: [] });
+    const deletes = calls.filter(c => c.url.endsWith('deleteRecord')).map(c => JSON.parse(c.body).rkey);
+    assert.deepEqual(deletes, ['b', 'a']);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { format } = await import(join(ROOT, 'lib/formatter.mjs'));
+const { postLength, MAX_POST_GRAPHEMES } = await import(join(ROOT, 'lib/richtext.mjs'));
+const { npubEncode } = await import(join(ROOT, '../linkedin-poster/lib/nip19.mjs'));
+
+const PUBKEY = 'a'.repeat(64);
+const note = (content, tags = []) => ({ kind: 1, pubkey: PUBKEY, content, tags, created_at: 1700000000 });
+
+describe('Bluesky formatter', () => {
+  it('attaches images with alt text and keeps videos as links', () => {
+    const event = note('Look https://cdn.example/cat.jpg and https://cdn.example/clip.mp4', [
+      ['imeta', 'url https://cdn.example/cat.jpg', 'm image/jpeg', 'alt A cat', 'dim 800x600'],
+    ]);
+    const { posts, media, card } = format(event, 'nevent1x');
+    assert.deepEqual(posts, ['Look and https://cdn.example/clip.mp4']);
+    assert.deepEqual(media.map(m => [m.url, m.alt, m.dim]), [['https://cdn.example/cat.jpg', 'A cat', '800x600']]);
+    assert.equal(card, undefined);
+  });
+
+  it('turns the first link of a note without images into a card', () => {
+    const { card } = format(note('Read this https://example.com/post and https://example.org'), 'nevent1x');
+    assert.deepEqual(card, { uri: 'https://example.com/post' });
+    assert.equal(format(note('https://example.com/post'), 'nevent1x', { cards: false }).card, undefined);
+  });
+
+  it('renders mentions with their Bluesky handle', () => {
+    const ALICE = 'b'.repeat(64);
+    const mentions = new Map([[ALICE, { name: 'Alice', bluesky: 'alice.bsky.social', x: 'alice_x' }]]);
+    const { posts } = format(note(`Thanks nostr:${npubEncode(ALICE)}!`), 'nevent1x', { mentions });
+    assert.deepEqual(posts, ['Thanks @alice.bsky.social!']);
+  });
+
+  it('threads a long note within the grapheme limit', () => {
+    const text = Array.from({ length: 20 }, (_, i) => `Point ${i + 1} about relays, keys and zaps.`).join(' ');
+    const { posts } = format(note(text), 'nevent1x');
+    assert.ok(posts.length > 1);
+    for (const p of posts) assert.ok(postLength(p) <= MAX_POST_GRAPHEMES);
+  });
+
+  it('posts an article as title and summary with a link card', () => {
+    const article = {
+      kind: 30023, pubkey: PUBKEY, content: '# Body', created_at: 1700000000,
+      tags: [['title', 'Relays 101'], ['summary', 'How relays work.'], ['image', 'https://cdn.example/h.png']],
+    };
+    const withLink = format(article, 'naddr1x', { link: 'https://reader.example/a' });
+    assert.deepEqual(withLink.posts, ['Relays 101\n\nHow relays work.']);
+    assert.deepEqual(withLink.card, { uri: 'https://reader.example/a', title: 'Relays 101', description: 'How relays work.', image: 'https://cdn.example/h.png' });
+    assert.deepEqual(withLink.media, []);
+
+    const withoutLink = format(article, 'naddr1x');
+    assert.equal(withoutLink.card, undefined);
+    assert.deepEqual(withoutLink.media.map(m => m.url), ['https://cdn.example/h.png']);
+  });
+
+  it('summarises an article without a summary tag from its text alone', () => {
+    const article = {
+      kind: 30023, pubkey: PUBKEY, created_at: 1700000000, tags: [['title', 'Relays 101']],
+      content: '## Why\n\nRelays are ***really* simple** servers.\n\n```sh\necho `hi`\n```\n\n![map](https://cdn.example/m.png)',
+    };
+    const { posts } = format(article, 'naddr1x');
+    assert.deepEqual(posts, ['Relays 101\n\nWhy Relays are really simple servers.']);
+  });
+});
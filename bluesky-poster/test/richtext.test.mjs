@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { richText, graphemeLength, postLength, displayUrl, mentionHandles, MAX_POST_GRAPHEMES } = await import(join(ROOT, 'lib/richtext.mjs'));
+const { buildThread } = await import(join(ROOT, 'lib/thread.mjs'));
+
+const bytes = (text) => Buffer.from(text, 'utf8');
+const slice = (text, { byteStart, byteEnd }) => bytes(text).subarray(byteStart, byteEnd).toString('utf8');
+
+const sentence = (i) => `Sentence number ${i} says something about relays and keys.`;
+const long = (n) => Array.from({ length: n }, (_, i) => sentence(i + 1)).join(' ');
+
+describe('Bluesky rich text', () => {
+  it('counts graphemes, with links as displayed', () => {
+    assert.equal(graphemeLength('👩‍👩‍👧 héllo 🇯🇵'), 9);
+    assert.equal(displayUrl('https://www.example.com/'), 'example.com');
+    assert.equal(displayUrl('https://example.com/a/very/long/path/indeed?x=1'), 'example.com/a/very/long/...');
+    assert.equal(postLength('see https://example.com/a/very/long/path/indeed'), 4 + 'example.com/a/very/long/...'.length);
+  });
+
+  it('builds link, mention and tag facets over UTF-8 byte offsets', () => {
+    const text = 'Café ☕ with @alice.bsky.social: https://example.com/posts/2024/relay-notes. #nostr #日本 @bob.example';
+    const dids = new Map([['alice.bsky.social', 'did:plc:alice']]);
+    const rich = richText(text, dids);
+
+    assert.ok(rich.text.includes('example.com/posts/2024/r....'));
+    const [mention, link, tag, tag2] = rich.facets;
+    assert.equal(slice(rich.text, mention.index), '@alice.bsky.social');
+    assert.deepEqual(mention.features, [{ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:alice' }]);
+    assert.equal(slice(rich.text, link.index), 'example.com/posts/2024/r...');
+    assert.equal(link.features[0].uri, 'https://example.com/posts/2024/relay-notes');
+    assert.equal(slice(rich.text, tag.index), '#nostr');
+    assert.equal(tag.features[0].tag, 'nostr');
+    assert.equal(tag2.features[0].tag, '日本');
+    assert.equal(rich.facets.length, 4); // @bob.example didn't resolve
+  });
+
+  it('leaves #fragments and handles inside links alone', () => {
+    const rich = richText('https://example.com/#section and https://example.com/@carol.example');
+    assert.deepEqual(rich.facets.map(f => f.features[0].$type), ['app.bsky.richtext.facet#link', 'app.bsky.richtext.facet#link']);
+    assert.deepEqual(mentionHandles('hi @Carol.Example and mail bob@example.com'), ['carol.example']);
+  });
+});
+
+describe('Bluesky thread builder', () => {
+  it('leaves a post that fits alone, unnumbered', () => {
+    assert.deepEqual(buildThread('Short note'), ['Short note']);
+    assert.deepEqual(buildThread(''), ['']);
+  });
+
+  it('splits at sentence boundaries and numbers (i/n) within 300 graphemes', () => {
+    const posts = buildThread(long(15));
+    assert.ok(posts.length > 1);
+    posts.forEach((p, i) => {
+      assert.ok(postLength(p) <= MAX_POST_GRAPHEMES, `${postLength(p)}: ${p}`);
+      assert.ok(p.endsWith(` (${i + 1}/${posts.length})`), p);
+      assert.match(p.replace(/ \(\d+\/\d+\)$/, ''), /\.$/);
+    });
+  });
+
+  it('counts emoji as one and long links as displayed', () => {
+    assert.equal(buildThread('🧑‍🚀'.repeat(300)).length, 1);
+    const link = `https://example.com/${'x'.repeat(400)}`;
+    assert.deepEqual(buildThread(`${'word '.repeat(50)}${link}`), [`${'word '.repeat(50)}${link}`]);
+  });
+
+  it('falls back to a summary post with the link when too long', () => {
+    const posts = buildThread(`Opening paragraph.\n\n${long(80)}`, { maxPosts: 3, link: 'https://example.com/read' });
+    assert.deepEqual(posts, ['Opening paragraph.\n\nhttps://example.com/read']);
+  });
+
+  it('posts the whole thread when there is no link for a summary', () => {
+    const posts = buildThread(`Opening paragraph.\n\n${long(80)}`, { maxPosts: 3 });
+    assert.ok(posts.length > 3);
+    assert.ok(posts[0].startsWith('Opening paragraph.'));
+    assert.ok(posts.at(-1).endsWith(`(${posts.length}/${posts.length})`));
+  });
+});
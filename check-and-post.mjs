@@ -3,102 +3,193 @@
  * Social Cross-Post Checker
  *
  * Fetches Derek's recent Nostr posts, scores engagement, filters content,
- * and cross-posts qualifying posts to X and LinkedIn with platform-specific formatting.
+ * and cross-posts qualifying posts to X, LinkedIn and Bluesky with platform-specific formatting.
  * Also supports native drafts from social-strategy/drafts/ directory.
  *
  * Usage:
- *   node check-and-post.mjs [--dry-run] [--verbose] [--drafts-only]
+ *   node check-and-post.mjs [--dry-run] [--verbose] [--drafts-only] [--config <file.json>] [--profile <name>] [--print-config]
  */
 
 import { execSync } from 'child_process';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, renameSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, renameSync, realpathSync } from 'fs';
 import { dirname, resolve, join } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const TOOLS_DIR = resolve(__dirname, '..');
-const STATE_FILE = resolve(__dirname, '../../memory/crosspost-state.json');
-const DRAFTS_DIR = resolve(__dirname, '../../social-strategy/drafts');
+// The posters sit next to this script in a checkout, one level up when installed under tools/
+const TOOLS_DIR = existsSync(join(__dirname, 'x-poster')) ? __dirname : resolve(__dirname, '..');
+
+const { loadConfig, printableConfig } = await import('./lib/config.mjs');
+const { createPool } = await import(`${TOOLS_DIR}/linkedin-poster/lib/relay.mjs`);
+const { neventEncode, naddrEncode } = await import(`${TOOLS_DIR}/linkedin-poster/lib/nip19.mjs`);
+const { validateEvent } = await import(`${TOOLS_DIR}/linkedin-poster/lib/verify.mjs`);
+const { zapAmountSats, zapSender } = await import(`${TOOLS_DIR}/linkedin-poster/lib/zap.mjs`);
+const { fetchRelayLists, mergeRelays } = await import(`${TOOLS_DIR}/linkedin-poster/lib/outbox.mjs`);
+const { stripNostrArtifacts, findMentions, loadHandles, resolveMentions } = await import(`${TOOLS_DIR}/linkedin-poster/lib/mentions.mjs`);
+const { replyTarget, assembleThread, threadContent } = await import(`${TOOLS_DIR}/linkedin-poster/lib/threads.mjs`);
+const { findQuotes, fetchQuotes, quotedContent, quoteMentionText, renderQuote } = await import(`${TOOLS_DIR}/linkedin-poster/lib/quotes.mjs`);
+const { extractMedia, removeMedia } = await import(`${TOOLS_DIR}/linkedin-poster/lib/media.mjs`);
+const { deleteThread, postThread } = await import(`${TOOLS_DIR}/x-poster/lib/x.mjs`);
+const { formatTextForX } = await import(`${TOOLS_DIR}/x-poster/lib/formatter.mjs`);
+const { MAX_TWEET_LENGTH, weightedLength, fitsInTweet, fitPrefix } = await import(`${TOOLS_DIR}/x-poster/lib/length.mjs`);
+const { deletePost, updatePost } = await import(`${TOOLS_DIR}/linkedin-poster/lib/linkedin.mjs`);
+const { format: formatLinkedInEvent } = await import(`${TOOLS_DIR}/linkedin-poster/lib/formatter.mjs`);
+const { deleteThread: deleteBlueskyThread } = await import(`${TOOLS_DIR}/bluesky-poster/lib/bluesky.mjs`);
+const { formatTextForBluesky } = await import(`${TOOLS_DIR}/bluesky-poster/lib/formatter.mjs`);
+const { MAX_POST_GRAPHEMES, postLength } = await import(`${TOOLS_DIR}/bluesky-poster/lib/richtext.mjs`);
 
 // --- Config ---
-const DEREK_PUBKEY = '3f770d65d3a764a9c5cb503ae123e62ec7598ad035d836e2a810f3877a745b24';
-// Centauri's pubkey — filter out posts that were already cross-posted by the agent
-const CENTAURI_PUBKEY = '90d8d48925ea3fbb2e3310775268d1581f4d01d7a3348ca8ca415d632bd2a1d1';
-const RELAYS = ['wss://relay.ditto.pub', 'wss://relay.primal.net', 'wss://nos.lol'];
-const DITTO_RELAY = 'wss://relay.ditto.pub';
-const MIN_AGE_SECONDS = 3600; // 1 hour — post must be at least this old
-const LOOKBACK_SECONDS = 86400; // 24 hours
-const MIN_CONTENT_LENGTH = 50; // skip very short posts
-
-// Platform-specific engagement thresholds (higher = more selective)
-const THRESHOLD_X = 40;
-const THRESHOLD_LINKEDIN = 60;
-
-const DAILY_CAP_X = 3;
-const DAILY_CAP_LINKEDIN = 1;
+// Defaults, schema and env overrides live in lib/config.mjs; see README.md
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+let CONFIG;
+let CONFIG_SOURCES;
+try {
+  ({ config: CONFIG, sources: CONFIG_SOURCES } = loadConfig({ path: argValue('--config') }));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+if (process.argv.includes('--print-config')) {
+  console.error(`# sources: ${CONFIG_SOURCES.join(' → ')}`);
+  console.log(printableConfig(CONFIG));
+  process.exit(0);
+}
+
+// Per-profile settings. The checker runs one profile at a time; applyProfile()
+// points these at the current one before anything reads them.
+let PROFILE_NAME;
+let DEREK_PUBKEY;
+let CENTAURI_PUBKEY;
+let RELAYS;
+let OUTBOX;
+// Resolved per run from the author's NIP-65 list (see resolveRelays)
+let POST_RELAYS;
+let ENGAGEMENT_RELAYS;
+let DITTO_RELAY;
+let MIN_AGE_SECONDS;
+let LOOKBACK_SECONDS;
+let MIN_CONTENT_LENGTH;
+let QUERY_TIMEOUT_MS;
+let FETCH_TIMEOUT_MS;
+let STATE_FILE;
+let DRAFTS_DIR;
+let THRESHOLD_X;
+let THRESHOLD_LINKEDIN;
+let THRESHOLD_BLUESKY;
+let DAILY_CAP_X;
+let DAILY_CAP_LINKEDIN;
+let DAILY_CAP_BLUESKY;
+let SCORING;
+let ZAP_SCORING;
+let TRUST_WEIGHTS;
+let EDIT_POLICY;
+let QUOTES;
+let SELF_THREADS;
+let X_THREADS;
+let READER_URL;
+let LINKEDIN_ARTICLES;
+let BLOCKLIST_PATTERNS;
+let SKIP_PATTERNS;
+let XWORTHY_PATTERNS;
+let LINKEDIN_PATTERNS;
+let CASUAL_TONE_PATTERNS;
+
+const ARTICLE_FIELDS = ['title', 'summary', 'image'];
+
+export function applyProfile(profile) {
+  PROFILE_NAME = profile.name;
+  DEREK_PUBKEY = profile.authorPubkey;
+  CENTAURI_PUBKEY = profile.agentPubkey;
+  RELAYS = profile.relays;
+  OUTBOX = profile.outbox;
+  POST_RELAYS = RELAYS;
+  ENGAGEMENT_RELAYS = RELAYS;
+  DITTO_RELAY = profile.trendingRelay;
+  MIN_AGE_SECONDS = profile.minAgeSeconds;
+  LOOKBACK_SECONDS = profile.lookbackSeconds;
+  MIN_CONTENT_LENGTH = profile.minContentLength;
+  QUERY_TIMEOUT_MS = profile.queryTimeoutMs;
+  FETCH_TIMEOUT_MS = profile.fetchTimeoutMs;
+  STATE_FILE = profile.stateFile;
+  DRAFTS_DIR = profile.draftsDir;
+  THRESHOLD_X = profile.thresholds.x;
+  THRESHOLD_LINKEDIN = profile.thresholds.linkedin;
+  THRESHOLD_BLUESKY = profile.thresholds.bluesky;
+  DAILY_CAP_X = profile.dailyCaps.x;
+  DAILY_CAP_LINKEDIN = profile.dailyCaps.linkedin;
+  DAILY_CAP_BLUESKY = profile.dailyCaps.bluesky;
+  SCORING = profile.scoring;
+  ZAP_SCORING = profile.zapScoring;
+  TRUST_WEIGHTS = profile.trustWeights;
+  EDIT_POLICY = profile.editPolicy;
+  QUOTES = profile.quotes;
+  SELF_THREADS = profile.selfThreads;
+  X_THREADS = profile.xThreads;
+  READER_URL = profile.readerUrl;
+  LINKEDIN_ARTICLES = profile.linkedinArticles;
+  // Blocklisted posts are NEVER cross-posted; the rest drive classifyContent()
+  BLOCKLIST_PATTERNS = profile.patterns.blocklist;
+  SKIP_PATTERNS = profile.patterns.skip;
+  XWORTHY_PATTERNS = profile.patterns.xWorthy;
+  LINKEDIN_PATTERNS = profile.patterns.linkedin;
+  CASUAL_TONE_PATTERNS = profile.patterns.casualTone;
+
+  // Posters (spawned or imported) read their credential directory from the environment
+  setEnv('X_POSTER_DIR', profile.credentials.x);
+  setEnv('LINKEDIN_DIR', profile.credentials.linkedin);
+  setEnv('BLUESKY_DIR', profile.credentials.bluesky);
+  setEnv('NOSTR_HANDLES_FILE', profile.handlesFile);
+  handles = null;
+
+  // The web of trust is the author's own
+  contactsPromise = null;
+  trustCache.clear();
+}
+
+function setEnv(name, value) {
+  if (value) process.env[name] = value;
+  else delete process.env[name];
+}
 
 const DRY_RUN = process.argv.includes('--dry-run');
 const VERBOSE = process.argv.includes('--verbose');
 const DRAFTS_ONLY = process.argv.includes('--drafts-only');
 
-// --- Content Blocklist ---
-// Posts matching these patterns should NEVER be cross-posted
-const BLOCKLIST_PATTERNS = [
-  // Personal finance / trading
-  /\bbuy order\b/i, /\bsell order\b/i, /\bsetting.*(buy|sell)\b/i,
-  /\bposition\b.*\b(long|short)\b/i, /\btrad(e|ing)\b.*\border\b/i,
-  /\bdca\b/i,
-  // Bot/agent commands and internal stuff
-  /\bstop openclaw\b/i, /\bheartbeat\b/i, /\bheartbeat_ok\b/i,
-  // Pure memes with no substance
-  /^[A-Z\s!?.]{1,30}$/,  // ALL CAPS short posts
-  // Personal/family (reinforced)
-  /\bfamily\b/i, /\bkids?\b/i, /\bwife\b/i, /\bkatie\b/i, /\blogan\b/i, /\bhalee\b/i,
-  /\btherapy\b/i, /\bdoctor\b/i, /\bappointment\b/i,
-  // Conversations / replies to specific people
-  /^@\w+/,
-  // Just an image URL with no real text
-  /^\s*https?:\/\/\S+\.(jpg|jpeg|png|gif|webp)\S*\s*$/i,
-  // Shitposting indicators
-  /\bshitpost/i, /\bcopium\b/i, /\blet'?s\s+go\s*!*$/i,
-];
-
 // --- Helpers ---
 
-function nak(args, timeout = 15000) {
-  try {
-    const result = execSync(`nak ${args}`, {
-      timeout,
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    });
-    return result.trim();
-  } catch (e) {
-    if (VERBOSE) console.error(`nak error: ${e.message?.slice(0, 200)}`);
-    return '';
-  }
-}
+// One pool per run — every query below shares its relay connections
+const pool = createPool({
+  onError: (relay, message) => {
+    if (VERBOSE) console.error(`relay error (${relay}): ${message}`);
+  },
+});
 
-function nakLines(args, timeout = 15000) {
-  const raw = nak(args, timeout);
-  if (!raw) return [];
-  return raw.split('\n').filter(Boolean).map(line => {
-    try { return JSON.parse(line); } catch { return null; }
-  }).filter(Boolean);
+// Rejects when no relay answers — scoring on nothing would skip every post.
+// Events that fail `validate` (see verify.mjs) are dropped.
+async function queryEvents(filters, { relays = RELAYS, timeout = QUERY_TIMEOUT_MS, requireAnswer = true, validate } = {}) {
+  const { events } = await pool.query(relays, filters, { timeout, requireAnswer, validate });
+  return events;
 }
 
-function loadState() {
+export function loadState() {
   if (!existsSync(STATE_FILE)) {
-    return { lastCheck: 0, posted: {}, skipped: {}, dailyCounts: {}, draftsPosted: [] };
+    return { lastCheck: 0, posted: {}, skipped: {}, rejected: {}, dailyCounts: {}, draftsPosted: [] };
   }
   try {
-    return JSON.parse(readFileSync(STATE_FILE, 'utf-8'));
+    const state = JSON.parse(readFileSync(STATE_FILE, 'utf-8'));
+    if (!state.rejected) state.rejected = {};
+    return state;
   } catch {
-    return { lastCheck: 0, posted: {}, skipped: {}, dailyCounts: {}, draftsPosted: [] };
+    return { lastCheck: 0, posted: {}, skipped: {}, rejected: {}, dailyCounts: {}, draftsPosted: [] };
   }
 }
 
-function saveState(state) {
+export function saveState(state) {
   const dir = dirname(STATE_FILE);
   if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
   writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
@@ -111,51 +202,82 @@ function todayKey() {
 function getDailyCounts(state) {
   const key = todayKey();
   if (!state.dailyCounts || state.dailyCounts._date !== key) {
-    state.dailyCounts = { _date: key, x: 0, linkedin: 0 };
+    state.dailyCounts = { _date: key, x: 0, linkedin: 0, bluesky: 0 };
   }
+  state.dailyCounts.bluesky ??= 0; // state written before Bluesky was added
   return state.dailyCounts;
 }
 
-function eventToNevent(id, relays) {
-  const relayArgs = relays.slice(0, 2).map(r => `--relay ${r}`).join(' ');
-  const result = nak(`encode nevent ${id} --author ${DEREK_PUBKEY} ${relayArgs}`);
-  return result || `nevent1${id}`;
+function eventToNevent(id, relays, kind) {
+  return neventEncode({ id, relays: relays.slice(0, 2), author: DEREK_PUBKEY, kind });
+}
+
+function eventToNaddr(event, relays) {
+  return naddrEncode({ kind: event.kind, pubkey: event.pubkey, identifier: getTag(event, 'd'), relays: relays.slice(0, 2) });
+}
+
+function getTag(event, name) {
+  return event.tags?.find(t => t[0] === name)?.[1] || '';
+}
+
+/**
+ * State key for a post: the event id for notes, the `kind:pubkey:d-tag` address
+ * for long-form articles — they're replaceable, so every edit gets a new id.
+ */
+function postKey(event) {
+  return event.kind === 30023 ? `${event.kind}:${event.pubkey}:${getTag(event, 'd')}` : event.id;
 }
 
 // --- Platform-Specific Formatting ---
 
-function stripNostrArtifacts(text) {
-  return text
-    .replace(/https?:\/\/njump\.me\/\S+/gi, '')
-    .replace(/(?:🟣\s*)?(?:originally )?posted (?:via|on) nostr\b[^\n]*/gi, '')
-    .replace(/\n*🟣\s*/g, '')
-    .replace(/nostr:npub1[a-z0-9]+/gi, '')
-    .replace(/nostr:(?:nevent1|naddr1|note1|nprofile1)[a-z0-9]+/gi, '')
-    .replace(/\n{3,}/g, '\n\n')
-    .replace(/ {2,}/g, ' ')
-    .trim();
-}
-
-function formatForX(content) {
-  let text = stripNostrArtifacts(content);
-  text = text.replace(/https?:\/\/\S+\.(?:jpg|jpeg|png|gif|webp)(?:\?\S*)?/gi, '').trim();
-
-  if (text.length > 280) {
-    const cut = text.lastIndexOf('. ', 277);
-    if (cut > 140) {
+let handles = null;
+
+/**
+ * Resolve nostr: mentions for previews and edits; the posters resolve their own.
+ * @returns {Promise<Map>} empty when the text mentions no one
+ */
+export async function getMentions(content) {
+  if (findMentions(content).length === 0) return new Map();
+  handles ??= loadHandles();
+  return resolveMentions(content, { handles, pool, relays: POST_RELAYS, timeout: QUERY_TIMEOUT_MS });
+}
+
+function formatForX(content, mentions, quotes = []) {
+  let text = stripNostrArtifacts(content, { mentions, platform: 'x' });
+  text = removeMedia(text, extractMedia(text));
+
+  if (!fitsInTweet(text)) {
+    text = text.normalize('NFC');
+    const limit = fitPrefix(text, MAX_TWEET_LENGTH - 3);
+    const cut = text.lastIndexOf('. ', limit);
+    if (cut > limit / 2) {
       text = text.slice(0, cut + 1);
     } else {
-      const wordCut = text.lastIndexOf(' ', 277);
-      text = text.slice(0, wordCut > 0 ? wordCut : 277) + '…';
+      const wordCut = text.lastIndexOf(' ', limit);
+      text = text.slice(0, wordCut > 0 ? wordCut : limit) + '…';
     }
   }
 
+  // Quotes that don't fit go out as follow-up tweets, which this preview leaves out
+  for (const quote of quotes) {
+    const withQuote = [text, renderQuote(quote, 'x', { mentions })].filter(Boolean).join('\n\n');
+    if (fitsInTweet(withQuote)) text = withQuote;
+  }
+
   return text;
 }
 
-function formatForLinkedIn(content) {
-  let text = stripNostrArtifacts(content);
-  text = text.replace(/https?:\/\/\S+\.(?:jpg|jpeg|png|gif|webp)(?:\?\S*)?/gi, '').trim();
+// The Bluesky thread, posts separated by blank lines
+function formatForBluesky(content, mentions, quotes = []) {
+  const text = [content, ...quotes.map(q => renderQuote(q, 'bluesky', { mentions }))].filter(Boolean).join('\n\n');
+  return formatTextForBluesky(text, { mentions }).posts.join('\n\n');
+}
+
+function formatForLinkedIn(content, mentions, quotes = []) {
+  let text = stripNostrArtifacts(content, { mentions, platform: 'linkedin' });
+  // LinkedIn gets the images; videos stay as links
+  text = removeMedia(text, extractMedia(text).filter(m => m.type !== 'video'));
+  text = [text, ...quotes.map(q => renderQuote(q, 'linkedin', { mentions }))].filter(Boolean).join('\n\n');
 
   const lowerText = text.toLowerCase();
   const tags = new Set();
@@ -228,9 +350,11 @@ function processDrafts(state, counts) {
 
     if (draft.platforms?.includes('x') && counts.x < DAILY_CAP_X) {
       const xText = draft.x || draft.content;
-      if (xText) {
+      if (xText && !fitsInTweet(xText)) {
+        console.error(`Draft ${draft._file}: X text is ${weightedLength(xText)}/${MAX_TWEET_LENGTH} characters as X counts them — not posted to X`);
+      } else if (xText) {
         const result = postNativeContent('x', xText);
-        if (result.success) {
+        if (published(result)) {
           if (!DRY_RUN) counts.x++;
           posted.x = { at: Math.floor(now / 1000), dryRun: DRY_RUN, ...result };
         }
@@ -240,14 +364,27 @@ function processDrafts(state, counts) {
     if (draft.platforms?.includes('linkedin') && counts.linkedin < DAILY_CAP_LINKEDIN) {
       const liText = draft.linkedin || draft.content;
       if (liText) {
-        const result = postNativeContent('linkedin', liText);
-        if (result.success) {
+        const result = postNativeContent('linkedin', liText, draftMedia(draft));
+        if (published(result)) {
           if (!DRY_RUN) counts.linkedin++;
           posted.linkedin = { at: Math.floor(now / 1000), dryRun: DRY_RUN, ...result };
         }
       }
     }
 
+    if (draft.platforms?.includes('bluesky') && counts.bluesky < DAILY_CAP_BLUESKY) {
+      const bskyText = draft.bluesky || draft.content;
+      if (bskyText && postLength(bskyText) > MAX_POST_GRAPHEMES) {
+        console.error(`Draft ${draft._file}: Bluesky text is ${postLength(bskyText)}/${MAX_POST_GRAPHEMES} graphemes — not posted to Bluesky`);
+      } else if (bskyText) {
+        const result = postNativeContent('bluesky', bskyText, { images: draft.images || [] });
+        if (published(result)) {
+          if (!DRY_RUN) counts.bluesky++;
+          posted.bluesky = { at: Math.floor(now / 1000), dryRun: DRY_RUN, ...result };
+        }
+      }
+    }
+
     if (Object.keys(posted).length > 0) {
       results.push({ file: draft._file, platforms: posted });
 
@@ -264,6 +401,7 @@ function processDrafts(state, counts) {
         file: draft._file,
         at: Math.floor(now / 1000),
         platforms: Object.keys(posted),
+        posts: posted,
         dryRun: DRY_RUN,
       });
     }
@@ -272,54 +410,129 @@ function processDrafts(state, counts) {
   return results;
 }
 
-function postNativeContent(platform, text) {
+// A draft's LinkedIn attachments (Bluesky takes the images too): a PDF (path relative to the drafts dir, or URL) or images
+function draftMedia(draft) {
+  const document = draft.document && !/^https?:\/\//.test(draft.document) ? resolve(DRAFTS_DIR, draft.document) : draft.document;
+  return { document, documentTitle: draft.documentTitle, images: draft.images || [] };
+}
+
+/**
+ * Run a one-off posting script that prints its result as JSON.
+ * @returns {{ data?: object, failed?: object }} the printed result, or what to return instead:
+ *   a failure (nothing posted), or the unparseable state when it posted but printed something else
+ */
+function runPostScript(script, timeout) {
+  let output;
+  try {
+    output = execSync(`node --input-type=module -e ${JSON.stringify(script)}`, { encoding: 'utf-8', timeout });
+  } catch (e) {
+    return { failed: { success: false, error: e.message?.slice(0, 200) } };
+  }
+  const data = parsePosterOutput(output);
+  return data ? { data } : { failed: unparseableOutput(output) };
+}
+
+// The JSON result on a poster's last line of output, or null
+function parsePosterOutput(output) {
+  try {
+    const result = JSON.parse(String(output).trim().split('\n').pop());
+    return result && typeof result === 'object' ? result : null;
+  } catch {
+    return null;
+  }
+}
+
+// A post that went out, but whose ids we couldn't read: recorded so it's never retried
+function unparseableOutput(output) {
+  return { success: false, unparseable: true, error: 'unparseable poster output', output: String(output).trim().slice(0, 500) };
+}
+
+/**
+ * Whether a posting result left something live on the platform: a success, a thread
+ * that stopped partway (`incomplete`), or a post whose output we couldn't read (`unparseable`).
+ * These are recorded and count toward the daily cap; only real failures are retried.
+ */
+function published(result) {
+  return Boolean(result.success || result.incomplete || result.unparseable);
+}
+
+function postNativeContent(platform, text, media = {}) {
   if (platform === 'x') {
     if (DRY_RUN) {
       console.error(`[DRY RUN] Would post to X: ${text.slice(0, 100)}...`);
       return { success: true, dryRun: true };
     }
 
-    try {
-      const script = `
-        import { postTweet } from '${TOOLS_DIR}/x-poster/lib/x.mjs';
-        const result = await postTweet(${JSON.stringify(text)});
-        console.log(JSON.stringify(result));
-      `;
-      const output = execSync(`node --input-type=module -e ${JSON.stringify(script)}`, {
-        encoding: 'utf-8', timeout: 30000
-      });
-      return { success: true, output: output.trim() };
-    } catch (e) {
-      return { success: false, error: e.message?.slice(0, 200) };
-    }
+    const script = `
+      import { postTweet } from '${TOOLS_DIR}/x-poster/lib/x.mjs';
+      const result = await postTweet(${JSON.stringify(text)});
+      console.log(JSON.stringify(result));
+    `;
+    const { data: tweet, failed } = runPostScript(script, 30000);
+    if (failed) return failed;
+    return {
+      success: true,
+      tweetIds: [tweet.id],
+      url: `https://x.com/i/status/${tweet.id}`,
+      mediaIds: [],
+      postedAt: Math.floor(Date.now() / 1000),
+    };
   }
 
   if (platform === 'linkedin') {
     if (DRY_RUN) {
       console.error(`[DRY RUN] Would post to LinkedIn: ${text.slice(0, 100)}...`);
+      if (media.document) console.error(`[DRY RUN]   with document ${media.document}`);
+      else if (media.images?.length > 0) console.error(`[DRY RUN]   with ${media.images.length} image(s)`);
       return { success: true, dryRun: true };
     }
 
-    try {
-      const script = `
-        import { publish } from '${TOOLS_DIR}/linkedin-poster/lib/linkedin.mjs';
-        const payload = {
-          commentary: ${JSON.stringify(text)},
-          visibility: 'PUBLIC',
-          distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
-          lifecycleState: 'PUBLISHED',
-          isReshareDisabledByAuthor: false,
-        };
-        const result = await publish(payload);
-        console.log(JSON.stringify(result));
-      `;
-      const output = execSync(`node --input-type=module -e ${JSON.stringify(script)}`, {
-        encoding: 'utf-8', timeout: 30000
-      });
-      return { success: true, output: output.trim() };
-    } catch (e) {
-      return { success: false, error: e.message?.slice(0, 200) };
+    const script = `
+      import { publish, uploadImage, uploadDocument } from '${TOOLS_DIR}/linkedin-poster/lib/linkedin.mjs';
+      import { toLittleText, attachImages, attachDocument } from '${TOOLS_DIR}/linkedin-poster/lib/formatter.mjs';
+      const media = ${JSON.stringify(media)};
+      const payload = {
+        commentary: toLittleText(${JSON.stringify(text)}),
+        visibility: 'PUBLIC',
+        distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false,
+      };
+      const imageUrns = [];
+      if (media.document) {
+        const title = media.documentTitle || ${JSON.stringify(text.split('\n')[0])};
+        attachDocument(payload, await uploadDocument(media.document), title);
+      } else {
+        for (const image of media.images || []) imageUrns.push(await uploadImage(image));
+        attachImages(payload, imageUrns);
+      }
+      const result = await publish(payload);
+      console.log(JSON.stringify({ ...result, imageUrns }));
+    `;
+    const { data, failed } = runPostScript(script, media.document || media.images?.length > 0 ? 120000 : 30000);
+    if (failed) return failed;
+    const { postId, url, imageUrns } = data;
+    return { success: true, postId, url, imageUrns, postedAt: Math.floor(Date.now() / 1000) };
+  }
+
+  if (platform === 'bluesky') {
+    if (DRY_RUN) {
+      console.error(`[DRY RUN] Would post to Bluesky: ${text.slice(0, 100)}...`);
+      if (media.images?.length > 0) console.error(`[DRY RUN]   with ${Math.min(media.images.length, 4)} image(s)`);
+      return { success: true, dryRun: true };
     }
+
+    const script = `
+      import { postThread, uploadImage, imagesEmbed } from '${TOOLS_DIR}/bluesky-poster/lib/bluesky.mjs';
+      const images = [];
+      for (const url of ${JSON.stringify((media.images || []).slice(0, 4))}) images.push(await uploadImage({ url }));
+      const result = await postThread([${JSON.stringify(text)}], images.length > 0 ? imagesEmbed(images) : undefined);
+      console.log(JSON.stringify({ uris: result.posts.map(p => p.uri), url: result.url, imageCount: images.length }));
+    `;
+    const { data, failed } = runPostScript(script, media.images?.length > 0 ? 120000 : 30000);
+    if (failed) return failed;
+    const { uris, url, imageCount } = data;
+    return { success: true, uris, url, imageCount, postedAt: Math.floor(Date.now() / 1000) };
   }
 
   return { success: false, error: `Unknown platform: ${platform}` };
@@ -327,43 +540,6 @@ function postNativeContent(platform, text) {
 
 // --- Content Classification ---
 
-const SKIP_PATTERNS = [
-  /^gm\b/i, /good morning/i, /good night/i, /gn\b/i,
-  /pura vida/i,
-  /^lol\b/i, /^ha+\b/i, /^nice\b/i, /^yes\b/i, /^no\b/i, /^this\b/i,
-  /^😂/, /^🤣/, /^💀/,
-  /^nostr:n(pub|profile)1/,
-];
-
-const XWORTHY_PATTERNS = [
-  /\bbitcoin\b/i, /\bbtc\b/i, /\bnostr\b/i, /\bai\b/i, /\bartificial intelligence\b/i,
-  /\bdecentraliz/i, /\bcensorship/i, /\bfreedom\b/i, /\bprivacy\b/i,
-  /\bopen.?source\b/i, /\bfoss\b/i, /\bprotocol\b/i,
-  /\bconference\b/i, /\bsummit\b/i, /\bhackathon\b/i, /\bevent\b/i,
-  /\bshakespeare\b/i, /\bagora\b/i, /\bonyx\b/i, /\bopenclaw\b/i, /\bditto\b/i,
-  /\bcommunity\b/i, /\bcommunities\b/i, /\bmoderat/i, /\bweb.?of.?trust\b/i, /\bwot\b/i,
-  /\brelay\b/i, /\balgorithm\b/i, /\bdoomscroll/i, /\bbloomscroll/i,
-  /\bsocial.?media\b/i, /\bsocial.?network/i, /\bplatform\b/i,
-  /\bagent\b/i, /\bsovereign/i, /\bself.?custod/i, /\blightning\b/i, /\bzap/i,
-  /\btech\b/i, /\bsoftware\b/i, /\bopen\b/i, /\bbuild/i,
-  /\bdev\b/i, /\bdeveloper/i, /\bbuilding\b/i, /\bshipped\b/i, /\blaunch/i,
-  /\bnip-?\d/i, /\bfreedom.?tech\b/i,
-];
-
-const LINKEDIN_PATTERNS = [
-  /\bindustry\b/i, /\bbusiness\b/i, /\benterprise\b/i, /\bprofessional\b/i,
-  /\bleadership\b/i, /\bstrategy\b/i, /\binnovation\b/i,
-  /\bconference\b/i, /\bspeaking\b/i, /\bpresent/i, /\bkeynote\b/i,
-  /\beducation/i, /\blearning\b/i, /\bworkshop\b/i,
-  /\bthought.?leader/i, /\becosystem\b/i,
-  /\bdevrel\b/i, /\bdeveloper.?relations/i,
-];
-
-const CASUAL_TONE_PATTERNS = [
-  /\blmao\b/i, /\bbruh\b/i, /\bfam\b/i,
-  /😂|🤣|💀/, /\baf\b/i, /\bdegen\b/i, /\blfg\b/i, /\bhaha/i,
-];
-
 /**
  * Check if content matches any blocklist pattern — these NEVER get cross-posted
  */
@@ -376,12 +552,14 @@ function isBlocklisted(content) {
 
 /**
  * Check if a post was already cross-posted by the agent (e.g. I posted it last night)
- * Looks for similar content in the posted state
+ * Looks for similar content in the posted state, other than the post's own entry:
+ * a post on some platforms already is scored again and can still go to the rest
+ * (say LinkedIn, once it reaches that threshold)
  */
-function isDuplicateContent(content, state) {
+export function isDuplicateContent(content, state, key) {
   const normalized = content.toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 100);
-  for (const [, entry] of Object.entries(state.posted || {})) {
-    if (!entry.content) continue;
+  for (const [postedKey, entry] of Object.entries(state.posted || {})) {
+    if (!entry.content || postedKey === key) continue;
     const prevNormalized = entry.content.toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 100);
     // Check for high similarity (>80% overlap)
     if (normalized === prevNormalized) return true;
@@ -391,6 +569,22 @@ function isDuplicateContent(content, state) {
   return false;
 }
 
+/**
+ * Which platforms a post in the state is done with. Bluesky also counts as done while
+ * it's off, and for posts that went out elsewhere before it was switched on
+ * (state.blueskySince) — enabling it doesn't send the whole lookback window there.
+ */
+export function alreadyPosted(crossPosted, state) {
+  const live = Object.entries(crossPosted || {}).filter(([, p]) => p && !p.dryRun);
+  const on = (platform) => live.some(([name]) => name === platform);
+  const firstAt = Math.min(...live.map(([, p]) => p.at ?? Infinity));
+  return {
+    x: on('x'),
+    linkedin: on('linkedin'),
+    bluesky: on('bluesky') || DAILY_CAP_BLUESKY === 0 || firstAt < (state.blueskySince ?? -Infinity),
+  };
+}
+
 function classifyContent(content) {
   // Blocklist check first — absolute no-go
   if (isBlocklisted(content)) return { skip: true, reason: 'blocklisted content' };
@@ -411,58 +605,674 @@ function classifyContent(content) {
     return { skip: true, reason: 'off-topic for cross-posting' };
   }
 
+  // Bluesky takes the same short-form content as X
   return {
     skip: false,
     x: isXWorthy,
+    bluesky: isXWorthy,
     linkedin: isLinkedInWorthy || (isXWorthy && cleanContent.length > 200),
     needsRewrite: isCasualTone && isLinkedInWorthy,
   };
 }
 
+/**
+ * Can a quoted note be shown alongside the author's commentary? It only has to be
+ * safe to show — not worth posting on its own — so length and topic don't count.
+ * @returns {string|null} why not, or null if it can
+ */
+function classifyQuote(content) {
+  if (isBlocklisted(content)) return 'blocklisted content';
+  if (SKIP_PATTERNS.some(pat => pat.test(content))) return 'casual/personal content';
+  return null;
+}
+
 // --- Engagement Scoring ---
 
-function getEngagement(eventId) {
-  const relayStr = RELAYS.join(' ');
-  const reactions = nakLines(`req -k 7 --tag e="${eventId}" -l 200 ${relayStr}`, 20000).length;
-  const reposts = nakLines(`req -k 6 --tag e="${eventId}" -l 200 ${relayStr}`, 20000).length;
-  const zaps = nakLines(`req -k 9735 --tag e="${eventId}" -l 200 ${relayStr}`, 20000).length;
-  const replies = nakLines(`req -k 1 --tag e="${eventId}" -l 200 ${relayStr}`, 20000).length;
-  const score = (reactions * 1) + (reposts * 3) + (zaps * 5) + (replies * 2);
-  return { reactions, reposts, zaps, replies, score };
+// Interaction kinds that count towards a post's engagement
+const INTERACTION_TYPES = { 7: 'reactions', 6: 'reposts', 9735: 'zaps', 1: 'replies' };
+const INTERACTION_POINTS = { reactions: 1, reposts: 3, replies: 2 };
+
+/**
+ * Score a post's engagement.
+ *
+ * In 'velocity' mode only interactions from the post's first
+ * SCORING.velocityWindowHours count, and the total is scaled up when the post
+ * is younger than the window — the score is the pace projected over the window.
+ * With SCORING.decayHalfLifeHours set, each interaction is also discounted by
+ * how long after publishing it arrived (either mode).
+ *
+ * @param {object} post - Derek's event (id, created_at)
+ * @param {object} state - interacting accounts are remembered for resolveRelays()
+ * @param {string[]} [ids] - every note of a self-thread; an account counts once across all of them
+ */
+export async function getEngagement(post, state, ids = [post.id]) {
+  // One REQ per relay with a filter per interaction kind (limits apply per filter).
+  // Only correctly signed events count — a relay can't invent engagement.
+  const events = await queryEvents(
+    Object.keys(INTERACTION_TYPES).map(kind => ({ kinds: [Number(kind)], '#e': ids, limit: 200 * ids.length })),
+    { relays: ENGAGEMENT_RELAYS, validate: (event) => validateEvent(event) },
+  );
+
+  const velocity = SCORING.mode === 'velocity';
+  const windowEnd = velocity ? post.created_at + SCORING.velocityWindowHours * 3600 : Infinity;
+
+  // Each account counts once per interaction type (at its earliest interaction);
+  // its zaps are merged into one. Derek's and Centauri's (the agent) never count.
+  const ignored = new Set([DEREK_PUBKEY, CENTAURI_PUBKEY]);
+  const raw = { reactions: 0, reposts: 0, zaps: 0, replies: 0 };
+  const accounts = { reactions: new Map(), reposts: new Map(), replies: new Map() }; // pubkey → first seen
+  const zappers = new Map(); // sender → { sats (null while no receipt had a readable amount), at }
+  let zapSats = 0;
+
+  for (const event of events) {
+    const type = INTERACTION_TYPES[event.kind];
+    if (!type) continue;
+    raw[type]++;
+    if (event.created_at > windowEnd) continue;
+
+    if (type === 'zaps') {
+      // Receipts that don't name a sender can't be deduplicated — keep them apart
+      const sender = zapSender(event) || `receipt:${event.id}`;
+      if (ignored.has(sender)) continue;
+      const sats = zapAmountSats(event);
+      zapSats += sats || 0;
+      const prev = zappers.get(sender) || { sats: null, at: event.created_at };
+      zappers.set(sender, {
+        sats: sats === null ? prev.sats : (prev.sats || 0) + sats,
+        at: Math.min(prev.at, event.created_at),
+      });
+    } else if (!ignored.has(event.pubkey)) {
+      const seen = accounts[type].get(event.pubkey) ?? Infinity;
+      accounts[type].set(event.pubkey, Math.min(seen, event.created_at));
+    }
+  }
+
+  rememberInteractors(state, [...Object.values(accounts).flatMap(map => [...map.keys()]), ...zappers.keys()]);
+
+  const weights = await getTrustWeights([...Object.values(accounts).flatMap(map => [...map.keys()]), ...zappers.keys()]);
+  const trustOf = (pubkey) => weights.get(pubkey) ?? TRUST_WEIGHTS.noProfile * TRUST_WEIGHTS.noFollowers;
+  const decayOf = (at) => SCORING.decayHalfLifeHours
+    ? 0.5 ** (Math.max(0, at - post.created_at) / 3600 / SCORING.decayHalfLifeHours)
+    : 1;
+  const weightOf = (pubkey, at) => trustOf(pubkey) * decayOf(at);
+  const sumWeights = (map) => round1([...map].reduce((sum, [pubkey, at]) => sum + weightOf(pubkey, at), 0));
+
+  const reactions = sumWeights(accounts.reactions);
+  const reposts = sumWeights(accounts.reposts);
+  const replies = sumWeights(accounts.replies);
+  const zaps = round1([...zappers].reduce((sum, [sender, z]) => sum + weightOf(sender, z.at), 0));
+  const zapScore = scoreZaps([...zappers].map(([sender, z]) => ({ sats: z.sats, weight: weightOf(sender, z.at) })));
+
+  let score = reactions * INTERACTION_POINTS.reactions + reposts * INTERACTION_POINTS.reposts +
+    replies * INTERACTION_POINTS.replies + zapScore;
+
+  const breakdown = { mode: SCORING.mode };
+  if (velocity) {
+    const ageHours = (Math.floor(Date.now() / 1000) - post.created_at) / 3600;
+    const elapsedHours = Math.max(MIN_AGE_SECONDS / 3600, Math.min(ageHours, SCORING.velocityWindowHours));
+    breakdown.perHour = round1(score / elapsedHours);
+    breakdown.windowHours = SCORING.velocityWindowHours;
+    score = breakdown.perHour * SCORING.velocityWindowHours;
+  }
+
+  const unique = {
+    reactions: accounts.reactions.size, reposts: accounts.reposts.size, zaps: zappers.size, replies: accounts.replies.size,
+  };
+  return { reactions, reposts, zaps, zapSats, zapScore, replies, score: round1(score), ...breakdown, raw, unique };
+}
+
+// --- Relay Selection (NIP-65) ---
+
+// Authors filters stay modest so relays don't reject the REQ
+const AUTHORS_PER_FILTER = 100;
+
+/**
+ * Relay lists for the given pubkeys, from the state cache when fresh enough.
+ * Pubkeys without a kind 10002 are cached as empty so they aren't re-requested every
+ * run — unless no relay answered at all.
+ */
+async function getRelayLists(state, pubkeys, now) {
+  state.relayLists ||= {};
+  const stale = pubkeys.filter(pk => !state.relayLists[pk] || now - state.relayLists[pk].fetchedAt > OUTBOX.ttlSeconds);
+
+  for (let i = 0; i < stale.length; i += AUTHORS_PER_FILTER) {
+    const batch = stale.slice(i, i + AUTHORS_PER_FILTER);
+    const { lists, answered } = await fetchRelayLists(pool, batch, {
+      relays: mergeRelays([RELAYS, OUTBOX.indexerRelays]),
+      timeout: QUERY_TIMEOUT_MS,
+    });
+    for (const pubkey of batch) {
+      const list = lists.get(pubkey);
+      if (!list && !answered) continue;
+      state.relayLists[pubkey] = list
+        ? { read: list.read, write: list.write, createdAt: list.createdAt, fetchedAt: now }
+        : { read: [], write: [], createdAt: 0, fetchedAt: now };
+    }
+  }
+
+  const none = { read: [], write: [] };
+  return new Map(pubkeys.map(pk => [pk, state.relayLists[pk] || none]));
+}
+
+/**
+ * Pick this run's relays: the author's write relays for fetching their posts,
+ * and for engagement their read relays plus wherever recent interactors write.
+ * The configured relays are always included as a fallback.
+ */
+async function resolveRelays(state, now) {
+  if (!OUTBOX.enabled) return;
+  const max = OUTBOX.maxRelays;
+
+  const author = (await getRelayLists(state, [DEREK_PUBKEY], now)).get(DEREK_PUBKEY);
+  POST_RELAYS = mergeRelays([author.write, RELAYS], { max });
+
+  const recent = Object.entries(state.interactors || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, OUTBOX.interactorSample)
+    .map(([pubkey]) => pubkey);
+  const lists = await getRelayLists(state, recent, now);
+
+  // Rank interactors' write relays by how many of them use each
+  const popularity = new Map();
+  for (const { write } of lists.values()) {
+    for (const url of write) popularity.set(url, (popularity.get(url) || 0) + 1);
+  }
+  const popular = [...popularity].sort((a, b) => b[1] - a[1]).map(([url]) => url);
+
+  ENGAGEMENT_RELAYS = mergeRelays([author.read, RELAYS, popular], { max });
+
+  if (VERBOSE) {
+    console.error(`Post relays: ${POST_RELAYS.join(', ')}`);
+    console.error(`Engagement relays: ${ENGAGEMENT_RELAYS.join(', ')}`);
+  }
+}
+
+const MAX_REMEMBERED_INTERACTORS = 500;
+
+function rememberInteractors(state, keys) {
+  state.interactors ||= {};
+  const now = Math.floor(Date.now() / 1000);
+  for (const key of keys) {
+    if (/^[0-9a-f]{64}$/.test(key)) state.interactors[key] = now;
+  }
+  const entries = Object.entries(state.interactors);
+  if (entries.length > MAX_REMEMBERED_INTERACTORS) {
+    entries.sort((a, b) => b[1] - a[1]);
+    state.interactors = Object.fromEntries(entries.slice(0, MAX_REMEMBERED_INTERACTORS));
+  }
+}
+
+// --- Web of Trust ---
+
+// Derek's follows (kind 3), fetched once per run
+let contactsPromise = null;
+// pubkey → weight, shared across every post scored this run
+const trustCache = new Map();
+
+function getContacts() {
+  contactsPromise ||= queryEvents({ kinds: [3], authors: [DEREK_PUBKEY], limit: 1 }, {
+    validate: (event) => validateEvent(event, { author: DEREK_PUBKEY }),
+  }).then(events => {
+    const latest = events.sort((a, b) => b.created_at - a.created_at)[0];
+    return new Set((latest?.tags || []).filter(t => t[0] === 'p' && t[1]).map(t => t[1]));
+  });
+  return contactsPromise;
+}
+
+/**
+ * Weight each interacting account by a basic web of trust: accounts without a
+ * kind 0 profile, and accounts that neither Derek nor anyone he follows
+ * follows, are discounted by TRUST_WEIGHTS. Unknown or non-pubkey keys get the
+ * lowest weight.
+ * @param {string[]} keys
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getTrustWeights(keys) {
+  const pubkeys = [...new Set(keys)].filter(k => /^[0-9a-f]{64}$/.test(k));
+  const weights = new Map();
+  if (!TRUST_WEIGHTS.enabled) {
+    for (const pubkey of keys) weights.set(pubkey, 1);
+    return weights;
+  }
+
+  const missing = pubkeys.filter(pubkey => !trustCache.has(pubkey));
+  if (missing.length > 0) {
+    const contacts = await getContacts();
+    const follows = [...contacts];
+    const validate = (event) => validateEvent(event);
+    const events = [];
+    for (let i = 0; i < missing.length; i += AUTHORS_PER_FILTER) {
+      const batch = missing.slice(i, i + AUTHORS_PER_FILTER);
+      events.push(...await queryEvents({ kinds: [0], authors: batch, limit: batch.length }, { validate }));
+    }
+    // Contact lists of Derek's follows that include any of these accounts
+    for (let i = 0; i < follows.length; i += AUTHORS_PER_FILTER) {
+      const batch = follows.slice(i, i + AUTHORS_PER_FILTER);
+      events.push(...await queryEvents({ kinds: [3], authors: batch, '#p': missing, limit: batch.length }, { validate }));
+    }
+
+    const hasProfile = new Set(events.filter(e => e.kind === 0).map(e => e.pubkey));
+    const followed = new Set(missing.filter(pubkey => contacts.has(pubkey)));
+    for (const list of events.filter(e => e.kind === 3 && contacts.has(e.pubkey))) {
+      for (const tag of list.tags) {
+        if (tag[0] === 'p') followed.add(tag[1]);
+      }
+    }
+
+    for (const pubkey of missing) {
+      let weight = 1;
+      if (!hasProfile.has(pubkey)) weight *= TRUST_WEIGHTS.noProfile;
+      if (!followed.has(pubkey)) weight *= TRUST_WEIGHTS.noFollowers;
+      trustCache.set(pubkey, weight);
+    }
+  }
+
+  for (const pubkey of pubkeys) weights.set(pubkey, trustCache.get(pubkey));
+  return weights;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
 }
 
-function checkTrending(content) {
+function zapCurve(sats) {
+  const { curve, weight, unitSats } = ZAP_SCORING;
+  switch (curve) {
+    case 'flat': return weight;
+    case 'linear': return weight * sats / unitSats;
+    case 'sqrt': return weight * Math.sqrt(sats / unitSats);
+    case 'log': return weight * Math.log1p(sats) / Math.log1p(unitSats);
+    default: throw new Error(`Unknown zap curve: ${curve}`);
+  }
+}
+
+/**
+ * Score a post's zaps.
+ * @param {Array<{sats: number|null, weight: number}>} zaps - one entry per sender: total sats
+ *   (null when no receipt had a readable amount) and the sender's trust weight
+ */
+export function scoreZaps(zaps) {
+  const unknown = zaps.filter(z => z.sats === null).reduce((sum, z) => sum + z.weight * ZAP_SCORING.weight, 0);
+  const known = zaps.filter(z => z.sats !== null);
+  if (known.length === 0) return round1(unknown);
+
+  const scored = ZAP_SCORING.basis === 'total'
+    ? zapCurve(known.reduce((sum, z) => sum + z.weight * z.sats, 0))
+    : known.reduce((sum, z) => sum + z.weight * zapCurve(z.sats), 0);
+  return round1(scored + unknown);
+}
+
+async function checkTrending(content) {
   const words = content.replace(/nostr:\S+/g, '').replace(/https?:\S+/g, '')
     .split(/\s+/).filter(w => w.length > 4).slice(0, 3).join(' ');
   if (!words) return 0;
-  const results = nakLines(`req -k 1 --search "sort:hot ${words}" -l 5 ${DITTO_RELAY}`, 10000);
+  const results = await queryEvents(
+    { kinds: [1], search: `sort:hot ${words}`, limit: 5 },
+    { relays: [DITTO_RELAY], timeout: 10000, requireAnswer: false },
+  );
   return results.length > 0 ? 5 : 0;
 }
 
 // --- Post Execution ---
 
-function crossPost(platform, nevent) {
-  const tool = platform === 'x' ? 'x-poster' : 'linkedin-poster';
-  const cmd = `node ${TOOLS_DIR}/${tool}/bin/post.mjs ${nevent}`;
+/**
+ * Run a poster's bin/post.mjs with --json and return its structured result:
+ *   x        → { tweetIds, url, mediaIds, postedAt }
+ *   linkedin → { postId, url, imageUrns, postedAt }
+ *   bluesky  → { uris, url, imageCount, postedAt }
+ * These ids are what deletion sync (and later metrics/edits) key on.
+ */
+// How the X poster numbers a thread, and what it links to when the thread is too long
+function xThreadArgs(nevent) {
+  const args = ['--numbering', X_THREADS.numbering, '--max-tweets', X_THREADS.maxTweets];
+  if (X_THREADS.articles === 'thread') args.push('--article-thread');
+  if (READER_URL) args.push('--link', READER_URL.replaceAll('{id}', nevent));
+  return args;
+}
+
+// How the LinkedIn poster renders an article, and where its article card links to
+function linkedinArticleArgs(nevent) {
+  const args = LINKEDIN_ARTICLES.boldHeadings ? ['--bold-headings'] : [];
+  if (LINKEDIN_ARTICLES.asDocument && nevent.startsWith('naddr1')) args.push('--as-document');
+  if (READER_URL) args.push('--link', READER_URL.replaceAll('{id}', nevent));
+  return args;
+}
+
+// Where the Bluesky poster's article card, and the summary of an over-long thread, link to
+function blueskyArgs(nevent) {
+  return READER_URL ? ['--link', READER_URL.replaceAll('{id}', nevent)] : [];
+}
+
+// Args like "(1/n)" mean something to the shell
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(String(arg)) ? String(arg) : `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Run a platform's poster on an event and return its --json result.
+ * Anything that went out is kept (see published()): a thread that stopped partway
+ * keeps the ids it got, and unreadable output becomes the `unparseable` state.
+ */
+function crossPost(platform, nevent, args = []) {
+  const tool = { x: 'x-poster', linkedin: 'linkedin-poster', bluesky: 'bluesky-poster' }[platform];
+  const cmd = `node ${TOOLS_DIR}/${tool}/bin/post.mjs ${[nevent, ...args].map(shellQuote).join(' ')} --json`;
 
   if (DRY_RUN) {
     console.error(`[DRY RUN] Would execute: ${cmd}`);
     return { success: true, dryRun: true };
   }
 
+  let output;
   try {
-    const output = execSync(cmd, { encoding: 'utf-8', timeout: 60000 });
-    return { success: true, output: output.trim() };
+    output = execSync(cmd, { encoding: 'utf-8', timeout: 60000 });
   } catch (e) {
+    // A thread that stopped partway still prints the ids of what went out
+    const partial = parsePosterOutput(e.stdout || '');
+    if (partial?.incomplete) {
+      delete partial.platform;
+      delete partial.eventId;
+      console.error(`Warning: ${platform} thread for ${nevent.slice(0, 16)}... is incomplete: ${partial.error}`);
+      return { success: false, ...partial };
+    }
     return { success: false, error: e.message?.slice(0, 200) };
   }
+
+  const result = parsePosterOutput(output);
+  if (!result) {
+    // The post went out even if we can't read the result — record that, never retry
+    console.error(`Warning: ${platform} post for ${nevent.slice(0, 16)}... went out, but its ids are unknown (unparseable poster output)`);
+    return unparseableOutput(output);
+  }
+  delete result.platform;
+  delete result.eventId;
+  return { success: true, ...result };
+}
+
+// --- Deletion Sync (NIP-09) ---
+
+/**
+ * Find kind 5 deletions from Derek that reference events we track.
+ * @param {Map<string, string>} watch - referenced event id or article address → state key
+ * @returns {Promise<Map<string, object>>} state key → deletion event
+ */
+async function fetchDeletions(watch) {
+  const deletions = new Map();
+  if (watch.size === 0) return deletions;
+
+  const refs = [...watch.keys()];
+  const ids = refs.filter(ref => !ref.includes(':'));
+  const addresses = refs.filter(ref => ref.includes(':'));
+  const filters = [];
+  if (ids.length) filters.push({ kinds: [5], authors: [DEREK_PUBKEY], '#e': ids });
+  if (addresses.length) filters.push({ kinds: [5], authors: [DEREK_PUBKEY], '#a': addresses });
+
+  const { events } = await pool.query(POST_RELAYS, filters, {
+    timeout: QUERY_TIMEOUT_MS,
+    validate: (event) => validateEvent(event, { author: DEREK_PUBKEY }),
+    requireAnswer: true,
+  });
+
+  for (const deletion of events) {
+    for (const tag of deletion.tags) {
+      if ((tag[0] !== 'e' && tag[0] !== 'a') || !watch.has(tag[1])) continue;
+      const key = watch.get(tag[1]);
+      if (!deletions.has(key)) deletions.set(key, deletion);
+    }
+  }
+  return deletions;
+}
+
+// A cross-post recorded without its ids can't be reached from here
+function missingIds(platformEntry, what) {
+  return platformEntry.unparseable
+    ? { success: false, unparseable: true, error: `no ${what} recorded (unparseable poster output) — remove it by hand` }
+    : { success: false, error: `no ${what} recorded` };
+}
+
+/**
+ * Retract every live cross-post of a deleted Nostr event.
+ * The entry is only marked deleted once all platforms succeed, so failures retry next run.
+ */
+export async function retractCrossPosts(eventId, entry, deletion, now) {
+  const crossPosted = entry.crossPosted || {};
+  const retraction = { id: eventId, deletionEvent: deletion.id, platforms: {} };
+
+  const x = crossPosted.x;
+  if (x && !x.dryRun && !x.deletedAt) {
+    if (!x.tweetIds?.length) {
+      retraction.platforms.x = missingIds(x, 'tweet ids');
+    } else if (DRY_RUN) {
+      console.error(`[DRY RUN] Would delete tweets: ${x.tweetIds.join(', ')}`);
+      retraction.platforms.x = { success: true, dryRun: true, tweetIds: x.tweetIds };
+    } else {
+      const { deleted, failed } = await deleteThread(x.tweetIds);
+      retraction.platforms.x = { success: failed.length === 0, deleted, failed };
+      if (failed.length === 0) x.deletedAt = now;
+      else x.tweetIds = x.tweetIds.filter(id => !deleted.includes(id));
+    }
+  }
+
+  const li = crossPosted.linkedin;
+  if (li && !li.dryRun && !li.flagged && !li.deletedAt) {
+    if (!li.postId) {
+      retraction.platforms.linkedin = missingIds(li, 'LinkedIn post id');
+    } else if (DRY_RUN) {
+      console.error(`[DRY RUN] Would delete LinkedIn post: ${li.postId}`);
+      retraction.platforms.linkedin = { success: true, dryRun: true, postId: li.postId };
+    } else {
+      try {
+        await deletePost(li.postId);
+        li.deletedAt = now;
+        retraction.platforms.linkedin = { success: true, postId: li.postId };
+      } catch (e) {
+        retraction.platforms.linkedin = { success: false, error: e.message?.slice(0, 200) };
+      }
+    }
+  }
+
+  const bsky = crossPosted.bluesky;
+  if (bsky && !bsky.dryRun && !bsky.deletedAt) {
+    if (!bsky.uris?.length) {
+      retraction.platforms.bluesky = missingIds(bsky, 'Bluesky post URIs');
+    } else if (DRY_RUN) {
+      console.error(`[DRY RUN] Would delete Bluesky posts: ${bsky.uris.join(', ')}`);
+      retraction.platforms.bluesky = { success: true, dryRun: true, uris: bsky.uris };
+    } else {
+      const { deleted, failed } = await deleteBlueskyThread(bsky.uris);
+      retraction.platforms.bluesky = { success: failed.length === 0, deleted, failed };
+      if (failed.length === 0) bsky.deletedAt = now;
+      else bsky.uris = bsky.uris.filter(uri => !deleted.includes(uri));
+    }
+  }
+
+  const allSucceeded = Object.values(retraction.platforms).every(p => p.success);
+  retraction.success = allSucceeded;
+
+  if (!DRY_RUN) {
+    entry.deletion = {
+      eventId: deletion.id,
+      requestedAt: deletion.created_at,
+      processedAt: now,
+      ...(allSucceeded ? {} : { errors: retraction.platforms }),
+    };
+    if (allSucceeded) entry.deleted = true;
+  }
+
+  return retraction;
+}
+
+// --- Long-form Edit Propagation ---
+
+function articleSnapshot(event) {
+  return Object.fromEntries(ARTICLE_FIELDS.map(f => [f, getTag(event, f)]));
+}
+
+function materialChanges(prev, next) {
+  const norm = (v) => (v || '').replace(/\s+/g, ' ').trim();
+  return ARTICLE_FIELDS.filter(f => norm(prev[f]) !== norm(next[f]));
+}
+
+function isLive(platformEntry) {
+  return platformEntry && !platformEntry.dryRun && !platformEntry.flagged && !platformEntry.deletedAt;
+}
+
+/** Whether an event is a newer version of an article already in the state under `key`. */
+export function isArticleEdit(key, entry, event) {
+  return key !== event.id && Boolean(entry.eventId) && entry.eventId !== event.id &&
+    event.created_at > (entry.createdAt || 0);
+}
+
+/** First tweet of an event's live X cross-post, if it has one. */
+function crossPostedTweet(state, event) {
+  const x = state.posted[postKey(event)]?.crossPosted?.x;
+  return isLive(x) ? x.tweetIds?.[0] || null : null;
+}
+
+/**
+ * Propagate a newer version of an already cross-posted article according to EDIT_POLICY.
+ * Returns a result for the run's output, or null when the edit isn't material.
+ */
+export async function propagateArticleEdit(key, entry, event, now) {
+  const next = articleSnapshot(event);
+  const changed = entry.article ? materialChanges(entry.article, next) : [];
+  const naddr = eventToNaddr(event, POST_RELAYS);
+
+  const recordVersion = () => {
+    if (DRY_RUN) return;
+    entry.versions = [...(entry.versions || []), { eventId: entry.eventId, createdAt: entry.createdAt, replacedAt: now }];
+    entry.eventId = event.id;
+    entry.createdAt = event.created_at;
+    entry.article = next;
+    entry.naddr = naddr;
+  };
+
+  if (changed.length === 0) {
+    recordVersion();
+    return null;
+  }
+
+  const edit = { id: key, eventId: event.id, previousEventId: entry.eventId, changed, platforms: {} };
+  const crossPosted = entry.crossPosted || {};
+
+  const li = crossPosted.linkedin;
+  if (isLive(li) && EDIT_POLICY.linkedin !== 'ignore') {
+    // LinkedIn can only edit commentary in place; an article card or new image means a replacement
+    const inPlace = EDIT_POLICY.linkedin === 'update' && li.contentType !== 'article' && !changed.includes('image');
+    if (DRY_RUN) {
+      console.error(`[DRY RUN] Would ${inPlace ? 'update' : 'replace'} LinkedIn post ${li.postId}`);
+      edit.platforms.linkedin = { action: inPlace ? 'update' : 'replace', dryRun: true };
+    } else if (inPlace) {
+      try {
+        const { payload } = formatLinkedInEvent(event, naddr, {
+          mentions: await getMentions(event.content || ''),
+          boldHeadings: LINKEDIN_ARTICLES.boldHeadings,
+        });
+        await updatePost(li.postId, { commentary: payload.commentary });
+        li.updatedAt = now;
+        edit.platforms.linkedin = { action: 'update', success: true, postId: li.postId };
+      } catch (e) {
+        edit.platforms.linkedin = { action: 'update', success: false, error: e.message?.slice(0, 200) };
+      }
+    } else {
+      edit.platforms.linkedin = await replaceCrossPost('linkedin', li, naddr, now, crossPosted);
+    }
+  }
+
+  const x = crossPosted.x;
+  if (isLive(x) && EDIT_POLICY.x !== 'ignore') {
+    if (DRY_RUN) {
+      console.error(`[DRY RUN] Would ${EDIT_POLICY.x} X thread ${x.url || ''}`);
+      edit.platforms.x = { action: EDIT_POLICY.x, dryRun: true };
+    } else if (EDIT_POLICY.x === 'reply' && x.tweetIds?.length) {
+      try {
+        const text = `✏️ Updated: ${next.title}\n\n${next.summary}`.trim();
+        const { tweets } = formatTextForX(text, { mentions: await getMentions(text) });
+        const thread = await postThread(tweets, [], { replyTo: x.tweetIds[x.tweetIds.length - 1] });
+        const replyIds = thread.tweets.map(t => t.id);
+        // Keep every id on the entry so deletion sync removes the follow-ups too
+        x.tweetIds = [...x.tweetIds, ...replyIds];
+        x.updates = [...(x.updates || []), { at: now, eventId: event.id, tweetIds: replyIds }];
+        edit.platforms.x = { action: 'reply', success: true, tweetIds: replyIds };
+      } catch (e) {
+        // Keep the replies that went out before the thread broke off
+        const replyIds = (e.tweets || []).map(t => t.id);
+        if (replyIds.length) {
+          x.tweetIds = [...x.tweetIds, ...replyIds];
+          x.updates = [...(x.updates || []), { at: now, eventId: event.id, tweetIds: replyIds, incomplete: true }];
+        }
+        edit.platforms.x = { action: 'reply', success: false, ...(replyIds.length ? { incomplete: true, tweetIds: replyIds } : {}), error: e.message?.slice(0, 200) };
+      }
+    } else {
+      edit.platforms.x = await replaceCrossPost('x', x, naddr, now, crossPosted);
+    }
+  }
+
+  const bsky = crossPosted.bluesky;
+  if (isLive(bsky) && EDIT_POLICY.bluesky !== 'ignore') {
+    if (DRY_RUN) {
+      console.error(`[DRY RUN] Would replace Bluesky thread ${bsky.url || ''}`);
+      edit.platforms.bluesky = { action: 'replace', dryRun: true };
+    } else {
+      edit.platforms.bluesky = await replaceCrossPost('bluesky', bsky, naddr, now, crossPosted);
+    }
+  }
+
+  // Only move the entry forward once every platform caught up, so failures retry next run
+  if (Object.values(edit.platforms).every(p => p.success !== false)) recordVersion();
+  return edit;
+}
+
+/**
+ * Delete an old cross-post and publish the current version in its place.
+ * Without the old post's ids nothing happens: reposting would leave two versions up.
+ */
+async function replaceCrossPost(platform, old, naddr, now, crossPosted) {
+  const ids = { x: old.tweetIds, linkedin: old.postId ? [old.postId] : [], bluesky: old.uris }[platform];
+  if (!ids?.length) {
+    const what = { x: 'tweet ids', linkedin: 'LinkedIn post id', bluesky: 'Bluesky post URIs' }[platform];
+    return { action: 'replace', ...missingIds(old, what) };
+  }
+
+  try {
+    if (platform === 'linkedin') {
+      await deletePost(old.postId);
+    } else {
+      const { deleted, failed } = await (platform === 'x' ? deleteThread : deleteBlueskyThread)(ids);
+      if (failed.length) {
+        // Keep what's still up, so the next run only retries that
+        if (platform === 'x') old.tweetIds = ids.filter(id => !deleted.includes(id));
+        else old.uris = ids.filter(uri => !deleted.includes(uri));
+        throw new Error(`could not delete ${failed.length} ${platform === 'x' ? 'tweet' : 'post'}(s)`);
+      }
+    }
+  } catch (e) {
+    return { action: 'replace', success: false, error: e.message?.slice(0, 200) };
+  }
+
+  const args = { x: xThreadArgs, linkedin: linkedinArticleArgs, bluesky: blueskyArgs }[platform](naddr);
+  const result = crossPost(platform, naddr, args);
+  if (!published(result)) {
+    // The old post is gone either way — don't leave a live-looking entry behind
+    crossPosted[platform] = { ...old, deletedAt: now };
+    return { action: 'replace', success: false, error: result.error };
+  }
+
+  crossPosted[platform] = { at: now, dryRun: false, ...result, replaced: [...(old.replaced || []), { ...old, deletedAt: now }] };
+  if (!result.success) {
+    const { incomplete, unparseable, error } = result;
+    return { action: 'replace', success: false, ...(incomplete ? { incomplete } : { unparseable }), error };
+  }
+  return { action: 'replace', success: true };
 }
 
 // --- Main ---
 
-async function main() {
+/**
+ * One full pass for the current profile: drafts, fetch, deletions, edits, scoring, posting.
+ * @returns {Promise<object>} The profile's results (actions, skipped, …, summary)
+ */
+async function runProfile() {
   const now = Math.floor(Date.now() / 1000);
-  const since = now - LOOKBACK_SECONDS;
   const state = loadState();
   const counts = getDailyCounts(state);
 
@@ -471,10 +1281,11 @@ async function main() {
   if (counts._includesDryRun) {
     counts.x = 0;
     counts.linkedin = 0;
+    counts.bluesky = 0;
     delete counts._includesDryRun;
   }
 
-  const results = { timestamp: new Date().toISOString(), dryRun: DRY_RUN, actions: [], skipped: [], drafts: [] };
+  const results = { profile: PROFILE_NAME, timestamp: new Date().toISOString(), dryRun: DRY_RUN, actions: [], skipped: [], rejected: [], deletions: [], edits: [], drafts: [] };
 
   // Process native drafts first
   const draftResults = processDrafts(state, counts);
@@ -485,38 +1296,152 @@ async function main() {
     saveState(state);
     results.summary = {
       draftsProcessed: draftResults.length,
-      dailyCounts: { x: counts.x, linkedin: counts.linkedin },
+      dailyCounts: { x: counts.x, linkedin: counts.linkedin, bluesky: counts.bluesky },
     };
-    console.log(JSON.stringify(results, null, 2));
-    return;
-  }
-
-  // Fetch Derek's recent root posts
-  const relayStr = RELAYS.join(' ');
-  const posts = [
-    ...nakLines(`req -k 1 -a ${DEREK_PUBKEY} --since ${since} -l 50 ${relayStr}`, 30000),
-    ...nakLines(`req -k 30023 -a ${DEREK_PUBKEY} --since ${since} -l 10 ${relayStr}`, 30000),
-  ];
-
-  const seen = new Set();
-  const uniquePosts = posts.filter(p => {
-    if (seen.has(p.id)) return false;
-    seen.add(p.id);
-    return true;
+    return results;
+  }
+
+  let postsChecked;
+  try {
+    postsChecked = await checkPosts(state, counts, results, now);
+    state.lastCheck = now;
+  } finally {
+    // Keep what already went out, even when the relays failed partway through
+    state.dailyCounts = counts;
+    saveState(state);
+  }
+
+  results.summary = {
+    postsChecked,
+    actioned: results.actions.length,
+    skipped: results.skipped.length,
+    rejected: results.rejected.length,
+    deletionsSynced: results.deletions.length,
+    editsPropagated: results.edits.length,
+    draftsProcessed: draftResults.length,
+    dailyCounts: { x: counts.x, linkedin: counts.linkedin, bluesky: counts.bluesky },
+    capsRemaining: { x: DAILY_CAP_X - counts.x, linkedin: DAILY_CAP_LINKEDIN - counts.linkedin, bluesky: DAILY_CAP_BLUESKY - counts.bluesky },
+    thresholds: { x: THRESHOLD_X, linkedin: THRESHOLD_LINKEDIN, bluesky: THRESHOLD_BLUESKY },
+  };
+
+  return results;
+}
+
+/**
+ * Fetch the profile's recent posts, sync deletions and edits, then score and cross-post.
+ * Throws when no relay answers; what was posted before that is already in `state`.
+ * @returns {Promise<number>} How many posts were fetched
+ */
+async function checkPosts(state, counts, results, now) {
+  const since = now - LOOKBACK_SECONDS;
+  // Posts that went out before Bluesky was switched on stay off it (see alreadyPosted)
+  if (DAILY_CAP_BLUESKY > 0 && !DRY_RUN) state.blueskySince ??= now;
+
+  // Fetch Derek's recent root posts (the pool merges duplicates across relays).
+  // Every event must hash to its id, carry a valid signature and be signed by Derek —
+  // anything else is a forgery (or relay garbage) and never reaches a formatter.
+  await resolveRelays(state, now);
+
+  const { events: uniquePosts, rejected } = await pool.query(POST_RELAYS, [
+    { kinds: [1], authors: [DEREK_PUBKEY], since, limit: 50 },
+    { kinds: [30023], authors: [DEREK_PUBKEY], since, limit: 10 },
+  ], {
+    timeout: FETCH_TIMEOUT_MS,
+    validate: (event) => validateEvent(event, { author: DEREK_PUBKEY }),
+    requireAnswer: true,
   });
 
+  // Recorded separately from `skipped`: a forged copy may claim a real event's id,
+  // and must not stop the genuine event from being considered later.
+  for (const { relay, event, reason } of rejected) {
+    const id = typeof event.id === 'string' ? event.id : 'unknown';
+    state.rejected[id] = { reason, relay, pubkey: event.pubkey, at: now };
+    results.rejected.push({ id, relay, reason });
+    if (VERBOSE) console.error(`Rejected ${id.slice(0,8)}... from ${relay}: ${reason}`);
+  }
+
   if (VERBOSE) console.error(`Fetched ${uniquePosts.length} unique posts from last 24h`);
 
+  // Articles used to be tracked by event id — move them to their address
+  for (const post of uniquePosts) {
+    const key = postKey(post);
+    if (key !== post.id && state.posted[post.id] && !state.posted[key]) {
+      state.posted[key] = { eventId: post.id, address: key, ...state.posted[post.id] };
+      delete state.posted[post.id];
+    }
+  }
+
+  // Self-threads: notes continued by the author's own replies within the window
+  const threads = new Map(); // root id → [root, ...replies]
+  const threadRoots = new Map(); // reply id → root id
+  if (SELF_THREADS.enabled) {
+    for (const post of uniquePosts) {
+      if (post.kind !== 1 || replyTarget(post).root) continue;
+      const thread = assembleThread(post, uniquePosts, { windowSeconds: SELF_THREADS.windowSeconds });
+      if (thread.length < 2) continue;
+      threads.set(post.id, thread);
+      for (const reply of thread.slice(1)) threadRoots.set(reply.id, post.id);
+    }
+    if (VERBOSE && threads.size) console.error(`Found ${threads.size} self-thread(s)`);
+  }
+
+  // Sync NIP-09 deletions: retract cross-posts, and never post what was already deleted.
+  // Notes are referenced by `e` tags; articles by `e` (current version) or `a` (address).
+  const watch = new Map();
+  for (const [key, entry] of Object.entries(state.posted)) {
+    if (entry.deleted) continue;
+    watch.set(entry.eventId || key, key);
+    if (entry.address) watch.set(entry.address, key);
+  }
+  for (const post of uniquePosts) {
+    const key = postKey(post);
+    watch.set(post.id, key);
+    if (key !== post.id) watch.set(key, key);
+  }
+  const deletions = await fetchDeletions(watch);
+
+  for (const [key, deletion] of deletions) {
+    const entry = state.posted[key];
+    if (!entry || entry.deleted) continue;
+    const retraction = await retractCrossPosts(key, entry, deletion, now);
+    results.deletions.push(retraction);
+    if (VERBOSE) console.error(`Deleted on Nostr: ${key.slice(0,8)}... retracted=${retraction.success}`);
+  }
+
   for (const post of uniquePosts) {
     const eventId = post.id;
+    const key = postKey(post);
 
     if (state.skipped[eventId]) continue;
-    if (state.posted[eventId]) {
-      if (state.posted[eventId].deleted) continue;
-      const prev = state.posted[eventId].crossPosted || {};
-      const alreadyPostedX = prev.x && !prev.x.dryRun;
-      const alreadyPostedLinkedin = prev.linkedin && !prev.linkedin.dryRun;
-      if (alreadyPostedX && alreadyPostedLinkedin) continue;
+    if (deletions.has(key) && !state.posted[key]) {
+      state.skipped[eventId] = { reason: 'deleted on Nostr (NIP-09)', at: now };
+      results.skipped.push({ id: eventId, reason: 'deleted on Nostr' });
+      continue;
+    }
+    if (state.posted[key]) {
+      const entry = state.posted[key];
+      if (entry.deleted) continue;
+
+      // A newer version of an article we already cross-posted
+      if (isArticleEdit(key, entry, post)) {
+        if (['x', 'linkedin', 'bluesky'].some(platform => isLive(entry.crossPosted?.[platform]))) {
+          const edit = await propagateArticleEdit(key, entry, post, now);
+          if (edit) results.edits.push(edit);
+          if (VERBOSE) console.error(`Article ${key.slice(0, 20)}... edited (${edit ? edit.changed.join(', ') : 'no material change'})`);
+        }
+        continue;
+      }
+
+      const done = alreadyPosted(entry.crossPosted, state);
+      if (done.x && done.linkedin && done.bluesky) continue;
+    }
+
+    // Self-thread replies go out with their root
+    if (threadRoots.has(eventId)) {
+      const rootId = threadRoots.get(eventId);
+      state.skipped[eventId] = { reason: `self-thread reply (root ${rootId.slice(0, 8)})`, at: now };
+      results.skipped.push({ id: eventId, reason: 'self-thread reply' });
+      continue;
     }
 
     // Skip replies
@@ -530,23 +1455,27 @@ async function main() {
     // Skip reposts
     if (post.kind === 6) continue;
 
-    // Skip quoted posts (lose context on other platforms)
-    const hasQuote = /nostr:(note1|nevent1)[a-z0-9]+/i.test(post.content || '');
-    if (hasQuote) {
+    // A self-thread is judged and posted as a whole
+    const thread = threads.get(eventId) || [post];
+    const content = thread.length > 1 ? threadContent(thread) : post.content || '';
+
+    // Skip quoted posts (lose context on other platforms) unless quotes are inlined
+    const hasQuote = findQuotes(content).length > 0;
+    if (hasQuote && QUOTES.mode === 'skip') {
       state.skipped[eventId] = { reason: 'quoted post (context lost on other platforms)', at: now };
       results.skipped.push({ id: eventId, reason: 'quoted post' });
       continue;
     }
 
-    // Skip too-young posts
-    const age = now - post.created_at;
+    // Skip too-young posts (a thread waits for its latest note, in case it's still growing)
+    const age = now - thread[thread.length - 1].created_at;
     if (age < MIN_AGE_SECONDS) {
       if (VERBOSE) console.error(`Skipping ${eventId.slice(0,8)}... too young (${Math.round(age/60)}m)`);
       continue;
     }
 
     // Skip duplicate content (already cross-posted previously)
-    if (isDuplicateContent(post.content || '', state)) {
+    if (isDuplicateContent(content, state, key)) {
       state.skipped[eventId] = { reason: 'duplicate of previously posted content', at: now };
       results.skipped.push({ id: eventId, reason: 'duplicate content' });
       if (VERBOSE) console.error(`Skipping ${eventId.slice(0,8)}... duplicate content`);
@@ -554,61 +1483,111 @@ async function main() {
     }
 
     // Classify content
-    const classification = classifyContent(post.content || '');
+    const classification = classifyContent(content);
     if (classification.skip) {
       state.skipped[eventId] = { reason: classification.reason, at: now };
-      results.skipped.push({ id: eventId, reason: classification.reason, content: post.content?.slice(0, 80) });
+      results.skipped.push({ id: eventId, reason: classification.reason, content: content.slice(0, 80) });
       if (VERBOSE) console.error(`Skipping ${eventId.slice(0,8)}... ${classification.reason}`);
       continue;
     }
 
+    // Quoted notes must be fetchable and fit to show
+    let quotes = [];
+    if (hasQuote) {
+      quotes = await fetchQuotes(content, { pool, relays: POST_RELAYS, timeout: FETCH_TIMEOUT_MS });
+      const missing = quotes.find(q => q.error);
+      if (missing) {
+        // Likely a relay hiccup — not recorded, so the next run tries again
+        results.skipped.push({ id: eventId, reason: 'quoted note unavailable' });
+        if (VERBOSE) console.error(`Skipping ${eventId.slice(0,8)}... quoted note unavailable (${missing.error})`);
+        continue;
+      }
+      // Referenced kind 1063 files are media, which the posters attach
+      quotes = quotes.filter(q => q.event);
+      const rejection = quotes.map(q => classifyQuote(quotedContent(q.event))).find(Boolean);
+      if (rejection) {
+        state.skipped[eventId] = { reason: `quoted note: ${rejection}`, at: now };
+        results.skipped.push({ id: eventId, reason: `quoted note: ${rejection}`, content: content.slice(0, 80) });
+        if (VERBOSE) console.error(`Skipping ${eventId.slice(0,8)}... quoted note: ${rejection}`);
+        continue;
+      }
+    }
+
     // Score engagement
-    const engagement = getEngagement(eventId);
-    const trendingBonus = checkTrending(post.content || '');
+    const engagement = await getEngagement(post, state, thread.map(e => e.id));
+    const trendingBonus = await checkTrending(content);
     const totalScore = engagement.score + trendingBonus;
 
     if (VERBOSE) {
-      console.error(`Post ${eventId.slice(0,8)}... score=${totalScore} (base=${engagement.score} trend=${trendingBonus})`);
-      console.error(`  Content: ${post.content?.slice(0, 100)}`);
+      const { raw } = engagement;
+      const pace = engagement.mode === 'velocity' ? ` pace=${engagement.perHour}/h over ${engagement.windowHours}h` : '';
+      console.error(`Post ${eventId.slice(0,8)}... score=${totalScore} (${engagement.mode}: base=${engagement.score}${pace} trend=${trendingBonus} zaps=${engagement.zapSats} sats→${engagement.zapScore})`);
+      console.error(`  raw:      reactions=${raw.reactions} reposts=${raw.reposts} zaps=${raw.zaps} replies=${raw.replies}`);
+      console.error(`  weighted: reactions=${engagement.reactions} reposts=${engagement.reposts} zaps=${engagement.zaps} replies=${engagement.replies}`);
+      console.error(`  Content: ${content.slice(0, 100)}`);
     }
 
     // Platform-specific threshold checks
     const meetsXThreshold = totalScore >= THRESHOLD_X;
     const meetsLinkedInThreshold = totalScore >= THRESHOLD_LINKEDIN;
+    const meetsBlueskyThreshold = totalScore >= THRESHOLD_BLUESKY && DAILY_CAP_BLUESKY > 0;
 
-    if (!meetsXThreshold && !meetsLinkedInThreshold) {
-      state.skipped[eventId] = { reason: `below threshold (score=${totalScore}, needX=${THRESHOLD_X}, needLI=${THRESHOLD_LINKEDIN})`, at: now };
-      results.skipped.push({ id: eventId, reason: `low engagement (${totalScore})`, content: post.content?.slice(0, 80) });
-      if (VERBOSE) console.error(`  → Below threshold (X needs ${THRESHOLD_X}, LinkedIn needs ${THRESHOLD_LINKEDIN})`);
+    if (!meetsXThreshold && !meetsLinkedInThreshold && !meetsBlueskyThreshold) {
+      state.skipped[eventId] = { reason: `below threshold (score=${totalScore}, needX=${THRESHOLD_X}, needLI=${THRESHOLD_LINKEDIN}, needBsky=${THRESHOLD_BLUESKY})`, at: now };
+      results.skipped.push({ id: eventId, reason: `low engagement (${totalScore})`, content: content.slice(0, 80) });
+      if (VERBOSE) console.error(`  → Below threshold (X needs ${THRESHOLD_X}, LinkedIn needs ${THRESHOLD_LINKEDIN}, Bluesky needs ${THRESHOLD_BLUESKY})`);
       continue;
     }
 
-    const nevent = eventToNevent(eventId, RELAYS);
+    const isArticle = post.kind === 30023;
+    // Articles are posted by address so the posters always fetch the newest version
+    const nevent = isArticle ? eventToNaddr(post, POST_RELAYS) : eventToNevent(eventId, POST_RELAYS, post.kind);
     const posted = {};
 
-    const prevPosted = state.posted[eventId]?.crossPosted || {};
-    const alreadyOnX = prevPosted.x && !prevPosted.x.dryRun;
-    const alreadyOnLinkedin = prevPosted.linkedin && !prevPosted.linkedin.dryRun;
+    const { x: alreadyOnX, linkedin: alreadyOnLinkedin, bluesky: alreadyOnBluesky } = alreadyPosted(state.posted[key]?.crossPosted, state);
+
+    // A single quoted note that's on X already gets quote-tweeted rather than inlined
+    const quoteTweetId = QUOTES.quoteTweet && quotes.length === 1 ? crossPostedTweet(state, quotes[0].event) : null;
+    const xArgs = quoteTweetId ? ['--quote-tweet', quoteTweetId] : quotes.length > 0 ? ['--quotes'] : [];
+    const linkedinArgs = [...(quotes.length > 0 ? ['--quotes'] : []), ...linkedinArticleArgs(nevent)];
+    const blueskyPostArgs = [...(quotes.length > 0 ? ['--quotes'] : []), ...blueskyArgs(nevent)];
+    if (thread.length > 1) {
+      const threadArgs = ['--thread', '--thread-window', SELF_THREADS.windowSeconds];
+      xArgs.push(...threadArgs);
+      linkedinArgs.push(...threadArgs);
+      blueskyPostArgs.push(...threadArgs);
+    }
+    xArgs.push(...xThreadArgs(nevent));
 
+    const mentions = await getMentions(`${content}\n${quoteMentionText(quotes)}`);
     const platformVersions = {
-      x: formatForX(post.content || ''),
-      linkedin: formatForLinkedIn(post.content || ''),
+      x: formatForX(content, mentions, quoteTweetId ? [] : quotes),
+      linkedin: formatForLinkedIn(content, mentions, quotes),
+      bluesky: formatForBluesky(content, mentions, quotes),
     };
 
     if (classification.x && meetsXThreshold && counts.x < DAILY_CAP_X && !alreadyOnX) {
-      const result = crossPost('x', nevent);
-      if (result.success) {
+      const result = crossPost('x', nevent, xArgs);
+      if (published(result)) {
         if (!DRY_RUN) counts.x++;
         posted.x = { at: now, dryRun: DRY_RUN, ...result };
       }
     }
 
+    if (classification.bluesky && meetsBlueskyThreshold && counts.bluesky < DAILY_CAP_BLUESKY && !alreadyOnBluesky) {
+      const result = crossPost('bluesky', nevent, blueskyPostArgs);
+      if (published(result)) {
+        if (!DRY_RUN) counts.bluesky++;
+        posted.bluesky = { at: now, dryRun: DRY_RUN, ...result };
+      }
+    }
+
     if (classification.linkedin && meetsLinkedInThreshold && counts.linkedin < DAILY_CAP_LINKEDIN && !alreadyOnLinkedin) {
       if (classification.needsRewrite) {
         posted.linkedin = { flagged: true, reason: 'needs professional rewrite', nevent, at: now };
       } else {
-        const result = crossPost('linkedin', nevent);
-        if (result.success) {
+        const result = crossPost('linkedin', nevent, linkedinArgs);
+        if (published(result)) {
           if (!DRY_RUN) counts.linkedin++;
           posted.linkedin = { at: now, dryRun: DRY_RUN, ...result };
         }
@@ -616,20 +1595,24 @@ async function main() {
     }
 
     if (Object.keys(posted).length > 0) {
-      const existingCrossPosted = state.posted[eventId]?.crossPosted || {};
+      const existingCrossPosted = state.posted[key]?.crossPosted || {};
       const mergedCrossPosted = { ...existingCrossPosted };
       for (const [platform, data] of Object.entries(posted)) {
         if (!mergedCrossPosted[platform] || mergedCrossPosted[platform].dryRun || !data.dryRun) {
           mergedCrossPosted[platform] = data;
         }
       }
-      state.posted[eventId] = {
+      state.posted[key] = {
         nevent,
+        eventId,
+        createdAt: post.created_at,
+        ...(isArticle ? { address: key, article: articleSnapshot(post), versions: state.posted[key]?.versions || [] } : {}),
         engagement,
         score: totalScore,
         trendingBonus,
         crossPosted: mergedCrossPosted,
-        content: post.content?.slice(0, 200),
+        content: content.slice(0, 200),
+        ...(thread.length > 1 ? { thread: thread.map(e => e.id) } : {}),
         platformVersions,
         kind: post.kind,
       };
@@ -640,30 +1623,52 @@ async function main() {
         engagement,
         platforms: posted,
         platformVersions,
-        content: post.content?.slice(0, 120),
+        content: content.slice(0, 120),
+        ...(thread.length > 1 ? { thread: thread.map(e => e.id) } : {}),
         needsRewrite: classification.needsRewrite || false,
       });
     }
   }
 
-  state.lastCheck = now;
-  state.dailyCounts = counts;
-  saveState(state);
+  return uniquePosts.length;
+}
 
-  results.summary = {
-    postsChecked: uniquePosts.length,
-    actioned: results.actions.length,
-    skipped: results.skipped.length,
-    draftsProcessed: draftResults.length,
-    dailyCounts: { x: counts.x, linkedin: counts.linkedin },
-    capsRemaining: { x: DAILY_CAP_X - counts.x, linkedin: DAILY_CAP_LINKEDIN - counts.linkedin },
-    thresholds: { x: THRESHOLD_X, linkedin: THRESHOLD_LINKEDIN },
-  };
+/**
+ * Run every configured profile (or just --profile <name>) in turn. A single
+ * profile prints its results as before; several print { timestamp, dryRun, profiles }.
+ */
+async function main() {
+  const only = argValue('--profile');
+  const profiles = only ? CONFIG.profiles.filter(p => p.name === only) : CONFIG.profiles;
+  if (profiles.length === 0) {
+    throw new Error(`Unknown profile "${only}" (configured: ${CONFIG.profiles.map(p => p.name).join(', ')})`);
+  }
+
+  const runs = [];
+  for (const profile of profiles) {
+    applyProfile(profile);
+    if (VERBOSE) console.error(`=== Profile ${profile.name} (${profile.authorPubkey.slice(0, 8)}...) ===`);
+    try {
+      runs.push(await runProfile());
+    } catch (e) {
+      // One author's failure shouldn't stop the others
+      if (profiles.length === 1) throw e;
+      console.error(`Profile ${profile.name} failed: ${e.message}`);
+      runs.push({ profile: profile.name, error: e.message });
+      process.exitCode = 1;
+    }
+  }
 
-  console.log(JSON.stringify(results, null, 2));
+  const output = runs.length === 1
+    ? runs[0]
+    : { timestamp: new Date().toISOString(), dryRun: DRY_RUN, profiles: runs };
+  console.log(JSON.stringify(output, null, 2));
 }
 
-main().catch(e => {
-  console.error(`Fatal: ${e.message}`);
-  process.exit(1);
-});
+// Run unless imported (the tests import the functions above)
+if (process.argv[1] && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url))) {
+  main().catch(e => {
+    console.error(`Fatal: ${e.message}`);
+    process.exitCode = 1;
+  }).finally(() => pool.close());
+}
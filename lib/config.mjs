@@ -0,0 +1,551 @@
+/**
+ * Cross-post checker configuration.
+ *
+ * Effective config = DEFAULTS, overlaid with a JSON config file, overlaid with
+ * CROSSPOST_* environment variables. The result is validated against SCHEMA
+ * before the checker starts, so a typo fails loudly instead of silently
+ * reverting to a default.
+ *
+ * Regex lists are written as "/pattern/flags" strings in the file (a bare
+ * string is compiled without flags).
+ *
+ * A file may list `profiles` — one per author — each overriding any of the
+ * shared settings. Environment variables override the shared settings, not what a
+ * profile sets itself. Without it there is a single profile named "default".
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, resolve, isAbsolute, join } from 'path';
+import { fileURLToPath } from 'url';
+import { homedir } from 'os';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+
+// Picked up automatically when neither --config nor CROSSPOST_CONFIG is given
+export const DEFAULT_CONFIG_FILE = resolve(ROOT, 'crosspost.config.json');
+
+export const DEFAULTS = {
+  authorPubkey: '3f770d65d3a764a9c5cb503ae123e62ec7598ad035d836e2a810f3877a745b24',
+  // Centauri's pubkey — filter out posts that were already cross-posted by the agent
+  agentPubkey: '90d8d48925ea3fbb2e3310775268d1581f4d01d7a3348ca8ca415d632bd2a1d1',
+  // Bootstrap relays — the same set as DEFAULT_RELAYS in linkedin-poster/lib/relay.mjs
+  relays: ['wss://relay.ditto.pub', 'wss://relay.primal.net', 'wss://nos.lol', 'wss://relay.damus.io'],
+  trendingRelay: 'wss://relay.ditto.pub',
+  minAgeSeconds: 3600, // 1 hour — post must be at least this old
+  lookbackSeconds: 86400, // 24 hours
+  minContentLength: 50, // skip very short posts
+  queryTimeoutMs: 20000, // per-relay timeout for engagement queries
+  fetchTimeoutMs: 30000, // per-relay timeout for fetching Derek's posts
+
+  // Platform-specific engagement thresholds (higher = more selective).
+  // Bluesky is off (cap 0) until its app password is set up — see bluesky-poster --setup
+  thresholds: { x: 40, linkedin: 60, bluesky: 40 },
+  dailyCaps: { x: 3, linkedin: 1, bluesky: 0 },
+
+  // NIP-65 outbox model: the author's kind 10002 relay list (cached in the state
+  // file for `ttlSeconds`) decides where posts are fetched (write relays) and where
+  // engagement is read (read relays, plus the write relays most used by the last
+  // `interactorSample` accounts that interacted). `indexerRelays` are asked for
+  // relay lists besides `relays`. Each query goes to at most `maxRelays` relays.
+  outbox: {
+    enabled: true,
+    ttlSeconds: 86400,
+    maxRelays: 10,
+    interactorSample: 50,
+    indexerRelays: ['wss://purplepag.es'],
+  },
+
+  // How engagement becomes a score:
+  //   mode 'linear'   — weighted sum of every interaction so far
+  //   mode 'velocity' — weighted sum of interactions in the first `velocityWindowHours`,
+  //                     projected over the full window for younger posts (30 reactions
+  //                     in the first hour outrank 40 spread over 20 hours)
+  //   decayHalfLifeHours — optional: an interaction arriving this long after the post
+  //                     counts half as much (null = no decay)
+  scoring: { mode: 'linear', velocityWindowHours: 3, decayHalfLifeHours: null },
+
+  // How zaps turn into score. A zap of `unitSats` is worth `weight` points; the curve
+  // decides how bigger or smaller zaps scale from there:
+  //   'flat'   — every zap is worth `weight`, whatever the amount (default: 5 per zap, as always)
+  //   'linear' — proportional to sats
+  //   'sqrt'   — square root of sats
+  //   'log'    — log(1 + sats), so 100k sats is worth a few small zaps, not a hundred
+  // basis 'per-zap' applies the curve to each receipt and sums; 'total' applies it once
+  // to the post's sat total. Receipts without a readable amount count as `weight`.
+  zapScoring: { curve: 'flat', basis: 'per-zap', weight: 5, unitSats: 1000 },
+
+  // Web-of-trust discount for interacting accounts (multiplied together when both apply):
+  //   noProfile   — the account has no kind 0 profile
+  //   noFollowers — neither the author nor anyone in their kind 3 contact list follows it
+  // Off by default: it lowers scores, so the thresholds would need lowering with it.
+  trustWeights: { enabled: false, noProfile: 0.25, noFollowers: 0.5 },
+
+  // How material edits to an already cross-posted long-form article (kind 30023) propagate.
+  //   linkedin: 'update'  — edit the commentary in place; replace if the card/media changed
+  //             'replace' — delete the old post and publish the new version
+  //             'ignore'
+  //   x:        'reply'   — post the new title/summary as a follow-up reply to the thread
+  //             'replace' — delete the old thread and publish the new version
+  //             'ignore'
+  //   bluesky:  'replace' — delete the old thread and publish the new version (its link card
+  //                         shows the old title, summary and image)
+  //             'ignore'
+  editPolicy: { linkedin: 'update', x: 'reply', bluesky: 'replace' },
+
+  // Notes quoting another note (nostr:note1… / nostr:nevent1…).
+  //   mode: 'skip'   — never cross-post them (the quoted context is lost)
+  //         'inline' — fetch the quoted note and show it: a quote block or follow-up tweet on X,
+  //                    an indented excerpt with attribution on LinkedIn. Still skipped when the
+  //                    quoted note is blocklisted, matches a skip pattern or can't be fetched.
+  //   quoteTweet — on X, quote-tweet the quoted note's own cross-post when there is one
+  quotes: { mode: 'skip', quoteTweet: true },
+
+  // Self-threads: the author's own replies continuing a note within windowSeconds of it
+  // are posted with it — as a native thread on X, one combined post on LinkedIn — and
+  // engagement is scored across the whole chain. Disabled, they're skipped like any reply.
+  selfThreads: { enabled: true, windowSeconds: 21600 },
+
+  // Long posts on X become threads.
+  //   numbering: 'none', '1/' (prefixed), '(1/n)' (appended) or '🧵' (first tweet only)
+  //   maxTweets — a longer thread is posted as one summary tweet plus readerUrl instead
+  //               (without a readerUrl the full thread is posted)
+  //   articles: 'teaser' — a long-form article is its title and summary
+  //             'thread' — a hook tweet, one tweet per section, then readerUrl
+  //                        (sections past maxTweets are left to the link)
+  xThreads: { numbering: '(1/n)', maxTweets: 10, articles: 'teaser' },
+
+  // Long-form articles on LinkedIn are rendered from markdown: headings in UPPERCASE, or in
+  // Unicode bold with boldHeadings (screen readers spell those out letter by letter).
+  // asDocument posts them as a PDF carousel rendered from the article instead of a card
+  linkedinArticles: { boldHeadings: false, asDocument: false },
+
+  // Where readers can find the full post on the web, with {id} standing for its
+  // nevent/naddr (e.g. "https://example.com/{id}"); null = no link
+  readerUrl: null,
+
+  patterns: {
+    // Posts matching these patterns should NEVER be cross-posted
+    blocklist: [
+      // Personal finance / trading
+      /\bbuy order\b/i, /\bsell order\b/i, /\bsetting.*(buy|sell)\b/i,
+      /\bposition\b.*\b(long|short)\b/i, /\btrad(e|ing)\b.*\border\b/i,
+      /\bdca\b/i,
+      // Bot/agent commands and internal stuff
+      /\bstop openclaw\b/i, /\bheartbeat\b/i, /\bheartbeat_ok\b/i,
+      // Pure memes with no substance
+      /^[A-Z\s!?.]{1,30}$/,  // ALL CAPS short posts
+      // Personal/family (reinforced)
+      /\bfamily\b/i, /\bkids?\b/i, /\bwife\b/i, /\bkatie\b/i, /\blogan\b/i, /\bhalee\b/i,
+      /\btherapy\b/i, /\bdoctor\b/i, /\bappointment\b/i,
+      // Conversations / replies to specific people
+      /^@\w+/,
+      // Just an image URL with no real text
+      /^\s*https?:\/\/\S+\.(jpg|jpeg|png|gif|webp)\S*\s*$/i,
+      // Shitposting indicators
+      /\bshitpost/i, /\bcopium\b/i, /\blet'?s\s+go\s*!*$/i,
+    ],
+
+    skip: [
+      /^gm\b/i, /good morning/i, /good night/i, /gn\b/i,
+      /pura vida/i,
+      /^lol\b/i, /^ha+\b/i, /^nice\b/i, /^yes\b/i, /^no\b/i, /^this\b/i,
+      /^😂/, /^🤣/, /^💀/,
+      /^nostr:n(pub|profile)1/,
+    ],
+
+    xWorthy: [
+      /\bbitcoin\b/i, /\bbtc\b/i, /\bnostr\b/i, /\bai\b/i, /\bartificial intelligence\b/i,
+      /\bdecentraliz/i, /\bcensorship/i, /\bfreedom\b/i, /\bprivacy\b/i,
+      /\bopen.?source\b/i, /\bfoss\b/i, /\bprotocol\b/i,
+      /\bconference\b/i, /\bsummit\b/i, /\bhackathon\b/i, /\bevent\b/i,
+      /\bshakespeare\b/i, /\bagora\b/i, /\bonyx\b/i, /\bopenclaw\b/i, /\bditto\b/i,
+      /\bcommunity\b/i, /\bcommunities\b/i, /\bmoderat/i, /\bweb.?of.?trust\b/i, /\bwot\b/i,
+      /\brelay\b/i, /\balgorithm\b/i, /\bdoomscroll/i, /\bbloomscroll/i,
+      /\bsocial.?media\b/i, /\bsocial.?network/i, /\bplatform\b/i,
+      /\bagent\b/i, /\bsovereign/i, /\bself.?custod/i, /\blightning\b/i, /\bzap/i,
+      /\btech\b/i, /\bsoftware\b/i, /\bopen\b/i, /\bbuild/i,
+      /\bdev\b/i, /\bdeveloper/i, /\bbuilding\b/i, /\bshipped\b/i, /\blaunch/i,
+      /\bnip-?\d/i, /\bfreedom.?tech\b/i,
+    ],
+
+    linkedin: [
+      /\bindustry\b/i, /\bbusiness\b/i, /\benterprise\b/i, /\bprofessional\b/i,
+      /\bleadership\b/i, /\bstrategy\b/i, /\binnovation\b/i,
+      /\bconference\b/i, /\bspeaking\b/i, /\bpresent/i, /\bkeynote\b/i,
+      /\beducation/i, /\blearning\b/i, /\bworkshop\b/i,
+      /\bthought.?leader/i, /\becosystem\b/i,
+      /\bdevrel\b/i, /\bdeveloper.?relations/i,
+    ],
+
+    casualTone: [
+      /\blmao\b/i, /\bbruh\b/i, /\bfam\b/i,
+      /😂|🤣|💀/, /\baf\b/i, /\bdegen\b/i, /\blfg\b/i, /\bhaha/i,
+    ],
+  },
+
+  stateFile: resolve(ROOT, '../../memory/crosspost-state.json'),
+  draftsDir: resolve(ROOT, '../../social-strategy/drafts'),
+
+  // Credential directories for the posters ($X_POSTER_DIR / $LINKEDIN_DIR / $BLUESKY_DIR);
+  // null = their defaults, ~/.x-poster, ~/.linkedin and ~/.bluesky
+  credentials: { x: null, linkedin: null, bluesky: null },
+
+  // npub → { x: "@handle", linkedin: "urn:li:person:…", bluesky: "handle.bsky.social" } table for mentions ($NOSTR_HANDLES_FILE);
+  // null = names from profiles only
+  handlesFile: null,
+};
+
+const PROFILE_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// --- Schema ---
+
+const hex64 = { type: 'hex64' };
+const count = { type: 'integer', min: 0 };
+const positive = { type: 'number', min: 0 };
+// A relay that can't answer within a second gets no chance at all below that
+const timeout = { type: 'integer', min: 1000 };
+const patternList = { type: 'patterns' };
+
+const SCHEMA = {
+  authorPubkey: hex64,
+  agentPubkey: hex64,
+  relays: { type: 'relays' },
+  trendingRelay: { type: 'relay' },
+  minAgeSeconds: count,
+  lookbackSeconds: count,
+  minContentLength: count,
+  queryTimeoutMs: timeout,
+  fetchTimeoutMs: timeout,
+  thresholds: { x: positive, linkedin: positive, bluesky: positive },
+  dailyCaps: { x: count, linkedin: count, bluesky: count },
+  outbox: {
+    enabled: { type: 'boolean' },
+    ttlSeconds: count,
+    maxRelays: { type: 'integer', min: 1 },
+    interactorSample: count,
+    indexerRelays: { type: 'relayList' },
+  },
+  scoring: {
+    mode: { type: 'enum', values: ['linear', 'velocity'] },
+    velocityWindowHours: { type: 'number', min: 0.1 },
+    decayHalfLifeHours: { type: 'number', min: 0.1, nullable: true },
+  },
+  zapScoring: {
+    curve: { type: 'enum', values: ['flat', 'linear', 'sqrt', 'log'] },
+    basis: { type: 'enum', values: ['per-zap', 'total'] },
+    weight: positive,
+    unitSats: { type: 'number', min: 1 },
+  },
+  trustWeights: {
+    enabled: { type: 'boolean' },
+    noProfile: { type: 'number', min: 0, max: 1 },
+    noFollowers: { type: 'number', min: 0, max: 1 },
+  },
+  editPolicy: {
+    linkedin: { type: 'enum', values: ['update', 'replace', 'ignore'] },
+    x: { type: 'enum', values: ['reply', 'replace', 'ignore'] },
+    bluesky: { type: 'enum', values: ['replace', 'ignore'] },
+  },
+  quotes: {
+    mode: { type: 'enum', values: ['skip', 'inline'] },
+    quoteTweet: { type: 'boolean' },
+  },
+  selfThreads: {
+    enabled: { type: 'boolean' },
+    windowSeconds: { type: 'integer', min: 60 },
+  },
+  xThreads: {
+    numbering: { type: 'enum', values: ['none', '1/', '(1/n)', '🧵'] },
+    maxTweets: { type: 'integer', min: 1 },
+    articles: { type: 'enum', values: ['teaser', 'thread'] },
+  },
+  linkedinArticles: { boldHeadings: { type: 'boolean' }, asDocument: { type: 'boolean' } },
+  readerUrl: { type: 'url', nullable: true },
+  patterns: {
+    blocklist: patternList,
+    skip: patternList,
+    xWorthy: patternList,
+    linkedin: patternList,
+    casualTone: patternList,
+  },
+  stateFile: { type: 'path' },
+  draftsDir: { type: 'path' },
+  credentials: {
+    x: { type: 'path', nullable: true },
+    linkedin: { type: 'path', nullable: true },
+    bluesky: { type: 'path', nullable: true },
+  },
+  handlesFile: { type: 'path', nullable: true },
+};
+
+// Which author (and agent) a profile posts for
+const IDENTITY_KEYS = ['authorPubkey', 'agentPubkey'];
+
+// Environment overrides: variable → [config path, parser]
+const ENV_OVERRIDES = {
+  CROSSPOST_AUTHOR_PUBKEY: ['authorPubkey', String],
+  CROSSPOST_AGENT_PUBKEY: ['agentPubkey', String],
+  CROSSPOST_RELAYS: ['relays', (v) => v.split(',').map(s => s.trim()).filter(Boolean)],
+  CROSSPOST_LOOKBACK_SECONDS: ['lookbackSeconds', Number],
+  CROSSPOST_MIN_AGE_SECONDS: ['minAgeSeconds', Number],
+  CROSSPOST_THRESHOLD_X: ['thresholds.x', Number],
+  CROSSPOST_THRESHOLD_LINKEDIN: ['thresholds.linkedin', Number],
+  CROSSPOST_THRESHOLD_BLUESKY: ['thresholds.bluesky', Number],
+  CROSSPOST_DAILY_CAP_X: ['dailyCaps.x', Number],
+  CROSSPOST_DAILY_CAP_LINKEDIN: ['dailyCaps.linkedin', Number],
+  CROSSPOST_DAILY_CAP_BLUESKY: ['dailyCaps.bluesky', Number],
+  CROSSPOST_SCORING_MODE: ['scoring.mode', String],
+  CROSSPOST_STATE_FILE: ['stateFile', (v) => resolvePath(v, process.cwd())],
+  CROSSPOST_DRAFTS_DIR: ['draftsDir', (v) => resolvePath(v, process.cwd())],
+};
+
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid config (${source}):\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// --- Loading ---
+
+/**
+ * Load the effective configuration.
+ * @param {object} options - { path?: string, env?: object } — path from --config
+ * @returns {{ config: object, sources: string[] }} config.profiles holds each profile's
+ *   full settings (shared settings and env overrides, then its own, plus `name`); sources lists what was applied, in order
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const explicit = options.path || env.CROSSPOST_CONFIG;
+  const path = explicit ? resolve(explicit) : (existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+
+  const config = structuredClone(DEFAULTS);
+  const sources = ['defaults'];
+  const problems = [];
+  let profiles;
+
+  const envOverrides = [];
+  for (const [name, [key, parse]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    envOverrides.push({ name, key, value: parse(env[name]) });
+  }
+
+  if (path) {
+    let file;
+    try {
+      file = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      throw new ConfigError(path, [err.code === 'ENOENT' ? 'file not found' : `not valid JSON: ${err.message}`]);
+    }
+    if (!isPlainObject(file)) throw new ConfigError(path, ['top level must be an object']);
+    const { profiles: listed, ...shared } = file;
+    merge(config, shared, SCHEMA, '', problems, dirname(path));
+    profiles = listed;
+    sources.push(path);
+  }
+
+  for (const { name, key, value } of envOverrides) {
+    setPath(config, key, value);
+    sources.push(name);
+  }
+
+  // One author or agent key for every profile would post the same notes from each account
+  if (Array.isArray(profiles) && profiles.length > 1) {
+    for (const { name } of envOverrides.filter(o => IDENTITY_KEYS.includes(o.key))) {
+      problems.push(`${name}: can't apply to several profiles — set authorPubkey/agentPubkey in each profile instead`);
+    }
+  }
+
+  validate(config, SCHEMA, '', problems);
+  config.profiles = profiles === undefined
+    ? [{ name: 'default', ...structuredClone(config) }]
+    : resolveProfiles(config, profiles, problems, path && dirname(path));
+
+  if (problems.length) throw new ConfigError(sources.slice(1).join(', ') || 'defaults', problems);
+  return { config, sources };
+}
+
+/**
+ * Build each listed profile on top of the shared settings (env overrides included).
+ * Profiles that don't name their own state file or drafts directory get one derived
+ * from their name, so two authors never share state or drafts.
+ */
+function resolveProfiles(shared, list, problems, baseDir) {
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push('profiles: must be a non-empty list');
+    return [];
+  }
+
+  const profiles = [];
+  list.forEach((entry, i) => {
+    const label = `profiles[${i}]`;
+    if (!isPlainObject(entry)) {
+      problems.push(`${label}: must be an object`);
+      return;
+    }
+    const { name, ...overrides } = entry;
+    if (typeof name !== 'string' || !PROFILE_NAME_RE.test(name)) {
+      problems.push(`${label}.name: must be letters, digits, - or _ (got ${describe(name)})`);
+      return;
+    }
+    if (profiles.some(p => p.name === name)) {
+      problems.push(`${label}.name: duplicate profile "${name}"`);
+      return;
+    }
+
+    const profile = { name, ...structuredClone(shared) };
+    profile.stateFile = shared.stateFile.replace(/(\.json)?$/, `-${name}.json`);
+    profile.draftsDir = join(shared.draftsDir, name);
+    const prefix = `profiles.${name}.`;
+    merge(profile, overrides, SCHEMA, prefix, problems, baseDir);
+    validate(profile, SCHEMA, prefix, problems);
+    profiles.push(profile);
+  });
+
+  for (const key of ['stateFile', 'draftsDir']) {
+    const seen = new Map();
+    for (const profile of profiles) {
+      if (seen.has(profile[key])) {
+        problems.push(`profiles.${profile.name}.${key}: same as profile "${seen.get(profile[key])}" (${profile[key]})`);
+      }
+      seen.set(profile[key], profile.name);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Render a config as JSON, regexes written back as "/pattern/flags".
+ */
+export function printableConfig(config) {
+  return JSON.stringify(config, (_, value) => value instanceof RegExp ? value.toString() : value, 2);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+function isLeaf(schema) {
+  return typeof schema.type === 'string';
+}
+
+/**
+ * Overlay a parsed config file onto the defaults, compiling regexes and
+ * resolving relative paths against the config file's directory.
+ */
+function merge(target, source, schema, prefix, problems, baseDir) {
+  for (const [key, value] of Object.entries(source)) {
+    const path = prefix + key;
+    const rule = schema[key];
+    if (!rule) {
+      problems.push(`${path}: unknown key`);
+      continue;
+    }
+    if (!isLeaf(rule)) {
+      if (!isPlainObject(value)) {
+        problems.push(`${path}: must be an object`);
+        continue;
+      }
+      merge(target[key], value, rule, `${path}.`, problems, baseDir);
+      continue;
+    }
+    if (rule.type === 'patterns' && Array.isArray(value)) {
+      target[key] = value.map((p, i) => compilePattern(p, `${path}[${i}]`, problems));
+    } else if (rule.type === 'path' && typeof value === 'string') {
+      target[key] = resolvePath(value, baseDir);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+function resolvePath(value, baseDir) {
+  if (value === '~' || value.startsWith('~/')) return join(homedir(), value.slice(1));
+  return isAbsolute(value) ? value : resolve(baseDir, value);
+}
+
+function compilePattern(pattern, path, problems) {
+  if (typeof pattern !== 'string') {
+    problems.push(`${path}: must be a "/pattern/flags" string`);
+    return pattern;
+  }
+  const literal = pattern.match(/^\/(.*)\/([dgimsuvy]*)$/s);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+  } catch (err) {
+    problems.push(`${path}: ${err.message}`);
+    return pattern;
+  }
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  for (const key of keys) target = target[key];
+  target[last] = value;
+}
+
+function validate(config, schema, prefix, problems) {
+  for (const [key, rule] of Object.entries(schema)) {
+    const path = prefix + key;
+    const value = config[key];
+    if (!isLeaf(rule)) {
+      if (isPlainObject(value)) validate(value, rule, `${path}.`, problems);
+      continue;
+    }
+    // Already reported while merging the file (e.g. a regex that didn't compile)
+    if (problems.some(p => p.startsWith(`${path}[`))) continue;
+    const problem = checkValue(value, rule);
+    if (problem) problems.push(`${path}: ${problem} (got ${describe(value)})`);
+  }
+}
+
+function checkValue(value, rule) {
+  if (value === null && rule.nullable) return null;
+  switch (rule.type) {
+    case 'hex64':
+      return /^[0-9a-f]{64}$/.test(value) ? null : 'must be a 64-char lowercase hex pubkey';
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'relay':
+      return isRelayUrl(value) ? null : 'must be a ws:// or wss:// URL';
+    case 'relays':
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of relay URLs';
+      return value.every(isRelayUrl) ? null : 'every entry must be a ws:// or wss:// URL';
+    case 'relayList':
+      if (!Array.isArray(value)) return 'must be a list of relay URLs';
+      return value.every(isRelayUrl) ? null : 'every entry must be a ws:// or wss:// URL';
+    case 'patterns':
+      if (!Array.isArray(value)) return 'must be a list of "/pattern/flags" strings';
+      return value.every(p => p instanceof RegExp) ? null : 'contains entries that are not valid regexes';
+    case 'path':
+      return typeof value === 'string' && value.length > 0 ? null : 'must be a file path';
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value) ? null : 'must be an http(s) URL';
+    default:
+      return `unknown schema type ${rule.type}`;
+  }
+}
+
+function isRelayUrl(value) {
+  return typeof value === 'string' && /^wss?:\/\/[^\s/]+/.test(value);
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return `a list of ${value.length}`;
+  // JSON would show NaN (e.g. a non-numeric env value) as null
+  if (typeof value === 'number') return String(value);
+  if (value instanceof RegExp) return value.toString();
+  return JSON.stringify(value);
+}
@@ -2,28 +2,66 @@
 
 import { decode } from '../lib/decoder.mjs';
 import { fetchEvent } from '../lib/fetcher.mjs';
-import { format } from '../lib/formatter.mjs';
-import { publish } from '../lib/linkedin.mjs';
+import { resolveMentions } from '../lib/mentions.mjs';
+import { fetchQuotes, quoteMentionText } from '../lib/quotes.mjs';
+import { fetchThread, threadContent } from '../lib/threads.mjs';
+import { format, attachImages, attachDocument, contentType } from '../lib/formatter.mjs';
+import { publish, uploadImage, uploadDocument } from '../lib/linkedin.mjs';
+import { extractMedia, resolveMedia } from '../lib/media.mjs';
+import { articleToPdf } from '../lib/pdf.mjs';
 import { getPersonUrn, setupAuth } from '../lib/token.mjs';
 
 const USAGE = `Usage: linkedin-post <nostr-identifier> [options]
 
-  nostr-identifier    nevent1... or naddr1... string
+  nostr-identifier    nevent1, naddr1, note1, npub1 or nprofile1 string,
+                      a nostr: URI, or a 64-char hex event id
+                      (npub/nprofile post the author's most recent note)
 
 Options:
   --dry-run     Show what would be posted without publishing
+  --quotes      Add quoted notes (nostr:note1/nevent1) as indented excerpts
+                with attribution
+  --thread      Include the author's own replies continuing the note (a self-thread)
+                as one combined post
+  --thread-window <seconds>
+                How long after the note self-replies still count (default 21600)
+  --bold-headings
+                Set long-form article headings in Unicode bold instead of
+                UPPERCASE (screen readers spell bold letters out one by one)
+  --link <url>  Page to link a long-form article's card to (e.g. the post on a
+                web reader); without it the header image is posted instead
+  --images <url,url,...>
+                Post these images (up to 20) instead of the ones in the note
+  --as-document [file.pdf|url]
+                Post as a document (PDF carousel): the given PDF, or for a
+                long-form article a PDF rendered from it
   --verbose     Show intermediate steps
+  --json        Print the result (post URN, URL, image URNs) as JSON on stdout;
+                progress messages go to stderr
   --auth        Run OAuth setup flow (interactive)
-  --help        Show this help message`;
+  --help        Show this help message
+
+Environment:
+  NOSTR_HANDLES_FILE  JSON table of npub → { "x": "@handle", "linkedin": "urn:li:person:…" }
+                      used to turn nostr: mentions into mention annotations`;
 
 function parseArgs(argv) {
   const args = argv.slice(2);
-  const flags = { dryRun: false, verbose: false, auth: false, help: false };
+  const flags = { dryRun: false, quotes: false, thread: false, threadWindow: undefined, boldHeadings: false, link: undefined, images: undefined, asDocument: undefined, verbose: false, json: false, auth: false, help: false };
   let identifier = null;
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--dry-run') flags.dryRun = true;
+    else if (arg === '--thread') flags.thread = true;
+    else if (arg === '--bold-headings') flags.boldHeadings = true;
+    else if (arg === '--thread-window' && /^\d+$/.test(args[i + 1] || '')) flags.threadWindow = Number(args[++i]);
+    else if (arg === '--link' && /^https?:\/\//.test(args[i + 1] || '')) flags.link = args[++i];
+    else if (arg === '--images' && args[i + 1] && !args[i + 1].startsWith('--')) flags.images = args[++i].split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg === '--as-document') flags.asDocument = /\.pdf$|^https?:\/\//i.test(args[i + 1] || '') ? args[++i] : true;
+    else if (arg === '--quotes') flags.quotes = true;
     else if (arg === '--verbose') flags.verbose = true;
+    else if (arg === '--json') flags.json = true;
     else if (arg === '--auth') flags.auth = true;
     else if (arg === '--help' || arg === '-h') flags.help = true;
     else if (!arg.startsWith('--')) identifier = arg;
@@ -38,7 +76,9 @@ function parseArgs(argv) {
 }
 
 async function main() {
-  const { identifier, dryRun, verbose, auth, help } = parseArgs(process.argv);
+  const { identifier, dryRun, quotes: inlineQuotes, thread: selfThread, threadWindow, boldHeadings, link, images: imageList, asDocument, verbose, json, auth, help } = parseArgs(process.argv);
+  // With --json, stdout carries only the result object
+  const log = json ? console.error : console.log;
 
   if (help) {
     console.log(USAGE);
@@ -58,16 +98,10 @@ async function main() {
     process.exit(1);
   }
 
-  // Validate identifier prefix
-  if (!identifier.startsWith('nevent1') && !identifier.startsWith('naddr1')) {
-    console.error('Error: Identifier must start with nevent1 or naddr1');
-    process.exit(1);
-  }
-
-  if (verbose) console.log(`Decoding ${identifier}...`);
+  if (verbose) log(`Decoding ${identifier}...`);
   const decoded = await decode(identifier);
 
-  if (verbose) console.log('Fetching event from relays...');
+  if (verbose) log('Fetching event from relays...');
   const nostrEvent = await fetchEvent(decoded);
 
   // Validate kind
@@ -75,9 +109,43 @@ async function main() {
     console.error(`Error: Unsupported event kind ${nostrEvent.kind}. Only kind 1 (note) and kind 30023 (long-form) are supported.`);
     process.exit(1);
   }
+  if (asDocument === true && nostrEvent.kind !== 30023) {
+    console.error('Error: --as-document needs a PDF file or URL for a kind 1 note (only long-form articles are rendered).');
+    process.exit(1);
+  }
+
+  let thread = [nostrEvent];
+  if (selfThread && nostrEvent.kind === 1) {
+    if (verbose) log('Fetching self-replies...');
+    thread = await fetchThread(nostrEvent, { windowSeconds: threadWindow, relays: decoded.relays });
+    if (verbose) log(`  Self-thread of ${thread.length} note(s)`);
+  }
+  const content = threadContent(thread);
+  const threadIds = thread.length > 1 ? { threadEventIds: thread.map(e => e.id) } : {};
+
+  let quotes = [];
+  if (inlineQuotes && nostrEvent.kind === 1) {
+    if (verbose) log('Fetching quoted notes...');
+    quotes = await fetchQuotes(content);
+    for (const q of quotes.filter(q => q.error)) console.error(`  Warning: quoted note ${q.ref.slice(0, 24)}... unavailable: ${q.error}`);
+  }
+
+  if (verbose) log('Resolving mentioned profiles...');
+  const mentions = await resolveMentions(`${content}\n${quoteMentionText(quotes)}`);
+
+  let media;
+  if (nostrEvent.kind === 1) {
+    if (verbose) log('Checking media (kind 1063 files, untyped URLs)...');
+    media = await resolveMedia(content, thread, { quotes });
+  }
 
-  if (verbose) console.log(`Event kind ${nostrEvent.kind} — formatting for LinkedIn...`);
-  const { payload, images } = format(nostrEvent, identifier);
+  if (verbose) log(`Event kind ${nostrEvent.kind} — formatting for LinkedIn...`);
+  const formatted = format(nostrEvent, identifier, { mentions, quotes, thread, boldHeadings, link, media });
+  const { payload } = formatted;
+  const images = asDocument ? []
+    : imageList ? imageList.map(url => extractMedia(url, thread)[0] || { url, type: 'image' })
+    : formatted.images;
+  const documentTitle = nostrEvent.tags.find(t => t[0] === 'title')?.[1] || payload.commentary.split('\n')[0];
 
   // Set author URN (skip in dry-run if not authenticated)
   if (dryRun) {
@@ -92,18 +160,65 @@ async function main() {
     payload.author = personUrn;
   }
 
+  if (dryRun && json) {
+    console.log(JSON.stringify({ platform: 'linkedin', dryRun: true, eventId: nostrEvent.id, ...threadIds, payload, images, ...(asDocument && { document: asDocument === true ? 'article.pdf' : asDocument }) }));
+    return;
+  }
+
   if (dryRun) {
     console.log('\n--- DRY RUN (would post to LinkedIn) ---\n');
     console.log(JSON.stringify(payload, null, 2));
+    if (images.length > 0) console.log(`\nImages: ${images.map(image => image.alt ? `${image.url} (alt: ${image.alt})` : image.url).join(', ')}`);
+    if (asDocument) console.log(`\nDocument: ${asDocument === true ? `PDF rendered from the article (${articleToPdf(nostrEvent, { mentions }).length} bytes)` : asDocument} — "${documentTitle}"`);
     return;
   }
 
-  if (verbose) console.log('Publishing to LinkedIn...');
+  // Upload images if any
+  const imageUrns = [];
+  const uploaded = [];
+  if (images.length > 0) {
+    if (verbose) log(`Uploading ${images.length} image(s)...`);
+    for (const image of images.slice(0, 20)) { // LinkedIn allows max 20 images
+      try {
+        const imageUrn = await uploadImage(image.url);
+        imageUrns.push(imageUrn);
+        uploaded.push(image.alt ? { id: imageUrn, altText: image.alt } : imageUrn);
+        if (verbose) log(`  Uploaded: ${imageUrn}`);
+      } catch (err) {
+        console.error(`  Warning: Failed to upload image ${image.url}: ${err.message}`);
+      }
+    }
+  }
+  attachImages(payload, uploaded);
+
+  let documentUrn;
+  if (asDocument) {
+    if (verbose) log('Uploading document...');
+    documentUrn = await uploadDocument(asDocument === true ? articleToPdf(nostrEvent, { mentions }) : asDocument);
+    if (verbose) log(`  Uploaded: ${documentUrn}`);
+    attachDocument(payload, documentUrn, documentTitle);
+  }
+
+  if (verbose) log('Publishing to LinkedIn...');
   const result = await publish(payload);
 
-  const postId = result?.id?.replace('urn:li:share:', '') ?? result?.id ?? 'unknown';
+  if (json) {
+    console.log(JSON.stringify({
+      platform: 'linkedin',
+      eventId: nostrEvent.id,
+      ...threadIds,
+      postId: result.postId,
+      url: result.url,
+      contentType: contentType(payload),
+      imageUrns,
+      ...(documentUrn && { documentUrn }),
+      postedAt: Math.floor(Date.now() / 1000),
+    }));
+    return;
+  }
+
   console.log(`✅ Published to LinkedIn!`);
-  console.log(`   https://www.linkedin.com/feed/update/${result.id ?? postId}`);
+  console.log(`   ${result.url || 'https://www.linkedin.com/feed/update/unknown'}`);
 }
 
 main().catch((err) => {
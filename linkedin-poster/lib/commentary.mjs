@@ -0,0 +1,120 @@
+/**
+ * Markdown → LinkedIn commentary, for long-form articles.
+ *
+ * LinkedIn shows plain text, so structure has to survive without markup:
+ *   - headings become their own emphasized line: UPPERCASE (h1/h2) or "▸ " (deeper),
+ *     or Unicode bold with `boldHeadings` (screen readers spell those out letter by letter,
+ *     hence opt-in)
+ *   - lists keep their bullets and nesting; ordered lists are renumbered 1, 2, 3…
+ *   - code blocks become indented snippets, block quotes "▎ " lines
+ *   - links become "label [n]" with the URLs listed as footnotes at the end
+ *   - table rows become "Header: value · Header: value" lines
+ * Truncation keeps whole sections and blocks, in order, until maxChars runs out.
+ */
+
+import { parseMarkdown, inlineText } from './markdown.mjs';
+import { stripNostrArtifacts } from './mentions.mjs';
+
+const INDENT = '   ';
+const CODE_INDENT = '    ';
+const MIN_PARTIAL_CHARS = 200;
+
+/**
+ * Render markdown as LinkedIn commentary.
+ * @param {string} markdown
+ * @param {object} options - { maxChars?: number, boldHeadings?: boolean, mentions?: Map }
+ * @returns {string}
+ */
+export function renderMarkdown(markdown, options = {}) {
+  const maxChars = options.maxChars ?? Infinity;
+  const links = [];
+  const plain = (text) => stripNostrArtifacts(inlineText(text, {
+    link: (label, url) => {
+      if (label === url) return url;
+      const n = links.includes(url) ? links.indexOf(url) + 1 : links.push(url);
+      return `${label} [${n}]`;
+    },
+  }), { mentions: options.mentions, platform: 'linkedin' });
+
+  const rendered = parseMarkdown(markdown)
+    .map(block => ({ heading: block.type === 'heading', text: renderBlock(block, plain, options) }))
+    .filter(block => block.text);
+
+  // Footnotes for the links the kept text still refers to
+  const withFootnotes = (text) => {
+    const notes = links
+      .map((url, i) => `[${i + 1}] ${url}`)
+      .filter((_, i) => text.includes(`[${i + 1}]`));
+    return notes.length > 0 ? `${text}\n\n${notes.join('\n')}` : text;
+  };
+
+  const join = (blocks) => blocks.map(b => b.text).join('\n\n');
+  const kept = [];
+  for (const block of rendered) {
+    if (withFootnotes(join([...kept, block])).length <= maxChars) {
+      kept.push(block);
+      continue;
+    }
+    // Out of room: end on part of this block if a useful part fits, never on a bare heading
+    const room = maxChars - withFootnotes(join(kept)).length - (kept.length > 0 ? 2 : 0);
+    if (!block.heading && room >= MIN_PARTIAL_CHARS) kept.push({ text: truncate(block.text, room) });
+    else if (kept[kept.length - 1]?.heading) kept.pop();
+    break;
+  }
+
+  const text = join(kept);
+  const result = withFootnotes(text);
+  return result.length <= maxChars ? result : truncate(text, maxChars);
+}
+
+function renderBlock(block, plain, options) {
+  switch (block.type) {
+    case 'heading': {
+      const text = plain(block.text);
+      if (options.boldHeadings) return block.level <= 2 ? toBold(text) : `▸ ${toBold(text)}`;
+      return block.level <= 2 ? text.toUpperCase() : `▸ ${text}`;
+    }
+    case 'paragraph':
+      return plain(block.text);
+    case 'quote':
+      return `▎ ${plain(block.text)}`;
+    case 'list': {
+      const counters = [];
+      return block.items.map(item => {
+        counters.length = item.depth + 1;
+        counters[item.depth] = (counters[item.depth] || 0) + 1;
+        const marker = item.ordered ? `${counters[item.depth]}.` : item.depth === 0 ? '•' : '◦';
+        return `${INDENT.repeat(item.depth)}${marker} ${plain(item.text)}`;
+      }).join('\n');
+    }
+    case 'code':
+      return block.text.split('\n').map(line => line.trimEnd() ? CODE_INDENT + line.trimEnd() : '').join('\n').replace(/^\n+|\n+$/g, '');
+    case 'table': {
+      const [header, ...rows] = block.rows.map(row => row.map(plain));
+      if (rows.length === 0) return header.join(' · ');
+      return rows
+        .map(row => row.map((cell, i) => (header[i] ? `${header[i]}: ${cell}` : cell)).filter(Boolean).join(' · '))
+        .join('\n');
+    }
+    default:
+      return ''; // images travel as the post's media
+  }
+}
+
+// Cut at a line or word boundary, keeping at least half the room
+function truncate(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars - 3);
+  const lastBreak = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+  return (lastBreak > maxChars * 0.5 ? cut.slice(0, lastBreak) : cut).trimEnd() + '...';
+}
+
+// Mathematical Sans-Serif Bold letters and digits
+function toBold(text) {
+  return text.replace(/[A-Za-z0-9]/g, (c) => {
+    const code = c.charCodeAt(0);
+    if (c >= 'a') return String.fromCodePoint(0x1d5ee + code - 97);
+    if (c >= 'A') return String.fromCodePoint(0x1d5d4 + code - 65);
+    return String.fromCodePoint(0x1d7ec + code - 48);
+  });
+}
@@ -1,55 +1,68 @@
-import { execFile } from 'node:child_process';
-import { promisify } from 'node:util';
+import { decode as decodeNip19 } from './nip19.mjs';
 
-const execFileAsync = promisify(execFile);
-const NAK = '/usr/local/bin/nak';
+const HEX_ID_RE = /^[0-9a-f]{64}$/i;
+const SUPPORTED_PREFIXES = ['nevent1', 'naddr1', 'note1', 'npub1', 'nprofile1'];
 
 /**
- * Decode a Nostr nevent1.../naddr1... identifier using nak CLI.
- * @param {string} identifier - nevent1... or naddr1... string
- * @returns {Promise<{type: string, id?: string, kind?: number, pubkey?: string, identifier?: string, relays: string[]}>}
+ * Decode a Nostr identifier into a fetchable pointer.
+ *
+ * Accepts nevent1, naddr1, note1, npub1 and nprofile1 strings, `nostr:` URIs
+ * of any of those, and raw 64-char hex event ids.
+ *
+ * @param {string} identifier
+ * @returns {Promise<{type: string, id?: string, kind?: number, pubkey?: string, identifier?: string, author?: string, relays: string[]}>}
+ *   type is 'nevent' | 'note' | 'naddr' | 'npub' | 'nprofile'
  */
 export async function decode(identifier) {
   if (!identifier || typeof identifier !== 'string') {
     throw new Error('Invalid Nostr identifier: empty or not a string');
   }
 
-  const trimmed = identifier.trim();
-  let type;
-  if (trimmed.startsWith('nevent1')) type = 'nevent';
-  else if (trimmed.startsWith('naddr1')) type = 'naddr';
-  else throw new Error(`Invalid Nostr identifier: must start with nevent1 or naddr1, got "${trimmed.slice(0, 20)}..."`);
+  const trimmed = identifier.trim().replace(/^nostr:/i, '');
 
-  let stdout;
-  try {
-    ({ stdout } = await execFileAsync(NAK, ['decode', trimmed], { timeout: 10_000 }));
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      throw new Error('nak CLI not found. Install: go install github.com/fiatjaf/nak@latest');
-    }
-    throw new Error(`nak decode failed: ${err.stderr || err.message}`);
+  // Raw hex event id
+  if (HEX_ID_RE.test(trimmed)) {
+    return { type: 'note', id: trimmed.toLowerCase(), relays: [] };
+  }
+
+  if (!SUPPORTED_PREFIXES.some(p => trimmed.toLowerCase().startsWith(p))) {
+    throw new Error(
+      `Invalid Nostr identifier: must be a hex event id or start with ${SUPPORTED_PREFIXES.join(', ')}, got "${trimmed.slice(0, 20)}..."`
+    );
   }
 
   let parsed;
   try {
-    parsed = JSON.parse(stdout.trim());
-  } catch {
-    throw new Error(`Failed to parse nak decode output: ${stdout.trim()}`);
+    parsed = decodeNip19(trimmed);
+  } catch (err) {
+    throw new Error(`Invalid Nostr identifier: ${err.message}`);
   }
 
-  const relays = Array.isArray(parsed.relays) ? parsed.relays.filter(Boolean) : [];
+  const { type, data } = parsed;
+  const relays = Array.isArray(data.relays) ? data.relays.filter(Boolean) : [];
 
-  if (type === 'nevent') {
-    if (!parsed.id) throw new Error('nak decode returned nevent without id');
-    return { type, id: parsed.id, relays };
+  switch (type) {
+    case 'note':
+      return { type, id: data, relays };
+    case 'npub':
+      return { type, pubkey: data, relays };
+    case 'nprofile':
+      return { type, pubkey: data.pubkey, relays };
+    case 'nevent': {
+      const result = { type, id: data.id, relays };
+      if (data.author) result.author = data.author;
+      if (data.kind !== undefined) result.kind = data.kind;
+      return result;
+    }
+    case 'naddr':
+      return {
+        type,
+        kind: data.kind,
+        pubkey: data.pubkey,
+        identifier: data.identifier,
+        relays,
+      };
+    default:
+      throw new Error(`Invalid Nostr identifier: unsupported type "${type}"`);
   }
-
-  // naddr
-  return {
-    type,
-    kind: parsed.kind,
-    pubkey: parsed.pubkey,
-    identifier: parsed.identifier ?? parsed.d ?? '',
-    relays,
-  };
 }
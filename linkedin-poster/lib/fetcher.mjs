@@ -1,75 +1,88 @@
-import { execSync } from 'node:child_process';
+import { createPool, DEFAULT_RELAYS } from './relay.mjs';
+import { validateEvent } from './verify.mjs';
+import { mergeRelays, parseRelayList } from './outbox.mjs';
 
-const NAK = '/usr/local/bin/nak';
-
-const DEFAULT_RELAYS = [
-  'wss://relay.damus.io',
-  'wss://relay.primal.net',
-  'wss://nos.lol',
-  'wss://relay.ditto.pub',
-];
+const FETCH_TIMEOUT_MS = 15_000;
 
 /**
  * Fetch a Nostr event from relays based on a decoded identifier.
- * @param {{type: string, id?: string, kind?: number, pubkey?: string, identifier?: string, relays: string[]}} decoded
- * @returns {Promise<object>} Raw Nostr event JSON
+ *
+ * Every event is checked (id hash + Schnorr signature) before it is considered,
+ * and must be signed by the expected author: `options.author` if given, else
+ * the author/pubkey carried by the identifier itself.
+ *
+ * Looks on the identifier's relay hints plus DEFAULT_RELAYS first. When the
+ * author is known, their NIP-65 relay list is requested in the same round;
+ * their write relays are then searched too if the event wasn't found (or, for
+ * naddr, always — a newer version may only be on the author's own relays).
+ * If none of the first relays answer, that's the error, not "not found".
+ *
+ * @param {{type: string, id?: string, kind?: number, pubkey?: string, identifier?: string, author?: string, relays: string[]}} decoded
+ * @param {object} options - { pool?: RelayPool, timeout?: number, author?: string, relays?: string[] } —
+ *   pass a pool to reuse its connections; relays are extra places to look
+ * @returns {Promise<object>} Raw, verified Nostr event JSON
  */
-export async function fetchEvent(decoded) {
-  const relays = decoded.relays?.length ? decoded.relays : DEFAULT_RELAYS;
-  const relayArgs = relays.join(' ');
-
-  let stdout;
+export async function fetchEvent(decoded, options = {}) {
+  const hinted = mergeRelays([decoded.relays, options.relays, DEFAULT_RELAYS]);
 
-  if (decoded.type === 'nevent') {
-    const cmd = `${NAK} req --limit 1 -i ${decoded.id} ${relayArgs} 2>/dev/null`;
-    try {
-      stdout = execSync(cmd, { timeout: 30_000, encoding: 'utf-8' });
-    } catch (err) {
-      if (err.stdout?.trim()) {
-        stdout = err.stdout;
-      } else {
-        throw new Error(`nak req failed: ${err.message}`);
-      }
-    }
+  let filter;
+  if (decoded.type === 'nevent' || decoded.type === 'note') {
+    filter = { ids: [decoded.id], limit: 1 };
+  } else if (decoded.type === 'npub' || decoded.type === 'nprofile') {
+    // A profile pointer resolves to the author's most recent note
+    filter = { kinds: [1], authors: [decoded.pubkey], limit: 1 };
   } else if (decoded.type === 'naddr') {
-    const filter = JSON.stringify({
+    filter = {
       kinds: [decoded.kind],
       authors: [decoded.pubkey],
       '#d': [decoded.identifier],
-    });
-    const cmd = `echo '${filter.replace(/'/g, "'\\''")}' | ${NAK} req --limit 5 ${relayArgs} 2>/dev/null`;
-    try {
-      stdout = execSync(cmd, { timeout: 30_000, encoding: 'utf-8' });
-    } catch (err) {
-      if (err.stdout?.trim()) {
-        stdout = err.stdout;
-      } else {
-        throw new Error(`nak req failed for naddr: ${err.message}`);
-      }
-    }
+      limit: 5,
+    };
   } else {
     throw new Error(`Unknown decoded type: ${decoded.type}`);
   }
 
-  // nak req may return multiple lines (one event per line). Take the best one.
-  const lines = (stdout || '').trim().split('\n').filter(Boolean);
-  if (lines.length === 0) {
-    throw new Error('Event not found on any relay');
+  const author = options.author || decoded.author || decoded.pubkey;
+  const validate = (event) => validateEvent(event, { author });
+  const timeout = options.timeout ?? FETCH_TIMEOUT_MS;
+  const filters = author ? [filter, { kinds: [10002], authors: [author], limit: 1 }] : [filter];
+
+  const pool = options.pool || createPool();
+  const result = { events: [], errors: [], rejected: [] };
+  const collect = ({ events, errors, rejected }) => {
+    result.events.push(...events.filter(e => e.kind !== 10002));
+    result.errors.push(...errors);
+    result.rejected.push(...rejected);
+    return events.filter(e => e.kind === 10002);
+  };
+
+  try {
+    const relayLists = collect(await pool.query(hinted, filters, { timeout, validate, requireAnswer: true }));
+    const newest = relayLists.sort((a, b) => b.created_at - a.created_at)[0];
+    const outbox = parseRelayList(newest).write.filter(url => !hinted.includes(url));
+
+    if (outbox.length && (result.events.length === 0 || decoded.type === 'naddr')) {
+      collect(await pool.query(outbox, filter, { timeout, validate }));
+    }
+  } finally {
+    if (!options.pool) pool.close();
   }
 
   // For naddr, there may be multiple versions; pick the latest (highest created_at)
   let best = null;
-  for (const line of lines) {
-    try {
-      const event = JSON.parse(line);
-      if (!best || (event.created_at || 0) > (best.created_at || 0)) {
-        best = event;
-      }
-    } catch {
-      // skip unparseable lines
+  for (const event of result.events) {
+    if (!best || (event.created_at || 0) > (best.created_at || 0)) {
+      best = event;
     }
   }
 
-  if (!best) throw new Error('Event not found on any relay');
+  if (!best) {
+    if (result.rejected.length > 0) {
+      const detail = result.rejected.map(r => `${r.relay}: ${r.reason}`).join('; ');
+      throw new Error(`Event failed verification (${detail})`);
+    }
+    const detail = result.errors.map(e => `${e.relay}: ${e.message}`).join('; ');
+    throw new Error(`Event not found on any relay${detail ? ` (${detail})` : ''}`);
+  }
   return best;
 }
@@ -3,13 +3,17 @@
  * No Nostr fingerprints. Professional tone with relevant hashtags.
  */
 
+import { stripNostrArtifacts } from './mentions.mjs';
+import { renderQuote } from './quotes.mjs';
+import { threadContent } from './threads.mjs';
+import { parseMarkdown, inlineText, plainText } from './markdown.mjs';
+import { renderMarkdown } from './commentary.mjs';
+import { extractMedia, removeMedia } from './media.mjs';
+
 const MAX_CHARS = 3000;
-const IMAGE_RE = /https?:\/\/\S+\.(?:jpg|jpeg|png|gif|webp)(?:\?\S*)?/gi;
-const NOSTR_MENTION_RE = /nostr:npub1[a-z0-9]+/gi;
-const NOSTR_REF_RE = /nostr:(?:nevent1|naddr1|note1|nprofile1)[a-z0-9]+/gi;
-const NJUMP_RE = /https?:\/\/njump\.me\/\S+/gi;
-const NOSTR_ATTRIBUTION_RE = /(?:🟣\s*)?(?:originally )?posted (?:via|on) nostr\b[^\n]*/gi;
-const PURPLE_DOT_RE = /\n*🟣\s*/g;
+const MAX_IMAGES = 20;
+// A mention annotation (name, urn), or a hashtag (prefix, tag) — at least one letter, not mid-word or in a URL
+const LITTLE_TEXT_ANNOTATION_RE = /@\[([^\]]+)\]\((urn:li:(?:person|organization):[\w-]+)\)|(^|[^\p{L}\p{N}_&\/#])#((?=[\p{N}_]*\p{L})[\p{L}\p{N}_]+)/gu;
 
 // LinkedIn-appropriate hashtags by topic
 const LINKEDIN_HASHTAGS = {
@@ -30,15 +34,27 @@ const LINKEDIN_HASHTAGS = {
 
 /**
  * Format a Nostr event into a LinkedIn API payload — native LinkedIn feel.
+ * `options.mentions` (from resolveMentions) turns nostr: mentions into names / mention annotations;
+ * `options.quotes` (from fetchQuotes) are added to notes as excerpts with attribution;
+ * `options.thread` (from fetchThread) combines a self-thread into one post;
+ * `options.boldHeadings` sets article headings in Unicode bold;
+ * `options.link` (a reader URL for the article) turns a long-form post into an article card;
+ * `options.media` (from resolveMedia) types media URLs the text and tags alone don't.
+ * Returned `images` are Media (url, type, alt…); upload them and hand the URNs to attachImages().
+ * Videos aren't uploaded — they stay in the text as links.
  */
-export function format(event, originalIdentifier) {
+export function format(event, originalIdentifier, options = {}) {
   if (!event || typeof event !== 'object') {
     throw new Error('Invalid event');
   }
 
   const kind = event.kind;
-  if (kind === 1) return formatKind1(event);
-  if (kind === 30023) return formatKind30023(event);
+  if (kind === 1 && options.thread?.length > 1) {
+    const tags = options.thread.flatMap(e => e.tags || []);
+    return formatKind1({ ...event, content: threadContent(options.thread), tags }, options);
+  }
+  if (kind === 1) return formatKind1(event, options);
+  if (kind === 30023) return formatKind30023(event, options);
   throw new Error(`Only kind 1 and 30023 supported. Got kind ${kind}`);
 }
 
@@ -46,53 +62,42 @@ export function format(event, originalIdentifier) {
  * Format raw text for LinkedIn — strips Nostr artifacts, adds professional touch.
  * Can be called directly by the cross-post checker.
  */
-export function formatTextForLinkedIn(text) {
-  // Extract image URLs before stripping
-  const images = [...text.matchAll(IMAGE_RE)].map(m => m[0]);
-  if (images.length > 0) {
-    text = text.replace(images[0], '').trim();
-  }
+export function formatTextForLinkedIn(text, options = {}) {
+  // Extract images before stripping
+  const images = extractMedia(text).filter(m => m.type !== 'video');
+  text = removeMedia(text, images);
 
-  text = stripNostrArtifacts(text);
+  text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'linkedin' });
 
   // Add relevant LinkedIn hashtags
   const hashtags = selectLinkedInHashtags(text);
-  if (hashtags.length > 0) {
-    text = smartTruncate(text, MAX_CHARS - hashtags.join(' ').length - 2);
-    text += '\n\n' + hashtags.join(' ');
-  } else {
-    text = smartTruncate(text, MAX_CHARS);
-  }
-
-  const payload = makeBasePayload(text);
+  const tail = hashtags.length > 0 ? '\n\n' + hashtags.join(' ') : '';
+  const payload = makeBasePayload(fitLittleText(room => smartTruncate(text, room) + tail, MAX_CHARS - tail.length));
   return { payload, images };
 }
 
-function formatKind1(event) {
+function formatKind1(event, options) {
   let text = event.content || '';
 
-  // Extract image URLs before stripping
-  const images = [...text.matchAll(IMAGE_RE)].map(m => m[0]);
-  if (images.length > 0) {
-    text = text.replace(images[0], '').trim();
-  }
+  // Extract images before stripping — by imeta type, kind 1063 file, extension or sniffed type
+  const images = extractMedia(text, [event], options.media).filter(m => m.type !== 'video');
+  text = removeMedia(text, images);
+
+  text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'linkedin' });
 
-  text = stripNostrArtifacts(text);
+  // Quoted notes go under the commentary; the commentary gives way if space runs out
+  const quotes = (options.quotes || []).filter(q => q.event)
+    .map(q => renderQuote(q, 'linkedin', { mentions: options.mentions }));
+  const quoteBlock = quotes.length > 0 ? '\n\n' + quotes.join('\n\n') : '';
 
   // Add relevant LinkedIn hashtags
   const hashtags = selectLinkedInHashtags(text);
-  if (hashtags.length > 0) {
-    text = smartTruncate(text, MAX_CHARS - hashtags.join(' ').length - 2);
-    text += '\n\n' + hashtags.join(' ');
-  } else {
-    text = smartTruncate(text, MAX_CHARS);
-  }
-
-  const payload = makeBasePayload(text);
+  const tail = quoteBlock + (hashtags.length > 0 ? '\n\n' + hashtags.join(' ') : '');
+  const payload = makeBasePayload(fitLittleText(room => smartTruncate(text, room) + tail, MAX_CHARS - tail.length).trim());
   return { payload, images };
 }
 
-function formatKind30023(event) {
+function formatKind30023(event, options) {
   const tags = event.tags || [];
   const getTag = (name) => tags.find(t => t[0] === name)?.[1] || '';
 
@@ -101,51 +106,88 @@ function formatKind30023(event) {
   const image = getTag('image');
   const eventHashtags = tags.filter(t => t[0] === 't').map(t => `#${t[1]}`);
 
-  let commentaryText = stripMarkdown(event.content || '');
-  commentaryText = stripNostrArtifacts(commentaryText);
+  // The title goes first on its own; don't repeat a leading heading that says the same
+  let markdown = event.content || '';
+  const leading = parseMarkdown(markdown)[0];
+  if (title && leading?.type === 'heading' && inlineText(leading.text) === title) {
+    markdown = markdown.replace(/^\s*#{1,6}[^\n]*\n?/, '');
+  }
+  const articleText = plainText(markdown);
 
   // Build hashtags: event tags + auto-detected LinkedIn ones
-  const autoHashtags = selectLinkedInHashtags(commentaryText);
+  const autoHashtags = selectLinkedInHashtags(articleText);
   const allHashtags = [...new Set([...eventHashtags, ...autoHashtags])].slice(0, 5);
 
-  const reservedSpace = (allHashtags.length > 0 ? allHashtags.join(' ').length + 2 : 0) +
-    (title ? title.length + 2 : 0);
-  commentaryText = smartTruncate(commentaryText, MAX_CHARS - reservedSpace);
-
-  if (title) {
-    commentaryText = title + '\n\n' + commentaryText;
-  }
-  if (allHashtags.length > 0) {
-    commentaryText += '\n\n' + allHashtags.join(' ');
-  }
+  const head = title ? title + '\n\n' : '';
+  const tail = allHashtags.length > 0 ? '\n\n' + allHashtags.join(' ') : '';
+  const commentaryText = fitLittleText(room => head + renderMarkdown(markdown, {
+    maxChars: room,
+    boldHeadings: options.boldHeadings,
+    mentions: options.mentions,
+  }) + tail, MAX_CHARS - head.length - tail.length);
 
   const payload = makeBasePayload(commentaryText);
 
-  // Article content (no njump link)
-  if (title) {
+  // An article card needs a page to link to (options.link — never njump)
+  if (title && options.link) {
     payload.content = {
       article: {
+        source: options.link,
         title: title,
-        description: summary || smartTruncate(stripMarkdown(event.content || ''), 200),
+        description: summary || smartTruncate(stripNostrArtifacts(articleText), 200),
       },
     };
   }
 
-  const images = image ? [image] : [];
+  const images = image ? [extractMedia(image, [event])[0] || { url: image, type: 'image' }] : [];
   return { payload, images };
 }
 
 /**
- * Remove ALL Nostr fingerprints from text
+ * Attach uploaded images to a payload: the thumbnail of an article card, else a single
+ * image or a multi-image post (LinkedIn takes up to 20).
+ * @param {object} payload - from format() / formatTextForLinkedIn()
+ * @param {Array<string|{ id: string, altText?: string }>} images - image URNs (urn:li:image:…)
+ * @returns {object} the payload
+ */
+export function attachImages(payload, images) {
+  const media = images.slice(0, MAX_IMAGES).map(image => (typeof image === 'string' ? { id: image } : image));
+  if (media.length === 0) return payload;
+
+  if (payload.content?.article) {
+    payload.content.article.thumbnail = media[0].id;
+  } else if (media.length === 1) {
+    payload.content = { media: media[0] };
+  } else {
+    payload.content = { multiImage: { images: media } };
+  }
+  return payload;
+}
+
+/**
+ * Make the payload a document (PDF carousel) post. The document replaces any
+ * article card or images — a post carries one kind of content.
+ * @param {object} payload
+ * @param {string} documentUrn - urn:li:document:…
+ * @param {string} title - shown above the carousel
+ * @returns {object} the payload
+ */
+export function attachDocument(payload, documentUrn, title) {
+  payload.content = { media: { title: title.slice(0, 200) || 'Document', id: documentUrn } };
+  return payload;
+}
+
+/**
+ * What kind of post a payload makes: 'article', 'document', 'image', 'multiImage' or 'text'.
+ * @param {object} payload
+ * @returns {string}
  */
-function stripNostrArtifacts(text) {
-  text = text.replace(NJUMP_RE, '').trim();
-  text = text.replace(NOSTR_ATTRIBUTION_RE, '').trim();
-  text = text.replace(PURPLE_DOT_RE, '').trim();
-  text = text.replace(NOSTR_MENTION_RE, '').trim();
-  text = text.replace(NOSTR_REF_RE, '').trim();
-  text = text.replace(/\n{3,}/g, '\n\n').replace(/ {2,}/g, ' ').trim();
-  return text;
+export function contentType(payload) {
+  if (payload.content?.article) return 'article';
+  if (payload.content?.media?.id?.startsWith('urn:li:document:')) return 'document';
+  if (payload.content?.media) return 'image';
+  if (payload.content?.multiImage) return 'multiImage';
+  return 'text';
 }
 
 /**
@@ -172,10 +214,36 @@ function selectLinkedInHashtags(text) {
   return [...selected];
 }
 
+/**
+ * Commentary text → LinkedIn "little text". The Posts API reads `| { } @ [ ] ( ) < > # \ * _ ~`
+ * as markup, so every one of them is backslash-escaped, except in the annotations we mean:
+ *   - mentions rendered by renderMention, `@[Name](urn:li:person:…)`, stay mentions
+ *   - #hashtags become `{hashtag|\#|tag}`
+ * @param {string} text - plain commentary
+ * @returns {string}
+ */
+export function toLittleText(text) {
+  let out = '';
+  let last = 0;
+  for (const match of text.matchAll(LITTLE_TEXT_ANNOTATION_RE)) {
+    const [whole, name, urn, prefix, tag] = match;
+    out += escapeLittleText(text.slice(last, match.index));
+    out += urn
+      ? `@[${escapeLittleText(name)}](${urn})`
+      : `${escapeLittleText(prefix)}{hashtag|\\#|${escapeLittleText(tag)}}`;
+    last = match.index + whole.length;
+  }
+  return out + escapeLittleText(text.slice(last));
+}
+
+function escapeLittleText(text) {
+  return text.replace(/[|{}@[\]()<>#\\*_~]/g, '\\$&');
+}
+
 function makeBasePayload(commentary) {
   return {
     author: 'urn:li:person:{URN}',
-    commentary,
+    commentary: toLittleText(commentary),
     visibility: 'PUBLIC',
     distribution: {
       feedDistribution: 'MAIN_FEED',
@@ -187,25 +255,27 @@ function makeBasePayload(commentary) {
   };
 }
 
+/**
+ * Build commentary that fits MAX_CHARS as LinkedIn counts it: after toLittleText, where
+ * each reserved character costs two. `render(room)` gives the text with `room` characters
+ * for its truncatable part; the largest room whose escaped text fits is used.
+ */
+function fitLittleText(render, room) {
+  const fits = (r) => toLittleText(render(r)).length <= MAX_CHARS;
+  if (fits(room)) return render(room);
+  let low = 3;
+  let high = room;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (fits(mid)) low = mid;
+    else high = mid;
+  }
+  return render(low);
+}
+
 function smartTruncate(text, maxLen) {
   if (text.length <= maxLen) return text;
   const truncated = text.slice(0, maxLen - 3);
   const lastSpace = truncated.lastIndexOf(' ');
   return (lastSpace > maxLen * 0.5 ? truncated.slice(0, lastSpace) : truncated) + '...';
 }
-
-function stripMarkdown(md) {
-  return md
-    .replace(/^#{1,6}\s+/gm, '')
-    .replace(/\*\*(.+?)\*\*/g, '$1')
-    .replace(/\*(.+?)\*/g, '$1')
-    .replace(/_(.+?)_/g, '$1')
-    .replace(/`(.+?)`/g, '$1')
-    .replace(/```[\s\S]*?```/g, '')
-    .replace(/!\[.*?\]\(.*?\)/g, '')
-    .replace(/\[(.+?)\]\((.+?)\)/g, '$1 ($2)')
-    .replace(/^\s*[-*+]\s+/gm, '• ')
-    .replace(/^\s*>\s+/gm, '')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
-}
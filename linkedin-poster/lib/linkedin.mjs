@@ -2,7 +2,8 @@
  * LinkedIn API Client
  *
  * Publishes posts and fetches user info via LinkedIn REST API.
- * Supports text posts, article posts, and image uploads.
+ * Supports text, article, image, multi-image and document posts, image and document
+ * uploads, edits, and deletions.
  */
 
 import { getAccessToken, getPersonUrn } from './token.mjs';
@@ -10,6 +11,8 @@ import { readFile } from 'node:fs/promises';
 
 const LINKEDIN_VERSION = '202501';
 const RESTLI_VERSION = '2.0.0';
+const DOCUMENT_TIMEOUT_MS = 60_000;
+const DOCUMENT_POLL_MS = 2_000;
 
 async function apiHeaders() {
   const token = await getAccessToken();
@@ -96,42 +99,89 @@ export async function uploadImage(imageUrl) {
 }
 
 /**
- * Publish a post to LinkedIn.
- * @param {object} payload - LinkedIn post payload (must include author, commentary, etc.)
- * @returns {{ postId: string, url: string }}
+ * Upload a document (PDF, PPTX or DOCX — shown as a swipeable carousel) through the
+ * Documents API, and wait until LinkedIn has processed it.
+ * @param {Buffer|string} source - file contents, a local path or a URL
+ * @param {object} options - { timeout?: number } ms to wait for processing (default 60s)
+ * @returns {string} Document URN (urn:li:document:...)
  */
-export async function publish(payload) {
-  const token = await getAccessToken();
+export async function uploadDocument(source, options = {}) {
+  const headers = await apiHeaders();
   const personUrn = await getPersonUrn();
 
-  // Convert from /rest/posts format to /v2/ugcPosts format if needed
-  let ugcPayload;
-  if (payload.specificContent) {
-    // Already in ugcPosts format
-    ugcPayload = payload;
-  } else {
-    // Convert from posts API format
-    ugcPayload = {
-      author: personUrn,
-      lifecycleState: 'PUBLISHED',
-      specificContent: {
-        'com.linkedin.ugc.ShareContent': {
-          shareCommentary: { text: payload.commentary || payload.text || '' },
-          shareMediaCategory: 'NONE',
-        },
-      },
-      visibility: { 'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC' },
-    };
+  // Step 1: Read the document
+  let documentBuffer = source;
+  if (typeof source === 'string' && /^https?:\/\//.test(source)) {
+    const docRes = await fetch(source);
+    if (!docRes.ok) {
+      throw new Error(`Failed to download document from ${source}: ${docRes.status}`);
+    }
+    documentBuffer = Buffer.from(await docRes.arrayBuffer());
+  } else if (typeof source === 'string') {
+    documentBuffer = await readFile(source);
   }
 
-  const res = await fetch('https://api.linkedin.com/v2/ugcPosts', {
+  // Step 2: Initialize upload
+  const initRes = await fetch('https://api.linkedin.com/rest/documents?action=initializeUpload', {
     method: 'POST',
+    headers,
+    body: JSON.stringify({ initializeUploadRequest: { owner: personUrn } }),
+  });
+
+  if (!initRes.ok) {
+    const text = await initRes.text();
+    throw new Error(`Document upload init failed (${initRes.status}): ${text}`);
+  }
+
+  const { uploadUrl, document: documentUrn } = (await initRes.json()).value;
+
+  // Step 3: Upload binary to LinkedIn
+  const uploadRes = await fetch(uploadUrl, {
+    method: 'PUT',
     headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      'X-Restli-Protocol-Version': '2.0.0',
+      Authorization: headers.Authorization,
+      'Content-Type': 'application/octet-stream',
     },
-    body: JSON.stringify(ugcPayload),
+    body: documentBuffer,
+  });
+
+  if (!uploadRes.ok) {
+    const text = await uploadRes.text();
+    throw new Error(`Document upload failed (${uploadRes.status}): ${text}`);
+  }
+
+  // Step 4: A post can only use the document once it's AVAILABLE
+  const deadline = Date.now() + (options.timeout ?? DOCUMENT_TIMEOUT_MS);
+  for (;;) {
+    const statusRes = await fetch(`https://api.linkedin.com/rest/documents/${encodeURIComponent(documentUrn)}`, { headers });
+    if (!statusRes.ok) {
+      const text = await statusRes.text();
+      throw new Error(`Document status check failed (${statusRes.status}): ${text}`);
+    }
+    const { status } = await statusRes.json();
+    if (status === 'AVAILABLE') return documentUrn;
+    if (status === 'PROCESSING_FAILED') throw new Error(`LinkedIn could not process document ${documentUrn}`);
+    if (Date.now() > deadline) throw new Error(`Document ${documentUrn} still ${status} — gave up waiting`);
+    await new Promise(resolve => setTimeout(resolve, DOCUMENT_POLL_MS));
+  }
+}
+
+/**
+ * Publish a post to LinkedIn through the versioned Posts API (/rest/posts).
+ * The payload is a Posts API body — text, or with `content` an article card, an image
+ * or a multi-image post (see attachImages in formatter.mjs). A missing or placeholder
+ * `author` is filled in with the authenticated member.
+ * @param {object} payload - Posts API body; `commentary` in little text
+ * @returns {{ postId: string, url: string }}
+ */
+export async function publish(payload) {
+  const headers = await apiHeaders();
+  const author = payload.author && !payload.author.includes('{') ? payload.author : await getPersonUrn();
+
+  const res = await fetch('https://api.linkedin.com/rest/posts', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ ...payload, author }),
   });
 
   if (res.status === 401) {
@@ -148,9 +198,72 @@ export async function publish(payload) {
     throw new Error(`LinkedIn API error (${res.status}): ${text}`);
   }
 
-  const data = await res.json();
-  const postUrn = data.id || '';
+  // 201 Created with an empty body; the new post's URN comes back in a header
+  const postUrn = res.headers.get('x-restli-id') || res.headers.get('x-linkedin-id') || '';
   const url = postUrn ? `https://www.linkedin.com/feed/update/${postUrn}` : '';
 
   return { postId: postUrn, url };
 }
+
+/**
+ * Update a published post's commentary in place.
+ * LinkedIn only allows editing the text — the article card and media are fixed once posted.
+ * @param {string} postUrn - urn:li:share:... or urn:li:ugcPost:...
+ * @param {{ commentary: string }} changes
+ * @returns {{ postId: string, url: string }}
+ */
+export async function updatePost(postUrn, { commentary }) {
+  const headers = await apiHeaders();
+
+  const res = await fetch(`https://api.linkedin.com/rest/posts/${encodeURIComponent(postUrn)}`, {
+    method: 'POST',
+    headers: { ...headers, 'X-RestLi-Method': 'PARTIAL_UPDATE' },
+    body: JSON.stringify({ patch: { $set: { commentary } } }),
+  });
+
+  if (res.status === 401) {
+    throw new Error('LinkedIn API 401 — token may be invalid. Run: linkedin-post --auth');
+  }
+
+  if (res.status === 429) {
+    const retryAfter = res.headers.get('retry-after') || 'unknown';
+    throw new Error(`Rate limited. Retry after ${retryAfter} seconds.`);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`LinkedIn API error (${res.status}): ${text}`);
+  }
+
+  return { postId: postUrn, url: `https://www.linkedin.com/feed/update/${postUrn}` };
+}
+
+/**
+ * Delete a LinkedIn post.
+ * @param {string} postUrn - urn:li:share:... or urn:li:ugcPost:...
+ * @returns {{ postId: string, deleted: boolean }} deleted is also true if the post was already gone
+ */
+export async function deletePost(postUrn) {
+  const headers = await apiHeaders();
+
+  const res = await fetch(`https://api.linkedin.com/rest/posts/${encodeURIComponent(postUrn)}`, {
+    method: 'DELETE',
+    headers,
+  });
+
+  if (res.status === 401) {
+    throw new Error('LinkedIn API 401 — token may be invalid. Run: linkedin-post --auth');
+  }
+
+  if (res.status === 429) {
+    const retryAfter = res.headers.get('retry-after') || 'unknown';
+    throw new Error(`Rate limited. Retry after ${retryAfter} seconds.`);
+  }
+
+  if (!res.ok && res.status !== 404) {
+    const text = await res.text();
+    throw new Error(`LinkedIn API error (${res.status}): ${text}`);
+  }
+
+  return { postId: postUrn, deleted: true };
+}
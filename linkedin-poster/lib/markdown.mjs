@@ -0,0 +1,134 @@
+/**
+ * Markdown for long-form articles (kind 30023), shared by both posters.
+ *
+ * A small block parser — enough for the markdown Nostr clients write: headings,
+ * paragraphs, lists, fenced code, block quotes, tables and images. Inline
+ * formatting stays in the block text; inlineText() flattens it.
+ */
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_RE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_RE = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-{2,}:?\s*(?:\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const IMAGE_RE = /^!\[([^\]]*)\]\((\S+?)(?:\s+"[^"]*")?\)$/;
+
+/**
+ * @typedef {{ type: 'heading', level: number, text: string }
+ *   | { type: 'paragraph', text: string }
+ *   | { type: 'list', items: Array<{ text: string, depth: number, ordered: boolean, number: number }> }
+ *   | { type: 'code', lang: string, text: string }
+ *   | { type: 'quote', text: string }
+ *   | { type: 'table', rows: string[][] }
+ *   | { type: 'image', alt: string, url: string }} Block
+ */
+
+/**
+ * Split markdown into blocks. Thematic breaks are dropped.
+ * @param {string} markdown
+ * @returns {Block[]}
+ */
+export function parseMarkdown(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const startsBlock = (line) => FENCE_RE.test(line) || HEADING_RE.test(line) || LIST_RE.test(line) ||
+    QUOTE_RE.test(line) || TABLE_RE.test(line) || RULE_RE.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (!line.trim() || RULE_RE.test(line)) {
+      i++;
+    } else if ((match = FENCE_RE.exec(line))) {
+      const fence = match[1];
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) code.push(lines[i]);
+      i++;
+      blocks.push({ type: 'code', lang: match[2], text: code.join('\n') });
+    } else if ((match = HEADING_RE.exec(line))) {
+      blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+      i++;
+    } else if (TABLE_RE.test(line)) {
+      const rows = [];
+      for (; i < lines.length && TABLE_RE.test(lines[i]); i++) {
+        if (TABLE_SEPARATOR_RE.test(lines[i])) continue;
+        rows.push(lines[i].trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+      }
+      blocks.push({ type: 'table', rows });
+    } else if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && (match = QUOTE_RE.exec(lines[i])); i++) quoted.push(match[1]);
+      blocks.push({ type: 'quote', text: quoted.join(' ').replace(/\s+/g, ' ').trim() });
+    } else if (LIST_RE.test(line)) {
+      const items = [];
+      const indents = [];
+      for (; i < lines.length; i++) {
+        const item = LIST_RE.exec(lines[i]);
+        if (item) {
+          const indent = item[1].length;
+          while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+          if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+          const ordered = /\d/.test(item[2]);
+          items.push({ text: item[3].trim(), depth: indents.length - 1, ordered, number: ordered ? parseInt(item[2], 10) : 0 });
+        } else if (lines[i].trim() && /^\s/.test(lines[i])) {
+          items[items.length - 1].text += ' ' + lines[i].trim(); // continuation line
+        } else if (!lines[i].trim() && LIST_RE.test(lines[i + 1] || '')) {
+          continue; // loose list
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: 'list', items });
+    } else {
+      const text = [];
+      for (; i < lines.length && lines[i].trim() && (text.length === 0 || !startsBlock(lines[i])); i++) {
+        text.push(lines[i].trim());
+      }
+      const joined = text.join(' ');
+      const image = IMAGE_RE.exec(joined);
+      blocks.push(image ? { type: 'image', alt: image[1], url: image[2] } : { type: 'paragraph', text: joined });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Flatten a whole markdown document to one line of plain text — paragraphs, headings,
+ * list items and quotes in order; code blocks and images left out.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function plainText(markdown) {
+  return parseMarkdown(markdown)
+    .flatMap(b => (b.type === 'list' ? b.items.map(item => item.text) : b.type === 'code' ? [] : [b.text || '']))
+    .map(text => inlineText(text))
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Flatten inline markdown to plain text: emphasis, strikethrough and code spans lose
+ * their markers, images disappear, links become `options.link(label, url)` — the label by default.
+ * @param {string} text
+ * @param {object} options - { link?: (label: string, url: string) => string }
+ * @returns {string}
+ */
+export function inlineText(text, options = {}) {
+  const link = options.link || ((label) => label);
+  return (text || '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\((\S+?)(?:\s+"[^"]*")?\)/g, (_, label, url) => link(label, url))
+    .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\w)/g, '$1')
+    .replace(/(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/g, '$1')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
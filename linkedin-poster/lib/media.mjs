@@ -0,0 +1,200 @@
+/**
+ * Media in Nostr notes, shared by both posters and the cross-post checker.
+ *
+ * What a URL points at is worked out from, in order:
+ *   - NIP-92 `imeta` tags describing the media URLs in a note's content:
+ *       ["imeta", "url https://…", "m image/jpeg", "dim 1200x800", "alt A cat", "blurhash …", "x <sha256>"]
+ *   - NIP-94 file metadata events (kind 1063) the note references as nostr:nevent1…/note1…
+ *   - the file extension
+ *   - the content type a HEAD request reports (resolveMedia — the only step that needs the network)
+ * Blossom servers often serve media without an extension, so the first and last
+ * matter; imeta and kind 1063 also carry alt text through to the platforms.
+ */
+
+import { decode } from './decoder.mjs';
+import { fetchEvent } from './fetcher.mjs';
+
+const FILE_KIND = 1063;
+const URL_RE = /https?:\/\/[^\s<>"]+/gi;
+const REF_RE = /nostr:(?:note1|nevent1)[a-z0-9]+/gi;
+const SNIFF_TIMEOUT_MS = 5_000;
+const MAX_SNIFFED = 4;
+
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp',
+  mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm',
+};
+
+/**
+ * @typedef {object} MediaInfo
+ * @property {string} url
+ * @property {string} [mime] - `m`, e.g. image/jpeg, video/mp4
+ * @property {string} [alt]
+ * @property {string} [dim] - "<width>x<height>"
+ * @property {string} [blurhash]
+ * @property {string} [hash] - `x`, sha256 of the file
+ */
+
+/**
+ * @typedef {MediaInfo & { type: 'image'|'gif'|'video' }} Media
+ */
+
+/**
+ * The NIP-92 `imeta` entries of an event.
+ * @param {object} event
+ * @returns {MediaInfo[]}
+ */
+export function parseImeta(event) {
+  const media = [];
+  for (const tag of event?.tags || []) {
+    if (tag[0] !== 'imeta') continue;
+    const fields = {};
+    for (const entry of tag.slice(1)) {
+      const space = typeof entry === 'string' ? entry.indexOf(' ') : -1;
+      if (space > 0) fields[entry.slice(0, space)] ??= entry.slice(space + 1).trim();
+    }
+    const info = mediaInfo(fields);
+    if (info) media.push(info);
+  }
+  return media;
+}
+
+/**
+ * The file a NIP-94 file metadata event (kind 1063) describes.
+ * @param {object} event
+ * @returns {MediaInfo|null}
+ */
+export function fileMetadata(event) {
+  if (event?.kind !== FILE_KIND) return null;
+  const fields = Object.fromEntries((event.tags || []).filter(t => typeof t[1] === 'string').map(t => [t[0], t[1]]).reverse());
+  return mediaInfo({ ...fields, alt: fields.alt || fields.summary || event.content });
+}
+
+/**
+ * Which kind of media a content type is.
+ * @param {string} [mime]
+ * @returns {'image'|'gif'|'video'|undefined}
+ */
+export function mediaType(mime = '') {
+  if (mime === 'image/gif') return 'gif';
+  if (mime.startsWith('image/')) return 'image';
+  if (mime.startsWith('video/')) return 'video';
+  return undefined;
+}
+
+/**
+ * The media a note's text shows, in order of appearance, without duplicates.
+ * @param {string} text
+ * @param {object[]} events - the notes the text comes from, for their imeta tags
+ * @param {Map<string, MediaInfo>} resolved - from resolveMedia: sniffed URLs and
+ *   kind 1063 files by their nostr: reference
+ * @returns {Media[]}
+ */
+export function extractMedia(text, events = [], resolved = new Map()) {
+  text ||= '';
+  const imeta = new Map(events.flatMap(parseImeta).map(m => [m.url, m]));
+  const found = [];
+
+  for (const match of text.matchAll(URL_RE)) {
+    const url = trimUrl(match[0]);
+    const info = imeta.get(url) || resolved.get(url) || { url };
+    const mime = info.mime || EXTENSION_TYPES[extension(url)];
+    if (mediaType(mime)) found.push({ at: match.index, media: { ...info, mime } });
+  }
+  for (const match of text.matchAll(REF_RE)) {
+    const file = resolved.get(match[0].toLowerCase());
+    if (file && mediaType(file.mime)) found.push({ at: match.index, media: file });
+  }
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.at - b.at)
+    .map(({ media }) => ({ ...media, type: mediaType(media.mime) }))
+    .filter(media => !seen.has(media.url) && seen.add(media.url));
+}
+
+/**
+ * Take media URLs out of a text, tidying the whitespace they leave behind.
+ * @param {string} text
+ * @param {Array<{ url: string }>} media
+ * @returns {string}
+ */
+export function removeMedia(text, media) {
+  for (const { url } of media) text = text.replaceAll(url, '');
+  return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Find out what extractMedia can't tell from the text and tags alone: the kind 1063
+ * file events the text references, and — by a HEAD request — the content type of
+ * URLs without a known extension (the first few only).
+ * @param {string} text
+ * @param {object[]} events - the notes the text comes from (their imeta URLs aren't sniffed)
+ * @param {object} options - { quotes?: Array from fetchQuotes (saves fetching those refs again),
+ *   timeout?: number, pool?, relays? } passed to fetchEvent
+ * @returns {Promise<Map<string, MediaInfo>>} by URL and by nostr: reference
+ */
+export async function resolveMedia(text, events = [], options = {}) {
+  text ||= '';
+  const resolved = new Map();
+
+  const fetched = new Map((options.quotes || []).map(q => [q.ref, q.file || q.event]));
+  for (const ref of new Set([...text.matchAll(REF_RE)].map(m => m[0].toLowerCase()))) {
+    try {
+      let event = fetched.get(ref);
+      if (!fetched.has(ref)) {
+        const decoded = await decode(ref);
+        if (decoded.kind !== undefined && decoded.kind !== FILE_KIND) continue;
+        event = await fetchEvent(decoded, options);
+      }
+      const file = fileMetadata(event);
+      if (file) resolved.set(ref, file);
+    } catch {
+      // An unavailable reference is left to the quote handling
+    }
+  }
+
+  const known = new Set(events.flatMap(parseImeta).map(m => m.url));
+  const unknown = [...new Set([...text.matchAll(URL_RE)].map(m => trimUrl(m[0])))]
+    .filter(url => !known.has(url) && !EXTENSION_TYPES[extension(url)] && !/\.[a-z0-9]{2,5}$/i.test(urlPath(url)));
+  for (const url of unknown.slice(0, MAX_SNIFFED)) {
+    const mime = await sniffType(url, options.timeout ?? SNIFF_TIMEOUT_MS);
+    if (mediaType(mime)) resolved.set(url, { url, mime });
+  }
+
+  return resolved;
+}
+
+async function sniffType(url, timeout) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+    return res.ok ? res.headers.get('content-type')?.split(';')[0].trim().toLowerCase() : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function mediaInfo(fields) {
+  if (!/^https?:\/\//.test(fields.url || '')) return null;
+  return withoutEmpty({
+    url: fields.url, mime: fields.m?.toLowerCase(), alt: fields.alt, dim: fields.dim,
+    blurhash: fields.blurhash, hash: fields.x,
+  });
+}
+
+// Sentence punctuation after a URL isn't part of it
+function trimUrl(url) {
+  return url.replace(/[.,;:!?)\]]+$/, '');
+}
+
+function urlPath(url) {
+  return url.split(/[?#]/)[0];
+}
+
+function extension(url) {
+  return urlPath(url).toLowerCase().match(/\.(\w+)$/)?.[1];
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+}
@@ -0,0 +1,189 @@
+/**
+ * Nostr artifact stripping and mention resolution, shared by both posters and
+ * the cross-post checker.
+ *
+ * `nostr:npub1…` / `nostr:nprofile1…` mentions become something readable on the
+ * target platform instead of vanishing mid-sentence:
+ *   - a known handle — `@handle` on X and Bluesky, a `@[Name](urn:li:…)` annotation on
+ *     LinkedIn — from the handles table ($NOSTR_HANDLES_FILE)
+ *   - else the display name from the user's kind 0 profile. Handles claimed in a profile
+ *     (NIP-39) aren't used: anyone can claim any handle, and the @ would ping that account
+ *   - else nothing (the old behaviour)
+ */
+
+import { readFileSync } from 'node:fs';
+import { decode as decodeNip19 } from './nip19.mjs';
+import { createPool, DEFAULT_RELAYS } from './relay.mjs';
+import { validateEvent } from './verify.mjs';
+import { mergeRelays } from './outbox.mjs';
+
+const NOSTR_MENTION_RE = /nostr:(?:npub1|nprofile1)[a-z0-9]+/gi;
+const NOSTR_REF_RE = /nostr:(?:nevent1|naddr1|note1)[a-z0-9]+/gi;
+const NJUMP_RE = /https?:\/\/njump\.me\/\S+/gi;
+const NOSTR_ATTRIBUTION_RE = /(?:🟣\s*)?(?:originally )?posted (?:via|on) nostr\b[^\n]*/gi;
+const PURPLE_DOT_RE = /\n*🟣\s*/g;
+const X_HANDLE_RE = /^@?(\w{1,15})$/;
+const LINKEDIN_URN_RE = /^urn:li:(?:person|organization):[\w-]+$/;
+const BLUESKY_HANDLE_RE = /^@?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z][a-z0-9-]*)$/i;
+const PROFILE_TIMEOUT_MS = 8_000;
+
+/**
+ * Remove all Nostr fingerprints from text. Mentions found in `options.mentions`
+ * are rendered for `options.platform` instead of removed.
+ * @param {string} text
+ * @param {object} options - { mentions?: Map<string, Mention>, platform?: 'x'|'linkedin'|'bluesky' }
+ * @returns {string}
+ */
+export function stripNostrArtifacts(text, options = {}) {
+  const mentions = options.mentions || new Map();
+
+  // Remove njump.me links, "posted via Nostr" attribution and the purple dot
+  text = text.replace(NJUMP_RE, '').trim();
+  text = text.replace(NOSTR_ATTRIBUTION_RE, '').trim();
+  text = text.replace(PURPLE_DOT_RE, '').trim();
+
+  // Render resolved mentions, drop the rest along with event references
+  text = text.replace(NOSTR_MENTION_RE, (match) => {
+    const mention = mentions.get(mentionPubkey(match));
+    return mention ? renderMention(mention, options.platform) : '';
+  }).trim();
+  text = text.replace(NOSTR_REF_RE, '').trim();
+
+  // Collapse excess whitespace
+  text = text.replace(/\n{3,}/g, '\n\n').replace(/ {2,}/g, ' ').trim();
+  return text;
+}
+
+/**
+ * Hex pubkeys of every npub/nprofile mention in the text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findMentions(text) {
+  const pubkeys = new Set();
+  for (const [match] of (text || '').matchAll(NOSTR_MENTION_RE)) {
+    const pubkey = mentionPubkey(match);
+    if (pubkey) pubkeys.add(pubkey);
+  }
+  return [...pubkeys];
+}
+
+function mentionPubkey(match) {
+  try {
+    const { type, data } = decodeNip19(match.slice('nostr:'.length).toLowerCase());
+    return type === 'npub' ? data : data.pubkey;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} Mention
+ * @property {string} name - Display name ('' when the profile has none)
+ * @property {string} [x] - X handle without the @
+ * @property {string} [linkedin] - LinkedIn person/organization URN
+ * @property {string} [bluesky] - Bluesky handle without the @ (e.g. alice.bsky.social)
+ */
+
+/**
+ * Render a mention for a platform.
+ * @param {Mention} mention
+ * @param {'x'|'linkedin'|'bluesky'} platform
+ * @returns {string}
+ */
+export function renderMention(mention, platform) {
+  if (platform === 'x' && mention.x) return `@${mention.x}`;
+  if (platform === 'bluesky' && mention.bluesky) return `@${mention.bluesky}`;
+  if (platform === 'linkedin' && mention.linkedin) {
+    // LinkedIn's mention annotation needs the name verbatim, without its own delimiters
+    const name = mention.name.replace(/[[\]()]/g, '') || mention.linkedin;
+    return `@[${name}](${mention.linkedin})`;
+  }
+  return mention.name;
+}
+
+/**
+ * Load a handles table:
+ *   { "<npub or hex>": { "x": "@handle", "linkedin": "urn:li:person:…", "bluesky": "handle.bsky.social" } }
+ * @param {string} [path] - defaults to $NOSTR_HANDLES_FILE; no path means an empty table
+ * @returns {Map<string, { x?: string, linkedin?: string, bluesky?: string }>} keyed by hex pubkey
+ */
+export function loadHandles(path = process.env.NOSTR_HANDLES_FILE) {
+  const handles = new Map();
+  if (!path) return handles;
+
+  let table;
+  try {
+    table = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read handles table ${path}: ${err.message}`);
+  }
+
+  for (const [key, entry] of Object.entries(table)) {
+    const pubkey = /^[0-9a-f]{64}$/.test(key) ? key : mentionPubkey(`nostr:${key}`);
+    if (!pubkey) throw new Error(`Handles table ${path}: "${key}" is not an npub or hex pubkey`);
+    handles.set(pubkey, {
+      x: X_HANDLE_RE.exec(entry.x || '')?.[1],
+      linkedin: LINKEDIN_URN_RE.test(entry.linkedin || '') ? entry.linkedin : undefined,
+      bluesky: BLUESKY_HANDLE_RE.exec(entry.bluesky || '')?.[1]?.toLowerCase(),
+    });
+  }
+  return handles;
+}
+
+/**
+ * Build a Mention from a user's kind 0 profile and their handles table entry.
+ * @param {object|null} profile - kind 0 event
+ * @param {{ x?: string, linkedin?: string, bluesky?: string }} [known] - handles table entry
+ * @returns {Mention|null} null when there's nothing to show
+ */
+export function profileToMention(profile, known = {}) {
+  let meta = {};
+  try {
+    meta = JSON.parse(profile?.content || '{}') || {};
+  } catch {
+    // Unparseable profile — no name
+  }
+
+  // Names come from strangers: keep them on one line and unable to @-mention or tag anyone
+  const name = String(meta.display_name || meta.displayName || meta.name || '')
+    .replace(/[\s]+/g, ' ').replace(/[@#]/g, '').trim().slice(0, 50);
+
+  const mention = { name, x: known.x, linkedin: known.linkedin, bluesky: known.bluesky };
+  return mention.name || mention.x || mention.linkedin || mention.bluesky ? mention : null;
+}
+
+/**
+ * Resolve every npub/nprofile mention in the text from kind 0 profiles and the handles table.
+ * @param {string} text
+ * @param {object} options - { handles?: Map, pool?: RelayPool, relays?: string[], timeout?: number }
+ * @returns {Promise<Map<string, Mention>>} keyed by hex pubkey; unresolvable mentions are absent
+ */
+export async function resolveMentions(text, options = {}) {
+  const pubkeys = findMentions(text);
+  const mentions = new Map();
+  if (pubkeys.length === 0) return mentions;
+
+  const handles = options.handles || loadHandles();
+  const pool = options.pool || createPool();
+  let events = [];
+  try {
+    ({ events } = await pool.query(
+      mergeRelays([options.relays, DEFAULT_RELAYS]),
+      { kinds: [0], authors: pubkeys },
+      { timeout: options.timeout ?? PROFILE_TIMEOUT_MS, validate: (event) => validateEvent(event) },
+    ));
+  } finally {
+    if (!options.pool) pool.close();
+  }
+
+  const newest = (pubkey) => events
+    .filter(e => e.pubkey === pubkey)
+    .sort((a, b) => b.created_at - a.created_at)[0] || null;
+
+  for (const pubkey of pubkeys) {
+    const mention = profileToMention(newest(pubkey), handles.get(pubkey));
+    if (mention) mentions.set(pubkey, mention);
+  }
+  return mentions;
+}
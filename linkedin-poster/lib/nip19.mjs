@@ -0,0 +1,259 @@
+/**
+ * NIP-19 bech32 entities — pure JS, no dependencies.
+ *
+ * Bare keys/ids: npub, nsec, note (32 bytes of payload)
+ * TLV entities:  nprofile, nevent, naddr
+ *
+ * TLV types: 0 = special (pubkey / event id / d-tag), 1 = relay,
+ *            2 = author, 3 = kind (32-bit big-endian)
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const MAX_LENGTH = 5000; // TLV entities with relay hints easily exceed bech32's 90-char limit
+
+const TLV_SPECIAL = 0;
+const TLV_RELAY = 1;
+const TLV_AUTHOR = 2;
+const TLV_KIND = 3;
+
+const HEX64_RE = /^[0-9a-f]{64}$/;
+
+// --- bech32 ---
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const out = [];
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) >> 5);
+  out.push(0);
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) & 31);
+  return out;
+}
+
+function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  const maxv = (1 << to) - 1;
+  for (const value of data) {
+    if (value < 0 || value >> from) throw new Error('Invalid bech32 data');
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & maxv);
+    }
+  }
+  if (pad) {
+    if (bits > 0) out.push((acc << (to - bits)) & maxv);
+  } else if (bits >= from || ((acc << (to - bits)) & maxv)) {
+    throw new Error('Invalid bech32 padding');
+  }
+  return out;
+}
+
+function bech32Encode(hrp, bytes) {
+  const words = convertBits(bytes, 8, 5, true);
+  const values = [...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0];
+  const mod = polymod(values) ^ 1;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((mod >> (5 * (5 - i))) & 31);
+  return hrp + '1' + [...words, ...checksum].map(w => CHARSET[w]).join('');
+}
+
+function bech32Decode(str) {
+  if (str.length > MAX_LENGTH) throw new Error('Invalid bech32 string: too long');
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Invalid bech32 string: mixed case');
+  }
+  const lower = str.toLowerCase();
+  const sep = lower.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > lower.length) throw new Error('Invalid bech32 string: bad separator');
+
+  const hrp = lower.slice(0, sep);
+  const values = [];
+  for (const ch of lower.slice(sep + 1)) {
+    const v = CHARSET.indexOf(ch);
+    if (v === -1) throw new Error(`Invalid bech32 character "${ch}"`);
+    values.push(v);
+  }
+  if (polymod([...hrpExpand(hrp), ...values]) !== 1) {
+    throw new Error('Invalid bech32 checksum');
+  }
+
+  const bytes = Uint8Array.from(convertBits(values.slice(0, -6), 5, 8, false));
+  return { hrp, bytes };
+}
+
+// --- byte helpers ---
+
+function hexToBytes(hex, label) {
+  if (typeof hex !== 'string' || !HEX64_RE.test(hex)) {
+    throw new Error(`Invalid ${label}: expected 64-char lowercase hex`);
+  }
+  return Uint8Array.from(Buffer.from(hex, 'hex'));
+}
+
+function bytesToHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function encodeTLV(entries) {
+  const parts = [];
+  for (const [type, value] of entries) {
+    if (value.length > 255) throw new Error(`TLV value too long for type ${type}`);
+    parts.push(Uint8Array.of(type, value.length), value);
+  }
+  return Uint8Array.from(Buffer.concat(parts));
+}
+
+function parseTLV(bytes) {
+  const result = {};
+  let i = 0;
+  while (i < bytes.length) {
+    if (i + 2 > bytes.length) throw new Error('Invalid TLV: truncated header');
+    const type = bytes[i];
+    const len = bytes[i + 1];
+    const value = bytes.slice(i + 2, i + 2 + len);
+    if (value.length < len) throw new Error(`Invalid TLV: truncated value for type ${type}`);
+    (result[type] ||= []).push(value);
+    i += 2 + len;
+  }
+  return result;
+}
+
+const utf8 = (str) => new TextEncoder().encode(str);
+const fromUtf8 = (bytes) => new TextDecoder().decode(bytes);
+
+function kindBytes(kind) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(kind);
+  return Uint8Array.from(buf);
+}
+
+// --- encoders ---
+
+export function npubEncode(pubkey) {
+  return bech32Encode('npub', hexToBytes(pubkey, 'pubkey'));
+}
+
+export function nsecEncode(seckey) {
+  return bech32Encode('nsec', hexToBytes(seckey, 'secret key'));
+}
+
+export function noteEncode(id) {
+  return bech32Encode('note', hexToBytes(id, 'event id'));
+}
+
+/**
+ * @param {{ pubkey: string, relays?: string[] }} profile
+ */
+export function nprofileEncode({ pubkey, relays = [] }) {
+  return bech32Encode('nprofile', encodeTLV([
+    [TLV_SPECIAL, hexToBytes(pubkey, 'pubkey')],
+    ...relays.map(r => [TLV_RELAY, utf8(r)]),
+  ]));
+}
+
+/**
+ * @param {{ id: string, relays?: string[], author?: string, kind?: number }} pointer
+ */
+export function neventEncode({ id, relays = [], author, kind }) {
+  const entries = [
+    [TLV_SPECIAL, hexToBytes(id, 'event id')],
+    ...relays.map(r => [TLV_RELAY, utf8(r)]),
+  ];
+  if (author) entries.push([TLV_AUTHOR, hexToBytes(author, 'author')]);
+  if (Number.isInteger(kind)) entries.push([TLV_KIND, kindBytes(kind)]);
+  return bech32Encode('nevent', encodeTLV(entries));
+}
+
+/**
+ * @param {{ kind: number, pubkey: string, identifier: string, relays?: string[] }} pointer
+ */
+export function naddrEncode({ kind, pubkey, identifier, relays = [] }) {
+  if (!Number.isInteger(kind)) throw new Error('Invalid naddr: kind is required');
+  return bech32Encode('naddr', encodeTLV([
+    [TLV_SPECIAL, utf8(identifier ?? '')],
+    ...relays.map(r => [TLV_RELAY, utf8(r)]),
+    [TLV_AUTHOR, hexToBytes(pubkey, 'pubkey')],
+    [TLV_KIND, kindBytes(kind)],
+  ]));
+}
+
+// --- decoder ---
+
+function requireLength(bytes, len, label) {
+  if (!bytes || bytes.length !== len) throw new Error(`Invalid ${label}: expected ${len} bytes`);
+  return bytes;
+}
+
+/**
+ * Decode any NIP-19 entity.
+ * @param {string} str - npub1/nsec1/note1/nprofile1/nevent1/naddr1 string (no "nostr:" prefix)
+ * @returns {{ type: string, data: string|object }}
+ *   npub/nsec/note → data is hex
+ *   nprofile → { pubkey, relays }
+ *   nevent   → { id, relays, author?, kind? }
+ *   naddr    → { kind, pubkey, identifier, relays }
+ */
+export function decode(str) {
+  const { hrp, bytes } = bech32Decode(str);
+
+  switch (hrp) {
+    case 'npub':
+    case 'nsec':
+    case 'note':
+      return { type: hrp, data: bytesToHex(requireLength(bytes, 32, hrp)) };
+
+    case 'nprofile': {
+      const tlv = parseTLV(bytes);
+      return {
+        type: hrp,
+        data: {
+          pubkey: bytesToHex(requireLength(tlv[TLV_SPECIAL]?.[0], 32, 'nprofile pubkey')),
+          relays: (tlv[TLV_RELAY] || []).map(fromUtf8),
+        },
+      };
+    }
+
+    case 'nevent': {
+      const tlv = parseTLV(bytes);
+      const data = {
+        id: bytesToHex(requireLength(tlv[TLV_SPECIAL]?.[0], 32, 'nevent id')),
+        relays: (tlv[TLV_RELAY] || []).map(fromUtf8),
+      };
+      if (tlv[TLV_AUTHOR]) data.author = bytesToHex(requireLength(tlv[TLV_AUTHOR][0], 32, 'nevent author'));
+      if (tlv[TLV_KIND]) data.kind = Buffer.from(requireLength(tlv[TLV_KIND][0], 4, 'nevent kind')).readUInt32BE();
+      return { type: hrp, data };
+    }
+
+    case 'naddr': {
+      const tlv = parseTLV(bytes);
+      if (!tlv[TLV_SPECIAL]) throw new Error('Invalid naddr: missing identifier');
+      return {
+        type: hrp,
+        data: {
+          kind: Buffer.from(requireLength(tlv[TLV_KIND]?.[0], 4, 'naddr kind')).readUInt32BE(),
+          pubkey: bytesToHex(requireLength(tlv[TLV_AUTHOR]?.[0], 32, 'naddr pubkey')),
+          identifier: fromUtf8(tlv[TLV_SPECIAL][0]),
+          relays: (tlv[TLV_RELAY] || []).map(fromUtf8),
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported NIP-19 prefix "${hrp}"`);
+  }
+}
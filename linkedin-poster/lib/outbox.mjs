@@ -0,0 +1,72 @@
+/**
+ * NIP-65 relay lists (kind 10002) — the "outbox model".
+ *
+ * An author's write relays are where their posts live; their read relays are
+ * where others' replies, reactions and zaps to them should land. Reading the
+ * lists lets us look where events actually are instead of guessing.
+ */
+
+import { normalizeRelayUrl } from './relay.mjs';
+import { validateEvent } from './verify.mjs';
+
+/**
+ * Parse a kind 10002 event into read and write relay lists.
+ * `r` tags without a marker count as both.
+ * @param {object} event
+ * @returns {{ read: string[], write: string[] }}
+ */
+export function parseRelayList(event) {
+  const read = [];
+  const write = [];
+  for (const tag of event?.tags || []) {
+    if (tag[0] !== 'r' || !/^wss?:\/\//i.test(tag[1] || '')) continue;
+    const url = normalizeRelayUrl(tag[1]);
+    if (tag[2] !== 'write') read.push(url);
+    if (tag[2] !== 'read') write.push(url);
+  }
+  return { read: mergeRelays([read]), write: mergeRelays([write]) };
+}
+
+/**
+ * Merge relay lists in priority order: normalized and deduplicated, optionally capped.
+ * @param {Array<string[]|undefined>} lists - earlier lists win when capping
+ * @param {object} options - { max?: number }
+ * @returns {string[]}
+ */
+export function mergeRelays(lists, options = {}) {
+  const seen = new Set();
+  for (const list of lists) {
+    for (const url of list || []) {
+      if (typeof url !== 'string' || !/^wss?:\/\//i.test(url.trim())) continue;
+      seen.add(normalizeRelayUrl(url));
+    }
+  }
+  const merged = [...seen];
+  return options.max ? merged.slice(0, options.max) : merged;
+}
+
+/**
+ * Fetch the newest verified kind 10002 list for each pubkey.
+ * @param {RelayPool} pool
+ * @param {string[]} pubkeys - hex pubkeys
+ * @param {object} options - { relays: string[], timeout?: number }
+ * @returns {Promise<{ lists: Map<string, { read: string[], write: string[], createdAt: number }>, answered: boolean }>}
+ *   Pubkeys without a list are absent from `lists`; `answered` is false when every relay failed,
+ *   so callers can tell "has no list" from "couldn't ask"
+ */
+export async function fetchRelayLists(pool, pubkeys, options) {
+  const lists = new Map();
+  if (pubkeys.length === 0) return { lists, answered: true };
+
+  const { events, errors } = await pool.query(options.relays, { kinds: [10002], authors: pubkeys }, {
+    timeout: options.timeout,
+    validate: (event) => validateEvent(event),
+  });
+
+  for (const event of events) {
+    const prev = lists.get(event.pubkey);
+    if (prev && prev.createdAt >= event.created_at) continue;
+    lists.set(event.pubkey, { ...parseRelayList(event), createdAt: event.created_at });
+  }
+  return { lists, answered: errors.length < options.relays.length };
+}
@@ -0,0 +1,202 @@
+/**
+ * Long-form article → PDF, for LinkedIn document (carousel) posts.
+ *
+ * A minimal PDF writer — no dependencies: the standard Helvetica and Courier fonts
+ * in WinAnsi encoding, text only. Pages are 4:5 slides: a cover with the title and
+ * summary, then each top-level section starting on a page of its own. Characters
+ * outside WinAnsi lose their accents or become "?".
+ */
+
+import { parseMarkdown, inlineText } from './markdown.mjs';
+import { stripNostrArtifacts } from './mentions.mjs';
+
+const PAGE_WIDTH = 540;
+const PAGE_HEIGHT = 675;
+const MARGIN = 48;
+const INDENT = 18;
+
+const STYLES = {
+  title: { font: 'F2', size: 30, leading: 36 },
+  heading: { font: 'F2', size: 22, leading: 28 },
+  subheading: { font: 'F2', size: 17, leading: 23 },
+  body: { font: 'F1', size: 15, leading: 21 },
+  code: { font: 'F3', size: 12, leading: 16 },
+  footer: { font: 'F1', size: 10, leading: 12 },
+};
+
+const FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold', F3: 'Courier' };
+
+// Unicode → WinAnsi for the characters outside Latin-1 that articles actually use
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, '‰': 0x89, '‹': 0x8b,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '›': 0x9b,
+};
+
+/**
+ * Render a kind 30023 article as a PDF.
+ * @param {object} event
+ * @param {object} options - { mentions?: Map } names for nostr: mentions
+ * @returns {Buffer}
+ */
+export function articleToPdf(event, options = {}) {
+  const tag = (name) => event.tags?.find(t => t[0] === name)?.[1] || '';
+  const plain = (text) => stripNostrArtifacts(inlineText(text), { mentions: options.mentions });
+
+  let blocks = parseMarkdown(event.content || '');
+  const title = tag('title') || (blocks[0]?.type === 'heading' ? plain(blocks[0].text) : 'Untitled');
+  if (blocks[0]?.type === 'heading' && plain(blocks[0].text) === title) blocks = blocks.slice(1);
+  const sectionLevel = Math.min(...blocks.filter(b => b.type === 'heading').map(b => b.level));
+
+  const pages = [];
+  let page;
+  let y;
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const paragraph = (text, style, indent = 0) => {
+    for (const line of wrap(text, style, PAGE_WIDTH - 2 * MARGIN - indent)) {
+      if (y - style.leading < MARGIN + STYLES.footer.leading) newPage();
+      y -= style.leading;
+      page.push({ text: line, style, x: MARGIN + indent, y });
+    }
+    y -= style.leading / 2;
+  };
+
+  // Cover
+  newPage();
+  y = PAGE_HEIGHT * 0.62;
+  paragraph(title, STYLES.title);
+  if (tag('summary')) paragraph(plain(tag('summary')), STYLES.body);
+  const cover = page;
+
+  for (const block of blocks) {
+    if (page === cover || (block.type === 'heading' && block.level === sectionLevel)) newPage();
+    switch (block.type) {
+      case 'heading':
+        paragraph(plain(block.text), block.level === sectionLevel ? STYLES.heading : STYLES.subheading);
+        break;
+      case 'paragraph':
+        paragraph(plain(block.text), STYLES.body);
+        break;
+      case 'quote':
+        paragraph(`“${plain(block.text)}”`, STYLES.body, INDENT);
+        break;
+      case 'list': {
+        const counters = [];
+        for (const item of block.items) {
+          counters.length = item.depth + 1;
+          counters[item.depth] = (counters[item.depth] || 0) + 1;
+          const marker = item.ordered ? `${counters[item.depth]}.` : '•';
+          paragraph(`${marker} ${plain(item.text)}`, STYLES.body, INDENT * item.depth);
+        }
+        break;
+      }
+      case 'code':
+        for (const line of block.text.split('\n')) paragraph(line || ' ', STYLES.code, INDENT);
+        break;
+      case 'table': {
+        const [header, ...rows] = block.rows.map(row => row.map(plain));
+        for (const row of rows.length > 0 ? rows : [header]) {
+          paragraph(row.map((cell, i) => (rows.length > 0 && header[i] ? `${header[i]}: ${cell}` : cell)).join(' · '), STYLES.body);
+        }
+        break;
+      }
+      default:
+        break; // images aren't embedded
+    }
+  }
+
+  pages.forEach((p, i) => {
+    if (i > 0) p.push({ text: `${i + 1} / ${pages.length}`, style: STYLES.footer, x: PAGE_WIDTH - MARGIN - 36, y: MARGIN / 2 });
+  });
+  return buildPdf(pages);
+}
+
+// Greedy word wrap by estimated glyph widths; words longer than a line are broken
+function wrap(text, style, width) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, style) <= width) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, style) > width) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), style) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length > 0 ? lines : [''];
+}
+
+function textWidth(text, style) {
+  if (style.font === 'F3') return text.length * 0.6 * style.size;
+  let em = 0;
+  for (const c of text) {
+    if (/[ilj.,;:'|!]/.test(c)) em += 0.28;
+    else if (/[A-Zmw@%]/.test(c)) em += 0.72;
+    else em += 0.53;
+  }
+  return em * style.size * (style.font === 'F2' ? 1.06 : 1);
+}
+
+// A PDF string literal in WinAnsi
+function pdfString(text) {
+  let out = '';
+  for (const c of text.normalize('NFC')) {
+    const code = c.codePointAt(0);
+    let byte;
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) byte = code;
+    else if (WIN_ANSI[c]) byte = WIN_ANSI[c];
+    else {
+      const base = c.normalize('NFKD').replace(/\p{M}/gu, '');
+      byte = base.length === 1 && base.codePointAt(0) < 0x80 ? base.codePointAt(0) : 0x3f;
+    }
+    const ch = String.fromCharCode(byte);
+    out += ch === '\\' || ch === '(' || ch === ')' ? `\\${ch}` : ch;
+  }
+  return `(${out})`;
+}
+
+function buildPdf(pages) {
+  const fontIds = Object.keys(FONTS).map((_, i) => 3 + i);
+  const firstPageId = 3 + fontIds.length;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${firstPageId + 2 * i} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    ...Object.values(FONTS).map(font => `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`),
+  ];
+  const fontResources = Object.keys(FONTS).map((name, i) => `/${name} ${fontIds[i]} 0 R`).join(' ');
+
+  pages.forEach((lines, i) => {
+    const stream = lines
+      .map(l => `BT /${l.style.font} ${l.style.size} Tf ${l.x.toFixed(1)} ${l.y.toFixed(1)} Td ${pdfString(l.text)} Tj ET`)
+      .join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${firstPageId + 2 * i + 1} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    );
+  });
+
+  // Every character above is one byte in latin1, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,105 @@
+/**
+ * Quoted notes — `nostr:note1…` / `nostr:nevent1…` references in a note's text.
+ *
+ * Other platforms can't follow the reference, so instead of dropping it (and
+ * the context with it) we fetch the quoted note and render an excerpt with
+ * attribution. Shared by both posters and the cross-post checker.
+ */
+
+import { decode } from './decoder.mjs';
+import { fetchEvent } from './fetcher.mjs';
+import { npubEncode } from './nip19.mjs';
+import { stripNostrArtifacts, renderMention } from './mentions.mjs';
+import { extractMedia, removeMedia } from './media.mjs';
+
+const QUOTE_RE = /nostr:(?:note1|nevent1)[a-z0-9]+/gi;
+const FILE_KIND = 1063;
+const EXCERPT_CHARS = 200;
+
+/**
+ * Quote references in the text, deduplicated, in order of appearance.
+ * @param {string} text
+ * @returns {string[]} `nostr:…` strings
+ */
+export function findQuotes(text) {
+  return [...new Set([...(text || '').matchAll(QUOTE_RE)].map(m => m[0].toLowerCase()))];
+}
+
+/**
+ * Fetch every quoted note. A quote that can't be fetched carries an error instead of an event;
+ * a NIP-94 file event (kind 1063) is media rather than a quote and comes back as `file`.
+ * @param {string} text
+ * @param {object} options - passed to fetchEvent ({ pool?, relays?, timeout? })
+ * @returns {Promise<Array<{ ref: string, event?: object, file?: object, error?: string }>>}
+ */
+export async function fetchQuotes(text, options = {}) {
+  const quotes = [];
+  for (const ref of findQuotes(text)) {
+    try {
+      const event = await fetchEvent(await decode(ref), options);
+      quotes.push(event.kind === FILE_KIND ? { ref, file: event } : { ref, event });
+    } catch (err) {
+      quotes.push({ ref, error: err.message });
+    }
+  }
+  return quotes;
+}
+
+/**
+ * The text of a quoted event as it would read on its own: a note's content,
+ * or an article's title and summary.
+ * @param {object} event
+ * @returns {string}
+ */
+export function quotedContent(event) {
+  if (event.kind === 30023) {
+    const tag = (name) => event.tags?.find(t => t[0] === name)?.[1] || '';
+    return [tag('title'), tag('summary')].filter(Boolean).join(' — ');
+  }
+  return event.content || '';
+}
+
+/**
+ * Text whose mentions must be resolved to render these quotes: the quoted
+ * notes themselves plus their authors. Feed it to resolveMentions with the post.
+ * @param {Array<{ event?: object }>} quotes
+ * @returns {string}
+ */
+export function quoteMentionText(quotes) {
+  return quotes.filter(q => q.event)
+    .map(q => `${quotedContent(q.event)}\nnostr:${npubEncode(q.event.pubkey)}`)
+    .join('\n');
+}
+
+/**
+ * Render a quoted note for a platform:
+ *   x, bluesky → “excerpt” — @handle
+ *   linkedin   → an indented (▎) excerpt with a — Name line
+ * The author is shown as resolved in `options.mentions`, else as a shortened npub.
+ * @param {{ event: object }} quote
+ * @param {'x'|'linkedin'|'bluesky'} platform
+ * @param {object} options - { mentions?: Map, maxChars?: number }
+ * @returns {string}
+ */
+export function renderQuote(quote, platform, options = {}) {
+  const { event } = quote;
+  const mentions = options.mentions || new Map();
+
+  const content = quotedContent(event);
+  let excerpt = removeMedia(content, extractMedia(content, [event]));
+  excerpt = stripNostrArtifacts(excerpt, { mentions, platform }).replace(/\s+/g, ' ').trim();
+  const maxChars = options.maxChars ?? EXCERPT_CHARS;
+  if (excerpt.length > maxChars) {
+    const cut = excerpt.slice(0, maxChars - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    excerpt = (lastSpace > maxChars * 0.5 ? cut.slice(0, lastSpace) : cut) + '…';
+  }
+  excerpt ||= '…'; // image-only note
+
+  const mention = mentions.get(event.pubkey);
+  const npub = npubEncode(event.pubkey);
+  const author = (mention && renderMention(mention, platform)) || `${npub.slice(0, 12)}…${npub.slice(-4)}`;
+
+  if (platform === 'linkedin') return `▎ ${excerpt}\n▎ — ${author}`;
+  return `“${excerpt}” — ${author}`;
+}
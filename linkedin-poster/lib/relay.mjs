@@ -0,0 +1,228 @@
+/**
+ * Nostr Relay Pool
+ *
+ * Minimal NIP-01 client over the built-in WebSocket (Node 22+), or the `ws`
+ * package where there is none (Node 20).
+ * Keeps one connection per relay for the lifetime of the pool, so a whole
+ * run's queries share sockets. Queries fan out to every relay concurrently,
+ * stop each relay at EOSE (or its timeout), and merge duplicate events by id.
+ * An optional `validate` hook drops bad events before merging, so a forged
+ * copy from one relay can't shadow the genuine event from another. Each
+ * distinct copy is validated once per query, however many relays send it.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+// Keep in step with `relays` in the cross-post checker's lib/config.mjs
+export const DEFAULT_RELAYS = [
+  'wss://relay.damus.io',
+  'wss://relay.primal.net',
+  'wss://nos.lol',
+  'wss://relay.ditto.pub',
+];
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+let wsPromise = null;
+
+/**
+ * The WebSocket class to connect with: the global one, else the `ws` package's.
+ * @returns {Promise<Function|null>} null when neither is available
+ */
+function defaultWebSocket() {
+  if (globalThis.WebSocket) return Promise.resolve(globalThis.WebSocket);
+  wsPromise ||= import('ws').then(mod => mod.WebSocket || mod.default, () => null);
+  return wsPromise;
+}
+
+/**
+ * Normalize a relay URL so the same relay isn't connected twice.
+ */
+export function normalizeRelayUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+// Every relay sends its own copy of an event, and checking a signature is slow — remember
+// each verdict. Keyed on every signed field, so a tampered copy of a genuine id is still checked
+function validateOnce(validate) {
+  const verdicts = new Map();
+  return (event) => {
+    const key = JSON.stringify([event.id, event.pubkey, event.created_at, event.kind, event.tags, event.content, event.sig]);
+    if (!verdicts.has(key)) verdicts.set(key, validate(event));
+    return verdicts.get(key);
+  };
+}
+
+/**
+ * Create a relay pool.
+ * @param {object} options - { timeout?: number, WebSocket?: Function, onError?: (relay, message) => void }
+ * @returns {{ query: Function, close: Function }}
+ */
+export function createPool(options = {}) {
+  const defaultTimeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  const connections = new Map();
+
+  function report(relay, message) {
+    if (options.onError) options.onError(relay, message);
+  }
+
+  function connect(url) {
+    const existing = connections.get(url);
+    if (existing) return existing.ready;
+
+    const conn = { socket: null, subs: new Map(), ready: null };
+    connections.set(url, conn);
+
+    const impl = options.WebSocket ? Promise.resolve(options.WebSocket) : defaultWebSocket();
+    conn.ready = impl.then(WebSocketImpl => new Promise((resolve, reject) => {
+      let socket;
+      try {
+        if (connections.get(url) !== conn) throw new Error('pool closed');
+        if (!WebSocketImpl) throw new Error('WebSocket is not available (Node.js 22+, or `npm install` for the ws package)');
+        socket = new WebSocketImpl(url);
+      } catch (err) {
+        if (connections.get(url) === conn) connections.delete(url);
+        reject(new Error(`connect failed: ${err.message}`));
+        return;
+      }
+      conn.socket = socket;
+
+      socket.addEventListener('open', () => resolve(conn));
+
+      socket.addEventListener('message', (msg) => {
+        let data;
+        try {
+          data = JSON.parse(typeof msg.data === 'string' ? msg.data : msg.data.toString());
+        } catch {
+          return; // ignore malformed frames
+        }
+        if (!Array.isArray(data)) return;
+        const sub = conn.subs.get(data[1]);
+        if (sub) sub.onMessage(data);
+      });
+
+      socket.addEventListener('error', (err) => {
+        const message = err?.message || err?.error?.message || 'connection error';
+        reject(new Error(message));
+        for (const sub of conn.subs.values()) sub.onFail(message);
+      });
+
+      socket.addEventListener('close', () => {
+        if (connections.get(url) === conn) connections.delete(url);
+        reject(new Error('connection closed'));
+        for (const sub of conn.subs.values()) sub.onFail('connection closed');
+      });
+    }));
+
+    // Avoid unhandled rejections when nobody is awaiting the connection
+    conn.ready.catch(() => {
+      if (connections.get(url) === conn) connections.delete(url);
+    });
+    return conn.ready;
+  }
+
+  function send(conn, message) {
+    try {
+      conn.socket.send(JSON.stringify(message));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Run a REQ against a single relay until EOSE, CLOSED, error or timeout.
+   * Always resolves — failures are reported in `error`.
+   */
+  function queryRelay(url, filters, timeout, validate) {
+    return new Promise((resolve) => {
+      const events = [];
+      const rejected = [];
+      const subId = randomBytes(8).toString('hex');
+      let conn = null;
+      let done = false;
+
+      const finish = (error) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        if (conn) {
+          conn.subs.delete(subId);
+          if (error !== 'connection closed') send(conn, ['CLOSE', subId]);
+        }
+        if (error) report(url, error);
+        resolve({ relay: url, events, rejected, error: error || null });
+      };
+
+      const timer = setTimeout(() => finish(`timeout after ${timeout}ms`), timeout);
+
+      connect(url).then((c) => {
+        if (done) return;
+        conn = c;
+        conn.subs.set(subId, {
+          onMessage: (data) => {
+            const [type] = data;
+            if (type === 'EVENT' && data[2] && typeof data[2] === 'object') {
+              const reason = validate ? validate(data[2]) : null;
+              if (reason) rejected.push({ relay: url, event: data[2], reason });
+              else events.push(data[2]);
+            } else if (type === 'EOSE') finish(null);
+            else if (type === 'CLOSED') finish(`closed by relay: ${data[2] || 'no reason given'}`);
+          },
+          onFail: (message) => finish(message),
+        });
+        if (!send(conn, ['REQ', subId, ...filters])) finish('send failed');
+      }, (err) => finish(err.message));
+    });
+  }
+
+  /**
+   * Query several relays concurrently and merge the results.
+   * @param {string[]} relays - Relay URLs
+   * @param {object|object[]} filters - NIP-01 filter(s)
+   * @param {object} queryOptions - { timeout?: number, validate?: (event) => string|null, requireAnswer?: boolean }
+   *   validate returns a rejection reason, or null to accept the event, and runs once per distinct
+   *   copy of an event; with requireAnswer the
+   *   query rejects when every relay failed, rather than resolving with no events
+   * @returns {Promise<{ events: object[], errors: Array<{ relay: string, message: string }>, rejected: Array<{ relay: string, event: object, reason: string }> }>}
+   */
+  async function query(relays, filters, queryOptions = {}) {
+    const timeout = queryOptions.timeout ?? defaultTimeout;
+    const filterList = Array.isArray(filters) ? filters : [filters];
+    const urls = [...new Set(relays.map(normalizeRelayUrl).filter(Boolean))];
+    const validate = queryOptions.validate && validateOnce(queryOptions.validate);
+
+    const results = await Promise.all(
+      urls.map(url => queryRelay(url, filterList, timeout, validate)),
+    );
+
+    const byId = new Map();
+    const errors = [];
+    const rejected = [];
+    for (const result of results) {
+      if (result.error) errors.push({ relay: result.relay, message: result.error });
+      rejected.push(...result.rejected);
+      for (const event of result.events) {
+        if (event.id && !byId.has(event.id)) byId.set(event.id, event);
+      }
+    }
+
+    if (queryOptions.requireAnswer && urls.length > 0 && errors.length === urls.length && byId.size === 0 && rejected.length === 0) {
+      throw new Error(`No relay answered (${errors.map(e => `${e.relay}: ${e.message}`).join('; ')})`);
+    }
+
+    return { events: [...byId.values()], errors, rejected };
+  }
+
+  /**
+   * Close every open connection.
+   */
+  function close() {
+    for (const conn of connections.values()) {
+      try { conn.socket?.close(); } catch { /* ignore */ }
+    }
+    connections.clear();
+  }
+
+  return { query, close };
+}
@@ -0,0 +1,154 @@
+/**
+ * Thread building for short-form platforms — split text into posts of a platform's length.
+ * Shared by the X and Bluesky posters, which pass in how their platform counts.
+ *
+ * - Never breaks inside a link or one of the platform's tokens (#hashtag, @mention, …)
+ * - Prefers paragraph, then line (list item), then sentence, then clause, then word boundaries
+ * - Numbers the posts in one of NUMBERING_STYLES, reserving the marker's exact width
+ * - A thread longer than `maxPosts` becomes one summary post plus a link instead, given a link
+ */
+
+export const NUMBERING_STYLES = ['none', '1/', '(1/n)', '🧵'];
+export const DEFAULT_NUMBERING = '(1/n)';
+
+// Break candidates, best first: [pattern, cut before (0) or after (1) the match, earliest share of the post]
+const BREAKS = [
+  [/\n\s*\n/g, 0, 0.5],            // paragraph
+  [/\n/g, 0, 0.5],                  // line — keeps list items whole
+  [/[.!?…]["'’”)\]]*\s/g, 1, 0.5],  // sentence
+  [/(?:[,;:]|\s[—–])\s/g, 1, 0.5],  // clause
+  [/\s/g, 0, 0.3],                  // word
+];
+
+/**
+ * Create a thread builder for one platform.
+ * @param {object} platform
+ * @param {number} platform.maxLength - longest post
+ * @param {(text: string) => number} platform.length - the platform's length of a text
+ * @param {(text: string, max: number) => number} platform.fitPrefix - offset to cut at so that `max` fits
+ * @param {(text: string) => Array<{ start: number, end: number }>} platform.findLinks - the links in a text
+ * @param {(url: string) => number} platform.linkLength - what a link costs in the summary post
+ * @param {RegExp} platform.tokenRe - global regex of tokens never to break inside
+ * @param {(text: string) => string} [platform.normalize] - applied before counting, so split offsets refer to the same string
+ * @returns {{ buildThread: Function, threadRoom: Function, splitText: Function }}
+ */
+export function createThreadBuilder(platform) {
+  const { maxLength, length, fitPrefix, findLinks, linkLength, tokenRe, normalize = (text) => text } = platform;
+
+  /**
+   * Build a thread. Each part starts a new post (a note of a self-thread, a quote
+   * that follows the post); parts too long for one post are split.
+   * @param {string|string[]} parts
+   * @param {object} options - { numbering?: string, maxPosts: number, link?: string, summary?: string }
+   *   link and summary make the fallback post for a thread over maxPosts; summary defaults
+   *   to the first paragraph. Without a link the whole thread is kept, whatever its length
+   * @returns {string[]} posts; [''] when there's no text at all
+   */
+  function buildThread(parts, options) {
+    const numbering = options.numbering ?? DEFAULT_NUMBERING;
+    if (!NUMBERING_STYLES.includes(numbering)) {
+      throw new Error(`Unknown numbering style "${numbering}" (expected one of ${NUMBERING_STYLES.join(', ')})`);
+    }
+
+    parts = [parts].flat().map(p => normalize(p || '').trim()).filter(Boolean);
+    if (parts.length === 0) return [''];
+    if (parts.length === 1 && length(parts[0]) <= maxLength) return parts;
+
+    // The marker's width depends on the post count: split, and again if the count outgrew the reservation
+    let total = parts.length;
+    let posts;
+    for (;;) {
+      const room = threadRoom(numbering, total);
+      posts = parts.flatMap(part => splitText(part, room));
+      if (markerLength(numbering, posts.length) <= markerLength(numbering, total)) break;
+      total = posts.length;
+    }
+
+    // A summary is only a teaser with a link to the rest — without one, the text would be lost
+    if (posts.length > options.maxPosts && options.link) {
+      return [summaryPost(options.summary || parts[0], options.link)];
+    }
+    return posts.map((post, i) => addMarker(post, numbering, i + 1, posts.length));
+  }
+
+  /**
+   * Room left in each post of a `total`-post thread once the numbering is added.
+   * @param {string} [numbering]
+   * @param {number} total
+   * @returns {number}
+   */
+  function threadRoom(numbering, total) {
+    return maxLength - markerLength(numbering ?? DEFAULT_NUMBERING, total);
+  }
+
+  /**
+   * Split text into chunks of at most `max` in the platform's length.
+   * @param {string} text - already normalized
+   * @param {number} max
+   * @returns {string[]}
+   */
+  function splitText(text, max) {
+    const chunks = [];
+    let rest = text.trim();
+    while (length(rest) > max) {
+      const cut = findBreak(rest, max);
+      chunks.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut).trim();
+    }
+    if (rest) chunks.push(rest);
+    return chunks;
+  }
+
+  function findBreak(text, max) {
+    const limit = fitPrefix(text, max);
+    const spans = [
+      ...findLinks(text),
+      ...[...text.matchAll(tokenRe)].map(m => ({ start: m.index, end: m.index + m[0].length })),
+    ];
+    const inside = (at) => spans.some(s => at > s.start && at < s.end);
+
+    for (const [re, after, share] of BREAKS) {
+      let best = -1;
+      for (const m of text.matchAll(re)) {
+        const at = after ? m.index + m[0].length - 1 : m.index;
+        if (at > limit) break;
+        if (at > limit * share && !inside(at)) best = at;
+      }
+      if (best > 0) return best;
+    }
+
+    // Hard cut — back off to the start of whatever token straddles it
+    const straddling = spans.find(s => limit > s.start && limit < s.end && s.start > 0);
+    return straddling ? straddling.start : Math.max(limit, 1);
+  }
+
+  // Widest marker a thread of `total` posts needs
+  function markerLength(numbering, total) {
+    if (total <= 1) return 0;
+    return Math.max(length(marker(numbering, 1, total)), length(marker(numbering, total, total)));
+  }
+
+  function summaryPost(summary, link) {
+    const room = maxLength - linkLength(link) - 2;
+    let text = normalize(summary).split(/\n\s*\n/)[0].trim();
+    if (length(text) > room) {
+      text = text.slice(0, findBreak(text, room - length('…'))).trim() + '…';
+    }
+    return `${text}\n\n${link}`;
+  }
+
+  return { buildThread, threadRoom, splitText };
+}
+
+function marker(numbering, index, total) {
+  if (numbering === '1/') return `${index}/ `;
+  if (numbering === '(1/n)') return ` (${index}/${total})`;
+  if (numbering === '🧵') return index === 1 ? ' 🧵' : '';
+  return '';
+}
+
+function addMarker(post, numbering, index, total) {
+  if (total === 1) return post;
+  const mark = marker(numbering, index, total);
+  return numbering === '1/' ? mark + post : post + mark;
+}
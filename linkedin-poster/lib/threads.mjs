@@ -0,0 +1,89 @@
+/**
+ * Self-threads — an author replying to their own note to continue it.
+ *
+ * Replies are linked through NIP-10 `e` tags. A thread is the root plus the
+ * chain of the author's own replies, each continuing the previous one, within
+ * a time window of the root. Shared by both posters and the cross-post checker.
+ */
+
+import { createPool, DEFAULT_RELAYS } from './relay.mjs';
+import { validateEvent } from './verify.mjs';
+import { mergeRelays } from './outbox.mjs';
+
+export const DEFAULT_THREAD_WINDOW_SECONDS = 6 * 3600;
+const THREAD_TIMEOUT_MS = 8_000;
+
+/**
+ * The root and parent a kind 1 reply points at (NIP-10). Marked `e` tags win;
+ * unmarked ones (the deprecated positional scheme) mean first = root, last = parent.
+ * @param {object} event
+ * @returns {{ root: string|null, parent: string|null }} nulls for a note that isn't a reply
+ */
+export function replyTarget(event) {
+  const eTags = (event.tags || []).filter(t => t[0] === 'e' && /^[0-9a-f]{64}$/.test(t[1] || ''));
+  const root = eTags.find(t => t[3] === 'root')?.[1];
+  const reply = eTags.find(t => t[3] === 'reply')?.[1];
+  if (root || reply) return { root: root || reply, parent: reply || root };
+
+  const positional = eTags.filter(t => !t[3]);
+  if (positional.length === 0) return { root: null, parent: null };
+  return { root: positional[0][1], parent: positional[positional.length - 1][1] };
+}
+
+/**
+ * Assemble a self-thread from candidate events. Where the author answered the
+ * same note more than once, the earliest answer continues the chain.
+ * @param {object} root - the thread's first note
+ * @param {object[]} events - candidates (other authors, other threads and events past the window are ignored)
+ * @param {object} options - { windowSeconds?: number }
+ * @returns {object[]} [root, ...replies] in order; just [root] when it has no self-replies
+ */
+export function assembleThread(root, events, options = {}) {
+  const windowEnd = root.created_at + (options.windowSeconds ?? DEFAULT_THREAD_WINDOW_SECONDS);
+  const replies = events
+    .filter(e => e.kind === 1 && e.pubkey === root.pubkey && e.id !== root.id &&
+      e.created_at <= windowEnd && replyTarget(e).root === root.id)
+    .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : 1));
+
+  const chain = [root];
+  for (;;) {
+    const tail = chain[chain.length - 1];
+    const next = replies.find(e => replyTarget(e).parent === tail.id && !chain.includes(e));
+    if (!next) return chain;
+    chain.push(next);
+  }
+}
+
+/**
+ * Fetch the author's replies to a note and assemble its self-thread.
+ * @param {object} root
+ * @param {object} options - { pool?: RelayPool, relays?: string[], timeout?: number, windowSeconds?: number }
+ * @returns {Promise<object[]>} [root, ...replies]
+ */
+export async function fetchThread(root, options = {}) {
+  const windowSeconds = options.windowSeconds ?? DEFAULT_THREAD_WINDOW_SECONDS;
+  const pool = options.pool || createPool();
+  let events = [];
+  try {
+    ({ events } = await pool.query(
+      mergeRelays([options.relays, DEFAULT_RELAYS]),
+      {
+        kinds: [1], authors: [root.pubkey], '#e': [root.id],
+        since: root.created_at, until: root.created_at + windowSeconds, limit: 100,
+      },
+      { timeout: options.timeout ?? THREAD_TIMEOUT_MS, validate: (event) => validateEvent(event, { author: root.pubkey }) },
+    ));
+  } finally {
+    if (!options.pool) pool.close();
+  }
+  return assembleThread(root, events, { windowSeconds });
+}
+
+/**
+ * A thread's notes as one text, for classification and single-post platforms.
+ * @param {object[]} thread
+ * @returns {string}
+ */
+export function threadContent(thread) {
+  return thread.map(e => (e.content || '').trim()).filter(Boolean).join('\n\n');
+}
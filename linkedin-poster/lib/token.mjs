@@ -1,7 +1,8 @@
 /**
  * LinkedIn OAuth 2.0 Token Manager
  *
- * Storage: ~/.linkedin/ (credentials.json, token.json)
+ * Storage: ~/.linkedin/ (credentials.json, token.json) — $LINKEDIN_DIR overrides
+ * the directory, so one machine can hold a credential set per account
  * 3-legged OAuth with local callback server on port 3847
  * Auto-refreshes tokens before 60-day expiry
  */
@@ -12,30 +13,40 @@ import { URL } from 'node:url';
 import { homedir } from 'node:os';
 import { join } from 'node:path';
 
-const LINKEDIN_DIR = join(homedir(), '.linkedin');
-const CREDENTIALS_PATH = join(LINKEDIN_DIR, 'credentials.json');
-const TOKEN_PATH = join(LINKEDIN_DIR, 'token.json');
+// Resolved per call: the cross-post checker switches $LINKEDIN_DIR between profiles
+function linkedinDir() {
+  return process.env.LINKEDIN_DIR || join(homedir(), '.linkedin');
+}
+
+function credentialsPath() {
+  return join(linkedinDir(), 'credentials.json');
+}
+
+function tokenPath() {
+  return join(linkedinDir(), 'token.json');
+}
+
 const REDIRECT_URI = 'http://localhost:3847/callback';
 const SCOPES = 'openid profile w_member_social';
 const REFRESH_THRESHOLD_MS = 24 * 60 * 60 * 1000; // 24 hours before expiry
 
 async function ensureDir() {
-  await mkdir(LINKEDIN_DIR, { recursive: true, mode: 0o700 });
+  await mkdir(linkedinDir(), { recursive: true, mode: 0o700 });
 }
 
 async function readCredentials() {
   try {
-    return JSON.parse(await readFile(CREDENTIALS_PATH, 'utf8'));
+    return JSON.parse(await readFile(credentialsPath(), 'utf8'));
   } catch {
     throw new Error(
-      `Missing credentials. Create ${CREDENTIALS_PATH} with {"clientId":"...","clientSecret":"..."}`
+      `Missing credentials. Create ${credentialsPath()} with {"clientId":"...","clientSecret":"..."}`
     );
   }
 }
 
 async function readToken() {
   try {
-    return JSON.parse(await readFile(TOKEN_PATH, 'utf8'));
+    return JSON.parse(await readFile(tokenPath(), 'utf8'));
   } catch {
     return null;
   }
@@ -43,7 +54,7 @@ async function readToken() {
 
 async function writeToken(tokenData) {
   await ensureDir();
-  await writeFile(TOKEN_PATH, JSON.stringify(tokenData, null, 2), { mode: 0o600 });
+  await writeFile(tokenPath(), JSON.stringify(tokenData, null, 2), { mode: 0o600 });
 }
 
 async function exchangeCode(code, clientId, clientSecret) {
@@ -190,7 +201,7 @@ export async function setupAuth() {
 
   await writeToken(tokenData);
   console.log(`\n✅ Authenticated as ${name} (${tokenData.personUrn})`);
-  console.log(`Token stored at ${TOKEN_PATH}`);
+  console.log(`Token stored at ${tokenPath()}`);
 }
 
 /**
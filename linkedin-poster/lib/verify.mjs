@@ -0,0 +1,195 @@
+/**
+ * Nostr event verification — NIP-01 id hash + BIP-340 Schnorr signature.
+ *
+ * Pure Node.js implementation using built-in crypto and BigInt, so a relay
+ * can't hand us a forged event and have it published under someone's name.
+ */
+
+import { createHash } from 'node:crypto';
+
+// secp256k1 domain parameters
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+};
+
+const HEX32_RE = /^[0-9a-f]{64}$/;
+const HEX64_RE = /^[0-9a-f]{128}$/;
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+function powMod(base, exp, m = P) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+// --- Jacobian point arithmetic (X, Y, Z) — infinity is Z = 0 ---
+
+const INFINITY = { X: 0n, Y: 1n, Z: 0n };
+
+function toJacobian({ x, y }) {
+  return { X: x, Y: y, Z: 1n };
+}
+
+function toAffine(pt) {
+  if (pt.Z === 0n) return null;
+  const zInv = powMod(pt.Z, P - 2n);
+  const zInv2 = (zInv * zInv) % P;
+  return { x: mod(pt.X * zInv2), y: mod(pt.Y * zInv2 * zInv) };
+}
+
+function pointDouble({ X, Y, Z }) {
+  if (Z === 0n || Y === 0n) return INFINITY;
+  const YY = (Y * Y) % P;
+  const S = mod(4n * X * YY);
+  const M = mod(3n * X * X);
+  const X3 = mod(M * M - 2n * S);
+  const Y3 = mod(M * (S - X3) - 8n * YY * YY);
+  const Z3 = mod(2n * Y * Z);
+  return { X: X3, Y: Y3, Z: Z3 };
+}
+
+function pointAdd(p1, p2) {
+  if (p1.Z === 0n) return p2;
+  if (p2.Z === 0n) return p1;
+  const Z1Z1 = (p1.Z * p1.Z) % P;
+  const Z2Z2 = (p2.Z * p2.Z) % P;
+  const U1 = (p1.X * Z2Z2) % P;
+  const U2 = (p2.X * Z1Z1) % P;
+  const S1 = (p1.Y * p2.Z * Z2Z2) % P;
+  const S2 = (p2.Y * p1.Z * Z1Z1) % P;
+  if (U1 === U2) return S1 === S2 ? pointDouble(p1) : INFINITY;
+  const H = mod(U2 - U1);
+  const R = mod(S2 - S1);
+  const HH = (H * H) % P;
+  const HHH = (H * HH) % P;
+  const V = (U1 * HH) % P;
+  const X3 = mod(R * R - HHH - 2n * V);
+  const Y3 = mod(R * (V - X3) - S1 * HHH);
+  const Z3 = (H * p1.Z * p2.Z) % P;
+  return { X: X3, Y: Y3, Z: Z3 };
+}
+
+function pointMul(pt, k) {
+  let result = INFINITY;
+  let addend = pt;
+  while (k > 0n) {
+    if (k & 1n) result = pointAdd(result, addend);
+    addend = pointDouble(addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+function pointNegate({ X, Y, Z }) {
+  return { X, Y: mod(-Y), Z };
+}
+
+/**
+ * BIP-340 lift_x: the point with the given x coordinate and even y, or null.
+ */
+function liftX(x) {
+  if (x >= P) return null;
+  const c = mod(x * x * x + 7n);
+  const y = powMod(c, (P + 1n) / 4n);
+  if ((y * y) % P !== c) return null;
+  return { x, y: y % 2n === 0n ? y : P - y };
+}
+
+function taggedHash(tag, ...chunks) {
+  const tagHash = createHash('sha256').update(tag).digest();
+  const hash = createHash('sha256').update(tagHash).update(tagHash);
+  for (const chunk of chunks) hash.update(chunk);
+  return hash.digest();
+}
+
+const toBigInt = (buf) => BigInt('0x' + Buffer.from(buf).toString('hex'));
+
+/**
+ * Verify a BIP-340 Schnorr signature.
+ * @param {string} sig - 64-byte signature as hex
+ * @param {string} message - 32-byte message as hex
+ * @param {string} pubkey - 32-byte x-only public key as hex
+ * @returns {boolean}
+ */
+export function verifySchnorr(sig, message, pubkey) {
+  if (!HEX64_RE.test(sig) || !HEX32_RE.test(message) || !HEX32_RE.test(pubkey)) return false;
+
+  const pub = liftX(BigInt('0x' + pubkey));
+  if (!pub) return false;
+
+  const sigBytes = Buffer.from(sig, 'hex');
+  const r = toBigInt(sigBytes.subarray(0, 32));
+  const s = toBigInt(sigBytes.subarray(32));
+  if (r >= P || s >= N) return false;
+
+  const e = mod(
+    toBigInt(taggedHash('BIP0340/challenge', sigBytes.subarray(0, 32), Buffer.from(pubkey, 'hex'), Buffer.from(message, 'hex'))),
+    N,
+  );
+
+  // R = s·G − e·P
+  const R = toAffine(pointAdd(
+    pointMul(toJacobian(G), s),
+    pointNegate(pointMul(toJacobian(pub), e)),
+  ));
+  if (!R || R.y % 2n !== 0n) return false;
+  return R.x === r;
+}
+
+/**
+ * Compute the NIP-01 event id (sha256 of the canonical serialization).
+ * @param {object} event
+ * @returns {string} 64-char hex id
+ */
+export function getEventHash(event) {
+  const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content]);
+  return createHash('sha256').update(serialized, 'utf8').digest('hex');
+}
+
+/**
+ * Check an event's shape, id hash, signature and (optionally) its author.
+ * @param {object} event - Raw Nostr event
+ * @param {object} options - { author?: string } — expected hex pubkey
+ * @returns {string|null} Rejection reason, or null when the event is valid
+ */
+export function validateEvent(event, options = {}) {
+  if (!event || typeof event !== 'object') return 'malformed event: not an object';
+  if (!HEX32_RE.test(event.id || '')) return 'malformed event: bad id';
+  if (!HEX32_RE.test(event.pubkey || '')) return 'malformed event: bad pubkey';
+  if (!HEX64_RE.test(event.sig || '')) return 'malformed event: bad sig';
+  if (!Number.isInteger(event.created_at) || !Number.isInteger(event.kind)) {
+    return 'malformed event: created_at and kind must be integers';
+  }
+  if (!Array.isArray(event.tags) || typeof event.content !== 'string') {
+    return 'malformed event: bad tags or content';
+  }
+
+  const hash = getEventHash(event);
+  if (hash !== event.id) return `id mismatch (claimed ${event.id.slice(0, 12)}…, computed ${hash.slice(0, 12)}…)`;
+  if (!verifySchnorr(event.sig, event.id, event.pubkey)) return 'invalid signature';
+
+  if (options.author && event.pubkey !== options.author) {
+    return `author mismatch (expected ${options.author.slice(0, 12)}…, got ${event.pubkey.slice(0, 12)}…)`;
+  }
+
+  return null;
+}
+
+/**
+ * Convenience boolean form of validateEvent().
+ */
+export function verifyEvent(event, options = {}) {
+  return validateEvent(event, options) === null;
+}
@@ -0,0 +1,83 @@
+/**
+ * Zap receipt (NIP-57 kind 9735) amount parsing.
+ *
+ * The paid amount comes from the receipt's `bolt11` invoice; if that can't be
+ * read we fall back to the `amount` tag of the zap request embedded in the
+ * `description` tag. Both are millisats on the wire — we return sats.
+ */
+
+// BOLT-11 human-readable part: ln + network + optional amount + multiplier
+const BOLT11_HRP_RE = /^ln(?:bcrt|bc|tbs|tb|sb)(\d+)?([munp])?$/;
+
+// Millisats per unit of each multiplier (1 BTC = 1e11 msat)
+const MSAT_PER_UNIT = {
+  '': 100_000_000_000n,
+  m: 100_000_000n,
+  u: 100_000n,
+  n: 100n,
+};
+
+/**
+ * Read the amount encoded in a BOLT-11 invoice.
+ * @param {string} invoice
+ * @returns {number|null} Millisats, or null if the invoice has no (valid) amount
+ */
+export function bolt11AmountMsats(invoice) {
+  if (typeof invoice !== 'string') return null;
+  const lower = invoice.trim().toLowerCase().replace(/^lightning:/, '');
+  const sep = lower.lastIndexOf('1');
+  if (sep < 1) return null;
+
+  const match = lower.slice(0, sep).match(BOLT11_HRP_RE);
+  if (!match || !match[1]) return null;
+
+  const [, digits, multiplier = ''] = match;
+  const amount = BigInt(digits);
+  if (multiplier === 'p') {
+    // Pico-BTC is a tenth of a millisat; BOLT-11 requires it to be a whole msat
+    if (amount % 10n !== 0n) return null;
+    return Number(amount / 10n);
+  }
+  return Number(amount * MSAT_PER_UNIT[multiplier]);
+}
+
+/**
+ * Sats paid by a zap receipt.
+ * @param {object} receipt - kind 9735 event
+ * @returns {number|null} Sats, or null if neither the invoice nor the zap request carries an amount
+ */
+export function zapAmountSats(receipt) {
+  const tag = (event, name) => event?.tags?.find(t => t[0] === name)?.[1];
+
+  let msats = bolt11AmountMsats(tag(receipt, 'bolt11'));
+
+  if (msats === null) {
+    try {
+      const request = JSON.parse(tag(receipt, 'description') || 'null');
+      const amount = Number(tag(request, 'amount'));
+      if (Number.isFinite(amount) && amount > 0) msats = amount;
+    } catch {
+      // Malformed zap request — no amount to recover
+    }
+  }
+
+  return msats === null ? null : Math.floor(msats / 1000);
+}
+
+/**
+ * Who sent a zap: the signer of the embedded zap request, or the receipt's `P` tag.
+ * The receipt itself is signed by the recipient's LNURL server, not the zapper.
+ * @param {object} receipt - kind 9735 event
+ * @returns {string|null} Hex pubkey, or null if the receipt doesn't say
+ */
+export function zapSender(receipt) {
+  const tags = receipt?.tags || [];
+  try {
+    const request = JSON.parse(tags.find(t => t[0] === 'description')?.[1] || 'null');
+    if (/^[0-9a-f]{64}$/.test(request?.pubkey || '')) return request.pubkey;
+  } catch {
+    // Fall through to the P tag
+  }
+  const sender = tags.find(t => t[0] === 'P')?.[1];
+  return /^[0-9a-f]{64}$/.test(sender || '') ? sender : null;
+}
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { renderMarkdown } = await import(join(ROOT, 'lib/commentary.mjs'));
+
+describe('LinkedIn markdown rendering', () => {
+  it('renders structure as plain text', () => {
+    const text = renderMarkdown([
+      '## Setup', '', 'Read **the** [guide](https://example.com/guide) and the [guide](https://example.com/guide) again.', '',
+      '3. first', '7. second', '   - detail', '', '### Code', '', '```sh', 'npm test', '```', '',
+      '> wise words', '', '| Relay | Fee |', '| --- | --- |', '| nos.lol | free |',
+    ].join('\n'));
+
+    assert.equal(text, [
+      'SETUP', '', 'Read the guide [1] and the guide [1] again.', '',
+      '1. first', '2. second', '   ◦ detail', '', '▸ Code', '', '    npm test', '',
+      '▎ wise words', '', 'Relay: nos.lol · Fee: free', '', '[1] https://example.com/guide',
+    ].join('\n'));
+  });
+
+  it('sets headings in Unicode bold on request', () => {
+    assert.equal(renderMarkdown('# Go 2', { boldHeadings: true }), '𝗚𝗼 𝟮');
+  });
+
+  it('truncates by whole blocks without leaving a bare heading', () => {
+    const section = (n) => `## Part ${n}\n\n${`Sentence ${n}. `.repeat(40).trim()}`;
+    const markdown = [1, 2, 3].map(section).join('\n\n');
+    const full = renderMarkdown(markdown);
+
+    const cut = renderMarkdown(markdown, { maxChars: full.length - 50 });
+    assert.ok(cut.length <= full.length - 50);
+    assert.ok(cut.includes('PART 3'));
+    assert.ok(cut.endsWith('...'));
+
+    const short = renderMarkdown(markdown, { maxChars: 600 });
+    assert.ok(short.length <= 600);
+    assert.ok(!short.includes('PART 2'), short);
+    assert.ok(short.endsWith('Sentence 1.'));
+  });
+
+  it('drops footnotes whose links were cut', () => {
+    const markdown = `${'Intro text. '.repeat(30)}\n\nSee [more](https://example.com/more).`;
+    const text = renderMarkdown(markdown, { maxChars: 380 });
+    assert.ok(!text.includes('https://example.com/more'));
+  });
+});
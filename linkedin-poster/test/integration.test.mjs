@@ -11,16 +11,17 @@ const ROOT = join(__dirname, '..');
 // Dynamic imports for the modules under test
 const { decode } = await import(join(ROOT, 'lib/decoder.mjs'));
 const { fetchEvent } = await import(join(ROOT, 'lib/fetcher.mjs'));
-const { format } = await import(join(ROOT, 'lib/formatter.mjs'));
+const { createPool } = await import(join(ROOT, 'lib/relay.mjs'));
+const { neventEncode, naddrEncode, noteEncode, npubEncode, nprofileEncode } = await import(join(ROOT, 'lib/nip19.mjs'));
+const { format, toLittleText, attachImages, attachDocument, contentType } = await import(join(ROOT, 'lib/formatter.mjs'));
 
 const kind1Fixture = JSON.parse(readFileSync(join(ROOT, 'test/fixtures/kind1-event.json'), 'utf8'));
 const kind30023Fixture = JSON.parse(readFileSync(join(ROOT, 'test/fixtures/kind30023-event.json'), 'utf8'));
 
 describe('decoder', () => {
   it('decodes a nevent identifier', async () => {
-    // Encode a known event id using nak
     const eventId = 'a'.repeat(64);
-    const nevent = execSync(`nak encode nevent ${eventId} 2>/dev/null`, { encoding: 'utf-8' }).trim();
+    const nevent = neventEncode({ id: eventId });
     const result = await decode(nevent);
     assert.equal(result.type, 'nevent');
     assert.equal(result.id, eventId);
@@ -29,7 +30,7 @@ describe('decoder', () => {
 
   it('decodes a nevent with relay hint', async () => {
     const eventId = 'b'.repeat(64);
-    const nevent = execSync(`nak encode nevent --relay wss://relay.damus.io ${eventId} 2>/dev/null`, { encoding: 'utf-8' }).trim();
+    const nevent = neventEncode({ id: eventId, relays: ['wss://relay.damus.io'] });
     const result = await decode(nevent);
     assert.equal(result.type, 'nevent');
     assert.equal(result.id, eventId);
@@ -38,7 +39,7 @@ describe('decoder', () => {
 
   it('decodes an naddr identifier', async () => {
     const pubkey = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
-    const naddr = execSync(`nak encode naddr -k 30023 -d test-article -p ${pubkey} 2>/dev/null`, { encoding: 'utf-8' }).trim();
+    const naddr = naddrEncode({ kind: 30023, identifier: 'test-article', pubkey });
     const result = await decode(naddr);
     assert.equal(result.type, 'naddr');
     assert.equal(result.kind, 30023);
@@ -46,8 +47,24 @@ describe('decoder', () => {
     assert.equal(result.pubkey, pubkey);
   });
 
+  it('decodes note, npub and nprofile identifiers', async () => {
+    const hex = 'c'.repeat(64);
+    assert.deepEqual(await decode(noteEncode(hex)), { type: 'note', id: hex, relays: [] });
+    assert.deepEqual(await decode(npubEncode(hex)), { type: 'npub', pubkey: hex, relays: [] });
+    const nprofile = nprofileEncode({ pubkey: hex, relays: ['wss://nos.lol'] });
+    assert.deepEqual(await decode(nprofile), { type: 'nprofile', pubkey: hex, relays: ['wss://nos.lol'] });
+  });
+
+  it('accepts nostr: URIs and raw hex ids', async () => {
+    const hex = 'd'.repeat(64);
+    const result = await decode(`nostr:${neventEncode({ id: hex })}`);
+    assert.equal(result.id, hex);
+    assert.deepEqual(await decode(hex.toUpperCase()), { type: 'note', id: hex, relays: [] });
+  });
+
   it('rejects invalid identifiers', async () => {
-    await assert.rejects(() => decode('note1abc'), /must start with nevent1 or naddr1/);
+    await assert.rejects(() => decode('note1abc'), /Invalid Nostr identifier/);
+    await assert.rejects(() => decode('nsec1abc'), /must be a hex event id or start with/);
     await assert.rejects(() => decode(''), /empty or not a string/);
     await assert.rejects(() => decode(null), /empty or not a string/);
   });
@@ -65,7 +82,7 @@ describe('formatter - kind 1', () => {
 
   it('extracts image URLs', () => {
     const { images } = format(kind1Fixture, 'nevent1test');
-    assert.ok(images.includes('https://example.com/photo.jpg'));
+    assert.ok(images.some(image => image.url === 'https://example.com/photo.jpg'));
   });
 
   it('strips nostr mentions', () => {
@@ -75,13 +92,13 @@ describe('formatter - kind 1', () => {
 
   it('preserves hashtags', () => {
     const { payload } = format(kind1Fixture, 'nevent1test');
-    assert.ok(payload.commentary.includes('#bitcoin') || payload.commentary.includes('#nostr'));
+    assert.ok(payload.commentary.includes('{hashtag|\\#|bitcoin}') || payload.commentary.includes('{hashtag|\\#|nostr}'));
   });
 
-  it('appends Nostr footer with njump link', () => {
+  it('leaves no Nostr footer or njump link', () => {
     const { payload } = format(kind1Fixture, 'nevent1test');
-    assert.ok(payload.commentary.includes('🟣 Originally posted on Nostr'));
-    assert.ok(payload.commentary.includes('https://njump.me/nevent1test'));
+    assert.ok(!payload.commentary.includes('Originally posted on Nostr'));
+    assert.ok(!payload.commentary.includes('njump.me'));
   });
 
   it('handles truncation for long content', () => {
@@ -89,20 +106,28 @@ describe('formatter - kind 1', () => {
     const { payload } = format(longEvent, 'nevent1test');
     assert.ok(payload.commentary.length <= 3000);
   });
+
+  it('handles truncation for long content with reserved characters', () => {
+    const longEvent = { ...kind1Fixture, content: 'a_b (c) '.repeat(600) };
+    const { payload } = format(longEvent, 'nevent1test');
+    assert.ok(payload.commentary.length <= 3000);
+    assert.ok(payload.commentary.length > 2900);
+    assert.ok(payload.commentary.endsWith('...'));
+  });
 });
 
 describe('formatter - kind 30023', () => {
-  it('produces article payload', () => {
-    const { payload, images } = format(kind30023Fixture, 'naddr1test');
+  it('produces article payload linking to the reader', () => {
+    const { payload } = format(kind30023Fixture, 'naddr1test', { link: 'https://example.com/read/naddr1test' });
     assert.ok(payload.content?.article);
     assert.equal(payload.content.article.title, 'Why Nostr Matters in 2025');
-    assert.equal(payload.content.article.source, 'https://njump.me/naddr1test');
+    assert.equal(payload.content.article.source, 'https://example.com/read/naddr1test');
     assert.ok(payload.content.article.description);
   });
 
   it('extracts image from tags', () => {
     const { images } = format(kind30023Fixture, 'naddr1test');
-    assert.ok(images.includes('https://example.com/blog-header.jpg'));
+    assert.ok(images.some(image => image.url === 'https://example.com/blog-header.jpg'));
   });
 
   it('strips markdown in commentary', () => {
@@ -114,31 +139,109 @@ describe('formatter - kind 30023', () => {
 
   it('includes hashtags from tags', () => {
     const { payload } = format(kind30023Fixture, 'naddr1test');
-    assert.ok(payload.commentary.includes('#nostr'));
-    assert.ok(payload.commentary.includes('#decentralization'));
+    assert.ok(payload.commentary.includes('{hashtag|\\#|nostr}'));
+    assert.ok(payload.commentary.includes('{hashtag|\\#|decentralization}'));
+  });
+
+  it('handles truncation for a long article with reserved characters', () => {
+    const content = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}: snake_case (and parens) [and brackets] ${'x'.repeat(20)}.`).join('\n\n');
+    const { payload } = format({ ...kind30023Fixture, content }, 'naddr1test');
+    assert.ok(payload.commentary.length <= 3000);
+    assert.ok(payload.commentary.includes('{hashtag|\\#|nostr}'));
+  });
+});
+
+describe('formatter - content', () => {
+  it('makes an article card only with a link to point at', () => {
+    assert.equal(format(kind30023Fixture, 'naddr1test').payload.content, undefined);
+    const { payload } = format(kind30023Fixture, 'naddr1test', { link: 'https://example.com/read/naddr1test' });
+    assert.equal(payload.content.article.source, 'https://example.com/read/naddr1test');
+    assert.equal(payload.content.article.title, 'Why Nostr Matters in 2025');
+  });
+
+  it('attaches images as thumbnail, single image or multi-image', () => {
+    const article = attachImages(format(kind30023Fixture, 'naddr1test', { link: 'https://example.com/r' }).payload, ['urn:li:image:1']);
+    assert.equal(article.content.article.thumbnail, 'urn:li:image:1');
+    assert.equal(contentType(article), 'article');
+
+    const single = attachImages(format(kind1Fixture, 'nevent1test').payload, ['urn:li:image:1']);
+    assert.deepEqual(single.content, { media: { id: 'urn:li:image:1' } });
+    assert.equal(contentType(single), 'image');
+
+    const urns = Array.from({ length: 25 }, (_, i) => `urn:li:image:${i}`);
+    const multi = attachImages(format(kind1Fixture, 'nevent1test').payload, urns);
+    assert.equal(multi.content.multiImage.images.length, 20);
+    assert.equal(contentType(multi), 'multiImage');
+
+    assert.equal(contentType(attachImages(format(kind1Fixture, 'nevent1test').payload, [])), 'text');
+  });
+
+  it('removes every attached image URL from a note', () => {
+    const event = { ...kind1Fixture, content: 'Two shots https://example.com/a.jpg https://example.com/b.png' };
+    const { payload, images } = format(event, 'nevent1test');
+    assert.deepEqual(images.map(image => image.url), ['https://example.com/a.jpg', 'https://example.com/b.png']);
+    assert.ok(!payload.commentary.includes('example.com'));
+  });
+
+  it('finds images by their imeta type', () => {
+    const event = {
+      ...kind1Fixture,
+      content: 'Blossom https://blossom.example/abc123 and a file https://example.com/a.pdf',
+      tags: [['imeta', 'url https://blossom.example/abc123', 'm image/webp', 'alt A cat']],
+    };
+    const { payload, images } = format(event, 'nevent1test');
+    assert.deepEqual(images, [{ url: 'https://blossom.example/abc123', mime: 'image/webp', alt: 'A cat', type: 'image' }]);
+    assert.ok(payload.commentary.includes('a.pdf'));
+  });
+
+  it('attaches a document', () => {
+    const payload = attachDocument(format(kind1Fixture, 'nevent1test').payload, 'urn:li:document:1', 'Slides');
+    assert.deepEqual(payload.content, { media: { title: 'Slides', id: 'urn:li:document:1' } });
+    assert.equal(contentType(payload), 'document');
+  });
+});
+
+describe('formatter - little text', () => {
+  it('escapes reserved characters', () => {
+    assert.equal(toLittleText('a (b) [c] {d} <e> f|g ~h_i *j* \\ k@l'),
+      'a \\(b\\) \\[c\\] \\{d\\} \\<e\\> f\\|g \\~h\\_i \\*j\\* \\\\ k\\@l');
+  });
+
+  it('keeps mention annotations and turns hashtags into hashtag annotations', () => {
+    assert.equal(toLittleText('Thanks @[Jane Doe](urn:li:person:abc123) #Nostr #1 https://example.com/#top'),
+      'Thanks @[Jane Doe](urn:li:person:abc123) {hashtag|\\#|Nostr} \\#1 https://example.com/\\#top');
+  });
+
+  it('escapes everything format() publishes', () => {
+    const event = { ...kind1Fixture, content: 'Read this (seriously) — a_b' };
+    assert.equal(format(event, 'nevent1test').payload.commentary, 'Read this \\(seriously\\) — a\\_b');
   });
 });
 
 describe('fetcher - live relay', () => {
   it('fetches a kind 1 event from relay', async () => {
     // Get a recent event id from damus relay
-    const line = execSync('nak req --limit 1 -k 1 wss://relay.damus.io 2>/dev/null', { encoding: 'utf-8', timeout: 15000 }).trim();
-    const sampleEvent = JSON.parse(line);
-    const nevent = execSync(`nak encode nevent --relay wss://relay.damus.io ${sampleEvent.id} 2>/dev/null`, { encoding: 'utf-8' }).trim();
+    const pool = createPool();
+    const { events } = await pool.query(['wss://relay.damus.io'], { kinds: [1], limit: 1 }, { requireAnswer: true });
+    const sampleEvent = events[0];
+    assert.ok(sampleEvent, 'relay returned no events');
 
-    const decoded = await decode(nevent);
-    const event = await fetchEvent(decoded);
+    const event = await fetchEvent({ type: 'nevent', id: sampleEvent.id, relays: ['wss://relay.damus.io'] }, { pool });
+    pool.close();
     assert.equal(event.id, sampleEvent.id);
     assert.equal(event.kind, 1);
   });
 });
 
 describe('CLI dry-run', () => {
-  it('runs end-to-end in dry-run mode', () => {
+  it('runs end-to-end in dry-run mode', async () => {
     // Get a real event
-    const line = execSync('nak req --limit 1 -k 1 wss://relay.damus.io 2>/dev/null', { encoding: 'utf-8', timeout: 15000 }).trim();
-    const sampleEvent = JSON.parse(line);
-    const nevent = execSync(`nak encode nevent --relay wss://relay.damus.io ${sampleEvent.id} 2>/dev/null`, { encoding: 'utf-8' }).trim();
+    const pool = createPool();
+    const { events } = await pool.query(['wss://relay.damus.io'], { kinds: [1], limit: 1 }, { requireAnswer: true });
+    pool.close();
+    const sampleEvent = events[0];
+    assert.ok(sampleEvent, 'relay returned no events');
+    const nevent = neventEncode({ id: sampleEvent.id, relays: ['wss://relay.damus.io'] });
 
     const output = execSync(`node ${join(ROOT, 'bin/post.mjs')} --dry-run ${nevent} 2>&1`, {
       encoding: 'utf-8',
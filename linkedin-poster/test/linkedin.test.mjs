@@ -0,0 +1,49 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { deletePost } = await import(join(ROOT, 'lib/linkedin.mjs'));
+
+describe('LinkedIn client', () => {
+  const realFetch = globalThis.fetch;
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'linkedin-poster-'));
+    writeFileSync(join(dir, 'token.json'), JSON.stringify({ accessToken: 'tok', expiresAt: Date.now() + 30 * 86_400_000, personUrn: 'urn:li:person:me' }));
+    process.env.LINKEDIN_DIR = dir;
+  });
+
+  after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.LINKEDIN_DIR;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('deletes a post by its URN, and counts one already gone as deleted', async () => {
+    const calls = [];
+    globalThis.fetch = async (url, init = {}) => {
+      calls.push({ url, method: init.method, headers: init.headers });
+      return new Response(null, { status: url.includes('gone') ? 404 : 204 });
+    };
+
+    assert.deepEqual(await deletePost('urn:li:share:1'), { postId: 'urn:li:share:1', deleted: true });
+    assert.deepEqual(await deletePost('urn:li:share:gone'), { postId: 'urn:li:share:gone', deleted: true });
+    assert.equal(calls[0].url, 'https://api.linkedin.com/rest/posts/urn%3Ali%3Ashare%3A1');
+    assert.equal(calls[0].method, 'DELETE');
+    assert.equal(calls[0].headers.Authorization, 'Bearer tok');
+  });
+
+  it('throws when LinkedIn refuses the deletion', async () => {
+    globalThis.fetch = async () => new Response('nope', { status: 403 });
+    await assert.rejects(deletePost('urn:li:share:1'), /LinkedIn API error \(403\): nope/);
+    globalThis.fetch = async () => new Response(null, { status: 429, headers: { 'retry-after': '60' } });
+    await assert.rejects(deletePost('urn:li:share:1'), /Rate limited. Retry after 60 seconds/);
+  });
+});
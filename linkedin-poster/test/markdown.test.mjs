@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { parseMarkdown, inlineText, plainText } = await import(join(ROOT, 'lib/markdown.mjs'));
+
+describe('Markdown parsing', () => {
+  it('splits an article into blocks', () => {
+    const blocks = parseMarkdown([
+      '# Title', '', 'First line', 'continues here.', '', '---', '', '## Steps', '',
+      '1. one', '2. two', '   - nested', '', '> quoted', '> text', '',
+      '```js', 'code()', '```', '', '![alt](https://example.com/a.png)', '',
+      '| a | b |', '|---|---|', '| 1 | 2 |',
+    ].join('\n'));
+
+    assert.deepEqual(blocks.map(b => b.type), ['heading', 'paragraph', 'heading', 'list', 'quote', 'code', 'image', 'table']);
+    assert.deepEqual(blocks[0], { type: 'heading', level: 1, text: 'Title' });
+    assert.equal(blocks[1].text, 'First line continues here.');
+    assert.deepEqual(blocks[3].items, [
+      { text: 'one', depth: 0, ordered: true, number: 1 },
+      { text: 'two', depth: 0, ordered: true, number: 2 },
+      { text: 'nested', depth: 1, ordered: false, number: 0 },
+    ]);
+    assert.equal(blocks[4].text, 'quoted text');
+    assert.deepEqual(blocks[5], { type: 'code', lang: 'js', text: 'code()' });
+    assert.deepEqual(blocks[6], { type: 'image', alt: 'alt', url: 'https://example.com/a.png' });
+    assert.deepEqual(blocks[7].rows, [['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps loose list items in one list', () => {
+    const [list] = parseMarkdown('- a\n\n- b\n  more of b');
+    assert.deepEqual(list.items.map(i => i.text), ['a', 'b more of b']);
+  });
+
+  it('flattens inline formatting', () => {
+    assert.equal(inlineText('**Bold**, *it*, _em_, `code`, ~~old~~ and [a link](https://x.io)'),
+      'Bold, it, em, code, old and a link');
+    assert.equal(inlineText('see [docs](https://x.io/d)', { link: (label, url) => `${label} (${url})` }),
+      'see docs (https://x.io/d)');
+    assert.equal(inlineText('snake_case_name stays'), 'snake_case_name stays');
+  });
+
+  it('flattens a document to one line without code blocks or images', () => {
+    const markdown = '# Title\n\nSome ***nested* emphasis** here.\n\n```js\nconst x = `y`;\n```\n\n![diagram](https://x.io/d.png)\n\n- one\n- two';
+    assert.equal(plainText(markdown), 'Title Some nested emphasis here. one two');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { parseImeta, fileMetadata, extractMedia, removeMedia, resolveMedia } = await import(join(ROOT, 'lib/media.mjs'));
+const { neventEncode } = await import(join(ROOT, 'lib/nip19.mjs'));
+const { articleToPdf } = await import(join(ROOT, 'lib/pdf.mjs'));
+
+const kind30023Fixture = JSON.parse(readFileSync(join(ROOT, 'test/fixtures/kind30023-event.json'), 'utf8'));
+
+describe('imeta tags', () => {
+  it('parses media entries', () => {
+    const media = parseImeta({
+      tags: [
+        ['imeta', 'url https://example.com/a.jpg', 'm Image/JPEG', 'alt A cat on a mat', 'dim 1200x800', 'x abc'],
+        ['imeta', 'url not-a-url', 'm image/png'],
+        ['t', 'nostr'],
+      ],
+    });
+    assert.deepEqual(media, [{ url: 'https://example.com/a.jpg', mime: 'image/jpeg', alt: 'A cat on a mat', dim: '1200x800', hash: 'abc' }]);
+  });
+});
+
+describe('media extraction', () => {
+  const fileEvent = {
+    kind: 1063, content: 'Slides from the talk',
+    tags: [['url', 'https://files.example/7e1f'], ['m', 'video/mp4'], ['x', 'f00d'], ['dim', '1920x1080']],
+  };
+
+  it('reads NIP-94 file metadata', () => {
+    assert.deepEqual(fileMetadata(fileEvent), { url: 'https://files.example/7e1f', mime: 'video/mp4', alt: 'Slides from the talk', dim: '1920x1080', hash: 'f00d' });
+    assert.equal(fileMetadata({ kind: 1, tags: [] }), null);
+  });
+
+  it('types media by imeta, kind 1063 reference, extension or sniffed type, in order', () => {
+    const ref = `nostr:${neventEncode({ id: 'ab'.repeat(32), kind: 1063 })}`;
+    const text = `Look https://blossom.example/c0ffee, then ${ref} and https://example.com/a.GIF?s=1 https://example.com/page https://cdn.example/raw`;
+    const note = { tags: [['imeta', 'url https://blossom.example/c0ffee', 'm image/png', 'alt Chart']] };
+    const resolved = new Map([[ref, fileMetadata(fileEvent)], ['https://cdn.example/raw', { url: 'https://cdn.example/raw', mime: 'image/jpeg' }]]);
+
+    const media = extractMedia(text, [note], resolved);
+    assert.deepEqual(media.map(m => [m.url, m.type]), [
+      ['https://blossom.example/c0ffee', 'image'],
+      ['https://files.example/7e1f', 'video'],
+      ['https://example.com/a.GIF?s=1', 'gif'],
+      ['https://cdn.example/raw', 'image'],
+    ]);
+    assert.equal(media[0].alt, 'Chart');
+    assert.equal(removeMedia('Look https://example.com/a.jpg\n\n\n\nnext', extractMedia('https://example.com/a.jpg')), 'Look\n\nnext');
+  });
+
+  it('sniffs untyped URLs with a HEAD request', async (t) => {
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      requests.push([init.method, url]);
+      return new Response(null, { headers: { 'content-type': url.endsWith('raw') ? 'video/mp4; codecs=avc1' : 'text/html' } });
+    });
+    const resolved = await resolveMedia('https://cdn.example/raw https://example.com/page https://example.com/a.jpg https://example.com/doc.pdf');
+    assert.deepEqual(requests, [['HEAD', 'https://cdn.example/raw'], ['HEAD', 'https://example.com/page']]);
+    assert.deepEqual([...resolved.values()], [{ url: 'https://cdn.example/raw', mime: 'video/mp4' }]);
+  });
+});
+
+describe('article PDF', () => {
+  it('writes a PDF with a cover and a page per section', () => {
+    const pdf = articleToPdf(kind30023Fixture).toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+    assert.ok(pdf.includes('(Why Nostr Matters in 2025) Tj'));
+    const sections = kind30023Fixture.content.match(/^## /gm).length;
+    assert.match(pdf, new RegExp(`/Count ${sections + 2} `)); // cover + intro + sections
+  });
+
+  it('has a cross-reference table pointing at its objects', () => {
+    const pdf = articleToPdf(kind30023Fixture).toString('latin1');
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    assert.ok(pdf.startsWith('xref', startxref));
+    const offsets = [...pdf.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+    offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, offset)));
+  });
+
+  it('encodes text as WinAnsi and escapes delimiters', () => {
+    const event = { tags: [['title', 'Café — “(x)” ï 日本']], content: 'Body' };
+    const pdf = articleToPdf(event);
+    const title = pdf.toString('latin1').match(/\(Caf.*?\) Tj/)[0];
+    assert.equal(Buffer.from(title, 'latin1').toString('hex'),
+      Buffer.from([...Buffer.from('(Caf'), 0xe9, 0x20, 0x97, 0x20, 0x93, ...Buffer.from('\\(x\\)'), 0x94, 0x20, 0xef, ...Buffer.from(' ??) Tj')]).toString('hex'));
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { stripNostrArtifacts, findMentions, loadHandles, profileToMention, renderMention } =
+  await import(join(ROOT, 'lib/mentions.mjs'));
+const { npubEncode, nprofileEncode } = await import(join(ROOT, 'lib/nip19.mjs'));
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+const profile = (meta, tags = []) => ({ kind: 0, pubkey: ALICE, content: JSON.stringify(meta), tags });
+
+describe('mentions', () => {
+  it('finds npub and nprofile mentions once each', () => {
+    const text = `hi nostr:${npubEncode(ALICE)} and nostr:${nprofileEncode({ pubkey: BOB, relays: ['wss://r.example'] })}` +
+      ` and again nostr:${npubEncode(ALICE)}`;
+    assert.deepEqual(findMentions(text), [ALICE, BOB]);
+  });
+
+  it('drops unresolved mentions and renders resolved ones per platform', () => {
+    const text = `Great talk with nostr:${npubEncode(ALICE)} and nostr:${npubEncode(BOB)} 🟣 posted via Nostr`;
+    assert.equal(stripNostrArtifacts(text), 'Great talk with and');
+
+    const mentions = new Map([[ALICE, { name: 'Alice', x: 'alice', linkedin: 'urn:li:person:abc' }]]);
+    assert.equal(stripNostrArtifacts(text, { mentions, platform: 'x' }), 'Great talk with @alice and');
+    assert.equal(stripNostrArtifacts(text, { mentions, platform: 'linkedin' }), 'Great talk with @[Alice](urn:li:person:abc) and');
+  });
+
+  it('falls back to the display name without a handle', () => {
+    const mention = { name: 'Alice (she/her)' };
+    assert.equal(renderMention(mention, 'x'), 'Alice (she/her)');
+    assert.equal(renderMention({ ...mention, linkedin: 'urn:li:person:abc' }, 'linkedin'), '@[Alice she/her](urn:li:person:abc)');
+    assert.equal(renderMention({ ...mention, bluesky: 'alice.bsky.social' }, 'bluesky'), '@alice.bsky.social');
+    assert.equal(renderMention({ ...mention, x: 'alice' }, 'bluesky'), 'Alice (she/her)');
+  });
+
+  it('builds mentions from kind 0 and the handles table', () => {
+    assert.deepEqual(profileToMention(profile({ display_name: ' Alice\n@home ', name: 'al' })),
+      { name: 'Alice home', x: undefined, linkedin: undefined, bluesky: undefined });
+    assert.equal(profileToMention(profile({ name: 'al' }), { x: 'known' }).x, 'known');
+    assert.equal(profileToMention(profile({})), null);
+    assert.equal(profileToMention({ content: '{oops' }), null);
+  });
+
+  it('shows an unverified NIP-39 handle claim as the plain name', () => {
+    const claimant = profile({ name: 'Jack' }, [['i', 'twitter:jack', 'proof'], ['i', 'x:jack']]);
+    const mention = profileToMention(claimant);
+    assert.equal(mention.x, undefined);
+    assert.equal(renderMention(mention, 'x'), 'Jack');
+  });
+
+  it('loads a handles table keyed by npub or hex', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'handles-')), 'handles.json');
+    writeFileSync(file, JSON.stringify({
+      [npubEncode(ALICE)]: { x: '@alice', linkedin: 'urn:li:person:abc', bluesky: '@Alice.bsky.social' },
+      [BOB]: { x: 'not a handle!', linkedin: 'https://linkedin.com/in/bob', bluesky: 'bob' },
+    }));
+    const handles = loadHandles(file);
+    assert.deepEqual(handles.get(ALICE), { x: 'alice', linkedin: 'urn:li:person:abc', bluesky: 'alice.bsky.social' });
+    assert.deepEqual(handles.get(BOB), { x: undefined, linkedin: undefined, bluesky: undefined });
+    assert.equal(loadHandles(undefined).size, 0);
+
+    writeFileSync(file, JSON.stringify({ alice: {} }));
+    assert.throws(() => loadHandles(file), /not an npub or hex pubkey/);
+  });
+});
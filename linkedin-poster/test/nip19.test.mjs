@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const {
+  decode, npubEncode, nsecEncode, noteEncode, nprofileEncode, neventEncode, naddrEncode,
+} = await import(join(ROOT, 'lib/nip19.mjs'));
+
+// Test vectors from the NIP-19 spec
+const SPEC_NPUB = 'npub10elfcs4fr0l0r8af98jlmgdh9c8tcxjvz9qkw038js35mp4dma8qzvjptg';
+const SPEC_PUBKEY = '7e7e9c42a91bfef19fa929e5fda1b72e0ebc1a4c1141673e2794234d86addf4e';
+const SPEC_NSEC = 'nsec1vl029mgpspedva04g90vltkh6fvh240zqtv9k0t9af8935ke9laqsnlfe5';
+const SPEC_SECKEY = '67dea2ed018072d675f5415ecfaed7d2597555e202d85b3d65ea4e58d2d92ffa';
+const SPEC_NPROFILE = 'nprofile1qqsrhuxx8l9ex335q7he0f09aej04zpazpl0ne2cgukyawd24mayt8gpp4mhxue69uhhytnc9e3k7mgpz4mhxue69uhkg6nzv9ejuumpv34kytnrdaksjlyr9p';
+
+describe('nip19', () => {
+  it('matches the spec npub and nsec vectors', () => {
+    assert.equal(npubEncode(SPEC_PUBKEY), SPEC_NPUB);
+    assert.deepEqual(decode(SPEC_NPUB), { type: 'npub', data: SPEC_PUBKEY });
+    assert.equal(nsecEncode(SPEC_SECKEY), SPEC_NSEC);
+    assert.deepEqual(decode(SPEC_NSEC), { type: 'nsec', data: SPEC_SECKEY });
+  });
+
+  it('matches the spec nprofile vector', () => {
+    const profile = {
+      pubkey: '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d',
+      relays: ['wss://r.x.com', 'wss://djbas.sadkb.com'],
+    };
+    assert.deepEqual(decode(SPEC_NPROFILE), { type: 'nprofile', data: profile });
+    assert.equal(nprofileEncode(profile), SPEC_NPROFILE);
+  });
+
+  it('round-trips note, nevent and naddr', () => {
+    const id = 'e'.repeat(64);
+    assert.deepEqual(decode(noteEncode(id)), { type: 'note', data: id });
+
+    const pointer = { id, relays: ['wss://nos.lol'], author: SPEC_PUBKEY, kind: 1 };
+    assert.deepEqual(decode(neventEncode(pointer)), { type: 'nevent', data: pointer });
+
+    const addr = { kind: 30023, pubkey: SPEC_PUBKEY, identifier: 'why-nostr-matters', relays: ['wss://relay.ditto.pub'] };
+    assert.deepEqual(decode(naddrEncode(addr)), { type: 'naddr', data: addr });
+  });
+
+  it('handles empty naddr identifiers and unicode d-tags', () => {
+    for (const identifier of ['', 'über-📝']) {
+      const naddr = naddrEncode({ kind: 30023, pubkey: SPEC_PUBKEY, identifier });
+      assert.equal(decode(naddr).data.identifier, identifier);
+    }
+  });
+
+  it('rejects bad checksums, unknown prefixes and malformed input', () => {
+    const broken = SPEC_NPUB.slice(0, -1) + (SPEC_NPUB.endsWith('g') ? 'q' : 'g');
+    assert.throws(() => decode(broken), /checksum/);
+    assert.throws(() => decode('nrelay1qqxhwumn8ghj7mn0wvhxcmmvxgjuum'), /Unsupported NIP-19 prefix/);
+    assert.throws(() => npubEncode('not-hex'), /expected 64-char lowercase hex/);
+    assert.throws(() => decode('NPUB10elfcs4fr0l0r8af98jlmgdh9c8tcxjvz9qkw038js35mp4dma8qzvjptg'.replace('N', 'n')), /mixed case/);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { parseRelayList, mergeRelays } = await import(join(ROOT, 'lib/outbox.mjs'));
+
+describe('outbox', () => {
+  it('splits kind 10002 r tags into read and write relays', () => {
+    const event = {
+      kind: 10002,
+      tags: [
+        ['r', 'wss://both.example/'],
+        ['r', 'wss://inbox.example', 'read'],
+        ['r', 'wss://outbox.example', 'write'],
+        ['r', 'https://not-a-relay.example'],
+        ['p', 'wss://ignored.example'],
+      ],
+    };
+    assert.deepEqual(parseRelayList(event), {
+      read: ['wss://both.example', 'wss://inbox.example'],
+      write: ['wss://both.example', 'wss://outbox.example'],
+    });
+    assert.deepEqual(parseRelayList(null), { read: [], write: [] });
+  });
+
+  it('merges relay lists in priority order and caps them', () => {
+    const merged = mergeRelays([['wss://hint.example/'], undefined, ['wss://a.example', 'wss://hint.example', 'junk']]);
+    assert.deepEqual(merged, ['wss://hint.example', 'wss://a.example']);
+    assert.deepEqual(mergeRelays([['wss://1.example', 'wss://2.example', 'wss://3.example']], { max: 2 }), ['wss://1.example', 'wss://2.example']);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { findQuotes, quotedContent, quoteMentionText, renderQuote } = await import(join(ROOT, 'lib/quotes.mjs'));
+const { format } = await import(join(ROOT, 'lib/formatter.mjs'));
+const { noteEncode, neventEncode, npubEncode } = await import(join(ROOT, 'lib/nip19.mjs'));
+
+const ALICE = 'a'.repeat(64);
+const NOTE_ID = '1'.repeat(64);
+const quoted = { id: NOTE_ID, kind: 1, pubkey: ALICE, content: 'Relays are just dumb pipes https://example.com/pic.png and that is the point.', tags: [] };
+
+describe('quoted notes', () => {
+  it('finds note and nevent references once each', () => {
+    const note = `nostr:${noteEncode(NOTE_ID)}`;
+    const nevent = `nostr:${neventEncode({ id: '2'.repeat(64) })}`;
+    assert.deepEqual(findQuotes(`So true ${note}\n\n${nevent} ${note.toUpperCase()}`), [note, nevent]);
+    assert.deepEqual(findQuotes(`nostr:${npubEncode(ALICE)}`), []);
+  });
+
+  it('reads articles by title and summary', () => {
+    const article = { kind: 30023, pubkey: ALICE, content: '# Long', tags: [['title', 'Outbox'], ['summary', 'Why relays matter']] };
+    assert.equal(quotedContent(article), 'Outbox — Why relays matter');
+    assert.match(quoteMentionText([{ event: quoted }, { error: 'gone' }]), new RegExp(`^Relays.*\\nnostr:${npubEncode(ALICE)}$`, 's'));
+  });
+
+  it('renders an excerpt with attribution per platform', () => {
+    const mentions = new Map([[ALICE, { name: 'Alice', x: 'alice', linkedin: 'urn:li:person:abc' }]]);
+    assert.equal(renderQuote({ event: quoted }, 'x', { mentions }),
+      '“Relays are just dumb pipes and that is the point.” — @alice');
+    assert.equal(renderQuote({ event: quoted }, 'linkedin', { mentions }),
+      '▎ Relays are just dumb pipes and that is the point.\n▎ — @[Alice](urn:li:person:abc)');
+    assert.match(renderQuote({ event: quoted }, 'x'), /” — npub1\w{7}…\w{4}$/);
+    assert.equal(renderQuote({ event: { ...quoted, content: 'word '.repeat(100) } }, 'x', { maxChars: 20 }).split('”')[0], '“word word word…');
+  });
+
+  it('adds quotes under a LinkedIn note in place of the reference', () => {
+    const event = { kind: 1, pubkey: 'b'.repeat(64), content: `Exactly this nostr:${noteEncode(NOTE_ID)}`, tags: [] };
+    const { payload } = format(event, '', { quotes: [{ ref: '', event: quoted }] });
+    assert.match(payload.commentary, /^Exactly this\n\n▎ Relays are just dumb pipes and that is the point\.\n▎ — npub1/);
+    assert.equal(format(event, '').payload.commentary, 'Exactly this');
+  });
+});
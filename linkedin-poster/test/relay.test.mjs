@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { createPool, normalizeRelayUrl } = await import(join(ROOT, 'lib/relay.mjs'));
+
+/**
+ * Build a fake WebSocket class whose relays answer REQs from a fixed event table.
+ * behaviour[url] = { events?: object[], silent?: boolean, refuse?: boolean, closed?: string }
+ */
+function fakeWebSocket(behaviour, log = []) {
+  return class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      log.push(['connect', url]);
+      const relay = behaviour[url] || {};
+      setImmediate(() => relay.refuse ? this.emit('error', { message: 'refused' }) : this.emit('open', {}));
+    }
+
+    addEventListener(type, fn) {
+      (this.listeners[type] ||= []).push(fn);
+    }
+
+    emit(type, event) {
+      for (const fn of this.listeners[type] || []) fn(event);
+    }
+
+    send(raw) {
+      const msg = JSON.parse(raw);
+      log.push([msg[0], this.url]);
+      if (msg[0] !== 'REQ') return;
+      const relay = behaviour[this.url] || {};
+      if (relay.silent) return;
+      const reply = (data) => setImmediate(() => this.emit('message', { data: JSON.stringify(data) }));
+      if (relay.closed) return reply(['CLOSED', msg[1], relay.closed]);
+      for (const event of relay.events || []) reply(['EVENT', msg[1], event]);
+      reply(['EOSE', msg[1]]);
+    }
+
+    close() {
+      this.emit('close', {});
+    }
+  };
+}
+
+describe('relay pool', () => {
+  it('merges duplicate events across relays', async () => {
+    const a = { id: 'a', kind: 1 };
+    const b = { id: 'b', kind: 1 };
+    const WebSocket = fakeWebSocket({
+      'wss://one': { events: [a, b] },
+      'wss://two': { events: [b] },
+    });
+    const pool = createPool({ WebSocket });
+    const { events, errors } = await pool.query(['wss://one', 'wss://two'], { kinds: [1] });
+    pool.close();
+    assert.deepEqual(events.map(e => e.id).sort(), ['a', 'b']);
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports per-relay timeouts, refusals and CLOSED messages without failing the query', async () => {
+    const reported = [];
+    const WebSocket = fakeWebSocket({
+      'wss://ok': { events: [{ id: 'x', kind: 1 }] },
+      'wss://slow': { silent: true },
+      'wss://down': { refuse: true },
+      'wss://strict': { closed: 'auth-required: nope' },
+    });
+    const pool = createPool({ WebSocket, timeout: 50, onError: (relay, msg) => reported.push(relay) });
+    const { events, errors } = await pool.query(['wss://ok', 'wss://slow', 'wss://down', 'wss://strict'], {});
+    pool.close();
+
+    assert.equal(events.length, 1);
+    const byRelay = Object.fromEntries(errors.map(e => [e.relay, e.message]));
+    assert.match(byRelay['wss://slow'], /timeout after 50ms/);
+    assert.match(byRelay['wss://down'], /refused/);
+    assert.match(byRelay['wss://strict'], /closed by relay: auth-required/);
+    assert.equal(reported.length, 3);
+  });
+
+  it('drops events that fail validation before merging', async () => {
+    const forged = { id: 'same', kind: 1, content: 'forged' };
+    const genuine = { id: 'same', kind: 1, content: 'genuine' };
+    const WebSocket = fakeWebSocket({
+      'wss://evil': { events: [forged] },
+      'wss://good': { events: [genuine] },
+    });
+    const pool = createPool({ WebSocket });
+    const validate = (event) => event.content === 'forged' ? 'invalid signature' : null;
+    const { events, rejected } = await pool.query(['wss://evil', 'wss://good'], {}, { validate });
+    pool.close();
+
+    assert.deepEqual(events, [genuine]);
+    assert.deepEqual(rejected, [{ relay: 'wss://evil', event: forged, reason: 'invalid signature' }]);
+  });
+
+  it('validates each distinct copy of an event once, however many relays send it', async () => {
+    const genuine = { id: 'same', kind: 1, content: 'genuine', sig: 's' };
+    const forged = { ...genuine, content: 'forged' };
+    const WebSocket = fakeWebSocket({
+      'wss://one': { events: [genuine] },
+      'wss://two': { events: [genuine, forged] },
+      'wss://three': { events: [forged, genuine] },
+    });
+    const pool = createPool({ WebSocket });
+    const checked = [];
+    const validate = (event) => (checked.push(event.content), event.content === 'forged' ? 'invalid signature' : null);
+    const { events, rejected } = await pool.query(['wss://one', 'wss://two', 'wss://three'], {}, { validate });
+    pool.close();
+
+    assert.deepEqual(checked.sort(), ['forged', 'genuine']);
+    assert.deepEqual(events, [genuine]);
+    assert.deepEqual(rejected.map(r => r.relay), ['wss://two', 'wss://three']);
+  });
+
+  it('reuses one connection per relay and sends CLOSE after EOSE', async () => {
+    const log = [];
+    const WebSocket = fakeWebSocket({ 'wss://one': { events: [] } }, log);
+    const pool = createPool({ WebSocket });
+    await pool.query(['wss://one/'], {});
+    await pool.query(['wss://one'], {});
+    pool.close();
+
+    assert.equal(log.filter(([type]) => type === 'connect').length, 1);
+    assert.equal(log.filter(([type]) => type === 'REQ').length, 2);
+    assert.equal(log.filter(([type]) => type === 'CLOSE').length, 2);
+  });
+
+  it('rejects with the relay errors when asked for an answer and none came', async () => {
+    const WebSocket = fakeWebSocket({ 'wss://down': { refuse: true }, 'wss://strict': { closed: 'blocked' }, 'wss://empty': {} });
+    const pool = createPool({ WebSocket });
+    await assert.rejects(pool.query(['wss://down', 'wss://strict'], {}, { requireAnswer: true }),
+      /No relay answered \(wss:\/\/down: refused; wss:\/\/strict: closed by relay: blocked\)/);
+    const { events } = await pool.query(['wss://down', 'wss://empty'], {}, { requireAnswer: true });
+    pool.close();
+    assert.deepEqual(events, []);
+  });
+
+  it('connects through the ws package when there is no global WebSocket', async () => {
+    const { WebSocketServer } = await import('ws');
+    const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    await new Promise(resolve => server.once('listening', resolve));
+    server.on('connection', (socket) => socket.on('message', (raw) => {
+      const [type, subId] = JSON.parse(raw);
+      if (type !== 'REQ') return;
+      socket.send(JSON.stringify(['EVENT', subId, { id: 'x', kind: 1 }]));
+      socket.send(JSON.stringify(['EOSE', subId]));
+    }));
+
+    const pool = createPool();
+    const { events, errors } = await pool.query([`ws://127.0.0.1:${server.address().port}`], {});
+    pool.close();
+    await new Promise(resolve => server.close(resolve));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(events, [{ id: 'x', kind: 1 }]);
+  });
+
+  it('normalizes trailing slashes in relay URLs', () => {
+    assert.equal(normalizeRelayUrl(' wss://nos.lol/ '), 'wss://nos.lol');
+  });
+});
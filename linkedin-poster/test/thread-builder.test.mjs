@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { createThreadBuilder } = await import(join(ROOT, 'lib/thread-builder.mjs'));
+
+// A platform of 40 plain characters where every link counts as 10
+const LINK_RE = /https:\/\/\S+/g;
+const findLinks = (text) => [...text.matchAll(LINK_RE)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+const length = (text) => findLinks(text).reduce((n, l) => n - (l.end - l.start) + 10, text.length);
+const { buildThread, splitText } = createThreadBuilder({
+  maxLength: 40,
+  length,
+  fitPrefix: (text, max) => {
+    let end = 0;
+    while (end < text.length && length(text.slice(0, end + 1)) <= max) end++;
+    return end;
+  },
+  findLinks,
+  linkLength: () => 10,
+  tokenRe: /#\w+/g,
+});
+
+describe('thread builder', () => {
+  it("counts with the platform's length and never cuts a link or token", () => {
+    const link = 'https://example.com/a/very/long/path/indeed';
+    const parts = splitText(`Read this first and then ${link} and then the #hashtags at the end`, 40);
+    assert.ok(parts.every(p => length(p) <= 40));
+    assert.ok(parts.some(p => p.includes(link)));
+    assert.ok(parts.some(p => p.includes('#hashtags')));
+  });
+
+  it('numbers the posts within the limit and keeps each part apart', () => {
+    const posts = buildThread(['One short note.', 'Another note that is long enough to need a second post here.'], { maxPosts: 10 });
+    assert.equal(posts[0], 'One short note. (1/3)');
+    assert.ok(posts.every(p => length(p) <= 40));
+    assert.ok(posts.at(-1).endsWith(' (3/3)'));
+  });
+
+  it('gives a summary for an over-long thread only when there is a link to the rest', () => {
+    const text = 'Word after word goes on. '.repeat(10);
+    assert.deepEqual(buildThread(text, { maxPosts: 2, link: 'https://r.example/x' }), ['Word after word goes on.…\n\nhttps://r.example/x']);
+    assert.ok(buildThread(text, { maxPosts: 2 }).length > 2);
+  });
+});
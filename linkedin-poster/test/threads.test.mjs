@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { replyTarget, assembleThread, threadContent } = await import(join(ROOT, 'lib/threads.mjs'));
+const { format } = await import(join(ROOT, 'lib/formatter.mjs'));
+
+const AUTHOR = 'a'.repeat(64);
+const OTHER = 'b'.repeat(64);
+const id = (n) => n.toString(16).padStart(64, '0');
+
+const root = { id: id(1), kind: 1, pubkey: AUTHOR, created_at: 1000, content: 'First point.', tags: [] };
+const reply = (n, parent, extra = {}) => ({
+  id: id(n), kind: 1, pubkey: AUTHOR, created_at: 1000 + n * 60, content: `Point ${n}.`,
+  tags: parent === root.id ? [['e', root.id, '', 'root']] : [['e', root.id, '', 'root'], ['e', parent, '', 'reply']],
+  ...extra,
+});
+
+describe('self-threads', () => {
+  it('reads NIP-10 marked and positional reply tags', () => {
+    assert.deepEqual(replyTarget(reply(2, root.id)), { root: root.id, parent: root.id });
+    assert.deepEqual(replyTarget(reply(3, id(2))), { root: root.id, parent: id(2) });
+    assert.deepEqual(replyTarget({ tags: [['e', id(1)], ['e', id(7)]] }), { root: id(1), parent: id(7) });
+    assert.deepEqual(replyTarget({ tags: [['e', id(1), '', 'mention'], ['p', OTHER]] }), { root: null, parent: null });
+  });
+
+  it('follows the chain of the author\'s own replies, in order', () => {
+    const events = [
+      reply(4, id(3)),
+      reply(2, root.id),
+      reply(3, id(2)),
+      reply(5, id(2)), // a second answer to the same note — the earlier one continues the chain
+      reply(6, id(4), { pubkey: OTHER }),
+      reply(7, id(4), { created_at: 1000 + 7 * 3600 }), // past the window
+    ];
+    assert.deepEqual(assembleThread(root, events).map(e => e.id), [id(1), id(2), id(3), id(4)]);
+    assert.deepEqual(assembleThread(root, events, { windowSeconds: 150 }).map(e => e.id), [id(1), id(2)]);
+    assert.deepEqual(assembleThread(root, []), [root]);
+  });
+
+  it('combines a thread into one LinkedIn post', () => {
+    const thread = [root, reply(2, root.id), reply(3, id(2), { content: '  ' })];
+    assert.equal(threadContent(thread), 'First point.\n\nPoint 2.');
+    assert.equal(format(root, '', { thread }).payload.commentary, 'First point.\n\nPoint 2.');
+  });
+});
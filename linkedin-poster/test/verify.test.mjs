@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { getEventHash, validateEvent, verifyEvent, verifySchnorr } = await import(join(ROOT, 'lib/verify.mjs'));
+
+const signed = JSON.parse(readFileSync(join(ROOT, 'test/fixtures/signed-event.json'), 'utf8'));
+const unsigned = JSON.parse(readFileSync(join(ROOT, 'test/fixtures/kind1-event.json'), 'utf8'));
+
+describe('verify', () => {
+  it('accepts a correctly signed event', () => {
+    assert.equal(getEventHash(signed), signed.id);
+    assert.equal(validateEvent(signed), null);
+    assert.equal(verifyEvent(signed, { author: signed.pubkey }), true);
+  });
+
+  it('rejects tampered content via the id hash', () => {
+    const tampered = { ...signed, content: signed.content + ' (edited by relay)' };
+    assert.match(validateEvent(tampered), /id mismatch/);
+  });
+
+  it('rejects a recomputed id without a matching signature', () => {
+    const forged = { ...signed, content: 'Send sats to this address' };
+    forged.id = getEventHash(forged);
+    assert.equal(validateEvent(forged), 'invalid signature');
+  });
+
+  it('rejects fixture events with placeholder signatures', () => {
+    assert.ok(validateEvent(unsigned));
+  });
+
+  it('rejects events from the wrong author', () => {
+    assert.match(validateEvent(signed, { author: unsigned.pubkey }), /author mismatch/);
+  });
+
+  it('rejects malformed events', () => {
+    assert.match(validateEvent(null), /malformed/);
+    assert.match(validateEvent({ ...signed, sig: 'abc' }), /bad sig/);
+    assert.match(validateEvent({ ...signed, created_at: '1700000000' }), /must be integers/);
+  });
+
+  it('rejects out-of-range signature scalars', () => {
+    const badR = 'f'.repeat(64) + signed.sig.slice(64);
+    assert.equal(verifySchnorr(badR, signed.id, signed.pubkey), false);
+  });
+});
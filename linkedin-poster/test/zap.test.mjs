@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { bolt11AmountMsats, zapAmountSats, zapSender } = await import(join(ROOT, 'lib/zap.mjs'));
+
+// Human-readable parts from the BOLT-11 spec examples (the data part doesn't affect the amount)
+const DATA = '1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypq';
+
+describe('zap amounts', () => {
+  it('reads BOLT-11 amounts with every multiplier', () => {
+    assert.equal(bolt11AmountMsats(`lnbc2500u${DATA}`), 250_000_000);
+    assert.equal(bolt11AmountMsats(`lnbc20m${DATA}`), 2_000_000_000);
+    assert.equal(bolt11AmountMsats(`lnbc210n${DATA}`), 21_000);
+    assert.equal(bolt11AmountMsats(`lnbc9678785340p${DATA}`), 967_878_534);
+    assert.equal(bolt11AmountMsats(`LNBC1${DATA.toUpperCase()}`), 100_000_000_000);
+    assert.equal(bolt11AmountMsats(`lntb100u${DATA}`), 10_000_000);
+  });
+
+  it('returns null for amountless or invalid invoices', () => {
+    assert.equal(bolt11AmountMsats(`lnbc${DATA}`), null);
+    assert.equal(bolt11AmountMsats(`lnbc1p${DATA}`), null);
+    assert.equal(bolt11AmountMsats('not an invoice'), null);
+    assert.equal(bolt11AmountMsats(undefined), null);
+  });
+
+  it('prefers the invoice and falls back to the zap request amount', () => {
+    const request = JSON.stringify({ kind: 9734, tags: [['amount', '21000']] });
+    assert.equal(zapAmountSats({ tags: [['bolt11', `lnbc2500u${DATA}`], ['description', request]] }), 250_000);
+    assert.equal(zapAmountSats({ tags: [['bolt11', `lnbc${DATA}`], ['description', request]] }), 21);
+    assert.equal(zapAmountSats({ tags: [['description', '{not json']] }), null);
+    assert.equal(zapAmountSats({ tags: [] }), null);
+  });
+
+  it('identifies the zapper from the zap request, then the P tag', () => {
+    const zapper = 'a'.repeat(64);
+    const other = 'b'.repeat(64);
+    const request = JSON.stringify({ kind: 9734, pubkey: zapper, tags: [] });
+    assert.equal(zapSender({ pubkey: 'c'.repeat(64), tags: [['description', request], ['P', other]] }), zapper);
+    assert.equal(zapSender({ tags: [['description', '{oops'], ['P', other]] }), other);
+    assert.equal(zapSender({ tags: [] }), null);
+  });
+});
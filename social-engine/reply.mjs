@@ -13,7 +13,7 @@ import { readFileSync, existsSync } from 'fs';
 import { postTweet } from '../x-poster/lib/x.mjs';
 import {
   loadState, saveState, ensureDailyCounts, canActNow,
-  fitsInTweet, OPPORTUNITIES_FILE, log,
+  fitsInTweet, xCharCount, OPPORTUNITIES_FILE, log,
 } from './utils.mjs';
 
 const DRY_RUN = process.argv.includes('--dry-run');
@@ -180,7 +180,7 @@ export async function runReplies(options = {}) {
 
     // Verify length
     if (!fitsInTweet(picked.text)) {
-      log(`Template too long (${picked.text.length} chars), skipping`, verbose);
+      log(`Template too long (${xCharCount(picked.text)} chars), skipping`, verbose);
       skipped++;
       continue;
     }
@@ -5,6 +5,7 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { MAX_TWEET_LENGTH, weightedLength } from '../x-poster/lib/length.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 export const STATE_FILE = resolve(__dirname, 'state.json');
@@ -13,26 +14,17 @@ export const OPPORTUNITIES_FILE = resolve(HOME, 'clawd/social-strategy/reply-opp
 export const CALENDAR_FILE = resolve(HOME, 'clawd/social-strategy/CONTENT-CALENDAR.md');
 
 /**
- * Calculate the X character count for text, accounting for t.co URL wrapping.
- * X replaces any URL (containing .com, .org, .net, etc.) with a 23-char t.co link.
+ * The X character count for text — X's weighted length (t.co URLs, CJK and emoji weights).
  */
 export function xCharCount(text) {
-  // Match URLs that X would wrap as t.co
-  const urlRegex = /https?:\/\/[^\s]+/g;
-  let count = text.length;
-  const urls = text.match(urlRegex) || [];
-  for (const url of urls) {
-    // X replaces each URL with a 23-char t.co link
-    count = count - url.length + 23;
-  }
-  return count;
+  return weightedLength(text);
 }
 
 /**
- * Ensure text fits within X's 280 character limit (accounting for t.co).
+ * Ensure text fits within X's 280 character limit (as X counts it).
  */
 export function fitsInTweet(text) {
-  return xCharCount(text) <= 280;
+  return xCharCount(text) <= MAX_TWEET_LENGTH;
 }
 
 export function loadState() {
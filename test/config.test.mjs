@@ -0,0 +1,127 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { ROOT } from './helpers.mjs';
+
+const { loadConfig, ConfigError, DEFAULTS } = await import(join(ROOT, 'lib/config.mjs'));
+
+const dir = mkdtempSync(join(tmpdir(), 'crosspost-config-'));
+const PUBKEY = 'a'.repeat(64);
+
+function configFile(contents) {
+  const path = join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+  writeFileSync(path, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return path;
+}
+
+function problems(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof ConfigError, err.message);
+    return err.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+describe('config loader', () => {
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('uses the defaults, then the file, then the environment', () => {
+    const path = configFile({ thresholds: { x: 10 }, dailyCaps: { x: 5 }, stateFile: 'state/cross.json' });
+    const { config, sources } = loadConfig({ path, env: { CROSSPOST_DAILY_CAP_X: '7', CROSSPOST_RELAYS: 'wss://a.test, wss://b.test' } });
+
+    assert.deepEqual(sources, ['defaults', path, 'CROSSPOST_RELAYS', 'CROSSPOST_DAILY_CAP_X']);
+    assert.equal(config.thresholds.x, 10);
+    assert.equal(config.thresholds.linkedin, DEFAULTS.thresholds.linkedin);
+    assert.equal(config.dailyCaps.x, 7);
+    assert.deepEqual(config.relays, ['wss://a.test', 'wss://b.test']);
+    assert.equal(config.stateFile, join(dir, 'state/cross.json'));
+    assert.deepEqual(config.profiles.map(p => [p.name, p.dailyCaps.x]), [['default', 7]]);
+  });
+
+  it("applies the environment to the shared settings, not a profile's own", () => {
+    const path = configFile({
+      profiles: [
+        { name: 'derek', thresholds: { x: 20 } },
+        { name: 'org', authorPubkey: PUBKEY, thresholds: { x: 30, linkedin: 90 }, stateFile: 'org.json' },
+      ],
+    });
+    const { config } = loadConfig({ path, env: { CROSSPOST_THRESHOLD_X: '50', CROSSPOST_THRESHOLD_LINKEDIN: '70', CROSSPOST_STATE_FILE: '/tmp/cp/state.json' } });
+    const [derek, org] = config.profiles;
+
+    assert.deepEqual(config.profiles.map(p => p.thresholds.x), [20, 30]);
+    assert.deepEqual(config.profiles.map(p => p.thresholds.linkedin), [70, 90]);
+    assert.equal(org.authorPubkey, PUBKEY);
+    assert.equal(derek.stateFile, '/tmp/cp/state-derek.json');
+    assert.equal(org.stateFile, join(dir, 'org.json'));
+    assert.equal(derek.draftsDir, join(DEFAULTS.draftsDir, 'derek'));
+  });
+
+  it('refuses one author or agent key from the environment for several profiles', () => {
+    const profiles = [{ name: 'derek' }, { name: 'org', authorPubkey: PUBKEY }];
+    const env = { CROSSPOST_AUTHOR_PUBKEY: 'b'.repeat(64), CROSSPOST_AGENT_PUBKEY: 'c'.repeat(64) };
+    assert.deepEqual(problems(() => loadConfig({ path: configFile({ profiles }), env })), [
+      "CROSSPOST_AUTHOR_PUBKEY: can't apply to several profiles — set authorPubkey/agentPubkey in each profile instead",
+      "CROSSPOST_AGENT_PUBKEY: can't apply to several profiles — set authorPubkey/agentPubkey in each profile instead",
+    ]);
+
+    const single = loadConfig({ path: configFile({ profiles: [{ name: 'derek' }] }), env }).config.profiles;
+    assert.equal(single[0].authorPubkey, 'b'.repeat(64));
+  });
+
+  it('lists every schema problem at once', () => {
+    const path = configFile({
+      authorPubkey: 'npub1abc',
+      thresholds: { x: -1, twitter: 5 },
+      scoring: { mode: 'fast' },
+      relays: ['https://relay.test'],
+      patterns: { skip: ['/(unclosed/'] },
+      editPolicy: 'replace',
+    });
+    assert.deepEqual(problems(() => loadConfig({ path, env: {} })), [
+      'thresholds.twitter: unknown key',
+      'patterns.skip[0]: Invalid regular expression: /(unclosed/: Unterminated group',
+      'editPolicy: must be an object',
+      'authorPubkey: must be a 64-char lowercase hex pubkey (got "npub1abc")',
+      'relays: every entry must be a ws:// or wss:// URL (got a list of 1)',
+      'thresholds.x: must be at least 0 (got -1)',
+      'scoring.mode: must be one of linear, velocity (got "fast")',
+    ]);
+  });
+
+  it('rejects relay timeouts that would give up at once', () => {
+    const path = configFile({ queryTimeoutMs: 0, profiles: [{ name: 'derek', fetchTimeoutMs: 500 }] });
+    assert.deepEqual(problems(() => loadConfig({ path, env: {} })), [
+      'queryTimeoutMs: must be at least 1000 (got 0)',
+      'profiles.derek.queryTimeoutMs: must be at least 1000 (got 0)',
+      'profiles.derek.fetchTimeoutMs: must be at least 1000 (got 500)',
+    ]);
+  });
+
+  it('reports a non-numeric env value as NaN, not null', () => {
+    const path = configFile({});
+    assert.deepEqual(problems(() => loadConfig({ path, env: { CROSSPOST_THRESHOLD_X: 'abc' } })), [
+      'thresholds.x: must be a number (got NaN)',
+    ]);
+    assert.ok(problems(() => loadConfig({ path, env: { CROSSPOST_LOOKBACK_SECONDS: '1.5h' } })).includes('lookbackSeconds: must be a number (got NaN)'));
+  });
+
+  it('rejects a missing or unreadable file and bad profiles', () => {
+    assert.deepEqual(problems(() => loadConfig({ path: join(dir, 'nope.json'), env: {} })), ['file not found']);
+    assert.match(problems(() => loadConfig({ path: configFile('{ "thresholds": '), env: {} }))[0], /^not valid JSON: /);
+    assert.deepEqual(problems(() => loadConfig({ path: configFile([]), env: {} })), ['top level must be an object']);
+
+    const path = configFile({
+      profiles: [{ name: 'a' }, { name: 'a' }, { name: 'bad name' }, { name: 'b', stateFile: DEFAULTS.stateFile.replace(/\.json$/, '-a.json') }],
+    });
+    assert.deepEqual(problems(() => loadConfig({ path, env: {} })), [
+      'profiles[1].name: duplicate profile "a"',
+      'profiles[2].name: must be letters, digits, - or _ (got "bad name")',
+      `profiles.b.stateFile: same as profile "a" (${DEFAULTS.stateFile.replace(/\.json$/, '-a.json')})`,
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+
+import { loadChecker, mockFetch } from './helpers.mjs';
+
+const { checker, dir } = await loadChecker();
+const { retractCrossPosts } = checker;
+
+const NOW = 1_700_100_000;
+const deletion = { id: 'd'.repeat(64), created_at: NOW - 60 };
+const BSKY_POST = 'at://did:plc:me/app.bsky.feed.post/a';
+
+// Every platform's delete call, as "<platform> <id>"
+function deletes(calls) {
+  return calls.filter(c => c.method === 'DELETE' || c.url.endsWith('deleteRecord')).map(c => {
+    if (c.url.includes('twitter.com')) return `x ${c.url.split('/').pop()}`;
+    if (c.url.includes('linkedin.com')) return `linkedin ${decodeURIComponent(c.url.split('/').pop())}`;
+    return `bluesky ${JSON.parse(c.body).rkey}`;
+  });
+}
+
+describe('deletion sync', () => {
+  const realFetch = globalThis.fetch;
+
+  after(() => {
+    globalThis.fetch = realFetch;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('retracts every platform and marks the entry deleted', async () => {
+    const { fetch, calls } = mockFetch(({ url }) => (url.endsWith('/tweets/1') ? new Response('{}', { status: 404 }) : Response.json({ data: { deleted: true } })));
+    globalThis.fetch = fetch;
+    const entry = {
+      crossPosted: {
+        x: { tweetIds: ['1', '2'] },
+        linkedin: { postId: 'urn:li:share:9' },
+        bluesky: { uris: [BSKY_POST] },
+      },
+    };
+
+    const retraction = await retractCrossPosts('e1', entry, deletion, NOW);
+    assert.deepEqual(deletes(calls), ['x 2', 'x 1', 'linkedin urn:li:share:9', 'bluesky a']);
+    assert.equal(retraction.success, true);
+    assert.deepEqual(retraction.platforms.x, { success: true, deleted: ['2', '1'], failed: [] });
+    assert.equal(entry.deleted, true);
+    assert.deepEqual(entry.deletion, { eventId: deletion.id, requestedAt: deletion.created_at, processedAt: NOW });
+    for (const platform of ['x', 'linkedin', 'bluesky']) assert.equal(entry.crossPosted[platform].deletedAt, NOW);
+  });
+
+  it('keeps only the ids still left after a partial failure, and retries just those', async () => {
+    const { fetch } = mockFetch(({ url }) => (url.endsWith('/tweets/2') ? new Response('over capacity', { status: 503 }) : Response.json({ data: { deleted: true } })));
+    globalThis.fetch = fetch;
+    const entry = { crossPosted: { x: { tweetIds: ['1', '2', '3'] }, linkedin: { postId: 'urn:li:share:9' } } };
+
+    const first = await retractCrossPosts('e2', entry, deletion, NOW);
+    assert.equal(first.success, false);
+    assert.deepEqual(entry.crossPosted.x.tweetIds, ['2']);
+    assert.equal(entry.crossPosted.x.deletedAt, undefined);
+    assert.equal(entry.crossPosted.linkedin.deletedAt, NOW);
+    assert.equal(entry.deleted, undefined);
+    assert.deepEqual(entry.deletion.errors.x.failed, [{ id: '2', error: 'X API error (503): over capacity' }]);
+
+    const { fetch: retryFetch, calls: retryCalls } = mockFetch(() => Response.json({ data: { deleted: true } }));
+    globalThis.fetch = retryFetch;
+    const second = await retractCrossPosts('e2', entry, deletion, NOW + 900);
+    assert.deepEqual(deletes(retryCalls), ['x 2']);
+    assert.equal(second.success, true);
+    assert.equal(entry.deleted, true);
+    assert.equal(entry.deletion.processedAt, NOW + 900);
+    assert.equal(entry.deletion.errors, undefined);
+  });
+
+  it('fails platforms it has no ids for and leaves dry runs alone', async () => {
+    const { fetch, calls } = mockFetch();
+    globalThis.fetch = fetch;
+    const entry = {
+      crossPosted: {
+        x: { url: 'https://x.com/i/status/1' },
+        linkedin: { dryRun: true },
+        bluesky: { uris: [] },
+      },
+    };
+
+    const retraction = await retractCrossPosts('e3', entry, deletion, NOW);
+    assert.deepEqual(calls, []);
+    assert.deepEqual(retraction.platforms, {
+      x: { success: false, error: 'no tweet ids recorded' },
+      bluesky: { success: false, error: 'no Bluesky post URIs recorded' },
+    });
+    assert.equal(entry.deleted, undefined);
+    assert.equal(entry.deletion.errors.x.error, 'no tweet ids recorded');
+  });
+
+  it('asks for a post with unparseable poster output to be removed by hand', async () => {
+    const { fetch, calls } = mockFetch();
+    globalThis.fetch = fetch;
+    const entry = { crossPosted: { linkedin: { success: false, unparseable: true, error: 'unparseable poster output', output: 'Published!' } } };
+
+    const retraction = await retractCrossPosts('e4', entry, deletion, NOW);
+    assert.deepEqual(calls, []);
+    assert.equal(retraction.success, false);
+    assert.deepEqual(retraction.platforms.linkedin, {
+      success: false,
+      unparseable: true,
+      error: 'no LinkedIn post id recorded (unparseable poster output) — remove it by hand',
+    });
+    assert.equal(entry.deletion.errors.linkedin.unparseable, true);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+
+import { AUTHOR, loadChecker, mockFetch } from './helpers.mjs';
+
+const { checker, dir } = await loadChecker();
+const { isArticleEdit, propagateArticleEdit } = checker;
+
+const NOW = 1_700_100_000;
+const KEY = `30023:${AUTHOR}:essay`;
+const BSKY_POST = 'at://did:plc:me/app.bsky.feed.post/a';
+
+function article(id, createdAt, fields) {
+  const tags = [['d', 'essay'], ...Object.entries(fields).map(([name, value]) => [name, value])];
+  return { id: id.repeat(64), kind: 30023, pubkey: AUTHOR, created_at: createdAt, tags, content: 'Body' };
+}
+
+const first = article('1', NOW - 3600, { title: 'Essay', summary: 'About things' });
+
+function entryFor(crossPosted) {
+  return {
+    eventId: first.id,
+    createdAt: first.created_at,
+    address: KEY,
+    article: { title: 'Essay', summary: 'About things', image: null },
+    crossPosted,
+  };
+}
+
+describe('article edits', () => {
+  const realFetch = globalThis.fetch;
+
+  after(() => {
+    globalThis.fetch = realFetch;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('recognises a newer version of a posted article', () => {
+    const entry = entryFor({});
+    const newer = article('2', NOW, { title: 'Essay' });
+    assert.equal(isArticleEdit(KEY, entry, newer), true);
+    assert.equal(isArticleEdit(KEY, entry, first), false);
+    assert.equal(isArticleEdit(KEY, entry, { ...newer, created_at: first.created_at - 1 }), false);
+    assert.equal(isArticleEdit(first.id, { eventId: first.id }, first), false);
+  });
+
+  it('records a version without touching any platform when nothing material changed', async () => {
+    const { fetch, calls } = mockFetch();
+    globalThis.fetch = fetch;
+    const entry = entryFor({ x: { tweetIds: ['1'] } });
+    const typoFix = article('2', NOW, { title: 'Essay ', summary: 'About  things' });
+
+    assert.equal(await propagateArticleEdit(KEY, entry, typoFix, NOW), null);
+    assert.deepEqual(calls, []);
+    assert.equal(entry.eventId, typoFix.id);
+    assert.deepEqual(entry.versions, [{ eventId: first.id, createdAt: first.created_at, replacedAt: NOW }]);
+  });
+
+  it('replies to the X thread with the new title and keeps the reply ids', async () => {
+    const { fetch, calls } = mockFetch(() => Response.json({ data: { id: '9', text: 't' } }));
+    globalThis.fetch = fetch;
+    const entry = entryFor({ x: { tweetIds: ['1', '2'] } });
+    const renamed = article('2', NOW, { title: 'Better essay', summary: 'About things' });
+
+    const edit = await propagateArticleEdit(KEY, entry, renamed, NOW);
+    assert.deepEqual(edit.changed, ['title']);
+    assert.deepEqual(edit.platforms.x, { action: 'reply', success: true, tweetIds: ['9'] });
+    const body = JSON.parse(calls[0].body);
+    assert.match(body.text, /^✏️ Updated: Better essay/);
+    assert.deepEqual(body.reply, { in_reply_to_tweet_id: '2' });
+    assert.deepEqual(entry.crossPosted.x.tweetIds, ['1', '2', '9']);
+    assert.equal(entry.eventId, renamed.id);
+    assert.equal(entry.article.title, 'Better essay');
+  });
+
+  it('refuses to replace a cross-post it has no ids for, and retries next run', async () => {
+    const { fetch, calls } = mockFetch();
+    globalThis.fetch = fetch;
+    const entry = entryFor({
+      linkedin: { url: 'https://www.linkedin.com/feed/', contentType: 'article' },
+      bluesky: { unparseable: true },
+    });
+    const renamed = article('2', NOW, { title: 'Better essay', summary: 'About things' });
+
+    const edit = await propagateArticleEdit(KEY, entry, renamed, NOW);
+    assert.deepEqual(edit.platforms.linkedin, { action: 'replace', success: false, error: 'no LinkedIn post id recorded' });
+    assert.deepEqual(edit.platforms.bluesky, {
+      action: 'replace', success: false, unparseable: true,
+      error: 'no Bluesky post URIs recorded (unparseable poster output) — remove it by hand',
+    });
+    assert.deepEqual(calls, []);
+    assert.equal(entry.crossPosted.linkedin.deletedAt, undefined);
+    assert.equal(entry.eventId, first.id);
+  });
+
+  it('replaces the Bluesky thread, and stops before reposting when the old one is still up', async () => {
+    const { fetch, calls } = mockFetch(({ url, body }) => (url.endsWith('deleteRecord') && JSON.parse(body).rkey === 'b'
+      ? new Response('{"error":"InternalServerError"}', { status: 500 })
+      : undefined));
+    globalThis.fetch = fetch;
+    const entry = entryFor({ bluesky: { uris: [BSKY_POST, 'at://did:plc:me/app.bsky.feed.post/b'] } });
+    const reimaged = article('2', NOW, { title: 'Essay', summary: 'About things', image: 'https://img.example/new.png' });
+
+    const edit = await propagateArticleEdit(KEY, entry, reimaged, NOW);
+    assert.deepEqual(edit.changed, ['image']);
+    assert.deepEqual(edit.platforms.bluesky, { action: 'replace', success: false, error: 'could not delete 1 post(s)' });
+    assert.deepEqual(calls.map(c => JSON.parse(c.body).rkey), ['b', 'a']);
+    assert.deepEqual(entry.crossPosted.bluesky.uris, ['at://did:plc:me/app.bsky.feed.post/b']);
+    assert.equal(entry.crossPosted.bluesky.deletedAt, undefined);
+    assert.equal(entry.eventId, first.id);
+  });
+});
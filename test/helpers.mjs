@@ -0,0 +1,206 @@
+/**
+ * Shared setup for the checker's tests: a throwaway config, state and credential
+ * directories, then check-and-post.mjs imported against them.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { mkdtempSync, mkdirSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const ROOT = join(__dirname, '..');
+
+const { getEventHash } = await import(join(ROOT, 'linkedin-poster/lib/verify.mjs'));
+
+// --- Signing (BIP-340, affine coordinates — slow, but plenty for a few test events) ---
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = [
+  0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+];
+
+const mod = (a, m = P) => ((a % m) + m) % m;
+
+function inverse(a) {
+  let [result, base, exp] = [1n, mod(a), P - 2n];
+  for (; exp > 0n; exp >>= 1n, base = base * base % P) if (exp & 1n) result = result * base % P;
+  return result;
+}
+
+function add(p, q) {
+  if (!p) return q;
+  if (!q) return p;
+  if (p[0] === q[0] && p[1] !== q[1]) return null;
+  const slope = p[0] === q[0] ? 3n * p[0] * p[0] * inverse(2n * p[1]) : (q[1] - p[1]) * inverse(q[0] - p[0]);
+  const x = mod(slope * slope - p[0] - q[0]);
+  return [x, mod(slope * (p[0] - x) - p[1])];
+}
+
+function multiply(point, k) {
+  let result = null;
+  for (; k > 0n; k >>= 1n, point = add(point, point)) if (k & 1n) result = add(result, point);
+  return result;
+}
+
+const bytes = (n) => Buffer.from(n.toString(16).padStart(64, '0'), 'hex');
+const toBigInt = (buf) => BigInt('0x' + buf.toString('hex'));
+
+function taggedHash(tag, ...chunks) {
+  const tagHash = createHash('sha256').update(tag).digest();
+  const hash = createHash('sha256').update(tagHash).update(tagHash);
+  for (const chunk of chunks) hash.update(chunk);
+  return hash.digest();
+}
+
+/**
+ * A test key pair from a small secret.
+ * @param {number} n
+ * @returns {{ secret: bigint, pubkey: string }}
+ */
+export function keypair(n) {
+  const secret = BigInt(n);
+  return { secret, pubkey: bytes(multiply(G, secret)[0]).toString('hex') };
+}
+
+/**
+ * Sign an event template ({ kind, content?, tags?, created_at? }) with a keypair().
+ * @returns {object} a complete, valid Nostr event
+ */
+export function signEvent(template, { secret, pubkey }) {
+  const event = { created_at: Math.floor(Date.now() / 1000), content: '', tags: [], ...template, pubkey };
+  event.id = getEventHash(event);
+
+  const point = multiply(G, secret);
+  const d = point[1] % 2n === 0n ? secret : N - secret;
+  const message = Buffer.from(event.id, 'hex');
+  const aux = taggedHash('BIP0340/aux', randomBytes(32));
+  const t = Buffer.from(bytes(d).map((b, i) => b ^ aux[i]));
+  const k0 = mod(toBigInt(taggedHash('BIP0340/nonce', t, bytes(point[0]), message)), N);
+  const R = multiply(G, k0);
+  const k = R[1] % 2n === 0n ? k0 : N - k0;
+  const e = mod(toBigInt(taggedHash('BIP0340/challenge', bytes(R[0]), bytes(point[0]), message)), N);
+  event.sig = Buffer.concat([bytes(R[0]), bytes(mod(k + e * d, N))]).toString('hex');
+  return event;
+}
+
+export const AUTHOR_KEY = keypair(1);
+export const AUTHOR = AUTHOR_KEY.pubkey;
+
+// --- Relays ---
+
+let relayAnswer = () => [];
+
+// One socket class for the whole run: the checker's pool keeps its connections open
+class FakeRelay {
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    setImmediate(() => this.emit('open', {}));
+  }
+
+  addEventListener(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+  }
+
+  emit(type, event) {
+    for (const fn of this.listeners[type] || []) fn(event);
+  }
+
+  send(raw) {
+    const [type, subId, ...filters] = JSON.parse(raw);
+    if (type !== 'REQ') return;
+    const reply = (data) => setImmediate(() => this.emit('message', { data: JSON.stringify(data) }));
+    for (const event of relayAnswer(filters, this.url)) reply(['EVENT', subId, event]);
+    reply(['EOSE', subId]);
+  }
+
+  close() {
+    this.emit('close', {});
+  }
+}
+
+/**
+ * Answer the checker's relay queries from `answer(filters, url)` (the events to send)
+ * through a fake global WebSocket.
+ * @param {(filters: object[], url: string) => object[]} answer
+ * @returns {Array<{ url: string, filters: object[] }>} every REQ from now on
+ */
+export function fakeRelays(answer = () => []) {
+  const reqs = [];
+  relayAnswer = (filters, url) => {
+    reqs.push({ url, filters });
+    return answer(filters, url);
+  };
+  globalThis.WebSocket = FakeRelay;
+  return reqs;
+}
+
+/**
+ * Import the checker with a config file in a fresh temp directory, its first
+ * profile applied. Every poster gets working credentials there, so their API
+ * calls only need a mocked fetch.
+ * @param {object} config - settings on top of the test defaults
+ * @returns {Promise<{ checker: object, dir: string, profiles: object[] }>}
+ */
+export async function loadChecker(config = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'crosspost-'));
+  const credentials = { x: join(dir, 'x'), linkedin: join(dir, 'linkedin'), bluesky: join(dir, 'bluesky') };
+  writeCredentials(credentials);
+
+  const full = {
+    authorPubkey: AUTHOR,
+    relays: ['wss://relay.test'],
+    trendingRelay: 'wss://trending.test',
+    stateFile: join(dir, 'state.json'),
+    draftsDir: join(dir, 'drafts'),
+    credentials,
+    ...config,
+  };
+  const path = join(dir, 'crosspost.config.json');
+  writeFileSync(path, JSON.stringify(full));
+  process.env.CROSSPOST_CONFIG = path;
+
+  const checker = await import(join(ROOT, 'check-and-post.mjs'));
+  const { loadConfig } = await import(join(ROOT, 'lib/config.mjs'));
+  const { profiles } = loadConfig({ path }).config;
+  checker.applyProfile(profiles[0]);
+  return { checker, dir, profiles };
+}
+
+/**
+ * Credentials for every poster, none of them due for a refresh.
+ * @param {{ x: string, linkedin: string, bluesky: string }} dirs
+ */
+export function writeCredentials(dirs) {
+  for (const path of Object.values(dirs)) mkdirSync(path, { recursive: true });
+  writeFileSync(join(dirs.x, 'credentials.json'), JSON.stringify({ apiKey: 'k', apiSecret: 's', accessToken: 't', accessTokenSecret: 'ts' }));
+  writeFileSync(join(dirs.linkedin, 'token.json'), JSON.stringify({
+    accessToken: 'li-token', expiresAt: Date.now() + 30 * 86_400_000, personUrn: 'urn:li:person:me',
+  }));
+  const exp = Math.floor(Date.now() / 1000) + 86_400;
+  const jwt = `x.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.y`;
+  writeFileSync(join(dirs.bluesky, 'credentials.json'), JSON.stringify({ identifier: 'me.example', appPassword: 'p', pds: 'https://pds.test' }));
+  writeFileSync(join(dirs.bluesky, 'session.json'), JSON.stringify({
+    pds: 'https://pds.test', identifier: 'me.example', did: 'did:plc:me', handle: 'me.example', accessJwt: jwt, refreshJwt: jwt,
+  }));
+}
+
+/**
+ * A fetch that answers X, LinkedIn and Bluesky API calls from `answer(call)`
+ * (a Response, or undefined for a plain 200) and logs every call.
+ * @param {(call: { url: string, method: string, body: any }) => Response|undefined} answer
+ * @returns {{ fetch: Function, calls: object[] }}
+ */
+export function mockFetch(answer = () => undefined) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    const call = { url: String(url), method: init.method || 'GET', body: init.body };
+    calls.push(call);
+    return answer(call) || Response.json({});
+  };
+  return { fetch, calls };
+}
@@ -0,0 +1,45 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+
+import { loadChecker } from './helpers.mjs';
+
+const { checker, dir, profiles } = await loadChecker();
+const { applyProfile, alreadyPosted, isDuplicateContent } = checker;
+
+const NOW = 1_700_100_000;
+const CONTENT = 'Shipped the new relay index today, queries are ten times faster';
+
+const withBlueskyCap = (bluesky) => applyProfile({ ...profiles[0], dailyCaps: { ...profiles[0].dailyCaps, bluesky } });
+
+describe('posts still due', () => {
+  after(() => {
+    applyProfile(profiles[0]);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("doesn't count a post's own entry as a duplicate, so it can still reach the other platforms", () => {
+    const state = { posted: { e1: { content: CONTENT, crossPosted: { x: { at: NOW, tweetIds: ['1'] } } } } };
+    assert.equal(isDuplicateContent(CONTENT, state, 'e1'), false);
+    assert.equal(isDuplicateContent(CONTENT, state, 'e2'), true);
+    assert.equal(isDuplicateContent(`${CONTENT} (again)`, state, 'e2'), true);
+    assert.equal(isDuplicateContent('Something else entirely', state, 'e2'), false);
+  });
+
+  it('leaves Bluesky out while its cap is 0', () => {
+    withBlueskyCap(0);
+    const state = { posted: {} };
+    assert.deepEqual(alreadyPosted({ x: { at: NOW }, linkedin: { at: NOW, dryRun: true } }, state), { x: true, linkedin: false, bluesky: true });
+    assert.deepEqual(alreadyPosted(undefined, state), { x: false, linkedin: false, bluesky: true });
+  });
+
+  it('only sends posts to Bluesky that went out after it was switched on', () => {
+    withBlueskyCap(2);
+    const state = { posted: {}, blueskySince: NOW };
+    assert.equal(alreadyPosted({ x: { at: NOW - 3600 }, linkedin: { at: NOW - 3600 } }, state).bluesky, true);
+    assert.equal(alreadyPosted({ x: { at: NOW - 3600, dryRun: true } }, state).bluesky, false);
+    assert.equal(alreadyPosted({ x: { at: NOW + 60 } }, state).bluesky, false);
+    assert.equal(alreadyPosted({ bluesky: { at: NOW + 60, uris: ['at://a'] } }, state).bluesky, true);
+    assert.equal(alreadyPosted({}, state).bluesky, false);
+  });
+});
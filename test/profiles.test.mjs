@@ -0,0 +1,82 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { AUTHOR, ROOT, fakeRelays, keypair, loadChecker, signEvent, writeCredentials } from './helpers.mjs';
+
+const { npubEncode } = await import(join(ROOT, 'linkedin-poster/lib/nip19.mjs'));
+
+const ORG = keypair(5);
+const friend = keypair(6);
+
+// The org's credentials and both handles tables live apart from the checker's temp dir
+const orgDir = mkdtempSync(join(tmpdir(), 'crosspost-org-'));
+const orgCredentials = { x: join(orgDir, 'x'), linkedin: join(orgDir, 'linkedin'), bluesky: join(orgDir, 'bluesky') };
+writeCredentials(orgCredentials);
+const handlesFile = (x) => {
+  const path = join(orgDir, `handles-${x}.json`);
+  writeFileSync(path, JSON.stringify({ [friend.pubkey]: { x } }));
+  return path;
+};
+
+const { checker, dir, profiles } = await loadChecker({
+  trustWeights: { enabled: true },
+  profiles: [
+    { name: 'derek', handlesFile: handlesFile('@friend_of_derek') },
+    { name: 'org', authorPubkey: ORG.pubkey, credentials: orgCredentials, handlesFile: handlesFile('@friend_of_org') },
+  ],
+});
+const { applyProfile, loadState, saveState, getMentions, getTrustWeights } = checker;
+const [derek, org] = profiles;
+
+describe('profiles', () => {
+  after(() => {
+    delete globalThis.WebSocket;
+    rmSync(dir, { recursive: true, force: true });
+    rmSync(orgDir, { recursive: true, force: true });
+  });
+
+  it('keeps a state file per profile', () => {
+    assert.notEqual(derek.stateFile, org.stateFile);
+    applyProfile(derek);
+    saveState({ ...loadState(), posted: { e1: { content: 'derek' } }, dailyCounts: { x: 2 } });
+
+    applyProfile(org);
+    assert.deepEqual(loadState().posted, {});
+    saveState({ ...loadState(), posted: { e2: { content: 'org' } } });
+
+    applyProfile(derek);
+    assert.deepEqual(Object.keys(loadState().posted), ['e1']);
+    assert.deepEqual(loadState().dailyCounts, { x: 2 });
+  });
+
+  it("points the posters at the profile's own credentials", () => {
+    applyProfile(org);
+    assert.equal(process.env.X_POSTER_DIR, orgCredentials.x);
+    assert.equal(process.env.LINKEDIN_DIR, orgCredentials.linkedin);
+    assert.equal(process.env.BLUESKY_DIR, orgCredentials.bluesky);
+
+    applyProfile(derek);
+    assert.equal(process.env.X_POSTER_DIR, join(dir, 'x'));
+    assert.equal(process.env.BLUESKY_DIR, join(dir, 'bluesky'));
+  });
+
+  it("reads each profile's handles table and contact list afresh", async () => {
+    const profile = signEvent({ kind: 0, content: '{"name":"Friend"}' }, friend);
+    const reqs = fakeRelays(([filter]) => (filter.kinds[0] === 0 ? [profile] : []));
+    const text = `Thanks nostr:${npubEncode(friend.pubkey)}`;
+
+    applyProfile(derek);
+    assert.equal((await getMentions(text)).get(friend.pubkey).x, 'friend_of_derek');
+    await getTrustWeights([friend.pubkey]);
+
+    applyProfile(org);
+    assert.equal((await getMentions(text)).get(friend.pubkey).x, 'friend_of_org');
+    await getTrustWeights([friend.pubkey]);
+
+    const contactLists = reqs.map(r => r.filters[0]).filter(f => f.kinds[0] === 3 && f.limit === 1);
+    assert.deepEqual(contactLists.map(f => f.authors), [[AUTHOR], [ORG.pubkey]]);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+
+import { AUTHOR, fakeRelays, keypair, loadChecker, signEvent } from './helpers.mjs';
+
+const { checker, dir, profiles } = await loadChecker();
+const { applyProfile, getEngagement, scoreZaps } = checker;
+
+const withZapScoring = (zapScoring) => applyProfile({ ...profiles[0], zapScoring: { ...profiles[0].zapScoring, ...zapScoring } });
+const withScoring = (scoring) => applyProfile({ ...profiles[0], scoring: { ...profiles[0].scoring, ...scoring } });
+
+const HOUR = 3600;
+const now = Math.floor(Date.now() / 1000);
+const fans = Array.from({ length: 16 }, (_, i) => keypair(10 + i));
+
+/** A post `ageHours` old, with a reaction from a different fan at each of `hoursIn` after publishing. */
+function postWithReactions(id, ageHours, hoursIn) {
+  const post = { id: id.repeat(64), created_at: now - ageHours * HOUR };
+  const reactions = hoursIn.map((h, i) => signEvent({ kind: 7, content: '+', tags: [['e', post.id]], created_at: Math.round(post.created_at + h * HOUR) }, fans[i]));
+  return { post, reactions };
+}
+
+describe('engagement scoring', () => {
+  after(() => {
+    applyProfile(profiles[0]);
+    delete globalThis.WebSocket;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('scores every zap 5 points by default, whatever the amount', () => {
+    assert.equal(profiles[0].zapScoring.curve, 'flat');
+    assert.equal(scoreZaps([{ sats: 21, weight: 1 }, { sats: 100_000, weight: 1 }, { sats: null, weight: 1 }]), 15);
+    assert.equal(scoreZaps([{ sats: 5000, weight: 0.5 }]), 2.5);
+  });
+
+  it('weighs zaps by amount on the log curve when asked to', () => {
+    withZapScoring({ curve: 'log' });
+    assert.equal(scoreZaps([{ sats: 1000, weight: 1 }]), 5);
+    assert.equal(scoreZaps([{ sats: 21, weight: 1 }]), 2.2);
+    assert.equal(scoreZaps([{ sats: 100_000, weight: 1 }]), 8.3);
+    assert.equal(scoreZaps([{ sats: null, weight: 1 }]), 5);
+
+    withZapScoring({ curve: 'log', basis: 'total' });
+    assert.equal(scoreZaps([{ sats: 500, weight: 1 }, { sats: 500, weight: 1 }]), 5);
+  });
+
+  it('ranks a fast start above a slow climb in velocity mode', async () => {
+    // 8 reactions in the first hour of a 1-hour-old post; 16 spread over 20 hours
+    const fast = postWithReactions('a', 1, Array.from({ length: 8 }, (_, i) => i / 10));
+    const slow = postWithReactions('b', 20, Array.from({ length: 16 }, (_, i) => 0.5 + i * 1.25));
+    fakeRelays(([filter]) => [fast, slow].find(p => filter['#e']?.includes(p.post.id))?.reactions || []);
+
+    withScoring({ mode: 'linear' });
+    assert.equal((await getEngagement(fast.post, {})).score, 8);
+    assert.equal((await getEngagement(slow.post, {})).score, 16);
+
+    withScoring({ mode: 'velocity', velocityWindowHours: 3 });
+    const quick = await getEngagement(fast.post, {});
+    assert.deepEqual([quick.perHour, quick.windowHours, quick.score], [8, 3, 24]);
+    // Only the reactions at 0.5h, 1.75h and 3h fall inside the slow post's window
+    const steady = await getEngagement(slow.post, {});
+    assert.deepEqual([steady.reactions, steady.perHour, steady.score], [3, 1, 3]);
+    assert.equal(steady.raw.reactions, 16);
+  });
+
+  it('projects a post younger than the minimum age as if it were that old', async () => {
+    const young = postWithReactions('c', 0.25, [0.1, 0.2]);
+    fakeRelays(() => young.reactions);
+    withScoring({ mode: 'velocity', velocityWindowHours: 3 });
+    const { perHour, score } = await getEngagement(young.post, {});
+    assert.deepEqual([perHour, score], [2, 6]);
+  });
+
+  it("leaves the author's own zaps out of the sats as well as the score", async () => {
+    const post = { id: 'e'.repeat(64), created_at: now - 2 * HOUR };
+    const lnurlServer = keypair(30);
+    const receipt = (sender, msats) => signEvent({
+      kind: 9735,
+      tags: [['e', post.id], ['P', sender], ['description', JSON.stringify({ pubkey: sender, tags: [['amount', String(msats)]] })]],
+    }, lnurlServer);
+    fakeRelays(() => [receipt(AUTHOR, 5_000_000), receipt(fans[0].pubkey, 21_000)]);
+
+    withScoring({ mode: 'linear' });
+    const { zapSats, zaps, zapScore, raw } = await getEngagement(post, {});
+    assert.deepEqual([zapSats, zaps, zapScore, raw.zaps], [21, 1, 5, 2]);
+  });
+
+  it('halves an interaction for every half-life after publishing', async () => {
+    const decaying = postWithReactions('d', 10, [0, 1, 2]);
+    fakeRelays(() => decaying.reactions);
+
+    withScoring({ mode: 'linear', decayHalfLifeHours: 1 });
+    assert.equal((await getEngagement(decaying.post, {})).score, 1.8);
+    withScoring({ mode: 'linear', decayHalfLifeHours: null });
+    assert.equal((await getEngagement(decaying.post, {})).score, 3);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+
+import { AUTHOR, AUTHOR_KEY, fakeRelays, keypair, loadChecker, signEvent } from './helpers.mjs';
+
+const { checker, dir, profiles } = await loadChecker();
+const { applyProfile, getTrustWeights } = checker;
+
+const friend = keypair(2);
+const withProfile = keypair(3).pubkey;
+const stranger = keypair(4).pubkey;
+// Derek follows the friend and 249 accounts that never answer
+const follows = [friend.pubkey, ...Array.from({ length: 249 }, (_, i) => (i + 1).toString(16).padStart(64, '0'))];
+
+describe('web of trust', () => {
+  after(() => {
+    delete globalThis.WebSocket;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is off by default and leaves every account at full weight', async () => {
+    assert.equal(profiles[0].trustWeights.enabled, false);
+    const reqs = fakeRelays();
+    const weights = await getTrustWeights([withProfile, stranger]);
+    assert.deepEqual([...weights], [[withProfile, 1], [stranger, 1]]);
+    assert.deepEqual(reqs, []);
+  });
+
+  it('discounts accounts without a profile or followers, reading the follow list in batches', async () => {
+    applyProfile({ ...profiles[0], trustWeights: { ...profiles[0].trustWeights, enabled: true } });
+    const contactList = signEvent({ kind: 3, tags: follows.map(pk => ['p', pk]) }, AUTHOR_KEY);
+    const friendList = signEvent({ kind: 3, tags: [['p', withProfile]] }, friend);
+    const profile = signEvent({ kind: 0, content: '{"name":"Jo"}' }, keypair(3));
+
+    const reqs = fakeRelays(([filter]) => {
+      if (filter.kinds[0] === 0) return [profile];
+      if (filter.authors.includes(AUTHOR)) return [contactList];
+      return filter.authors.includes(friend.pubkey) ? [friendList] : [];
+    });
+
+    const weights = await getTrustWeights([withProfile, stranger, friend.pubkey]);
+    assert.equal(weights.get(withProfile), 1);
+    assert.equal(weights.get(stranger), 0.25 * 0.5);
+    assert.equal(weights.get(friend.pubkey), 0.25);
+
+    const listQueries = reqs.map(r => r.filters[0]).filter(f => f.kinds[0] === 3 && !f.authors.includes(AUTHOR));
+    assert.deepEqual(listQueries.map(f => f.authors.length), [100, 100, 50]);
+    assert.deepEqual(listQueries.flatMap(f => f.authors), follows);
+    for (const f of listQueries) assert.deepEqual(f['#p'], [withProfile, stranger, friend.pubkey]);
+  });
+});
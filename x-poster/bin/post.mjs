@@ -10,37 +10,82 @@
  *   node tools/x-poster/bin/post.mjs nevent1...
  *   node tools/x-poster/bin/post.mjs nevent1... --dry-run
  *   node tools/x-poster/bin/post.mjs nevent1... --no-link
+ *   node tools/x-poster/bin/post.mjs nevent1... --json
  *   node tools/x-poster/bin/post.mjs --setup
  */
 
 // Reuse Nostr decoder and fetcher from LinkedIn poster
 import { decode } from '../../linkedin-poster/lib/decoder.mjs';
 import { fetchEvent } from '../../linkedin-poster/lib/fetcher.mjs';
+import { resolveMentions } from '../../linkedin-poster/lib/mentions.mjs';
+import { fetchQuotes, quoteMentionText } from '../../linkedin-poster/lib/quotes.mjs';
+import { fetchThread, threadContent } from '../../linkedin-poster/lib/threads.mjs';
 import { format } from '../lib/formatter.mjs';
+import { NUMBERING_STYLES, DEFAULT_MAX_TWEETS } from '../lib/thread.mjs';
+import { weightedLength } from '../lib/length.mjs';
 import { postThread, uploadMedia } from '../lib/x.mjs';
+import { resolveMedia } from '../../linkedin-poster/lib/media.mjs';
 import { readCredentials, writeCredentials } from '../lib/token.mjs';
 import { createInterface } from 'node:readline';
 
 const USAGE = `Usage: x-post <nostr-identifier> [options]
 
-  nostr-identifier    nevent1... or naddr1... string
+  nostr-identifier    nevent1, naddr1, note1, npub1 or nprofile1 string,
+                      a nostr: URI, or a 64-char hex event id
+                      (npub/nprofile post the author's most recent note)
 
 Options:
   --dry-run     Show what would be posted without publishing
   --no-link     Omit the Nostr footer/link
+  --quotes      Inline quoted notes (nostr:note1/nevent1) as “excerpt” — author,
+                in the tweet if it fits, else as a follow-up reply
+  --quote-tweet <id>
+                Quote-tweet <id> (the quoted note's own cross-post) instead
+  --thread      Include the author's own replies continuing the note (a self-thread)
+                as a native X thread, one note after another
+  --thread-window <seconds>
+                How long after the note self-replies still count (default 21600)
+  --numbering <style>
+                Thread numbering: none, 1/ (prefix), (1/n) (suffix, default)
+                or 🧵 (first tweet only)
+  --max-tweets <n>
+                Longest thread to post (default ${DEFAULT_MAX_TWEETS}); anything longer
+                becomes one summary tweet plus --link — without --link the
+                whole thread is posted
+  --link <url>  Link for that summary tweet (e.g. the post on a web reader)
+  --article-thread
+                Post a long-form article as a full thread — hook, one tweet per
+                section, then --link if given — instead of title + summary
   --verbose     Show intermediate steps
+  --json        Print the result (tweet ids, thread URL, media ids) as JSON on stdout;
+                progress messages go to stderr. A thread that fails partway
+                still prints the ids that went out, with incomplete and error
   --setup       Interactive credential setup
-  --help        Show this help message`;
+  --help        Show this help message
+
+Environment:
+  NOSTR_HANDLES_FILE  JSON table of npub → { "x": "@handle", "linkedin": "urn:li:person:…" }
+                      used to turn nostr: mentions into @handles`;
 
 function parseArgs(argv) {
   const args = argv.slice(2);
-  const flags = { dryRun: false, noLink: false, verbose: false, setup: false, help: false };
+  const flags = { dryRun: false, noLink: false, quotes: false, thread: false, threadWindow: undefined, numbering: undefined, maxTweets: undefined, link: undefined, articleThread: false, quoteTweet: null, verbose: false, json: false, setup: false, help: false };
   let identifier = null;
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--dry-run') flags.dryRun = true;
+    else if (arg === '--thread') flags.thread = true;
+    else if (arg === '--thread-window' && /^\d+$/.test(args[i + 1] || '')) flags.threadWindow = Number(args[++i]);
+    else if (arg === '--numbering' && NUMBERING_STYLES.includes(args[i + 1])) flags.numbering = args[++i];
+    else if (arg === '--max-tweets' && /^[1-9]\d*$/.test(args[i + 1] || '')) flags.maxTweets = Number(args[++i]);
+    else if (arg === '--link' && /^https?:\/\//.test(args[i + 1] || '')) flags.link = args[++i];
+    else if (arg === '--article-thread') flags.articleThread = true;
     else if (arg === '--no-link') flags.noLink = true;
+    else if (arg === '--quotes') flags.quotes = true;
+    else if (arg === '--quote-tweet' && /^\d+$/.test(args[i + 1] || '')) flags.quoteTweet = args[++i];
     else if (arg === '--verbose') flags.verbose = true;
+    else if (arg === '--json') flags.json = true;
     else if (arg === '--setup') flags.setup = true;
     else if (arg === '--help' || arg === '-h') flags.help = true;
     else if (!arg.startsWith('--')) identifier = arg;
@@ -75,11 +120,13 @@ async function setupCredentials() {
     accessTokenSecret: accessTokenSecret.trim(),
   });
 
-  console.log('\n✅ Credentials saved to ~/.x-poster/credentials.json');
+  console.log(`\n✅ Credentials saved to ${process.env.X_POSTER_DIR || '~/.x-poster'}/credentials.json`);
 }
 
 async function main() {
-  const { identifier, dryRun, noLink, verbose, setup, help } = parseArgs(process.argv);
+  const { identifier, dryRun, noLink, quotes: inlineQuotes, quoteTweet, thread: selfThread, threadWindow, numbering, maxTweets, link, articleThread, verbose, json, setup, help } = parseArgs(process.argv);
+  // With --json, stdout carries only the result object
+  const log = json ? console.error : console.log;
 
   if (help) {
     console.log(USAGE);
@@ -97,15 +144,10 @@ async function main() {
     process.exit(1);
   }
 
-  if (!identifier.startsWith('nevent1') && !identifier.startsWith('naddr1')) {
-    console.error('Error: Identifier must start with nevent1 or naddr1');
-    process.exit(1);
-  }
-
-  if (verbose) console.log(`Decoding ${identifier}...`);
+  if (verbose) log(`Decoding ${identifier}...`);
   const decoded = await decode(identifier);
 
-  if (verbose) console.log('Fetching event from relays...');
+  if (verbose) log('Fetching event from relays...');
   const nostrEvent = await fetchEvent(decoded);
 
   if (nostrEvent.kind !== 1 && nostrEvent.kind !== 30023) {
@@ -113,50 +155,114 @@ async function main() {
     process.exit(1);
   }
 
-  if (verbose) console.log(`Event kind ${nostrEvent.kind} — formatting for X...`);
-  const { tweets, images } = format(nostrEvent, identifier, {});
+  let thread = [nostrEvent];
+  if (selfThread && nostrEvent.kind === 1) {
+    if (verbose) log('Fetching self-replies...');
+    thread = await fetchThread(nostrEvent, { windowSeconds: threadWindow, relays: decoded.relays });
+    if (verbose) log(`  Self-thread of ${thread.length} note(s)`);
+  }
+  const content = threadContent(thread);
+  const threadIds = thread.length > 1 ? { threadEventIds: thread.map(e => e.id) } : {};
+
+  // A quote-tweet carries the quoted note itself
+  let quotes = [];
+  if (inlineQuotes && !quoteTweet && nostrEvent.kind === 1) {
+    if (verbose) log('Fetching quoted notes...');
+    quotes = await fetchQuotes(content);
+    for (const q of quotes.filter(q => q.error)) console.error(`  Warning: quoted note ${q.ref.slice(0, 24)}... unavailable: ${q.error}`);
+  }
+
+  if (verbose) log('Resolving mentioned profiles...');
+  const mentions = await resolveMentions(`${content}\n${quoteMentionText(quotes)}`);
+
+  let resolved;
+  if (nostrEvent.kind === 1) {
+    if (verbose) log('Checking media (kind 1063 files, untyped URLs)...');
+    resolved = await resolveMedia(content, thread, { quotes });
+  }
+
+  if (verbose) log(`Event kind ${nostrEvent.kind} — formatting for X...`);
+  const { tweets, media: found } = format(nostrEvent, identifier, {
+    mentions, quotes, thread, numbering, maxTweets, link, articles: articleThread ? 'thread' : 'teaser', media: resolved,
+  });
+
+  // A tweet carries up to 4 images, or a single video or GIF — whichever the note shows first
+  const media = found[0]?.type === 'image' ? found.filter(m => m.type === 'image').slice(0, 4) : found.slice(0, 1);
+  const skipped = found.filter(m => !media.includes(m)).map(m => m.url);
+
+  if (dryRun && json) {
+    console.log(JSON.stringify({ platform: 'x', dryRun: true, eventId: nostrEvent.id, ...threadIds, tweets, media, ...(quoteTweet ? { quoteTweetId: quoteTweet } : {}) }));
+    return;
+  }
 
   if (dryRun) {
     console.log('\n--- DRY RUN (would post to X) ---\n');
     tweets.forEach((t, i) => {
       if (tweets.length > 1) console.log(`--- Tweet ${i + 1}/${tweets.length} ---`);
       console.log(t);
-      console.log(`(${t.length} chars)\n`);
+      console.log(`(${weightedLength(t)} chars)\n`);
     });
-    if (images.length > 0) {
-      console.log(`Images: ${images.join(', ')}`);
+    if (media.length > 0) {
+      console.log(`Media: ${media.map(m => `${m.url} (${m.type}${m.alt ? `, alt: ${m.alt}` : ''})`).join(', ')}`);
     }
+    if (skipped.length > 0) console.log(`Not attached: ${skipped.join(', ')}`);
+    if (quoteTweet) console.log(`Quoting: https://x.com/i/status/${quoteTweet}`);
     return;
   }
 
   // Verify credentials exist before posting
   await readCredentials();
 
-  // Upload images if any
+  // Upload media if any
   let mediaIds = [];
-  if (images.length > 0) {
-    if (verbose) console.log(`Uploading ${images.length} image(s)...`);
-    for (const imgUrl of images.slice(0, 4)) { // X allows max 4 images
+  if (skipped.length > 0 && verbose) log(`  Not attached (X allows 4 images or 1 video/GIF): ${skipped.join(', ')}`);
+  if (media.length > 0) {
+    if (verbose) log(`Uploading ${media.length} media file(s)...`);
+    for (const item of media) {
       try {
-        const mediaId = await uploadMedia(imgUrl);
+        const mediaId = await uploadMedia(item.url, { mime: item.mime, alt: item.alt });
         mediaIds.push(mediaId);
-        if (verbose) console.log(`  Uploaded: ${mediaId}`);
+        if (verbose) log(`  Uploaded: ${mediaId}`);
       } catch (err) {
-        console.error(`  Warning: Failed to upload image ${imgUrl}: ${err.message}`);
+        console.error(`  Warning: Failed to upload ${item.url}: ${err.message}`);
       }
     }
   }
 
   // Post
-  if (verbose) console.log(`Posting ${tweets.length} tweet(s)...`);
-  const result = await postThread(tweets, mediaIds);
+  if (verbose) log(`Posting ${tweets.length} tweet(s)...`);
+  let result;
+  try {
+    result = await postThread(tweets, mediaIds, { quoteTweetId: quoteTweet });
+  } catch (err) {
+    // Part of the thread is live: report its ids along with the error
+    if (!err.tweets) throw err;
+    result = { tweets: err.tweets, url: err.url, error: err.message };
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    console.log(JSON.stringify({
+      platform: 'x',
+      eventId: nostrEvent.id,
+      ...threadIds,
+      tweetIds: result.tweets.map(t => t.id),
+      url: result.url,
+      mediaIds,
+      ...(quoteTweet ? { quoteTweetId: quoteTweet } : {}),
+      ...(result.error ? { incomplete: true, error: result.error } : {}),
+      postedAt: Math.floor(Date.now() / 1000),
+    }));
+    return;
+  }
 
   console.log(`Published: ${result.url}`);
-  if (verbose) {
+  if (verbose || result.error) {
     result.tweets.forEach((t, i) => {
       console.log(`  Tweet ${i + 1}: ${t.id}`);
     });
   }
+  if (result.error) console.error(`Error: ${result.error}`);
 }
 
 main().catch(err => {
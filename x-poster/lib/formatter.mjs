@@ -3,20 +3,18 @@
  *
  * Native X formatting — no Nostr fingerprints.
  * Handles:
- * - 280 char limit (auto-threading for longer content)
- * - Image extraction
- * - nostr: mention/reference stripping
+ * - 280 char limit by X's weighted count (auto-threading for longer content)
+ * - Media extraction (images, GIFs, videos — see media.mjs)
+ * - nostr: mention/reference stripping (resolved mentions become @handles or names)
  * - Smart hashtag handling
  */
 
-const MAX_TWEET_CHARS = 280;
-const IMAGE_RE = /https?:\/\/\S+\.(?:jpg|jpeg|png|gif|webp)(?:\?\S*)?/gi;
-const NOSTR_MENTION_RE = /nostr:npub1[a-z0-9]+/gi;
-const NOSTR_REF_RE = /nostr:(?:nevent1|naddr1|note1|nprofile1)[a-z0-9]+/gi;
-const NJUMP_RE = /https?:\/\/njump\.me\/\S+/gi;
-const NOSTR_ATTRIBUTION_RE = /(?:🟣\s*)?(?:originally )?posted (?:via|on) nostr\b[^\n]*/gi;
-const PURPLE_DOT_RE = /\n*🟣\s*/g;
-const URL_CHAR_COUNT = 23; // X counts all URLs as 23 chars (t.co wrapping)
+import { stripNostrArtifacts } from '../../linkedin-poster/lib/mentions.mjs';
+import { findQuotes, renderQuote } from '../../linkedin-poster/lib/quotes.mjs';
+import { MAX_TWEET_LENGTH, weightedLength } from './length.mjs';
+import { parseMarkdown, inlineText, plainText } from '../../linkedin-poster/lib/markdown.mjs';
+import { extractMedia, removeMedia } from '../../linkedin-poster/lib/media.mjs';
+import { buildThread, splitText, threadRoom, DEFAULT_MAX_TWEETS } from './thread.mjs';
 
 // Hashtags that work well on X for Derek's topics
 const X_HASHTAG_MAP = {
@@ -35,8 +33,14 @@ const X_HASHTAG_MAP = {
  * Format a Nostr event for X/Twitter — native feel, no Nostr traces
  * @param {object} event - Raw Nostr event
  * @param {string} originalIdentifier - nevent1.../naddr1... string (unused now)
- * @param {object} options - { noLink: boolean }
- * @returns {{ tweets: string[], images: string[] }}
+ * @param {object} options - { noLink: boolean, mentions?: Map, quotes?: Array, thread?: object[],
+ *   numbering?: string, maxTweets?: number, link?: string, articles?: 'teaser'|'thread', media?: Map }
+ *   mentions from resolveMentions; quotes from fetchQuotes, rendered inline (kind 1 only);
+ *   thread from fetchThread — a self-thread is posted note by note;
+ *   numbering, maxTweets and link go to buildThread (link is the fallback for an over-long thread);
+ *   articles: 'thread' posts a kind 30023 as a full thread (ending with link) instead of title + summary
+ *   media (from resolveMedia) types media URLs the text and tags alone don't
+ * @returns {{ tweets: string[], media: Media[] }} media: images, GIFs and videos, in order (see media.mjs)
  */
 export function format(event, originalIdentifier, options = {}) {
   if (!event || typeof event !== 'object') {
@@ -44,7 +48,9 @@ export function format(event, originalIdentifier, options = {}) {
   }
 
   const kind = event.kind;
+  if (kind === 1 && options.thread?.length > 1) return formatSelfThread(options.thread, options);
   if (kind === 1) return formatKind1(event, options);
+  if (kind === 30023 && options.articles === 'thread') return formatArticleThread(event, options);
   if (kind === 30023) return formatKind30023(event, options);
   throw new Error(`Only kind 1 and 30023 supported. Got kind ${kind}`);
 }
@@ -54,37 +60,83 @@ export function format(event, originalIdentifier, options = {}) {
  * Can be called directly by the cross-post checker with pre-fetched content.
  */
 export function formatTextForX(text, options = {}) {
-  // Extract images before stripping
-  const images = [...text.matchAll(IMAGE_RE)].map(m => m[0]);
-  for (const img of images) {
-    text = text.replace(img, '').trim();
-  }
+  // Extract media before stripping
+  const media = extractMedia(text);
+  text = removeMedia(text, media);
 
-  text = stripNostrArtifacts(text);
+  text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'x' });
 
   // Smart hashtag handling
   text = enhanceHashtags(text);
 
-  const tweets = threadText(text);
-  return { tweets, images };
+  const tweets = buildThread(text, threadOptions(options));
+  return { tweets, media };
 }
 
 function formatKind1(event, options) {
+  const { parts, media } = kind1Parts(event, options);
+  return { tweets: buildThread(parts, threadOptions(options)), media };
+}
+
+/**
+ * A kind 1 note as thread parts: its text, then any quotes that didn't fit alongside it.
+ */
+function kind1Parts(event, options) {
   let text = event.content || '';
 
-  // Extract images before stripping
-  const images = [...text.matchAll(IMAGE_RE)].map(m => m[0]);
-  for (const img of images) {
-    text = text.replace(img, '').trim();
-  }
+  // Extract media before stripping
+  const media = extractMedia(text, [event], options.media);
+  text = removeMedia(text, media);
 
-  text = stripNostrArtifacts(text);
+  text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'x' });
 
   // Smart hashtag handling
-  text = enhanceHashtags(text);
+  if (options.hashtags !== false) text = enhanceHashtags(text);
 
-  const tweets = threadText(text);
-  return { tweets, images };
+  // Quoted notes share the tweet if they fit, otherwise each follows as its own reply
+  const quotes = (options.quotes || []).filter(q => q.event).map(q => fitQuote(q, options.mentions));
+  const inline = [text, ...quotes].filter(Boolean).join('\n\n');
+  if (quotes.length > 0 && weightedLength(inline) <= MAX_TWEET_LENGTH) {
+    return { parts: [inline], media };
+  }
+  return { parts: [text, ...quotes], media };
+}
+
+/**
+ * Render a quote short enough for a tweet of its own — CJK excerpts weigh double.
+ */
+function fitQuote(quote, mentions) {
+  for (let maxChars = 200; ; maxChars -= 20) {
+    const text = renderQuote(quote, 'x', { mentions, maxChars });
+    if (maxChars <= 40 || weightedLength(text) <= MAX_TWEET_LENGTH) return text;
+  }
+}
+
+/**
+ * A self-thread, note by note: each note starts a new tweet, numbered across the whole
+ * thread. Suggested hashtags go on the opening note only; quotes stay with the note that
+ * made them; media from every note ends up on the first tweet (postThread attaches media there).
+ */
+function formatSelfThread(thread, options) {
+  const parts = [];
+  const media = [];
+  thread.forEach((note, i) => {
+    const refs = findQuotes(note.content);
+    const quotes = (options.quotes || []).filter(q => refs.includes(q.ref));
+    const part = kind1Parts(note, { ...options, quotes, hashtags: i === 0 });
+    parts.push(...part.parts);
+    media.push(...part.media);
+  });
+  return { tweets: buildThread(parts, threadOptions(options)), media };
+}
+
+// An article's `image` tag, typed like note media (an extensionless URL is taken for an image)
+function headerImage(url, event) {
+  return extractMedia(url, [event])[0] || { url, type: 'image' };
+}
+
+function threadOptions(options) {
+  return { numbering: options.numbering, maxTweets: options.maxTweets, link: options.link };
 }
 
 function formatKind30023(event, options) {
@@ -92,46 +144,122 @@ function formatKind30023(event, options) {
   const getTag = (name) => tags.find(t => t[0] === name)?.[1] || '';
 
   const title = getTag('title');
-  const summary = getTag('summary') || stripMarkdown(event.content || '').slice(0, 200);
+  const summary = getTag('summary') || plainText(event.content || '').slice(0, 200);
   const image = getTag('image');
 
   let text = title ? `${title}\n\n${summary}` : summary;
-  text = stripNostrArtifacts(text);
+  text = stripNostrArtifacts(text, { mentions: options.mentions, platform: 'x' });
   text = enhanceHashtags(text);
 
-  const tweets = threadText(text);
-  const images = image ? [image] : [];
+  const tweets = buildThread(text, { ...threadOptions(options), summary });
+  const media = image ? [headerImage(image, event)] : [];
 
-  return { tweets, images };
+  return { tweets, media };
 }
 
 /**
- * Remove ALL Nostr fingerprints from text
+ * A long-form article as a thread: a hook tweet (title and summary), one tweet per
+ * top-level section — its heading and as many of its paragraphs and lists as fit —
+ * and, with options.link, a closing link to the full article. Sections past
+ * maxTweets are left to the link. The header image goes on the first tweet.
  */
-function stripNostrArtifacts(text) {
-  // Remove njump.me links
-  text = text.replace(NJUMP_RE, '').trim();
+function formatArticleThread(event, options) {
+  const tags = event.tags || [];
+  const getTag = (name) => tags.find(t => t[0] === name)?.[1] || '';
+  const plain = (text) => stripNostrArtifacts(inlineText(text), { mentions: options.mentions, platform: 'x' });
+
+  let blocks = parseMarkdown(event.content || '');
+  let title = getTag('title');
+
+  // A lone leading top-level heading is the article's title, not a section
+  const headings = blocks.filter(b => b.type === 'heading');
+  if (blocks[0]?.type === 'heading' && headings.filter(h => h.level === blocks[0].level).length === 1) {
+    title ||= plain(blocks[0].text);
+    blocks = blocks.slice(1);
+  }
+
+  // The summary tag, else the opening paragraph, completes the hook
+  let summary = getTag('summary');
+  if (!summary) {
+    const opening = blocks.findIndex(b => b.type === 'paragraph');
+    if (opening !== -1 && !blocks.slice(0, opening).some(b => b.type === 'heading')) {
+      summary = blocks[opening].text;
+      blocks = blocks.filter((_, i) => i !== opening);
+    }
+  }
 
-  // Remove "posted via Nostr" / "Originally posted on Nostr" attribution
-  text = text.replace(NOSTR_ATTRIBUTION_RE, '').trim();
+  // Sections start at the highest heading level used; without headings, every block stands alone
+  const level = Math.min(...blocks.filter(b => b.type === 'heading').map(b => b.level));
+  const sections = [];
+  for (const block of blocks) {
+    if (block.type === 'heading' && block.level === level) {
+      sections.push({ heading: plain(block.text), blocks: [] });
+    } else if (!Number.isFinite(level) || sections.length === 0) {
+      sections.push({ heading: '', blocks: [block] });
+    } else {
+      sections[sections.length - 1].blocks.push(block);
+    }
+  }
 
-  // Remove purple dot indicator
-  text = text.replace(PURPLE_DOT_RE, '').trim();
+  const closing = options.link ? `Read the full article: ${options.link}` : '';
+  const slots = (options.maxTweets ?? DEFAULT_MAX_TWEETS) - 1 - (closing ? 1 : 0);
+  const body = sections
+    .map(section => ({ ...section, texts: section.blocks.map(articleBlockText(plain)).filter(Boolean) }))
+    .filter(section => section.heading || section.texts.length > 0)
+    .slice(0, Math.max(slots, 0));
+  const room = threadRoom(options.numbering, 1 + body.length + (closing ? 1 : 0));
+
+  const hook = clip([title, plain(summary)].filter(Boolean).join('\n\n'), room);
+  const tweets = [
+    enhanceHashtags(hook, room),
+    ...body.map(section => condense(section.heading, section.texts, room)),
+    closing,
+  ];
 
-  // Strip nostr: mentions and references
-  text = text.replace(NOSTR_MENTION_RE, '').trim();
-  text = text.replace(NOSTR_REF_RE, '').trim();
+  const image = getTag('image');
+  return { tweets: buildThread(tweets, threadOptions(options)), media: image ? [headerImage(image, event)] : [] };
+}
 
-  // Collapse excess whitespace
-  text = text.replace(/\n{3,}/g, '\n\n').replace(/ {2,}/g, ' ').trim();
+// How a markdown block reads in a tweet; code and images are left out
+function articleBlockText(plain) {
+  return (block) => {
+    if (block.type === 'heading' || block.type === 'paragraph') return plain(block.text);
+    if (block.type === 'quote') return `“${plain(block.text)}”`;
+    if (block.type === 'list') {
+      return block.items
+        .map(item => `${'  '.repeat(item.depth)}${item.ordered ? `${item.number}.` : '•'} ${plain(item.text)}`)
+        .join('\n');
+    }
+    if (block.type === 'table') return block.rows.map(row => row.map(plain).join(' · ')).join('\n');
+    return '';
+  };
+}
 
+// A heading followed by whole blocks while they fit; the first block is clipped if it alone doesn't
+function condense(heading, texts, room) {
+  let text = heading;
+  for (const block of texts) {
+    const next = text ? `${text}\n\n${block}` : block;
+    if (weightedLength(next) <= room) {
+      text = next;
+    } else {
+      if (text === heading) text = clip(next, room);
+      break;
+    }
+  }
   return text;
 }
 
+function clip(text, room) {
+  if (weightedLength(text) <= room) return text;
+  const [head] = splitText(text.normalize('NFC'), room - weightedLength('…'));
+  return /[.!?:]$/.test(head) ? head : `${head}…`;
+}
+
 /**
  * Keep existing hashtags that work on X, optionally add relevant ones
  */
-function enhanceHashtags(text) {
+function enhanceHashtags(text, max = MAX_TWEET_LENGTH) {
   // Extract existing hashtags
   const existingTags = new Set(
     (text.match(/#\w+/g) || []).map(t => t.toLowerCase())
@@ -153,89 +281,10 @@ function enhanceHashtags(text) {
     const toAdd = suggestedTags.slice(0, Math.min(2, 3 - existingTags.size));
     // Only add if they fit
     const tagStr = '\n\n' + toAdd.join(' ');
-    if (text.length + tagStr.length <= MAX_TWEET_CHARS) {
+    if (weightedLength(text + tagStr) <= max) {
       text = text + tagStr;
     }
   }
 
   return text;
 }
-
-/**
- * Split text into tweet-sized chunks. No Nostr footer.
- */
-function twitterLength(text) {
-  // X counts all URLs (including bare domains like example.com) as 23 chars via t.co
-  const urlRegex = /https?:\/\/\S+|(?:[\w-]+\.)+(?:com|org|net|io|app|me|dev|xyz|co|sh)\b\S*/gi;
-  let adjusted = text;
-  const urls = text.match(urlRegex) || [];
-  for (const url of urls) {
-    adjusted = adjusted.replace(url, 'x'.repeat(URL_CHAR_COUNT));
-  }
-  return adjusted.length;
-}
-
-function threadText(text) {
-  // Fits in one tweet (using X's URL-adjusted length)
-  if (twitterLength(text) <= MAX_TWEET_CHARS) {
-    return [text];
-  }
-
-  // Need to thread — split by sentences/paragraphs
-  const tweets = [];
-  let remaining = text;
-  const threadIndicatorLen = 6; // " (X/Y)" approx
-
-  while (remaining.length > 0) {
-    const isLast = twitterLength(remaining) <= MAX_TWEET_CHARS - threadIndicatorLen;
-
-    if (isLast) {
-      tweets.push(remaining);
-      break;
-    }
-
-    const maxChunk = MAX_TWEET_CHARS - threadIndicatorLen;
-    let splitAt = findSplitPoint(remaining, maxChunk);
-    tweets.push(remaining.slice(0, splitAt).trim());
-    remaining = remaining.slice(splitAt).trim();
-  }
-
-  // Add thread indicators only if multi-tweet (no "1/" style, use (1/3) format)
-  if (tweets.length > 1) {
-    tweets.forEach((t, i) => {
-      tweets[i] = t + ` (${i + 1}/${tweets.length})`;
-    });
-  }
-
-  return tweets;
-}
-
-function findSplitPoint(text, maxLen) {
-  if (text.length <= maxLen) return text.length;
-
-  // Try paragraph break
-  const paraBreak = text.lastIndexOf('\n\n', maxLen);
-  if (paraBreak > maxLen * 0.5) return paraBreak;
-
-  // Try sentence break
-  const sentenceBreak = text.lastIndexOf('. ', maxLen);
-  if (sentenceBreak > maxLen * 0.5) return sentenceBreak + 1;
-
-  // Try word break
-  const wordBreak = text.lastIndexOf(' ', maxLen);
-  if (wordBreak > maxLen * 0.3) return wordBreak;
-
-  // Hard cut
-  return maxLen;
-}
-
-function stripMarkdown(text) {
-  return text
-    .replace(/#{1,6}\s+/g, '')
-    .replace(/\*\*(.*?)\*\*/g, '$1')
-    .replace(/\*(.*?)\*/g, '$1')
-    .replace(/`{1,3}[^`]*`{1,3}/g, '')
-    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
-    .replace(/!\[[^\]]*\]\([^)]+\)/g, '')
-    .trim();
-}
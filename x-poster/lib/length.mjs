@@ -0,0 +1,158 @@
+/**
+ * X's weighted tweet length — the twitter-text v3 algorithm X validates against.
+ *
+ * - Text is NFC-normalized first
+ * - Code points in U+0000–U+10FF and the general punctuation ranges weigh 1;
+ *   everything else (CJK, most symbols, anything outside the BMP) weighs 2
+ * - An emoji weighs 2 as a whole, including ZWJ sequences, flags and skin tones
+ * - A URL weighs 23 (its t.co link) whatever its length
+ *
+ * URLs with a protocol always count. Without one, the domain must end in a TLD
+ * from X's list: a gTLD from GTLDS, or a ccTLD — except short ccTLD domains
+ * like "a.jp" with nothing after them, which X leaves as text.
+ */
+
+export const MAX_TWEET_LENGTH = 280;
+export const URL_LENGTH = 23;
+
+const SCALE = 100;
+const DEFAULT_WEIGHT = 200;
+const LIGHT_RANGES = [[0x0000, 0x10ff], [0x2000, 0x200d], [0x2010, 0x201f], [0x2032, 0x2037]];
+
+const EMOJI_RE = /\p{RGI_Emoji}/gv;
+
+// Generic TLDs X links without a protocol (the common part of its list)
+const GTLDS = new Set(`
+  academy agency app art asia biz blog cat center cloud club coffee com community company consulting coop
+  design dev digital directory earth edu email energy exchange finance foundation fun gallery gov group guru
+  help host info ink int io jobs link live ltd market media mil mobi money museum name net network news ninja
+  one online org page photo photography pizza pro pub run science services shop site social software solutions
+  space store studio systems team tech tel today tools top travel tv video vip watch website wiki work world xyz zone
+`.trim().split(/\s+/));
+
+// Every ISO 3166 country code TLD, plus ac, eu, su and uk
+const CCTLDS = new Set(`
+  ac ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bm bn bo br bs bt bw by bz
+  ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ec ee eg er es et eu fi fj fk fm
+  fo fr ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in io iq ir is
+  it je jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me mg mh mk ml mm
+  mn mo mp mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk pl pm pn pr
+  ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sk sl sm sn so sr ss st su sv sx sy sz tc td tf tg th
+  tj tk tl tm tn to tr tt tv tw tz ua ug uk us uy uz va vc ve vg vi vn vu wf ws ye yt za zm zw
+`.trim().split(/\s+/));
+
+// Not inside a word, @handle, #hashtag, $cashtag, email address or another URL
+const URL_RE = new RegExp(
+  String.raw`(?<![\p{L}\p{N}_@#$.\/-])` +
+  String.raw`(?:(https?:\/\/)[^\s\/?#]+|((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,})(?![\p{L}\p{N}_@-])))` +
+  String.raw`(?::\d+)?([\/?#][^\s]*)?`,
+  'giu',
+);
+const TRAILING_PUNCTUATION_RE = /[.,:;!?'"’”…]+$/;
+
+/**
+ * Find the URLs X would wrap in t.co links.
+ * @param {string} text - should already be NFC-normalized; offsets refer to it as given
+ * @returns {Array<{ url: string, start: number, end: number }>}
+ */
+export function extractUrls(text) {
+  const urls = [];
+  for (const match of (text || '').matchAll(URL_RE)) {
+    const [, protocol, domain, tld, path] = match;
+    if (!protocol) {
+      const known = GTLDS.has(tld.toLowerCase()) || CCTLDS.has(tld.toLowerCase());
+      const shortCcDomain = !GTLDS.has(tld.toLowerCase()) && /^[a-z0-9]{1,2}\.[a-z]+$/i.test(domain) && !path;
+      if (!known || shortCcDomain) continue;
+    }
+    const url = trimUrl(match[0]);
+    urls.push({ url, start: match.index, end: match.index + url.length });
+  }
+  return urls;
+}
+
+// Sentence punctuation and unbalanced closing brackets aren't part of the URL
+function trimUrl(url) {
+  for (;;) {
+    const trimmed = url.replace(TRAILING_PUNCTUATION_RE, '');
+    const last = trimmed[trimmed.length - 1];
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    if (pairs[last] && count(trimmed, last) > count(trimmed, pairs[last])) {
+      url = trimmed.slice(0, -1);
+      continue;
+    }
+    return trimmed;
+  }
+}
+
+function count(text, char) {
+  return text.split(char).length - 1;
+}
+
+function charWeight(codePoint) {
+  return LIGHT_RANGES.some(([from, to]) => codePoint >= from && codePoint <= to) ? SCALE : DEFAULT_WEIGHT;
+}
+
+/**
+ * Walk the text unit by unit — a URL, an emoji or a single code point —
+ * calling visit(end, weight) after each; stop early when visit returns false.
+ */
+function scan(text, visit) {
+  const urls = new Map(extractUrls(text).map(u => [u.start, u.end]));
+  const emoji = new Map([...text.matchAll(EMOJI_RE)].map(m => [m.index, m.index + m[0].length]));
+
+  let i = 0;
+  while (i < text.length) {
+    let weight;
+    if (urls.has(i)) {
+      weight = URL_LENGTH * SCALE;
+      i = urls.get(i);
+    } else if (emoji.has(i)) {
+      weight = DEFAULT_WEIGHT;
+      i = emoji.get(i);
+    } else {
+      const codePoint = text.codePointAt(i);
+      weight = charWeight(codePoint);
+      i += codePoint > 0xffff ? 2 : 1;
+    }
+    if (visit(i, weight) === false) return;
+  }
+}
+
+/**
+ * The length X counts for a tweet.
+ * @param {string} text
+ * @returns {number}
+ */
+export function weightedLength(text) {
+  let total = 0;
+  scan((text || '').normalize('NFC'), (_, weight) => { total += weight; });
+  return total / SCALE;
+}
+
+/**
+ * Whether the text fits in one tweet.
+ * @param {string} text
+ * @param {number} [max]
+ * @returns {boolean}
+ */
+export function fitsInTweet(text, max = MAX_TWEET_LENGTH) {
+  return weightedLength(text) <= max;
+}
+
+/**
+ * How much of the text fits in `max` weighted characters, without cutting
+ * through a URL, an emoji or a surrogate pair.
+ * @param {string} text - should already be NFC-normalized; the result is an offset into it
+ * @param {number} max
+ * @returns {number} Offset to cut at (text.length if it all fits)
+ */
+export function fitPrefix(text, max) {
+  let total = 0;
+  let end = 0;
+  scan(text, (next, weight) => {
+    total += weight;
+    if (total > max * SCALE) return false;
+    end = next;
+  });
+  return end;
+}
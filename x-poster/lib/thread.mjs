@@ -0,0 +1,53 @@
+/**
+ * Thread building — split text into tweets by X's weighted length.
+ *
+ * The shared builder (linkedin-poster/lib/thread-builder.mjs) with X's counting:
+ * - Never breaks inside a URL, #hashtag, @mention or $cashtag
+ * - A URL counts as URL_LENGTH, the text is NFC-normalized first as X counts it
+ * - A thread longer than `maxTweets` becomes one summary tweet plus a link instead, given a link
+ */
+
+import { createThreadBuilder, NUMBERING_STYLES, DEFAULT_NUMBERING } from '../../linkedin-poster/lib/thread-builder.mjs';
+import { MAX_TWEET_LENGTH, URL_LENGTH, extractUrls, weightedLength, fitPrefix } from './length.mjs';
+
+export { NUMBERING_STYLES, DEFAULT_NUMBERING };
+export const DEFAULT_MAX_TWEETS = 10;
+
+const builder = createThreadBuilder({
+  maxLength: MAX_TWEET_LENGTH,
+  length: weightedLength,
+  fitPrefix,
+  findLinks: extractUrls,
+  linkLength: () => URL_LENGTH,
+  tokenRe: /[#@$][\p{L}\p{N}_]+/gu,
+  normalize: (text) => text.normalize('NFC'),
+});
+
+/**
+ * Build a thread. Each part starts a new tweet (a note of a self-thread, a quote
+ * that follows the post); parts too long for one tweet are split.
+ * @param {string|string[]} parts
+ * @param {object} options - { numbering?: string, maxTweets?: number, link?: string, summary?: string }
+ *   link and summary make the fallback tweet for a thread over maxTweets; summary defaults
+ *   to the first paragraph. Without a link the whole thread is kept, whatever its length
+ * @returns {string[]} tweets; [''] when there's no text at all
+ */
+export function buildThread(parts, options = {}) {
+  return builder.buildThread(parts, { ...options, maxPosts: options.maxTweets ?? DEFAULT_MAX_TWEETS });
+}
+
+/**
+ * Room left in each tweet of a `total`-tweet thread once the numbering is added.
+ * @param {string} [numbering]
+ * @param {number} total
+ * @returns {number}
+ */
+export const threadRoom = builder.threadRoom;
+
+/**
+ * Split text into chunks of at most `max` weighted characters.
+ * @param {string} text - NFC-normalized
+ * @param {number} max
+ * @returns {string[]}
+ */
+export const splitText = builder.splitText;
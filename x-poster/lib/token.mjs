@@ -1,7 +1,8 @@
 /**
  * X/Twitter OAuth 1.0a Token Manager
  *
- * Storage: ~/.x-poster/credentials.json
+ * Storage: ~/.x-poster/credentials.json ($X_POSTER_DIR overrides the directory,
+ * so one machine can hold a credential set per account)
  * Uses OAuth 1.0a User Context (API Key + Access Token)
  */
 
@@ -9,11 +10,17 @@ import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { homedir } from 'node:os';
 import { join } from 'node:path';
 
-const X_DIR = join(homedir(), '.x-poster');
-const CREDENTIALS_PATH = join(X_DIR, 'credentials.json');
+// Resolved per call: the cross-post checker switches $X_POSTER_DIR between profiles
+function xDir() {
+  return process.env.X_POSTER_DIR || join(homedir(), '.x-poster');
+}
+
+function credentialsPath() {
+  return join(xDir(), 'credentials.json');
+}
 
 async function ensureDir() {
-  await mkdir(X_DIR, { recursive: true, mode: 0o700 });
+  await mkdir(xDir(), { recursive: true, mode: 0o700 });
 }
 
 /**
@@ -28,10 +35,10 @@ async function ensureDir() {
  */
 export async function readCredentials() {
   try {
-    return JSON.parse(await readFile(CREDENTIALS_PATH, 'utf8'));
+    return JSON.parse(await readFile(credentialsPath(), 'utf8'));
   } catch {
     throw new Error(
-      `Missing credentials. Create ${CREDENTIALS_PATH} with:\n` +
+      `Missing credentials. Create ${credentialsPath()} with:\n` +
       `{\n  "apiKey": "...",\n  "apiSecret": "...",\n  "accessToken": "...",\n  "accessTokenSecret": "..."\n}`
     );
   }
@@ -42,5 +49,5 @@ export async function readCredentials() {
  */
 export async function writeCredentials(creds) {
   await ensureDir();
-  await writeFile(CREDENTIALS_PATH, JSON.stringify(creds, null, 2), { mode: 0o600 });
+  await writeFile(credentialsPath(), JSON.stringify(creds, null, 2), { mode: 0o600 });
 }
@@ -2,7 +2,7 @@
  * X/Twitter API Client
  *
  * Posts tweets using X API v2 with OAuth 1.0a User Context.
- * Supports text tweets, threads, and media uploads.
+ * Supports text tweets, threads, media uploads (images, GIFs, videos, alt text), and deletions.
  */
 
 import { readCredentials } from './token.mjs';
@@ -10,11 +10,16 @@ import { oauthHeader } from './oauth.mjs';
 
 const TWEET_URL = 'https://api.twitter.com/2/tweets';
 const MEDIA_UPLOAD_URL = 'https://upload.twitter.com/1.1/media/upload.json';
+const MEDIA_METADATA_URL = 'https://upload.twitter.com/1.1/media/metadata/create.json';
+const MEDIA_CHUNK_BYTES = 4 * 1024 * 1024;
+const MEDIA_PROCESSING_TIMEOUT_MS = 120_000;
+const MAX_ALT_TEXT = 1000;
+const MAX_MEDIA_BYTES = { tweet_image: 5e6, tweet_gif: 15e6, tweet_video: 512e6 };
 
 /**
  * Post a single tweet.
  * @param {string} text - Tweet text
- * @param {object} options - { replyTo?: string, mediaIds?: string[] }
+ * @param {object} options - { replyTo?: string, mediaIds?: string[], quoteTweetId?: string }
  * @returns {{ id: string, text: string }}
  */
 export async function postTweet(text, options = {}) {
@@ -27,6 +32,9 @@ export async function postTweet(text, options = {}) {
   if (options.mediaIds?.length) {
     body.media = { media_ids: options.mediaIds };
   }
+  if (options.quoteTweetId) {
+    body.quote_tweet_id = options.quoteTweetId;
+  }
 
   const auth = oauthHeader('POST', TWEET_URL, {}, creds);
 
@@ -40,7 +48,7 @@ export async function postTweet(text, options = {}) {
   });
 
   if (res.status === 401) {
-    throw new Error('X API 401 — check your credentials in ~/.x-poster/credentials.json');
+    throw new Error('X API 401 — check your credentials in $X_POSTER_DIR/credentials.json (default ~/.x-poster)');
   }
 
   if (res.status === 403) {
@@ -66,26 +74,43 @@ export async function postTweet(text, options = {}) {
  * Post a thread (array of tweets).
  * @param {string[]} tweets - Array of tweet texts
  * @param {string[]} mediaIds - Media IDs for the first tweet
+ * @param {object} threadOptions - { replyTo?: string, quoteTweetId?: string }
+ *   replyTo attaches the whole thread under an existing tweet; quoteTweetId makes the first tweet quote one
  * @returns {{ tweets: Array<{ id: string, text: string }>, url: string }}
+ * @throws when a tweet fails; if earlier ones went out, the error carries them as `tweets` and `url`
  */
-export async function postThread(tweets, mediaIds = []) {
+export async function postThread(tweets, mediaIds = [], threadOptions = {}) {
   const results = [];
 
   for (let i = 0; i < tweets.length; i++) {
     const options = {};
 
-    // Reply to previous tweet in thread
+    // Reply to previous tweet in thread (or the given parent for the first one)
     if (i > 0 && results.length > 0) {
       options.replyTo = results[results.length - 1].id;
+    } else if (threadOptions.replyTo) {
+      options.replyTo = threadOptions.replyTo;
     }
 
-    // Attach media to first tweet only
+    // Attach media (and the quoted tweet) to first tweet only
     if (i === 0 && mediaIds.length > 0) {
       options.mediaIds = mediaIds;
     }
+    if (i === 0 && threadOptions.quoteTweetId) {
+      options.quoteTweetId = threadOptions.quoteTweetId;
+    }
 
-    const result = await postTweet(tweets[i], options);
-    results.push(result);
+    try {
+      results.push(await postTweet(tweets[i], options));
+    } catch (err) {
+      // Hand back what already went out, so the caller can record (or delete) it
+      if (results.length > 0) {
+        err.message = `Thread stopped after ${results.length} of ${tweets.length} tweets: ${err.message}`;
+        err.tweets = results;
+        err.url = threadUrl(results);
+      }
+      throw err;
+    }
 
     // Small delay between thread tweets to avoid rate limits
     if (i < tweets.length - 1) {
@@ -93,60 +118,198 @@ export async function postThread(tweets, mediaIds = []) {
     }
   }
 
-  const firstId = results[0]?.id;
-  const url = firstId ? `https://x.com/i/status/${firstId}` : '';
+  return { tweets: results, url: threadUrl(results) };
+}
+
+function threadUrl(tweets) {
+  return tweets[0]?.id ? `https://x.com/i/status/${tweets[0].id}` : '';
+}
+
+/**
+ * Delete a single tweet.
+ * @param {string} id - Tweet ID
+ * @returns {{ id: string, deleted: boolean }} deleted is true if X confirmed it, or the tweet was already gone
+ */
+export async function deleteTweet(id) {
+  const creds = await readCredentials();
+  const url = `${TWEET_URL}/${encodeURIComponent(id)}`;
+  const auth = oauthHeader('DELETE', url, {}, creds);
+
+  const res = await fetch(url, {
+    method: 'DELETE',
+    headers: { Authorization: auth },
+  });
+
+  if (res.status === 404) {
+    return { id, deleted: true };
+  }
+
+  if (res.status === 401) {
+    throw new Error('X API 401 — check your credentials in $X_POSTER_DIR/credentials.json (default ~/.x-poster)');
+  }
+
+  if (res.status === 429) {
+    const retryAfter = res.headers.get('retry-after') || 'unknown';
+    throw new Error(`Rate limited. Retry after ${retryAfter} seconds.`);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`X API error (${res.status}): ${text}`);
+  }
+
+  const data = await res.json();
+  return { id, deleted: data.data?.deleted === true };
+}
+
+/**
+ * Delete every tweet of a thread, last tweet first.
+ * Keeps going when one tweet fails so a retry only has the leftovers to do.
+ * @param {string[]} ids - Tweet IDs in thread order
+ * @returns {{ deleted: string[], failed: Array<{ id: string, error: string }> }}
+ */
+export async function deleteThread(ids) {
+  const deleted = [];
+  const failed = [];
+
+  for (const id of [...ids].reverse()) {
+    try {
+      const result = await deleteTweet(id);
+      if (result.deleted) deleted.push(id);
+      else failed.push({ id, error: 'X did not confirm deletion' });
+    } catch (err) {
+      failed.push({ id, error: err.message });
+    }
+
+    if (id !== ids[0]) {
+      await new Promise(r => setTimeout(r, 1000));
+    }
+  }
+
+  return { deleted, failed };
+}
 
-  return { tweets: results, url };
+/**
+ * X's media_category for a file: tweet_video, tweet_gif or tweet_image.
+ * @param {string} url
+ * @param {string} [mime] - content type, if known (imeta `m` or the download's header)
+ * @returns {string}
+ */
+export function mediaCategory(url, mime = '') {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  if (mime.startsWith('video/') || /\.(?:mp4|mov|m4v)$/.test(path)) return 'tweet_video';
+  if (mime === 'image/gif' || (!mime && path.endsWith('.gif'))) return 'tweet_gif';
+  return 'tweet_image';
 }
 
 /**
- * Upload media (image) to X for use in tweets.
- * Uses v1.1 chunked upload for images.
- * @param {string} imageUrl - URL of image to upload
+ * Upload media (image, GIF or video) to X for use in tweets.
+ * Uses the v1.1 chunked upload: INIT, APPEND in 4MB segments, FINALIZE, then STATUS
+ * polling while X transcodes videos and GIFs. Alt text is set through the metadata endpoint.
+ * @param {string} mediaUrl - URL of the file to upload
+ * @param {object} options - { mime?: string, alt?: string, timeout?: number }
  * @returns {string} media_id_string
  */
-export async function uploadMedia(imageUrl) {
+export async function uploadMedia(mediaUrl, options = {}) {
   const creds = await readCredentials();
 
-  // Download image
-  const imgRes = await fetch(imageUrl);
-  if (!imgRes.ok) {
-    throw new Error(`Failed to download image from ${imageUrl}: ${imgRes.status}`);
+  // Download the file
+  const fileRes = await fetch(mediaUrl);
+  if (!fileRes.ok) {
+    throw new Error(`Failed to download media from ${mediaUrl}: ${fileRes.status}`);
   }
-  const imageBuffer = Buffer.from(await imgRes.arrayBuffer());
-  const contentType = imgRes.headers.get('content-type') || 'image/jpeg';
+  const buffer = Buffer.from(await fileRes.arrayBuffer());
+  const header = fileRes.headers.get('content-type')?.split(';')[0].trim();
+  const mime = options.mime || (header && header !== 'application/octet-stream' ? header : '') || guessMime(mediaUrl);
+  const category = mediaCategory(mediaUrl, mime);
 
-  // Simple upload (for images under 5MB)
-  const params = {
-    media_category: 'tweet_image',
-  };
+  const maxBytes = MAX_MEDIA_BYTES[category];
+  if (buffer.length > maxBytes) {
+    throw new Error(`${mediaUrl} is ${(buffer.length / 1e6).toFixed(1)}MB — over X's ${maxBytes / 1e6}MB limit for ${category}`);
+  }
 
-  const boundary = '----FormBoundary' + Date.now().toString(16);
+  // INIT
+  const init = await mediaRequest('POST', {
+    command: 'INIT', total_bytes: String(buffer.length), media_type: mime, media_category: category,
+  }, creds);
+  const mediaId = init.media_id_string;
 
-  // Build multipart form data manually
-  const parts = [];
-  parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="media_category"\r\n\r\ntweet_image`);
-  parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="media_data"\r\n\r\n${imageBuffer.toString('base64')}`);
-  parts.push(`--${boundary}--`);
+  // APPEND — the command goes in the query string (signed), the bytes as multipart
+  for (let offset = 0, segment = 0; offset < buffer.length; offset += MEDIA_CHUNK_BYTES, segment++) {
+    const params = { command: 'APPEND', media_id: mediaId, segment_index: String(segment) };
+    const form = new FormData();
+    form.append('media', new Blob([buffer.subarray(offset, offset + MEDIA_CHUNK_BYTES)]));
+    const url = `${MEDIA_UPLOAD_URL}?${new URLSearchParams(params)}`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: oauthHeader('POST', MEDIA_UPLOAD_URL, params, creds) },
+      body: form,
+    });
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Media upload failed at segment ${segment} (${res.status}): ${text}`);
+    }
+  }
 
-  const formBody = parts.join('\r\n');
+  // FINALIZE, then wait for processing to finish
+  let { processing_info: processing } = await mediaRequest('POST', { command: 'FINALIZE', media_id: mediaId }, creds);
+  const deadline = Date.now() + (options.timeout ?? MEDIA_PROCESSING_TIMEOUT_MS);
+  while (processing && processing.state !== 'succeeded') {
+    if (processing.state === 'failed') {
+      throw new Error(`X could not process ${mediaUrl}: ${processing.error?.message || processing.error?.name || 'unknown error'}`);
+    }
+    if (Date.now() > deadline) throw new Error(`Media ${mediaId} still ${processing.state} — gave up waiting`);
+    await new Promise(r => setTimeout(r, Math.max(1, processing.check_after_secs ?? 1) * 1000));
+    ({ processing_info: processing } = await mediaRequest('GET', { command: 'STATUS', media_id: mediaId }, creds));
+  }
 
-  const auth = oauthHeader('POST', MEDIA_UPLOAD_URL, { media_category: 'tweet_image' }, creds);
+  if (options.alt) {
+    await setAltText(mediaId, options.alt, creds);
+  }
 
-  const res = await fetch(MEDIA_UPLOAD_URL, {
-    method: 'POST',
+  return mediaId;
+}
+
+// A signed form-encoded (POST) or query (GET) call to the upload endpoint
+async function mediaRequest(method, params, creds) {
+  const auth = oauthHeader(method, MEDIA_UPLOAD_URL, params, creds);
+  const query = new URLSearchParams(params);
+  const res = await fetch(method === 'GET' ? `${MEDIA_UPLOAD_URL}?${query}` : MEDIA_UPLOAD_URL, {
+    method,
     headers: {
       Authorization: auth,
-      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      ...(method === 'POST' ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
     },
-    body: formBody,
+    ...(method === 'POST' ? { body: query.toString() } : {}),
   });
 
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Media upload failed (${res.status}): ${text}`);
+    throw new Error(`Media ${params.command} failed (${res.status}): ${text}`);
   }
 
-  const data = await res.json();
-  return data.media_id_string;
+  // FINALIZE of a plain image may answer with an empty body
+  const text = await res.text();
+  return text ? JSON.parse(text) : {};
+}
+
+async function setAltText(mediaId, alt, creds) {
+  const res = await fetch(MEDIA_METADATA_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: oauthHeader('POST', MEDIA_METADATA_URL, {}, creds),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ media_id: mediaId, alt_text: { text: [...alt].slice(0, MAX_ALT_TEXT).join('') } }),
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Setting alt text failed (${res.status}): ${text}`);
+  }
+}
+
+function guessMime(url) {
+  const ext = url.split(/[?#]/)[0].toLowerCase().match(/\.(\w+)$/)?.[1];
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime' }[ext] || 'image/jpeg';
 }
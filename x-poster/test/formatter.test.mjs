@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { format } = await import(join(ROOT, 'lib/formatter.mjs'));
+const { weightedLength, MAX_TWEET_LENGTH } = await import(join(ROOT, 'lib/length.mjs'));
+const { mediaCategory } = await import(join(ROOT, 'lib/x.mjs'));
+
+const article = {
+  kind: 30023,
+  tags: [['d', 'relays'], ['title', 'Why relays matter'], ['summary', 'What relays do and how to pick them.'], ['image', 'https://example.com/header.jpg']],
+  content: [
+    'Intro paragraph.', '',
+    '## Storage', '', `${'Relays keep the events they accept. '.repeat(12)}`, '',
+    '## Choosing', '', '- a fast relay', '- a paid relay', '', '```', 'ignored code', '```', '',
+    '## Wrap-up', '', 'Run one yourself.',
+  ].join('\n'),
+};
+
+describe('X article formatting', () => {
+  it('posts title and summary by default', () => {
+    const { tweets, media } = format(article, 'naddr1test');
+    assert.equal(tweets.length, 1);
+    assert.ok(tweets[0].startsWith('Why relays matter\n\nWhat relays do and how to pick them.'));
+    assert.deepEqual(media, [{ url: 'https://example.com/header.jpg', mime: 'image/jpeg', type: 'image' }]);
+  });
+
+  it('turns the article into a thread of sections', () => {
+    const { tweets, media } = format(article, 'naddr1test', { articles: 'thread', link: 'https://example.com/r/naddr1test' });
+    assert.deepEqual(media, [{ url: 'https://example.com/header.jpg', mime: 'image/jpeg', type: 'image' }]);
+    assert.equal(tweets.length, 6);
+    assert.ok(tweets[0].startsWith('Why relays matter\n\nWhat relays do'));
+    assert.ok(tweets[1].startsWith('Intro paragraph.'));
+    assert.ok(tweets[2].startsWith('Storage\n\nRelays keep'));
+    assert.equal(tweets[3], 'Choosing\n\n• a fast relay\n• a paid relay (4/6)');
+    assert.equal(tweets[4], 'Wrap-up\n\nRun one yourself. (5/6)');
+    assert.equal(tweets[5], 'Read the full article: https://example.com/r/naddr1test (6/6)');
+    for (const t of tweets) assert.ok(weightedLength(t) <= MAX_TWEET_LENGTH);
+  });
+
+  it('leaves sections past maxTweets to the link', () => {
+    const { tweets } = format(article, 'naddr1test', { articles: 'thread', maxTweets: 3, link: 'https://example.com/r' });
+    assert.equal(tweets.length, 3);
+    assert.ok(tweets[2].startsWith('Read the full article'));
+  });
+});
+
+describe('X media', () => {
+  it('extracts images, GIFs and videos, by extension or imeta type', () => {
+    const note = {
+      kind: 1,
+      tags: [['imeta', 'url https://blossom.example/f00d', 'm video/mp4', 'alt A demo']],
+      content: 'Demo https://blossom.example/f00d\nhttps://example.com/clip.MOV https://example.com/a.gif',
+    };
+    const { tweets, media } = format(note, 'nevent1test');
+    assert.deepEqual(media, [
+      { url: 'https://blossom.example/f00d', mime: 'video/mp4', alt: 'A demo', type: 'video' },
+      { url: 'https://example.com/clip.MOV', mime: 'video/quicktime', type: 'video' },
+      { url: 'https://example.com/a.gif', mime: 'image/gif', type: 'gif' },
+    ]);
+    assert.equal(tweets[0], 'Demo');
+  });
+
+  it('picks the media_category', () => {
+    assert.equal(mediaCategory('https://example.com/a.mp4'), 'tweet_video');
+    assert.equal(mediaCategory('https://example.com/a.mov?x=1'), 'tweet_video');
+    assert.equal(mediaCategory('https://blossom.example/f00d', 'video/quicktime'), 'tweet_video');
+    assert.equal(mediaCategory('https://example.com/a.gif'), 'tweet_gif');
+    assert.equal(mediaCategory('https://blossom.example/f00d', 'image/gif'), 'tweet_gif');
+    assert.equal(mediaCategory('https://example.com/a.jpg'), 'tweet_image');
+  });
+});
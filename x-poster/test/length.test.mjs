@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { weightedLength, fitsInTweet, fitPrefix, extractUrls } = await import(join(ROOT, 'lib/length.mjs'));
+
+describe('X weighted length', () => {
+  it('weighs Latin as 1 and CJK as 2', () => {
+    assert.equal(weightedLength('hello — “quoted”'), 16);
+    assert.equal(weightedLength('日本語'), 6);
+    assert.equal(weightedLength('한국어 text'), 11);
+    assert.equal(fitsInTweet('a'.repeat(280)), true);
+    assert.equal(fitsInTweet('日'.repeat(141)), false);
+  });
+
+  it('counts each emoji as 2, sequences included', () => {
+    assert.equal(weightedLength('👍'), 2);
+    assert.equal(weightedLength('👍🏽'), 2);
+    assert.equal(weightedLength('👨‍👩‍👧'), 2);
+    assert.equal(weightedLength('🇯🇵 ok'), 5);
+  });
+
+  it('normalizes to NFC first', () => {
+    assert.equal(weightedLength('é'), 1);
+  });
+
+  it('counts URLs as 23 using X\'s TLD rules', () => {
+    assert.equal(weightedLength('see https://example.com/a/very/long/path?x=1.'), 4 + 23 + 1);
+    assert.equal(weightedLength('visit example.com now'), 6 + 23 + 4);
+    assert.equal(weightedLength('example.io'), 23);
+    assert.equal(weightedLength('a.jp'), 4);
+    assert.equal(weightedLength('a.jp/x'), 23);
+    assert.equal(weightedLength('file.txt'), 8);
+    assert.equal(weightedLength('me@example.com'), 14);
+    assert.deepEqual(extractUrls('(https://en.wikipedia.org/wiki/Foo_(bar)) and bar.com.').map(u => u.url),
+      ['https://en.wikipedia.org/wiki/Foo_(bar)', 'bar.com']);
+  });
+
+  it('finds the longest prefix that fits without splitting units', () => {
+    assert.equal(fitPrefix('日本語abc', 5), 2);
+    assert.equal(fitPrefix('ab👨‍👩‍👧cd', 3), 2);
+    assert.equal(fitPrefix('go https://example.com/x', 10), 3);
+    assert.equal(fitPrefix('short', 280), 5);
+  });
+});
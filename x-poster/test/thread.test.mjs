@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { buildThread, splitText } = await import(join(ROOT, 'lib/thread.mjs'));
+const { weightedLength, MAX_TWEET_LENGTH } = await import(join(ROOT, 'lib/length.mjs'));
+
+const sentence = (i) => `Sentence number ${i} says something about relays and keys.`;
+const long = (n) => Array.from({ length: n }, (_, i) => sentence(i + 1)).join(' ');
+
+describe('Thread builder', () => {
+  it('leaves a tweet that fits alone, unnumbered', () => {
+    assert.deepEqual(buildThread('Short note'), ['Short note']);
+    assert.deepEqual(buildThread(''), ['']);
+  });
+
+  it('splits at sentence boundaries and numbers (i/n)', () => {
+    const tweets = buildThread(long(12));
+    assert.ok(tweets.length > 1);
+    tweets.forEach((t, i) => {
+      assert.ok(weightedLength(t) <= MAX_TWEET_LENGTH);
+      assert.ok(t.endsWith(` (${i + 1}/${tweets.length})`), t);
+      assert.match(t.replace(/ \(\d+\/\d+\)$/, ''), /\.$/);
+    });
+  });
+
+  it('reserves room for two-digit markers', () => {
+    const tweets = buildThread(long(60), { maxTweets: 25 });
+    assert.ok(tweets.length >= 10);
+    for (const t of tweets) assert.ok(weightedLength(t) <= MAX_TWEET_LENGTH, `${weightedLength(t)}: ${t}`);
+  });
+
+  it('supports the other numbering styles', () => {
+    const text = long(8);
+    const slash = buildThread(text, { numbering: '1/' });
+    slash.forEach((t, i) => assert.ok(t.startsWith(`${i + 1}/ `)));
+    const thread = buildThread(text, { numbering: '🧵' });
+    assert.ok(thread[0].endsWith(' 🧵'));
+    assert.ok(!thread[1].includes('🧵'));
+    const none = buildThread(text, { numbering: 'none' });
+    assert.ok(none.every(t => t.endsWith('.')));
+    assert.throws(() => buildThread(text, { numbering: '[1]' }), /Unknown numbering style/);
+  });
+
+  it('never breaks inside URLs, hashtags or mentions', () => {
+    const url = 'https://example.com/a/very/long/path/that/goes/on?with=query&and=more';
+    const words = Array.from({ length: 60 }, (_, i) => (i % 7 === 3 ? url : i % 5 === 0 ? '#Bitcoin' : i % 3 === 0 ? '@jack' : `w${i}`));
+    const chunks = splitText(words.join(' '), 100);
+    for (const chunk of chunks) {
+      for (const token of chunk.split(' ')) {
+        assert.ok(words.includes(token), `split token "${token}"`);
+      }
+    }
+  });
+
+  it('prefers paragraph, line and clause boundaries', () => {
+    const para = `${'a '.repeat(100).trim()}\n\n${'b '.repeat(100).trim()}`;
+    assert.deepEqual(splitText(para, 250).map(c => c[0]), ['a', 'b']);
+
+    const list = `Steps:\n${Array.from({ length: 8 }, (_, i) => `- item ${i + 1}: do the thing with care`).join('\n')}`;
+    for (const chunk of splitText(list, 120)) assert.match(chunk, /care$/);
+
+    const clauses = `${'word '.repeat(30).trim()}, ${'more '.repeat(30).trim()}`;
+    assert.ok(splitText(clauses, 200)[0].endsWith(','));
+  });
+
+  it('falls back to a summary tweet plus link when too long', () => {
+    const text = `Opening paragraph that sums it up.\n\n${long(40)}`;
+    const tweets = buildThread(text, { maxTweets: 3, link: 'https://example.com/post' });
+    assert.deepEqual(tweets, ['Opening paragraph that sums it up.\n\nhttps://example.com/post']);
+
+    const [truncated] = buildThread(long(40), { maxTweets: 3, link: 'https://example.com/post' });
+    assert.ok(weightedLength(truncated) <= MAX_TWEET_LENGTH);
+    assert.ok(truncated.endsWith('…\n\nhttps://example.com/post'));
+  });
+
+  it('posts the whole thread when there is no link for a summary', () => {
+    const text = `Opening paragraph that sums it up.\n\n${long(40)}`;
+    const tweets = buildThread(text, { maxTweets: 3 });
+    assert.ok(tweets.length > 3);
+    assert.ok(tweets[0].startsWith('Opening paragraph that sums it up.'));
+    assert.ok(tweets.at(-1).endsWith(`(${tweets.length}/${tweets.length})`));
+  });
+
+  it('starts each part in a new tweet', () => {
+    const tweets = buildThread(['First note.', 'Second note.'], { numbering: '1/' });
+    assert.deepEqual(tweets, ['1/ First note.', '2/ Second note.']);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const { postThread, uploadMedia, deleteTweet, deleteThread } = await import(join(ROOT, 'lib/x.mjs'));
+
+describe('X client', () => {
+  const realFetch = globalThis.fetch;
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'x-poster-'));
+    writeFileSync(join(dir, 'credentials.json'), JSON.stringify({ apiKey: 'k', apiSecret: 's', accessToken: 't', accessTokenSecret: 'ts' }));
+    process.env.X_POSTER_DIR = dir;
+  });
+
+  after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.X_POSTER_DIR;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uploads a video in chunks, waits for processing and sets alt text', async () => {
+    const calls = [];
+    let polls = 0;
+    globalThis.fetch = async (url, init = {}) => {
+      const params = new URLSearchParams(init.method === 'POST' && typeof init.body === 'string' ? init.body : url.split('?')[1]);
+      calls.push({ url: url.split('?')[0], method: init.method || 'GET', command: params.get('command'), params, body: init.body });
+      if (url === 'https://cdn.example/clip') {
+        return new Response(Buffer.alloc(5 * 1024 * 1024), { headers: { 'content-type': 'application/octet-stream' } });
+      }
+      if (url.includes('metadata')) return new Response(null, { status: 200 });
+      switch (params.get('command')) {
+        case 'INIT': return Response.json({ media_id_string: '42' });
+        case 'APPEND': return new Response(null, { status: 204 });
+        case 'FINALIZE': return Response.json({ media_id_string: '42', processing_info: { state: 'pending', check_after_secs: 0 } });
+        default: return Response.json({ processing_info: { state: ++polls < 2 ? 'in_progress' : 'succeeded', check_after_secs: 0 } });
+      }
+    };
+
+    const id = await uploadMedia('https://cdn.example/clip', { mime: 'video/mp4', alt: 'A demo' });
+    assert.equal(id, '42');
+    assert.deepEqual(calls.map(c => c.command).filter(Boolean), ['INIT', 'APPEND', 'APPEND', 'FINALIZE', 'STATUS', 'STATUS']);
+    const init = calls.find(c => c.command === 'INIT').params;
+    assert.equal(init.get('media_category'), 'tweet_video');
+    assert.equal(init.get('total_bytes'), String(5 * 1024 * 1024));
+    assert.deepEqual(calls.filter(c => c.command === 'APPEND').map(c => c.params.get('segment_index')), ['0', '1']);
+    assert.deepEqual(JSON.parse(calls.at(-1).body), { media_id: '42', alt_text: { text: 'A demo' } });
+  });
+
+  it('fails when X cannot process the file', async () => {
+    globalThis.fetch = async (url, init = {}) => {
+      if (url.startsWith('https://cdn.example/')) return new Response(Buffer.alloc(10), { headers: { 'content-type': 'image/gif' } });
+      const command = new URLSearchParams(typeof init.body === 'string' ? init.body : '').get('command');
+      if (command === 'INIT') return Response.json({ media_id_string: '7' });
+      if (command === 'FINALIZE') return Response.json({ processing_info: { state: 'failed', error: { message: 'InvalidMedia' } } });
+      return new Response(null, { status: 204 });
+    };
+    await assert.rejects(uploadMedia('https://cdn.example/a.gif'), /could not process.*InvalidMedia/);
+  });
+
+  it('hands back the tweets already posted when a thread breaks off', async () => {
+    const bodies = [];
+    globalThis.fetch = async (url, init = {}) => {
+      bodies.push(JSON.parse(init.body));
+      if (bodies.length === 3) return new Response('over capacity', { status: 503 });
+      return Response.json({ data: { id: String(bodies.length), text: 't' } });
+    };
+
+    const err = await postThread(['one', 'two', 'three', 'four']).catch(e => e);
+    assert.match(err.message, /^Thread stopped after 2 of 4 tweets: X API error \(503\): over capacity$/);
+    assert.deepEqual(err.tweets.map(t => t.id), ['1', '2']);
+    assert.equal(err.url, 'https://x.com/i/status/1');
+    assert.deepEqual(bodies[2].reply, { in_reply_to_tweet_id: '2' });
+    assert.equal(bodies.length, 3);
+  });
+
+  it('throws the plain error when the first tweet fails', async () => {
+    globalThis.fetch = async () => new Response('nope', { status: 500 });
+    const err = await postThread(['one', 'two']).catch(e => e);
+    assert.equal(err.message, 'X API error (500): nope');
+    assert.equal(err.tweets, undefined);
+  });
+
+  it('counts a tweet that is already gone as deleted', async () => {
+    const calls = [];
+    globalThis.fetch = async (url, init = {}) => {
+      calls.push([init.method, url]);
+      return url.endsWith('/gone') ? new Response('{}', { status: 404 }) : Response.json({ data: { deleted: true } });
+    };
+    assert.deepEqual(await deleteTweet('gone'), { id: 'gone', deleted: true });
+    assert.deepEqual(await deleteTweet('1'), { id: '1', deleted: true });
+    assert.deepEqual(calls, [['DELETE', 'https://api.twitter.com/2/tweets/gone'], ['DELETE', 'https://api.twitter.com/2/tweets/1']]);
+  });
+
+  it('deletes a thread last tweet first and reports what is left', async () => {
+    const order = [];
+    globalThis.fetch = async (url) => {
+      const id = url.split('/').pop();
+      order.push(id);
+      if (id === '2') return new Response('over capacity', { status: 503 });
+      if (id === '3') return Response.json({ data: { deleted: false } });
+      return Response.json({ data: { deleted: true } });
+    };
+    const { deleted, failed } = await deleteThread(['1', '2', '3']);
+    assert.deepEqual(order, ['3', '2', '1']);
+    assert.deepEqual(deleted, ['1']);
+    assert.deepEqual(failed, [
+      { id: '3', error: 'X did not confirm deletion' },
+      { id: '2', error: 'X API error (503): over capacity' },
+    ]);
+  });
+});